@@ -89,7 +89,8 @@ public static class Permissions
     public static PermInfo BasicImageGeneration = Register(new("basic_image_generation", "Basic Image Generation", "Allows this user to generate images.", PermissionDefault.USER, GroupUser, PermSafetyLevel.SAFE));
     public static PermInfo ViewImageHistory = Register(new("view_image_history", "View Image History", "Allows this user to view their own image history.", PermissionDefault.USER, GroupUser, PermSafetyLevel.SAFE));
     public static PermInfo UserDeleteImage = Register(new("user_delete_image", "User Delete Image", "Allows this user to delete images they generated.", PermissionDefault.USER, GroupUser, PermSafetyLevel.SAFE));
-    public static PermInfo UserStarImages = Register(new("user_star_images", "User Star Images", "Allows this user to star or unstar images they generated.", PermissionDefault.USER, GroupUser, PermSafetyLevel.SAFE));
+    public static PermInfo UserStarImages = Register(new("user_star_images", "User Star Images", "Allows this user to star or unstar images they generated, and edit their ratings, tags, and collections.", PermissionDefault.USER, GroupUser, PermSafetyLevel.SAFE));
+    public static PermInfo UserMoveImages = Register(new("user_move_images", "User Move Images", "Allows this user to move images they generated into different folders of their image history.", PermissionDefault.USER, GroupUser, PermSafetyLevel.SAFE));
     public static PermInfo FundamentalModelAccess = Register(new("fundamental_model_access", "Fundamental Model Access", "Allows this user basic access to model list functionality.", PermissionDefault.GUEST, GroupUser, PermSafetyLevel.SAFE));
     public static PermInfo UseTokenizer = Register(new("use_tokenizer", "Use Tokenizer", "Allows this user to use the tokenizer (including the Utility tab, and the prompt token counter.", PermissionDefault.GUEST, GroupUser, PermSafetyLevel.SAFE));
     public static PermInfo FundamentalGenerateTabAccess = Register(new("fundamental_generate_tab_access", "Fundamental Generate Tab Access", "Allows this user to access the generate tab. This is basically required to even open the UI.", PermissionDefault.GUEST, GroupUser, PermSafetyLevel.SAFE));
@@ -21,6 +21,7 @@ public static class ComfyUIWebAPI
         API.RegisterAPICall(ComfyListWorkflows, false, ComfyUIBackendExtension.PermReadWorkflows);
         API.RegisterAPICall(ComfyDeleteWorkflow, true, ComfyUIBackendExtension.PermEditWorkflows);
         API.RegisterAPICall(ComfyGetGeneratedWorkflow, false, ComfyUIBackendExtension.PermDirectCalls);
+        API.RegisterAPICall(ComfySegmentPreview, false, Permissions.BasicImageGeneration);
         API.RegisterAPICall(DoLoraExtractionWS, true, Permissions.ExtractLoRAs);
         API.RegisterAPICall(ComfyEnsureRefreshable, false, ComfyUIBackendExtension.PermDirectCalls);
         API.RegisterAPICall(ComfyInstallFeatures, true, Permissions.InstallFeatures);
@@ -159,6 +160,159 @@ public static class ComfyUIWebAPI
         }
     }
 
+    /// <summary>API route to run only the segmentation stage of a '&lt;segment:...&gt;' prompt tag on an image, to preview the mask it produces.</summary>
+    [API.APIDescription("Runs only the mask-finding part of a `<segment:...>` prompt tag against an image, and returns the resulting mask, to preview what would be refined.", "\"mask\": \"data:image/png;base64,...\"")]
+    public static async Task<JObject> ComfySegmentPreview(Session session,
+        [API.APIParameter("The image to segment, as a base64 data URL.")] string image,
+        [API.APIParameter("The segment model text, exactly as it would be the first value in the prompt tag. Either a CLIP-Seg match text like `face`, or a YOLO model like `yolo-face_yolov8m-seg_60.pt-1:0,2:`.")] string segment,
+        [API.APIParameter("The match threshold, from 0 to 1.")] double threshold = 0.5,
+        [API.APIParameter("If true, invert the mask (as if the threshold were negative in the prompt tag).")] bool invert = false,
+        [API.APIParameter("Blur radius to apply to the mask, matching the 'Segment Mask Blur' parameter.")] int mask_blur = 10,
+        [API.APIParameter("How far to grow the mask, matching the 'Segment Mask Grow' parameter.")] int mask_grow = 16,
+        [API.APIParameter("YOLO match sort order, matching the 'Segment Sort Order' parameter.")] string sort_order = "left-right")
+    {
+        if (string.IsNullOrWhiteSpace(segment))
+        {
+            return new JObject() { ["error"] = "No segment model or match text given." };
+        }
+        Image img;
+        try
+        {
+            img = Image.FromDataString(image);
+        }
+        catch (FormatException)
+        {
+            return new JObject() { ["error"] = "Invalid image data." };
+        }
+        if (img.Type != Image.ImageType.IMAGE)
+        {
+            return new JObject() { ["error"] = "Segment preview only works on still images." };
+        }
+        JObject workflow = new()
+        {
+            ["1"] = new JObject()
+            {
+                ["class_type"] = "SwarmLoadImageB64",
+                ["inputs"] = new JObject()
+                {
+                    ["image_base64"] = img.AsBase64
+                }
+            }
+        };
+        segment = segment.Trim();
+        if (segment.StartsWith("yolo-"))
+        {
+            (string modelName, int index, string classFilter) = WorkflowGenerator.ParseYoloSegmentText(segment.After("yolo-"));
+            if (!ComfyUIBackendExtension.YoloModels.Contains(modelName))
+            {
+                return new JObject() { ["error"] = $"Unknown YOLO model '{modelName}'." };
+            }
+            workflow["2"] = new JObject()
+            {
+                ["class_type"] = "SwarmYoloDetection",
+                ["inputs"] = new JObject()
+                {
+                    ["image"] = new JArray() { "1", 0 },
+                    ["model_name"] = modelName,
+                    ["index"] = index,
+                    ["class_filter"] = classFilter,
+                    ["sort_order"] = sort_order,
+                    ["threshold"] = threshold > 0.999 ? 0.25 : threshold
+                }
+            };
+        }
+        else
+        {
+            workflow["2"] = new JObject()
+            {
+                ["class_type"] = "SwarmClipSeg",
+                ["inputs"] = new JObject()
+                {
+                    ["images"] = new JArray() { "1", 0 },
+                    ["match_text"] = segment,
+                    ["threshold"] = threshold
+                }
+            };
+        }
+        string maskNode = "2";
+        if (invert)
+        {
+            workflow["3"] = new JObject()
+            {
+                ["class_type"] = "InvertMask",
+                ["inputs"] = new JObject()
+                {
+                    ["mask"] = new JArray() { maskNode, 0 }
+                }
+            };
+            maskNode = "3";
+        }
+        if (mask_blur > 0)
+        {
+            workflow["4"] = new JObject()
+            {
+                ["class_type"] = "SwarmMaskBlur",
+                ["inputs"] = new JObject()
+                {
+                    ["mask"] = new JArray() { maskNode, 0 },
+                    ["blur_radius"] = mask_blur,
+                    ["sigma"] = 1
+                }
+            };
+            maskNode = "4";
+        }
+        if (mask_grow > 0)
+        {
+            workflow["5"] = new JObject()
+            {
+                ["class_type"] = "GrowMask",
+                ["inputs"] = new JObject()
+                {
+                    ["mask"] = new JArray() { maskNode, 0 },
+                    ["expand"] = mask_grow,
+                    ["tapered_corners"] = true
+                }
+            };
+            maskNode = "5";
+        }
+        workflow["6"] = new JObject()
+        {
+            ["class_type"] = "MaskToImage",
+            ["inputs"] = new JObject()
+            {
+                ["mask"] = new JArray() { maskNode, 0 }
+            }
+        };
+        workflow["9"] = new JObject()
+        {
+            ["class_type"] = "SwarmSaveImageWS",
+            ["inputs"] = new JObject()
+            {
+                ["images"] = new JArray() { "6", 0 }
+            }
+        };
+        Image mask = null;
+        try
+        {
+            await ComfyUIBackendExtension.RunArbitraryWorkflowOnFirstBackend(workflow.ToString(), data =>
+            {
+                if (data is T2IEngine.ImageOutput output)
+                {
+                    mask = output.Img;
+                }
+            });
+        }
+        catch (SwarmReadableErrorException ex)
+        {
+            return new JObject() { ["error"] = ex.Message };
+        }
+        if (mask is null)
+        {
+            return new JObject() { ["error"] = "Segmentation ran but did not return a mask." };
+        }
+        return new JObject() { ["mask"] = mask.AsDataString() };
+    }
+
     /// <summary>API route to ensure that a ComfyUI refresh hit will actually do a native refresh.</summary>
     public static async Task<JObject> ComfyEnsureRefreshable(Session session)
     {
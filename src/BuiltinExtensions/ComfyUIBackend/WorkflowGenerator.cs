@@ -61,6 +61,24 @@ public class WorkflowGenerator
         WorkflowGeneratorSteps.Register();
     }
 
+    /// <summary>Parses the data text of a <c>&lt;segment:yolo-...&gt;</c> prompt tag (with the "yolo-" prefix already removed), in the format <c>model_name[-index][:class_filter:]</c>.</summary>
+    public static (string, int, string) ParseYoloSegmentText(string fullname)
+    {
+        string[] modelParts = fullname.Split(':');
+        fullname = modelParts[0];
+        string classFilter = modelParts.Length > 1 ? modelParts[1] : "";
+        (string mname, string indexText) = fullname.BeforeAndAfterLast('-');
+        if (!string.IsNullOrWhiteSpace(indexText) && int.TryParse(indexText, out int index))
+        {
+            fullname = mname;
+        }
+        else
+        {
+            index = 0;
+        }
+        return (fullname, index, classFilter);
+    }
+
     /// <summary>Lock for when ensuring the backend has valid models.</summary>
     public static MultiLockSet<string> ModelDownloaderLocks = new(32);
 
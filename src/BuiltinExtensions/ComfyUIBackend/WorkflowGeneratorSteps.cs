@@ -1325,19 +1325,7 @@ public class WorkflowGeneratorSteps
                     string segmentNode;
                     if (part.DataText.StartsWith("yolo-"))
                     {
-                        string fullname = part.DataText.After("yolo-");
-                        string[] modelParts = fullname.Split(':');
-                        fullname = modelParts[0];
-                        string classFilter = modelParts.Length > 1 ? modelParts[1] : "";
-                        (string mname, string indexText) = fullname.BeforeAndAfterLast('-');
-                        if (!string.IsNullOrWhiteSpace(indexText) && int.TryParse(indexText, out int index))
-                        {
-                            fullname = mname;
-                        }
-                        else
-                        {
-                            index = 0;
-                        }
+                        (string fullname, int index, string classFilter) = WorkflowGenerator.ParseYoloSegmentText(part.DataText.After("yolo-"));
                         if (part.Strength > 0.999)
                         {
                             Logs.Warning($"Yolo confidence threshold is set to 1. This was recommended syntax before yolo thresholds were supported, but is no longer valid. Swarm will automatically reset the value to default (0.25) instead.");
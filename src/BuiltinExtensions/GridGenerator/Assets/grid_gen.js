@@ -486,6 +486,11 @@ class GridGenClass {
         this.updateOutputInfo();
         this.typeChanged();
         this.addAxis();
+        imageHistoryBrowser.bulkActions.push({
+            label: 'Send To Grid',
+            title: 'Set up Grid Generator axes for each parameter that differs between the selected images.',
+            onclick: files => this.setAxesFromImages(files.map(f => f.data.metadata))
+        });
     }
 
     parseOutputPath() {
@@ -558,18 +563,7 @@ class GridGenClass {
                     opt.checked = data.checkboxes[opt.id];
                 }
             }
-            this.axisDiv.innerHTML = '';
-            this.lastAxisId = 0;
-            this.addAxis();
-            for (let axis of data.axes) {
-                let wrapper = this.listAxes()[this.listAxes().length - 1];
-                let selector = wrapper.getElementsByClassName('grid-gen-selector')[0];
-                selector.value = axis.mode;
-                triggerChangeFor(selector);
-                let input = wrapper.getElementsByClassName('grid-gen-axis-input')[0];
-                input.innerText = axis.values;
-                triggerChangeFor(input);
-            }
+            this.setAxes(data.axes);
             this.outInfoBox.innerHTML = `<b>Config loaded!</b>`;
             setTimeout(() => this.updateOutputInfo(), 5000);
         }
@@ -583,6 +577,57 @@ class GridGenClass {
         }
     }
 
+    /** Replaces all current axes with the given list of axes, as objects with 'mode' (param ID) and 'values' (axis value text). */
+    setAxes(axes) {
+        this.axisDiv.innerHTML = '';
+        this.lastAxisId = 0;
+        this.addAxis();
+        for (let axis of axes) {
+            let wrapper = this.listAxes()[this.listAxes().length - 1];
+            let selector = wrapper.getElementsByClassName('grid-gen-selector')[0];
+            selector.value = axis.mode;
+            triggerChangeFor(selector);
+            let input = wrapper.getElementsByClassName('grid-gen-axis-input')[0];
+            input.innerText = axis.values;
+            triggerChangeFor(input);
+        }
+    }
+
+    /** Sets up one axis for each parameter that differs between the given images' metadata (eg to turn a loose exploration into a proper grid), and opens the tool. Seeds are left out, as they usually differ without mattering. */
+    setAxesFromImages(metadatas) {
+        let values = {};
+        for (let metadata of metadatas) {
+            let params = null;
+            try {
+                params = JSON.parse(metadata)?.sui_image_params;
+            }
+            catch (e) {
+                continue;
+            }
+            for (let [key, val] of Object.entries(params || {})) {
+                if (this.excludedParams.includes(key) || key == 'seed' || !gen_param_types.some(p => p.id == key && !p.extra_hidden)) {
+                    continue;
+                }
+                values[key] = values[key] || new Set();
+                values[key].add(Array.isArray(val) ? val.join(',') : `${val}`);
+            }
+        }
+        let axes = [];
+        for (let [key, vals] of Object.entries(values)) {
+            if (vals.size < 2) {
+                continue;
+            }
+            let list = [...vals];
+            axes.push({ 'mode': key, 'values': list.join(list.some(v => v.includes(',')) ? ' || ' : ', ') });
+        }
+        if (axes.length == 0) {
+            showError('The selected images all have the same parameters, so there is nothing to make grid axes from.');
+            return;
+        }
+        this.setAxes(axes);
+        openTool('grid_generator');
+    }
+
     getSaveConfig() {
         let axes = [];
         for (let axis of this.listAxes()) {
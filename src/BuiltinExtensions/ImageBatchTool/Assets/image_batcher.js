@@ -1,6 +1,8 @@
 
 class ImageBatcherClass {
 
+    historyImages = [];
+
     doGenerate() {
         resetBatchIfNeeded();
         let batch_id = mainGenHandler.getBatchId();
@@ -12,7 +14,8 @@ class ImageBatcherClass {
             'revision': getRequiredElementById('ext_image_batcher_use_as_revision').checked,
             'controlnet': getRequiredElementById('ext_image_batcher_use_as_controlnet').checked,
             'append_filename_to_prompt': getRequiredElementById('ext_image_batcher_append_filename_to_prompt').checked,
-            'resMode': getRequiredElementById('ext_image_batcher_res_mode').value
+            'resMode': getRequiredElementById('ext_image_batcher_res_mode').value,
+            'history_images': this.historyImages
         };
         makeWSRequestT2I('ImageBatchRun', inData, data => {
             if (data.image) {
@@ -21,6 +24,15 @@ class ImageBatcherClass {
         });
     }
 
+    /** Sets a list of image history paths to use as the batch input, instead of the input folder. Pass an empty list to go back to using the input folder. */
+    useHistoryImages(paths) {
+        this.historyImages = paths;
+        let info = getRequiredElementById('ext_image_batcher_history_info');
+        info.style.display = paths.length > 0 ? '' : 'none';
+        getRequiredElementById('ext_image_batcher_history_count').innerText = paths.length;
+        findParentOfClass(getRequiredElementById('ext_image_batcher_inputfolder'), 'auto-input').style.display = paths.length > 0 ? 'none' : '';
+    }
+
     register() {
         let doGenWrapper = () => {
             setCurrentModel(() => {
@@ -33,6 +45,7 @@ class ImageBatcherClass {
         };
         this.mainDiv = registerNewTool('image_batcher', 'Image Edit Batcher', 'Run Batch', doGenWrapper);
         this.mainDiv.innerHTML = `The Image Batcher tool lets you run a batch of images from an arbitrary local file folder through SD and export to another folder. Use the settings below to pick which folders, and which values the images shall be fed as inputs to, then click the primary Generate button above.<br><b>IMPORTANT:</b> make sure the parameters you're using are enabled. If you're using batched Inits, you need the Init Image parameter group enabled!<br>`
+            + `<div id="ext_image_batcher_history_info" style="display:none">Input: <span id="ext_image_batcher_history_count"></span> images selected from your Image History. <button class="basic-button" onclick="extensionImageBatcher.useHistoryImages([])">Use Input Folder Instead</button></div>`
             + makeTextInput(null, 'ext_image_batcher_inputfolder', '', 'Input Folder', 'Folder path for input images.', '', 'normal', 'Folder path for input images.\nThis folder should contain a non-recursive single layer of image files (png/jpg).', false, true, true)
             + makeTextInput(null, 'ext_image_batcher_outputfolder', '', 'Output Folder', 'Folder path for image output.', '', 'normal', 'Folder path for image output.\nIt is highly recommended that this is an empty folder.', false, true, true)
             + makeCheckboxInput(null, 'ext_image_batcher_use_as_init', '', 'Use As Init', 'Whether to use the image as the Init Image parameter.', true, false, true, true)
@@ -51,6 +64,15 @@ class ImageBatcherClass {
         revisionRevealerSources.push(() => {
             return toolSelector.value == 'image_batcher';
         });
+        imageHistoryBrowser.bulkActions.push({
+            label: 'Send To Image Batcher',
+            title: 'Use the selected images as the input to the Image Edit Batcher tool.',
+            isAvailable: () => permissions.hasPermission('imagebatcher_use_image_batcher'),
+            onclick: files => {
+                this.useHistoryImages(files.map(f => f.data.fullsrc));
+                openTool('image_batcher');
+            }
+        });
     }
 }
 
@@ -28,31 +28,66 @@ public class ImageBatchToolExtension : Extension
         API.RegisterAPICall(ImageBatchRun, true, PermUseImageBatchTool);
     }
 
+    /// <summary>Returns true if the file is an image type the batcher can take as input.</summary>
+    public static bool IsInputImage(string file)
+    {
+        return file.EndsWith(".png") || file.EndsWith(".jpg") || file.EndsWith(".jpeg") || file.EndsWith(".webp");
+    }
+
     /// <summary>API route to generate images with WebSocket updates.</summary>
-    public static async Task<JObject> ImageBatchRun(WebSocket socket, Session session, JObject rawInput, string input_folder, string output_folder, bool init_image, bool revision, bool controlnet, string resMode, bool append_filename_to_prompt)
+    public static async Task<JObject> ImageBatchRun(WebSocket socket, Session session, JObject rawInput, string input_folder, string output_folder, bool init_image, bool revision, bool controlnet, string resMode, bool append_filename_to_prompt, string[] history_images = null)
     {
         // TODO: Strict path validation / user permission confirmation.
-        if (input_folder.Length < 5 || output_folder.Length < 5)
+        bool fromHistory = history_images is not null && history_images.Length > 0;
+        if ((!fromHistory && input_folder.Length < 5) || output_folder.Length < 5)
         {
             await socket.SendJson(new JObject() { ["error"] = "Input or output folder looks invalid, please fill it in carefully." }, API.WebsocketTimeout);
             return null;
         }
-        input_folder = Path.GetFullPath(input_folder);
         output_folder = Path.GetFullPath(output_folder);
-        if (!Directory.Exists(input_folder))
+        string[] imageFiles;
+        if (fromHistory)
         {
-            await socket.SendJson(new JObject() { ["error"] = "Input folder does not exist" }, API.WebsocketTimeout);
-            return null;
+            string root = Utilities.CombinePathWithAbsolute(Environment.CurrentDirectory, session.User.OutputDirectory);
+            List<string> historyFiles = [];
+            foreach (string image in history_images)
+            {
+                (string path, string consoleError, _) = WebServer.CheckFilePath(root, image);
+                if (consoleError is not null)
+                {
+                    Logs.Error(consoleError);
+                    continue;
+                }
+                if (File.Exists(path) && IsInputImage(path))
+                {
+                    historyFiles.Add(path);
+                }
+            }
+            if (historyFiles.Any(f => Path.GetFullPath(Path.GetDirectoryName(f)) == output_folder))
+            {
+                await socket.SendJson(new JObject() { ["error"] = "Output folder cannot be the same as the folder of any input image" }, API.WebsocketTimeout);
+                return null;
+            }
+            imageFiles = [.. historyFiles];
         }
-        if (input_folder == output_folder)
+        else
         {
-            await socket.SendJson(new JObject() { ["error"] = "Input and output folder cannot be the same" }, API.WebsocketTimeout);
-            return null;
+            input_folder = Path.GetFullPath(input_folder);
+            if (!Directory.Exists(input_folder))
+            {
+                await socket.SendJson(new JObject() { ["error"] = "Input folder does not exist" }, API.WebsocketTimeout);
+                return null;
+            }
+            if (input_folder == output_folder)
+            {
+                await socket.SendJson(new JObject() { ["error"] = "Input and output folder cannot be the same" }, API.WebsocketTimeout);
+                return null;
+            }
+            imageFiles = [.. Directory.EnumerateFiles(input_folder).Where(IsInputImage)];
         }
-        string[] imageFiles = [.. Directory.EnumerateFiles(input_folder).Where(f => f.EndsWith(".png") || f.EndsWith(".jpg") || f.EndsWith(".jpeg") || f.EndsWith(".webp"))];
         if (imageFiles.Length == 0)
         {
-            await socket.SendJson(new JObject() { ["error"] = "Input folder does not contain any images" }, API.WebsocketTimeout);
+            await socket.SendJson(new JObject() { ["error"] = fromHistory ? "None of the given history images can be used as input" : "Input folder does not contain any images" }, API.WebsocketTimeout);
             return null;
         }
         if (!init_image && !revision && !controlnet)
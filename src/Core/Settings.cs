@@ -63,6 +63,9 @@ public class Settings : AutoConfiguration
     [ConfigComment($"Settings related to webhooks. See documentation in <a target=\"_blank\" href=\"{Utilities.RepoDocsRoot}Features/Webhooks.md\">the docs here</a>")]
     public WebHooksData WebHooks = new();
 
+    [ConfigComment($"Settings related to prompt translation. See documentation in <a target=\"_blank\" href=\"{Utilities.RepoDocsRoot}Features/PromptTranslation.md\">the docs here</a>")]
+    public TranslationData Translation = new();
+
     [ConfigComment("Settings related to server performance.")]
     public PerformanceData Performance = new();
 
@@ -402,6 +405,12 @@ public class Settings : AutoConfiguration
         [ConfigComment("How many lines of text to display in the standard prompt box before cutting off to a scroll bar.\nActual size in practice tends to be a few lines shorter due to browser and font variations.\nDefault is 10.")]
         public int MaxPromptLines = 10;
 
+        [ConfigComment("If true, prompt boxes check your prompt syntax as you type, and underline mistakes such as unknown tags, unbalanced brackets, or missing LoRAs and wildcards.\nHover an underlined part for an explanation.")]
+        public bool PromptSyntaxCheck = true;
+
+        [ConfigComment("If true, prompt boxes tint prompt tags by type, tint weighted '(text:1.2)' sections, fade out comments, and outline matching bracket pairs at the text cursor.")]
+        public bool PromptSyntaxHighlight = true;
+
         public class VAEsData : AutoConfiguration
         {
             [ConfigComment("What VAE to use with SDXL models by default. Use 'None' to use the one in the model.")]
@@ -441,6 +450,9 @@ public class Settings : AutoConfiguration
         [ConfigComment("How many images the history view should scan server-side before deciding the list is sufficient for sorting. Not relevant when sorting by filename.")]
         public int MaxImagesScannedInHistory = 10000;
 
+        [ConfigComment("How many images the history view should scan server-side when searching (eg 'model:flux steps>30') before giving up.\nHigher values can find older matches, at the cost of slower searches.")]
+        public int MaxImagesSearchedInHistory = 50000;
+
         [ConfigComment("If true, the Image History view will cache small preview thumbnails of images.\nThis should make things run faster. You can turn it off if you don't want that.")]
         public bool ImageHistoryUsePreviews = true;
 
@@ -494,6 +506,22 @@ public class Settings : AutoConfiguration
         [ConfigComment("Settings related to autocompletions.")]
         public AutoCompleteData AutoComplete = new();
 
+        [ConfigComment($"Settings related to translating your prompts before generating. See documentation in <a target=\"_blank\" href=\"{Utilities.RepoDocsRoot}Features/PromptTranslation.md\">the docs here</a>")]
+        public PromptTranslationData PromptTranslation = new();
+
+        /// <summary>Settings related to prompt translation.</summary>
+        public class PromptTranslationData : AutoConfiguration
+        {
+            [ConfigComment("If true, your prompts are translated (by the server's configured translation provider) before generating.\nThe original text is kept in the image metadata, and 'Reuse Parameters' restores it.")]
+            public bool Enabled = false;
+
+            [ConfigComment("What language you write your prompts in, as a language code (eg 'ja' or 'de'), or 'auto' to detect it automatically.")]
+            public string SourceLanguage = "auto";
+
+            [ConfigComment("If true, the negative prompt is translated as well.")]
+            public bool TranslateNegative = true;
+        }
+
         /// <summary>Settings related to autocompletions.</summary>
         public class AutoCompleteData : AutoConfiguration
         {
@@ -512,8 +540,8 @@ public class Settings : AutoConfiguration
             [ConfigComment("Optional suffix to append to autocompletes, eg ', ' to append commas.")]
             public string Suffix = "";
 
-            [ConfigComment("How to match and list results.\n'Contains' lists any match that contains your current text\n'StartsWith' only lists matches that start with your current text\n'Bucketed' shows StartsWith matches first, and Contains matches after.")]
-            [ManualSettingsOptions(Impl = null, Vals = ["Bucketed", "Contains", "StartsWith"])]
+            [ConfigComment("How to match and list results.\n'Contains' lists any match that contains your current text\n'StartsWith' only lists matches that start with your current text\n'Bucketed' shows StartsWith matches first, and Contains matches after.\n'Fuzzy' tolerates typos and skipped letters (eg 'mstrpc' or 'masterpeice' still find 'masterpiece'), lists the closest matches first, and highlights the matched letters.")]
+            [ManualSettingsOptions(Impl = null, Vals = ["Bucketed", "Contains", "StartsWith", "Fuzzy"])]
             public string MatchMode = "Bucketed";
 
             [ConfigComment("How to sort the results.\n'Active' sorts shortest tags first, then alphabetically after.\n'Alphabetical' sorts results alphabetically.\n'Frequency' sorts results by how popular the tag is (for tag CSVs).\n'None' uses whatever the source list's order is.")]
@@ -523,6 +551,15 @@ public class Settings : AutoConfiguration
             [ConfigComment("If your completion list is booru tags, use this to optionally alter how spaces/underscores are handled.\nSelect 'None' to just use what's in the file,\n'Spaces' to replace underscores to spaces,\nor 'Underscores' to replace spaces to underscores.")]
             [ManualSettingsOptions(Impl = null, Vals = ["None", "Spaces", "Underscores"])]
             public string SpacingMode = "None";
+
+            [ConfigComment("If true, autocompletions also suggest matching model names, LoRAs, LoRA trigger phrases, wildcards, and presets, alongside the word list.\nEach of these is marked with a badge showing where it came from.")]
+            public bool IncludeOtherSources = true;
+
+            [ConfigComment("If true, autocompletions learn from the completions you accept and the prompts you generate, and list the tags, LoRAs, wildcards, etc. that you use most often first.\nPhrases you use often that aren't in the source list are also suggested.\nThe learned data is saved to your user account, so it follows you across devices.")]
+            public bool LearnFromUsage = true;
+
+            [ConfigComment("When learning from usage, how many days it takes for a past use to count half as much.\nLower values favor what you've used recently, higher values favor what you've used the most overall.")]
+            public double UsageHalfLifeDays = 14;
         }
     }
 
@@ -578,6 +615,23 @@ public class Settings : AutoConfiguration
         [ConfigComment("How long to wait (in seconds) after all queues are done before sending the queue end webhook.\nThis is useful to prevent rapid start+end calls.")]
         public double QueueEndDelay = 1;
     }
+
+    /// <summary>Prompt translation settings.</summary>
+    public class TranslationData : AutoConfiguration
+    {
+        [ConfigComment("URL of a LibreTranslate-compatible translation API to translate user prompts with, eg 'http://localhost:5000/translate' for a local LibreTranslate install.\nThe server sends a JSON POST of '{\"q\": text, \"source\": lang, \"target\": lang, \"format\": \"text\"}' and expects '{\"translatedText\": text}' back.\nLeave empty to disable prompt translation.")]
+        public string ProviderURL = "";
+
+        [ConfigComment("Optional API key to send to the translation provider (as 'api_key').")]
+        [ValueIsSecret]
+        public string APIKey = "";
+
+        [ConfigComment("Language code to translate prompts into. Most models understand English best, so the default is 'en'.")]
+        public string TargetLanguage = "en";
+
+        [ConfigComment("How long to wait (in seconds) for the translation provider to respond before giving up.")]
+        public double TimeoutSeconds = 30;
+    }
 }
 
 [AttributeUsage(AttributeTargets.Field)]
@@ -243,6 +243,7 @@ public class WebServer
         WebApp.MapGet("/ViewSpecial/{*Path}", ViewSpecial);
         WebApp.MapGet("/ExtensionFile/{*f}", ViewExtensionScript);
         WebApp.MapGet("/Audio/{*f}", ViewAudio);
+        WebApp.MapGet("/ImagesZip/{*id}", ViewImagesZip);
         timer.Check("[Web] core maps");
         WebApp.Use(async (context, next) =>
         {
@@ -446,6 +447,31 @@ public class WebServer
         await context.Response.CompleteAsync();
     }
 
+    /// <summary>Web route for downloading a zip of images prepared by <see cref="T2IAPI.DownloadImagesZip(Session, string[])"/>. Each zip can only be downloaded once, by the user that requested it.</summary>
+    public async Task ViewImagesZip(HttpContext context)
+    {
+        User user = GetUserFor(context);
+        if (user is null)
+        {
+            await context.YieldJsonOutput(null, 400, Utilities.ErrorObj("invalid or unauthorized", "invalid_user"));
+            return;
+        }
+        string id = context.Request.Path.ToString().After("/ImagesZip/");
+        if (!T2IAPI.PreparedImagesZips.TryGetValue(id, out T2IAPI.PreparedImagesZip zip) || zip.UserID != user.UserID || !File.Exists(zip.FilePath))
+        {
+            await context.YieldJsonOutput(null, 404, Utilities.ErrorObj("404, file not found.", "file_not_found"));
+            return;
+        }
+        context.Response.ContentType = "application/zip";
+        context.Response.StatusCode = 200;
+        context.Response.ContentLength = new FileInfo(zip.FilePath).Length;
+        context.Response.Headers.ContentDisposition = $"attachment; filename=\"{zip.Name}\"";
+        context.Response.Headers.CacheControl = "no-store";
+        await context.Response.SendFileAsync(zip.FilePath, Program.GlobalProgramCancel);
+        await context.Response.CompleteAsync();
+        T2IAPI.RemovePreparedImagesZip(id);
+    }
+
     public static User GetUserFor(HttpContext context)
     {
         if (Program.ServerSettings.UserAuthorization.AuthorizationRequired)
@@ -20,6 +20,9 @@ public class T2IPromptHandling
 
         public Dictionary<string, string> Variables = [];
 
+        /// <summary>Values picked from wildcards so far, keyed by lowercase wildcard name (and also 'name/section' for entries within sections), for wildcard entry conditions.</summary>
+        public Dictionary<string, List<string>> WildcardPicks = [];
+
         public int SectionID = 0;
 
         public int Depth = 0;
@@ -31,6 +34,22 @@ public class T2IPromptHandling
 
         public string TriggerPhraseExtra = "";
 
+        /// <summary>Records a value picked from a wildcard, for use by later wildcard entry conditions.</summary>
+        public void AddWildcardPick(string card, WildcardsHelper.WildcardEntry entry)
+        {
+            card = card.ToLowerFast();
+            string value = entry.Text.ToLowerFast();
+            WildcardPicks.GetOrCreate(card, () => []).Add(value);
+            if (entry.Section is not null)
+            {
+                string[] sectionParts = entry.Section.Split('/');
+                for (int i = 1; i <= sectionParts.Length; i++)
+                {
+                    WildcardPicks.GetOrCreate($"{card}/{sectionParts[..i].JoinString("/")}", () => []).Add(value);
+                }
+            }
+        }
+
         public void TrackWarning(string warning)
         {
             Logs.Warning(warning);
@@ -278,7 +297,7 @@ public class T2IPromptHandling
             {
                 return null;
             }
-            string card = T2IParamTypes.GetBestInList(data, WildcardsHelper.ListFiles);
+            string card = WildcardsHelper.FindWildcard(data, out string section);
             if (card is null)
             {
                 context.TrackWarning($"Wildcard input '{data}' does not match any wildcard file and will be ignored.");
@@ -286,38 +305,45 @@ public class T2IPromptHandling
             }
             WildcardsHelper.Wildcard wildcard = WildcardsHelper.GetWildcard(card);
             List<string> usedWildcards = context.Input.ExtraMeta.GetOrCreate("used_wildcards", () => new List<string>()) as List<string>;
-            usedWildcards.Add(card);
-            string[] options = wildcard.Options;
+            usedWildcards.Add(section is null ? card : $"{card}/{section}");
+            WildcardsHelper.WildcardEntry[] options = [.. wildcard.GetEntries(section)];
             if (exclude.Count > 0)
             {
-                options = [.. options.Except(exclude)];
+                options = [.. options.Where(e => !exclude.Contains(e.Text))];
             }
             if (options.Length == 0)
             {
                 return "";
             }
-            List<string> vals = [.. options];
+            List<WildcardsHelper.WildcardEntry> vals = [.. options];
             string result = "";
             for (int i = 0; i < count; i++)
             {
+                List<WildcardsHelper.WildcardEntry> allowed = [.. vals.Where(e => e.Conditions.All(c => c.Passes(context.WildcardPicks)))];
+                if (allowed.Count == 0)
+                {
+                    context.TrackWarning($"Wildcard '{data}' has no entries whose conditions allow them to be picked, so it will be left empty.");
+                    break;
+                }
                 int index;
                 if (context.Input.Get(T2IParamTypes.WildcardSeedBehavior, "Random") == "Index")
                 {
-                    index = context.Input.GetWildcardSeed() % vals.Count;
+                    index = context.Input.GetWildcardSeed() % allowed.Count;
                 }
                 else
                 {
-                    index = context.Input.GetWildcardRandom().Next(vals.Count);
+                    index = WildcardsHelper.PickWeightedIndex(allowed, context.Input.GetWildcardRandom());
                 }
-                string choice = vals[index];
-                result += context.Parse(choice).Trim() + partSeparator;
+                WildcardsHelper.WildcardEntry choice = allowed[index];
+                context.AddWildcardPick(card, choice);
+                result += context.Parse(choice.Text).Trim() + partSeparator;
                 if (vals.Count == 1)
                 {
                     vals = [.. options];
                 }
                 else
                 {
-                    vals.RemoveAt(index);
+                    vals.Remove(choice);
                 }
             }
             return result.Trim();
@@ -325,29 +351,45 @@ public class T2IPromptHandling
         PromptTagProcessors["wc"] = PromptTagProcessors["wildcard"];
         PromptTagLengthEstimators["wildcard"] = (data, context) =>
         {
-            string card = T2IParamTypes.GetBestInList(data.Before(','), WildcardsHelper.ListFiles);
+            string card = WildcardsHelper.FindWildcard(data.Before(','), out string section);
             if (card is null)
             {
                 return "";
             }
             WildcardsHelper.Wildcard wildcard = WildcardsHelper.GetWildcard(card);
-            if (wildcard.MaxLength is not null)
+            string cached = section is null ? wildcard.MaxLength : wildcard.SectionMaxLengths.GetValueOrDefault(section);
+            if (cached is not null)
+            {
+                return cached;
+            }
+            // Recursion protection.
+            if (section is null)
+            {
+                wildcard.MaxLength = "";
+            }
+            else
             {
-                return wildcard.MaxLength;
+                wildcard.SectionMaxLengths[section] = "";
             }
-            wildcard.MaxLength = ""; // Recursion protection.
             int longest = 0;
             string longestStr = "";
-            foreach (string val in wildcard.Options)
+            foreach (WildcardsHelper.WildcardEntry entry in wildcard.GetEntries(section))
             {
-                string interp = ProcessPromptLikeForLength(val);
+                string interp = ProcessPromptLikeForLength(entry.Text);
                 if (interp.Length > longest) // TODO: Tokenization length should be used rather than string length
                 {
                     longest = interp.Length;
                     longestStr = interp;
                 }
             }
-            wildcard.MaxLength = longestStr;
+            if (section is null)
+            {
+                wildcard.MaxLength = longestStr;
+            }
+            else
+            {
+                wildcard.SectionMaxLengths[section] = longestStr;
+            }
             return longestStr;
         };
         PromptTagLengthEstimators["wc"] = PromptTagLengthEstimators["wildcard"];
@@ -0,0 +1,218 @@
+﻿using FreneticUtilities.FreneticExtensions;
+using FreneticUtilities.FreneticToolkit;
+using Newtonsoft.Json.Linq;
+using System.IO;
+
+namespace SwarmUI.Utils;
+
+/// <summary>Helper class to track user curation data for history images: 1-5 ratings, free-form tags, and named collections (which can span folders).
+/// Stored as a sidecar index file in the root of each image output folder, keyed by image path relative to that root.</summary>
+public static class ImageCurationTracker
+{
+    /// <summary>Curation data for a single image.</summary>
+    public class CurationEntry
+    {
+        /// <summary>Rating from 1 to 5, or 0 if not rated.</summary>
+        public int Rating = 0;
+
+        /// <summary>Free-form tags, lowercased.</summary>
+        public List<string> Tags = [];
+
+        /// <summary>Names of the collections this image is in.</summary>
+        public List<string> Collections = [];
+
+        /// <summary>If true, there's nothing to store for this image.</summary>
+        public bool IsEmpty => Rating == 0 && Tags.Count == 0 && Collections.Count == 0;
+
+        public JObject ToJson()
+        {
+            return new JObject() { ["rating"] = Rating, ["tags"] = JArray.FromObject(Tags), ["collections"] = JArray.FromObject(Collections) };
+        }
+
+        public static CurationEntry FromJson(JObject json)
+        {
+            return new()
+            {
+                Rating = Math.Clamp(json.Value<int?>("rating") ?? 0, 0, 5),
+                Tags = json["tags"]?.ToObject<List<string>>() ?? [],
+                Collections = json["collections"]?.ToObject<List<string>>() ?? []
+            };
+        }
+    }
+
+    /// <summary>The curation index of a single output root folder.</summary>
+    public class CurationIndex
+    {
+        /// <summary>The path to the index file.</summary>
+        public string FilePath;
+
+        public LockObject Lock = new();
+
+        /// <summary>All entries, as a map from image key (see <see cref="NormalizeKey(string)"/>) to its curation data.</summary>
+        public Dictionary<string, CurationEntry> Entries = [];
+
+        /// <summary>Returns the curation data for the given image key, or null if it has none.</summary>
+        public CurationEntry Get(string key)
+        {
+            lock (Lock)
+            {
+                return Entries.GetValueOrDefault(key);
+            }
+        }
+
+        /// <summary>Applies an edit to the curation data of each of the given image keys, then saves. Returns the new data for each key.</summary>
+        public Dictionary<string, CurationEntry> Update(IEnumerable<string> keys, Action<CurationEntry> edit)
+        {
+            Dictionary<string, CurationEntry> result = [];
+            lock (Lock)
+            {
+                foreach (string key in keys)
+                {
+                    CurationEntry entry = Entries.GetValueOrDefault(key) ?? new();
+                    edit(entry);
+                    entry.Tags = [.. entry.Tags.Select(CleanTag).Where(t => t.Length > 0).Distinct()];
+                    entry.Collections = [.. entry.Collections.Select(CleanName).Where(c => c.Length > 0).Distinct(StringComparer.OrdinalIgnoreCase)];
+                    if (entry.IsEmpty)
+                    {
+                        Entries.Remove(key);
+                    }
+                    else
+                    {
+                        Entries[key] = entry;
+                    }
+                    result[key] = entry;
+                }
+                Save();
+            }
+            return result;
+        }
+
+        /// <summary>Moves the curation data of an image to a new key, eg when the image file is moved.</summary>
+        public void Move(string oldKey, string newKey)
+        {
+            lock (Lock)
+            {
+                if (Entries.Remove(oldKey, out CurationEntry entry))
+                {
+                    Entries[newKey] = entry;
+                    Save();
+                }
+            }
+        }
+
+        /// <summary>Removes the curation data of an image, eg when the image file is deleted.</summary>
+        public void Remove(string key)
+        {
+            lock (Lock)
+            {
+                if (Entries.Remove(key))
+                {
+                    Save();
+                }
+            }
+        }
+
+        /// <summary>Returns how many images use each tag and each collection.</summary>
+        public (Dictionary<string, int> Tags, Dictionary<string, int> Collections) CountNames()
+        {
+            Dictionary<string, int> tags = [];
+            Dictionary<string, int> collections = new(StringComparer.OrdinalIgnoreCase);
+            lock (Lock)
+            {
+                foreach (CurationEntry entry in Entries.Values)
+                {
+                    foreach (string tag in entry.Tags)
+                    {
+                        tags[tag] = tags.GetValueOrDefault(tag) + 1;
+                    }
+                    foreach (string collection in entry.Collections)
+                    {
+                        collections[collection] = collections.GetValueOrDefault(collection) + 1;
+                    }
+                }
+            }
+            return (tags, collections);
+        }
+
+        /// <summary>Writes the index to file. Must be called within the lock.</summary>
+        public void Save()
+        {
+            JObject data = new();
+            foreach ((string key, CurationEntry entry) in Entries)
+            {
+                data[key] = entry.ToJson();
+            }
+            try
+            {
+                File.WriteAllText($"{FilePath}.tmp", data.ToString());
+                File.Move($"{FilePath}.tmp", FilePath, true);
+            }
+            catch (IOException ex)
+            {
+                Logs.Error($"Failed to save image curation index '{FilePath}': {ex.ReadableString()}");
+            }
+        }
+    }
+
+    /// <summary>File name of the index file within an output root folder.</summary>
+    public static string IndexFileName = "image_curation.json";
+
+    /// <summary>Set of all loaded curation indices, as a map from output root folder to index.</summary>
+    public static ConcurrentDictionary<string, CurationIndex> Indices = new();
+
+    /// <summary>Returns the curation index for the given output root folder, loading it if needed.</summary>
+    public static CurationIndex GetIndexFor(string root)
+    {
+        return Indices.GetOrCreate(root, () =>
+        {
+            CurationIndex index = new() { FilePath = $"{root}/{IndexFileName}" };
+            if (File.Exists(index.FilePath))
+            {
+                try
+                {
+                    foreach ((string key, JToken value) in File.ReadAllText(index.FilePath).ParseToJson())
+                    {
+                        if (value is JObject entry)
+                        {
+                            index.Entries[key] = CurationEntry.FromJson(entry);
+                        }
+                    }
+                }
+                catch (Exception ex)
+                {
+                    Logs.Error($"Image curation index '{index.FilePath}' could not be read, ratings and tags will be missing: {ex.ReadableString()}");
+                }
+            }
+            return index;
+        });
+    }
+
+    /// <summary>Returns the index key for an image path relative to the output root. Starred copies share the key of their original image, so that they show the same data.</summary>
+    public static string NormalizeKey(string relPath)
+    {
+        relPath = relPath.Replace('\\', '/').Trim('/');
+        if (relPath.StartsWith("Starred/"))
+        {
+            relPath = relPath["Starred/".Length..];
+        }
+        return relPath;
+    }
+
+    /// <summary>Returns the index key for a full image file path within the given output root.</summary>
+    public static string KeyFor(string root, string fullPath)
+    {
+        return NormalizeKey(Path.GetRelativePath(root, fullPath));
+    }
+
+    /// <summary>Cleans up a tag: lowercased, trimmed, and without commas (which separate tags in the UI).</summary>
+    public static string CleanTag(string tag)
+    {
+        return CleanName(tag).ToLowerFast();
+    }
+
+    /// <summary>Cleans up a collection name: trimmed, and without commas (which separate names in the UI).</summary>
+    public static string CleanName(string name)
+    {
+        return (name ?? "").Replace(",", "").Trim();
+    }
+}
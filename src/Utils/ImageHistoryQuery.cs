@@ -0,0 +1,318 @@
+﻿using FreneticUtilities.FreneticExtensions;
+using Newtonsoft.Json.Linq;
+using System.Globalization;
+using System.Text;
+using System.Text.RegularExpressions;
+
+namespace SwarmUI.Utils;
+
+/// <summary>A parsed structured search query over image history metadata (and curation data, see <see cref="ImageCurationTracker"/>), eg `model:flux steps>30 lora:arcane starred:yes date:last-week rating>3`.</summary>
+public class ImageHistoryQuery
+{
+    /// <summary>How a single query term compares against the image's value.</summary>
+    public enum CompareMode { Contains, Equals, Greater, GreaterOrEqual, Less, LessOrEqual }
+
+    /// <summary>A single term of a query.</summary>
+    public class Term
+    {
+        /// <summary>The (lowercased, de-aliased) key, eg 'model', or null for plain text terms.</summary>
+        public string Key;
+
+        public CompareMode Mode;
+
+        /// <summary>The (lowercased) value to compare against.</summary>
+        public string Value;
+
+        /// <summary>If true, the term was prefixed with '-', and so only images that do NOT match it are kept.</summary>
+        public bool Negate;
+
+        /// <summary>For 'date' terms, the date range the value refers to (end exclusive), or null if the value is not a valid date.</summary>
+        public (DateTime Start, DateTime End)? Dates;
+    }
+
+    /// <summary>Alternate names for common keys.</summary>
+    public static Dictionary<string, string> KeyAliases = new()
+    {
+        ["cfg"] = "cfgscale",
+        ["neg"] = "negativeprompt",
+        ["negative"] = "negativeprompt",
+        ["res"] = "resolution",
+        ["size"] = "resolution",
+        ["star"] = "starred",
+        ["loras"] = "lora",
+        ["file"] = "name",
+        ["filename"] = "name",
+        ["tags"] = "tag",
+        ["collections"] = "collection",
+        ["album"] = "collection"
+    };
+
+    /// <summary>Keys that are matched without needing the parsed metadata JSON.</summary>
+    public static HashSet<string> NonJsonKeys = ["name", "date", "rating", "tag", "collection"];
+
+    /// <summary>Operators a term may use between its key and value, longest first so that eg '>=' isn't read as '>'.</summary>
+    public static (string Text, CompareMode Mode)[] Operators = [(">=", CompareMode.GreaterOrEqual), ("<=", CompareMode.LessOrEqual), (">", CompareMode.Greater), ("<", CompareMode.Less), ("=", CompareMode.Equals), (":", CompareMode.Contains)];
+
+    /// <summary>Valid term key format.</summary>
+    public static Regex KeyMatcher = new("^[a-z_][a-z0-9_]*$", RegexOptions.Compiled);
+
+    /// <summary>Relative date format for 'N days back', eg '3d'.</summary>
+    public static Regex DaysBackMatcher = new("^([0-9]+)d$", RegexOptions.Compiled);
+
+    /// <summary>All terms of this query, every one of which must match.</summary>
+    public List<Term> Terms = [];
+
+    /// <summary>If true, at least one term needs the parsed metadata JSON (as opposed to just the raw text).</summary>
+    public bool NeedsJson = false;
+
+    /// <summary>Parses a query string, eg `model:flux steps>30 -lora:arcane "a cat"`. Returns null if the query is empty.</summary>
+    public static ImageHistoryQuery Parse(string query)
+    {
+        if (string.IsNullOrWhiteSpace(query))
+        {
+            return null;
+        }
+        ImageHistoryQuery result = new();
+        DateTime now = DateTime.Now;
+        foreach (string token in SplitTokens(query))
+        {
+            Term term = ParseTerm(token, now);
+            if (term is null)
+            {
+                continue;
+            }
+            result.Terms.Add(term);
+            if (term.Key is not null && !NonJsonKeys.Contains(term.Key))
+            {
+                result.NeedsJson = true;
+            }
+        }
+        return result.Terms.Count == 0 ? null : result;
+    }
+
+    /// <summary>Splits a query into whitespace-separated tokens, keeping quoted sections (and their quotes) together.</summary>
+    public static List<string> SplitTokens(string query)
+    {
+        List<string> tokens = [];
+        StringBuilder current = new();
+        bool inQuote = false;
+        foreach (char c in query)
+        {
+            if (c == '"')
+            {
+                inQuote = !inQuote;
+            }
+            else if (char.IsWhiteSpace(c) && !inQuote)
+            {
+                if (current.Length > 0)
+                {
+                    tokens.Add(current.ToString());
+                    current.Clear();
+                }
+                continue;
+            }
+            current.Append(c);
+        }
+        if (current.Length > 0)
+        {
+            tokens.Add(current.ToString());
+        }
+        return tokens;
+    }
+
+    /// <summary>Parses a single token into a term, or returns null if it has nothing to match against (eg a half-typed `steps>`).</summary>
+    public static Term ParseTerm(string token, DateTime now)
+    {
+        Term term = new();
+        if (token.Length > 1 && token.StartsWith('-'))
+        {
+            term.Negate = true;
+            token = token[1..];
+        }
+        if (!token.StartsWith('"'))
+        {
+            int opIndex = token.IndexOfAny([':', '<', '>', '=']);
+            if (opIndex > 0)
+            {
+                string key = token[..opIndex].ToLowerFast();
+                if (KeyMatcher.IsMatch(key))
+                {
+                    (string opText, CompareMode mode) = Operators.First(o => token[opIndex..].StartsWith(o.Text));
+                    term.Key = KeyAliases.GetValueOrDefault(key, key);
+                    term.Mode = mode;
+                    token = token[(opIndex + opText.Length)..];
+                }
+            }
+        }
+        term.Value = token.Replace("\"", "").Trim().ToLowerFast();
+        if (term.Value.Length == 0)
+        {
+            return null;
+        }
+        if (term.Key == "date")
+        {
+            term.Dates = ParseDateRange(term.Value, now);
+        }
+        return term;
+    }
+
+    /// <summary>Parses a date query value into a date range (end exclusive), relative to the given current time. Returns null if unrecognized.
+    /// Accepts 'today', 'yesterday', 'last-week', 'last-month', 'last-year', a number of days back like '3d', a day of the week like 'tuesday' (or 'last-tuesday' to exclude today), or an absolute 'yyyy-MM-dd', 'yyyy-MM', or 'yyyy'.</summary>
+    public static (DateTime, DateTime)? ParseDateRange(string value, DateTime now)
+    {
+        DateTime today = now.Date;
+        DateTime tomorrow = today.AddDays(1);
+        switch (value)
+        {
+            case "today": return (today, tomorrow);
+            case "yesterday": return (today.AddDays(-1), today);
+            case "last-week" or "week": return (today.AddDays(-7), tomorrow);
+            case "last-month" or "month": return (today.AddMonths(-1), tomorrow);
+            case "last-year" or "year": return (today.AddYears(-1), tomorrow);
+        }
+        Match daysBack = DaysBackMatcher.Match(value);
+        if (daysBack.Success && int.TryParse(daysBack.Groups[1].Value, out int days))
+        {
+            return (today.AddDays(-days), tomorrow);
+        }
+        bool excludeToday = value.StartsWith("last-");
+        string dayName = excludeToday ? value["last-".Length..] : value;
+        foreach (DayOfWeek day in Enum.GetValues<DayOfWeek>())
+        {
+            string name = day.ToString().ToLowerFast();
+            if (dayName == name || dayName == name[..3])
+            {
+                int back = ((int)today.DayOfWeek - (int)day + 7) % 7;
+                if (back == 0 && excludeToday)
+                {
+                    back = 7;
+                }
+                DateTime start = today.AddDays(-back);
+                return (start, start.AddDays(1));
+            }
+        }
+        if (DateTime.TryParseExact(value, "yyyy-MM-dd", CultureInfo.InvariantCulture, DateTimeStyles.None, out DateTime date))
+        {
+            return (date, date.AddDays(1));
+        }
+        if (DateTime.TryParseExact(value, "yyyy-MM", CultureInfo.InvariantCulture, DateTimeStyles.None, out date))
+        {
+            return (date, date.AddMonths(1));
+        }
+        if (DateTime.TryParseExact(value, "yyyy", CultureInfo.InvariantCulture, DateTimeStyles.None, out date))
+        {
+            return (date, date.AddYears(1));
+        }
+        return null;
+    }
+
+    /// <summary>Returns true if the given image (by file name, metadata entry, and curation data if it has any) matches every term of this query.</summary>
+    public bool Matches(string name, ImageMetadataTracker.ImageMetadataEntry entry, ImageCurationTracker.CurationEntry curation = null)
+    {
+        string raw = entry.Metadata ?? "";
+        JObject json = null;
+        if (NeedsJson && raw.StartsWith('{'))
+        {
+            try
+            {
+                json = raw.ParseToJson();
+            }
+            catch (Exception)
+            {
+                // Not JSON metadata, so structured terms just won't match.
+            }
+        }
+        foreach (Term term in Terms)
+        {
+            if (TermMatches(term, name, entry, raw, json, curation) == term.Negate)
+            {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /// <summary>Returns true if the given image matches a single term (ignoring negation).</summary>
+    public static bool TermMatches(Term term, string name, ImageMetadataTracker.ImageMetadataEntry entry, string raw, JObject json, ImageCurationTracker.CurationEntry curation = null)
+    {
+        if (term.Key is null)
+        {
+            return name.Contains(term.Value, StringComparison.OrdinalIgnoreCase) || raw.Contains(term.Value, StringComparison.OrdinalIgnoreCase);
+        }
+        switch (term.Key)
+        {
+            case "name":
+                return CompareValue(name, term);
+            case "date":
+                return MatchDate(entry.FileTime, term);
+            case "starred":
+                bool isStarred = json?["is_starred"] is JToken starTok && starTok.Type == JTokenType.Boolean && starTok.Value<bool>();
+                bool wantStarred = term.Value is not ("no" or "false" or "0");
+                return isStarred == wantStarred;
+            case "rating":
+                return CompareValue($"{curation?.Rating ?? 0}", term);
+            case "tag":
+                return curation is not null && curation.Tags.Any(t => CompareValue(t, term));
+            case "collection":
+                return curation is not null && curation.Collections.Any(c => CompareValue(c, term));
+        }
+        JObject imageParams = json?["sui_image_params"] as JObject;
+        if (term.Key == "resolution")
+        {
+            if (imageParams?["width"] is null || imageParams["height"] is null)
+            {
+                return false;
+            }
+            return CompareValue($"{imageParams["width"]}x{imageParams["height"]}", term);
+        }
+        string paramKey = term.Key == "lora" ? "loras" : term.Key;
+        JToken value = imageParams?[paramKey] ?? (json?["sui_extra_data"] as JObject)?[paramKey] ?? json?[paramKey];
+        if (value is null)
+        {
+            return false;
+        }
+        if (value is JArray array)
+        {
+            return array.Any(v => CompareValue(v.ToString(), term));
+        }
+        return CompareValue(value.ToString(), term);
+    }
+
+    /// <summary>Compares an actual value against a term's value. Numeric values are compared as numbers (so `steps:30` does not match `130`), others as case-insensitive text.</summary>
+    public static bool CompareValue(string actual, Term term)
+    {
+        bool actualIsNumeric = double.TryParse(actual, NumberStyles.Float, CultureInfo.InvariantCulture, out double actualNum);
+        bool termIsNumeric = double.TryParse(term.Value, NumberStyles.Float, CultureInfo.InvariantCulture, out double termNum);
+        bool isNumeric = actualIsNumeric && termIsNumeric;
+        return term.Mode switch
+        {
+            CompareMode.Contains => isNumeric ? actualNum == termNum : actual.Contains(term.Value, StringComparison.OrdinalIgnoreCase),
+            CompareMode.Equals => isNumeric ? actualNum == termNum : actual.Equals(term.Value, StringComparison.OrdinalIgnoreCase),
+            CompareMode.Greater => isNumeric && actualNum > termNum,
+            CompareMode.GreaterOrEqual => isNumeric && actualNum >= termNum,
+            CompareMode.Less => isNumeric && actualNum < termNum,
+            CompareMode.LessOrEqual => isNumeric && actualNum <= termNum,
+            _ => false
+        };
+    }
+
+    /// <summary>Compares a file time (unix seconds) against a 'date' term. `date:` matches within the range, `date>` after it, `date<` before it.</summary>
+    public static bool MatchDate(long fileTime, Term term)
+    {
+        if (term.Dates is null)
+        {
+            return false;
+        }
+        (DateTime start, DateTime end) = term.Dates.Value;
+        DateTime time = DateTimeOffset.FromUnixTimeSeconds(fileTime).LocalDateTime;
+        return term.Mode switch
+        {
+            CompareMode.Contains or CompareMode.Equals => time >= start && time < end,
+            CompareMode.Greater => time >= end,
+            CompareMode.GreaterOrEqual => time >= start,
+            CompareMode.Less => time < start,
+            CompareMode.LessOrEqual => time < end,
+            _ => false
+        };
+    }
+}
@@ -0,0 +1,369 @@
+﻿using FreneticUtilities.FreneticExtensions;
+using FreneticUtilities.FreneticToolkit;
+using Newtonsoft.Json.Linq;
+using System.IO;
+using System.IO.Compression;
+
+namespace SwarmUI.Utils;
+
+/// <summary>Helper for reading and writing wildcard packs.
+/// A pack is a zip file (or plain folder tree) of wildcard '.txt' files with optional '.jpg' preview images next to them, and optionally a <see cref="ManifestName"/> file describing the pack.
+/// Dynamic Prompts style '.yaml'/'.json' files (nested mappings of names to lists of options) can be read from packs as well.</summary>
+public static class WildcardPackHelper
+{
+    /// <summary>Filename of the manifest within an exported pack.</summary>
+    public const string ManifestName = "swarm_wildcard_pack.json";
+
+    /// <summary>Maximum total uncompressed size of a pack, to avoid zip bombs.</summary>
+    public const long MaxPackBytes = 512L * 1024 * 1024;
+
+    /// <summary>A single wildcard read from a pack.</summary>
+    public class PackWildcard
+    {
+        /// <summary>Wildcard name within the pack, eg 'animals/cats'.</summary>
+        public string Name;
+
+        /// <summary>Raw text content of the wildcard.</summary>
+        public string Content;
+
+        /// <summary>Preview image file data, if the pack has one for this wildcard.</summary>
+        public Image Image;
+
+        /// <summary>The pack file this wildcard was read from, for user display.</summary>
+        public string Source;
+    }
+
+    /// <summary>Reads all wildcards out of a set of pack files (relative path to raw file data), expanding any zip files.
+    /// Problems with individual files are added to the errors list rather than thrown.</summary>
+    public static Dictionary<string, PackWildcard> ReadPack(Dictionary<string, byte[]> files, List<string> errors)
+    {
+        Dictionary<string, PackWildcard> result = [];
+        Dictionary<string, Image> images = [];
+        long totalSize = 0;
+        void addWildcard(string name, string content, string source)
+        {
+            name = Utilities.StrictFilenameClean(name);
+            if (string.IsNullOrWhiteSpace(name))
+            {
+                errors.Add($"Skipped '{source}': invalid wildcard name.");
+                return;
+            }
+            if (result.TryGetValue(name.ToLowerFast(), out PackWildcard existing))
+            {
+                errors.Add($"Skipped '{source}': wildcard '{name}' was already read from '{existing.Source}'.");
+                return;
+            }
+            result[name.ToLowerFast()] = new() { Name = name, Content = content, Source = source };
+        }
+        void readFile(string path, byte[] data, string source)
+        {
+            path = path.Replace('\\', '/').Trim('/');
+            string fileName = path.AfterLast('/');
+            if (path.StartsWith("__MACOSX/") || fileName.StartsWithFast('.') || fileName == ManifestName)
+            {
+                return;
+            }
+            totalSize += data.Length;
+            if (totalSize > MaxPackBytes)
+            {
+                throw new SwarmReadableErrorException($"Pack is too large, the limit is {MaxPackBytes / 1024 / 1024} MiB of uncompressed data.");
+            }
+            string ext = fileName.Contains('.') ? fileName.AfterLast('.').ToLowerFast() : "";
+            string name = path.Contains('.') ? path.BeforeLast('.') : path;
+            string folder = path.Contains('/') ? path.BeforeLast('/') : "";
+            try
+            {
+                switch (ext)
+                {
+                    case "zip":
+                        using (ZipArchive zip = new(new MemoryStream(data), ZipArchiveMode.Read))
+                        {
+                            foreach (ZipArchiveEntry entry in zip.Entries)
+                            {
+                                if (entry.FullName.EndsWith('/') || entry.Length == 0)
+                                {
+                                    continue;
+                                }
+                                if (totalSize + entry.Length > MaxPackBytes)
+                                {
+                                    throw new SwarmReadableErrorException($"Pack is too large, the limit is {MaxPackBytes / 1024 / 1024} MiB of uncompressed data.");
+                                }
+                                using Stream stream = entry.Open();
+                                using MemoryStream output = new();
+                                stream.CopyTo(output);
+                                readFile(entry.FullName, output.ToArray(), $"{source}/{entry.FullName}");
+                            }
+                        }
+                        break;
+                    case "txt":
+                        addWildcard(name, ReadText(data), source);
+                        break;
+                    case "yaml":
+                    case "yml":
+                        AddStructuredWildcards(MicroYamlParse(ReadText(data)), folder, source, addWildcard);
+                        break;
+                    case "json":
+                        AddStructuredWildcards(JToken.Parse(ReadText(data)), folder, source, addWildcard);
+                        break;
+                    case "jpg":
+                    case "jpeg":
+                    case "png":
+                    case "webp":
+                        images[Utilities.StrictFilenameClean(name).ToLowerFast()] = new Image(data, Image.ImageType.IMAGE, ext);
+                        break;
+                    default:
+                        errors.Add($"Skipped '{source}': unsupported file type.");
+                        break;
+                }
+            }
+            catch (SwarmReadableErrorException)
+            {
+                throw;
+            }
+            catch (Exception ex)
+            {
+                errors.Add($"Failed to read '{source}': {ex.Message}");
+            }
+        }
+        foreach ((string path, byte[] data) in files)
+        {
+            readFile(path, data, path);
+        }
+        foreach ((string name, Image image) in images)
+        {
+            if (result.TryGetValue(name, out PackWildcard wildcard))
+            {
+                wildcard.Image = image;
+            }
+        }
+        return result;
+    }
+
+    /// <summary>Reads text file data as UTF-8, normalizing line endings.</summary>
+    public static string ReadText(byte[] data)
+    {
+        return StringConversionHelper.UTF8Encoding.GetString(data).TrimStart('\uFEFF').Replace("\r\n", "\n").Replace('\r', '\n');
+    }
+
+    /// <summary>Adds wildcards from a Dynamic Prompts style structured file, where nested mapping keys form the wildcard name and each list is a wildcard's options.</summary>
+    public static void AddStructuredWildcards(JToken data, string path, string source, Action<string, string, string> addWildcard)
+    {
+        if (data is JObject obj)
+        {
+            foreach ((string key, JToken value) in obj)
+            {
+                AddStructuredWildcards(value, path == "" ? key : $"{path}/{key}", source, addWildcard);
+            }
+        }
+        else if (data is JArray list)
+        {
+            string[] options = [.. list.Where(v => v is JValue).Select(v => $"{v}".Replace('\n', ' ').Trim()).Where(v => v.Length > 0)];
+            if (options.Length > 0)
+            {
+                addWildcard(path, options.JoinString("\n") + "\n", source);
+            }
+        }
+        else if (data is JValue value && !string.IsNullOrWhiteSpace($"{value}"))
+        {
+            addWildcard(path, $"{value}".Trim() + "\n", source);
+        }
+    }
+
+    /// <summary>Matcher for Dynamic Prompts wildcard references, like '__animals/cats__'.</summary>
+    public static AsciiMatcher WildcardRefNameMatcher = new(AsciiMatcher.BothCaseLetters + AsciiMatcher.Digits + "_-/");
+
+    /// <summary>Converts Dynamic Prompts style wildcard references like '__animals/cats__' into SwarmUI wildcard syntax like '&lt;wildcard:animals/cats&gt;'.
+    /// If the reference names a wildcard in the pack and the pack is imported into a folder, the reference is updated to the imported name.</summary>
+    public static string ConvertWildcardReferences(string content, ICollection<string> packNames, string folder)
+    {
+        int start = content.IndexOf("__");
+        while (start != -1)
+        {
+            int end = content.IndexOf("__", start + 2);
+            if (end == -1)
+            {
+                break;
+            }
+            string name = content[(start + 2)..end];
+            if (name.Length == 0 || !WildcardRefNameMatcher.IsOnlyMatches(name) || name.StartsWithFast('_'))
+            {
+                start = content.IndexOf("__", start + 1);
+                continue;
+            }
+            if (folder != "" && packNames.Contains(name.ToLowerFast()))
+            {
+                name = $"{folder}/{name}";
+            }
+            string replacement = $"<wildcard:{name}>";
+            content = content[..start] + replacement + content[(end + 2)..];
+            start = content.IndexOf("__", start + replacement.Length);
+        }
+        return content;
+    }
+
+    /// <summary>Builds a pack zip file of all wildcards in the given folder (or all wildcards, if the folder is empty), including preview images and a manifest.
+    /// Paths in the zip are relative to the parent of the folder, so the folder itself is kept.</summary>
+    /// <param name="folder">The wildcards folder to export.</param>
+    /// <param name="isAllowed">Function to check if a given wildcard may be included.</param>
+    /// <param name="count">Output: how many wildcards were included.</param>
+    public static byte[] CreatePack(string folder, Func<string, bool> isAllowed, out int count)
+    {
+        folder = folder.Trim('/');
+        string prefix = folder == "" ? "" : $"{folder}/";
+        string parent = folder.Contains('/') ? $"{folder.BeforeLast('/')}/" : "";
+        string[] names = [.. WildcardsHelper.ListFiles.Where(n => n.StartsWith(prefix, StringComparison.OrdinalIgnoreCase) && isAllowed(n)).Order()];
+        count = names.Length;
+        using MemoryStream output = new();
+        using (ZipArchive zip = new(output, ZipArchiveMode.Create, true))
+        {
+            foreach (string name in names)
+            {
+                string path = name[parent.Length..];
+                zip.CreateEntryFromFile($"{WildcardsHelper.Folder}/{name}.txt", $"{path}.txt");
+                if (File.Exists($"{WildcardsHelper.Folder}/{name}.jpg"))
+                {
+                    zip.CreateEntryFromFile($"{WildcardsHelper.Folder}/{name}.jpg", $"{path}.jpg");
+                }
+            }
+            JObject manifest = new()
+            {
+                ["format"] = "swarm_wildcard_pack",
+                ["version"] = 1,
+                ["name"] = folder == "" ? "wildcards" : folder.AfterLast('/'),
+                ["exported"] = DateTimeOffset.UtcNow.ToString("yyyy-MM-dd HH:mm:ss"),
+                ["wildcards"] = count
+            };
+            using StreamWriter writer = new(zip.CreateEntry(ManifestName).Open());
+            writer.Write(manifest.ToString());
+        }
+        return output.ToArray();
+    }
+
+    /// <summary>Tiny parser for the simple subset of YAML used by wildcard files: nested mappings, lists of plain or quoted strings, and comments.</summary>
+    public static JToken MicroYamlParse(string text)
+    {
+        List<(int Indent, string Text, int LineNumber)> lines = [];
+        string[] rawLines = text.Split('\n');
+        for (int i = 0; i < rawLines.Length; i++)
+        {
+            string line = rawLines[i].TrimEnd();
+            string trimmed = line.TrimStart();
+            if (trimmed.Length == 0 || trimmed.StartsWithFast('#') || trimmed == "---" || trimmed == "...")
+            {
+                continue;
+            }
+            lines.Add((line.Length - trimmed.Length, trimmed, i + 1));
+        }
+        int index = 0;
+        if (lines.Count == 0)
+        {
+            return new JObject();
+        }
+        JToken result = MicroYamlParseBlock(lines, ref index, lines[0].Indent);
+        if (index < lines.Count)
+        {
+            throw new InvalidDataException($"unexpected indentation on line {lines[index].LineNumber}");
+        }
+        return result;
+    }
+
+    /// <summary>Internal function for parsing YAML files. Use <see cref="MicroYamlParse(string)"/> instead.</summary>
+    public static JToken MicroYamlParseBlock(List<(int Indent, string Text, int LineNumber)> lines, ref int index, int indent)
+    {
+        static bool isListItem(string line) => line == "-" || line.StartsWith("- ");
+        if (isListItem(lines[index].Text))
+        {
+            JArray list = [];
+            while (index < lines.Count && lines[index].Indent == indent && isListItem(lines[index].Text))
+            {
+                string value = lines[index].Text[1..].Trim();
+                index++;
+                if (value.Length == 0 && index < lines.Count && lines[index].Indent > indent)
+                {
+                    list.Add(MicroYamlParseBlock(lines, ref index, lines[index].Indent));
+                }
+                else
+                {
+                    list.Add(MicroYamlValue(value));
+                }
+            }
+            return list;
+        }
+        JObject map = [];
+        while (index < lines.Count && lines[index].Indent == indent && !isListItem(lines[index].Text))
+        {
+            (_, string line, int lineNumber) = lines[index];
+            int colon = MicroYamlFindColon(line);
+            if (colon == -1)
+            {
+                throw new InvalidDataException($"expected 'key: value' on line {lineNumber}");
+            }
+            string key = $"{MicroYamlValue(line[..colon])}";
+            string value = line[(colon + 1)..].Trim();
+            index++;
+            if (value.Length > 0 && !value.StartsWithFast('#'))
+            {
+                map[key] = MicroYamlValue(value);
+            }
+            else if (index < lines.Count && (lines[index].Indent > indent || (lines[index].Indent == indent && isListItem(lines[index].Text))))
+            {
+                map[key] = MicroYamlParseBlock(lines, ref index, lines[index].Indent);
+            }
+            else
+            {
+                map[key] = "";
+            }
+        }
+        if (index < lines.Count && lines[index].Indent > indent)
+        {
+            throw new InvalidDataException($"unexpected indentation on line {lines[index].LineNumber}");
+        }
+        return map;
+    }
+
+    /// <summary>Internal function for parsing YAML files, finds the colon that separates a key from its value (skipping quoted keys), or -1 if there isn't one.</summary>
+    public static int MicroYamlFindColon(string line)
+    {
+        int start = 0;
+        if (line.StartsWithFast('"') || line.StartsWithFast('\''))
+        {
+            start = line.IndexOf(line[0], 1);
+            if (start == -1)
+            {
+                return -1;
+            }
+        }
+        for (int i = start; i < line.Length; i++)
+        {
+            if (line[i] == ':' && (i + 1 == line.Length || line[i + 1] == ' '))
+            {
+                return i;
+            }
+        }
+        return -1;
+    }
+
+    /// <summary>Internal function for parsing YAML files, reads a single value (a plain or quoted string, or a '[a, b]' flow list) and strips trailing comments.</summary>
+    public static JToken MicroYamlValue(string value)
+    {
+        value = value.Trim();
+        if (value.Length >= 2 && value[0] == '"' && value.LastIndexOf('"') > 0)
+        {
+            return value[1..value.LastIndexOf('"')].Replace("\\\"", "\"").Replace("\\\\", "\\");
+        }
+        if (value.Length >= 2 && value[0] == '\'' && value.LastIndexOf('\'') > 0)
+        {
+            return value[1..value.LastIndexOf('\'')].Replace("''", "'");
+        }
+        int comment = value.IndexOf(" #");
+        if (comment != -1)
+        {
+            value = value[..comment].TrimEnd();
+        }
+        if (value.StartsWithFast('[') && value.EndsWithFast(']'))
+        {
+            return new JArray(value[1..^1].Split(',').Select(v => MicroYamlValue(v)).Where(v => $"{v}" != "").ToArray());
+        }
+        return value;
+    }
+}
@@ -2,6 +2,7 @@
 using FreneticUtilities.FreneticToolkit;
 using Newtonsoft.Json.Linq;
 using SwarmUI.Core;
+using SwarmUI.Text2Image;
 using SwarmUI.WebAPI;
 using System.IO;
 
@@ -10,12 +11,51 @@ namespace SwarmUI.Utils;
 /// <summary>Central class for processing wildcard files.</summary>
 public class WildcardsHelper
 {
+    /// <summary>A single option line within a wildcard file.</summary>
+    public class WildcardEntry
+    {
+        /// <summary>The option text, with any weight, conditions, and comment removed.</summary>
+        public string Text;
+
+        /// <summary>Relative likelihood of this entry being picked, defaults to 1.</summary>
+        public double Weight = 1;
+
+        /// <summary>The (lowercase) name of the section this entry is within, or null if not in a section.</summary>
+        public string Section;
+
+        /// <summary>Conditions that must all pass for this entry to be picked.</summary>
+        public List<WildcardCondition> Conditions = [];
+    }
+
+    /// <summary>A '@requires(...)' or '@excludes(...)' condition on a wildcard entry.</summary>
+    public class WildcardCondition
+    {
+        /// <summary>If true, this is an '@excludes' condition, otherwise it is a '@requires' condition.</summary>
+        public bool IsExclude;
+
+        /// <summary>The (lowercase) referenced wildcard name, optionally with a section, eg 'hair' or 'hair/colors'.</summary>
+        public string Card;
+
+        /// <summary>The (lowercase) values that count as a match, or empty to match any value picked from the wildcard.</summary>
+        public string[] Values;
+
+        /// <summary>Returns true if this condition allows its entry to be picked, given the wildcard values picked so far in the prompt.</summary>
+        public bool Passes(Dictionary<string, List<string>> picks)
+        {
+            bool matched = picks.TryGetValue(Card, out List<string> picked) && (Values.Length == 0 || picked.Any(Values.Contains));
+            return matched != IsExclude;
+        }
+    }
+
     public class Wildcard
     {
         public string Name;
 
         public string[] Options;
 
+        /// <summary>The parsed entries of this wildcard, matching <see cref="Options"/> but with weights, sections, and conditions.</summary>
+        public WildcardEntry[] Entries;
+
         public string Image;
 
         public string Raw;
@@ -27,6 +67,9 @@ public class WildcardsHelper
         /// <summary>Max length cache, calculated in T2IParamInput.</summary>
         public string MaxLength = null;
 
+        /// <summary>Max length cache for sections within the wildcard, calculated in T2IParamInput.</summary>
+        public ConcurrentDictionary<string, string> SectionMaxLengths = new();
+
         public JObject GetNetObject(bool dataImgs = true)
         {
             string previewImg = Image ?? "imgs/model_placeholder.jpg";
@@ -34,14 +77,36 @@ public class WildcardsHelper
             {
                 previewImg = $"/ViewSpecial/Wildcards/{Name}?editid={ModelsAPI.ModelEditID}";
             }
+            JObject sections = [];
+            foreach (string section in (Entries ?? []).Select(e => e.Section).Where(s => s is not null).Distinct())
+            {
+                sections[section] = JArray.FromObject(GetEntries(section).Select(e => e.Text));
+            }
             return new()
             {
                 ["name"] = Name,
                 ["options"] = JArray.FromObject(Options),
+                ["sections"] = sections,
                 ["raw"] = Raw,
                 ["image"] = previewImg
             };
         }
+
+        /// <summary>Returns true if the given (lowercase) section name exists in this wildcard, either directly or as the parent of a nested section.</summary>
+        public bool HasSection(string section)
+        {
+            return Entries.Any(e => e.Section is not null && (e.Section == section || e.Section.StartsWith($"{section}/")));
+        }
+
+        /// <summary>Gets the entries within the given (lowercase) section name (including nested sections), or all entries if the section is null.</summary>
+        public IEnumerable<WildcardEntry> GetEntries(string section)
+        {
+            if (section is null)
+            {
+                return Entries;
+            }
+            return Entries.Where(e => e.Section is not null && (e.Section == section || e.Section.StartsWith($"{section}/")));
+        }
     }
 
     /// <summary>Internal tracker of all currently known wildcard files. Values populate on first read.</summary>
@@ -93,7 +158,8 @@ public class WildcardsHelper
             wildcard.TimeModified = new DateTimeOffset(File.GetLastWriteTimeUtc(fname)).ToUnixTimeMilliseconds();
             string rawText = StringConversionHelper.UTF8Encoding.GetString(File.ReadAllBytes(fname)).Replace("\r\n", "\n").Replace("\r", "");
             wildcard.Raw = rawText;
-            wildcard.Options = [.. rawText.Split('\n').Select(card => card.Before('#').Trim()).Where(card => !string.IsNullOrWhiteSpace(card))];
+            wildcard.Entries = ParseEntries(rawText);
+            wildcard.Options = [.. wildcard.Entries.Select(e => e.Text)];
             if (wildcard.Image is null && File.Exists($"{Folder}/{name}.jpg"))
             {
                 wildcard.Image = new Image(File.ReadAllBytes($"{Folder}/{name}.jpg"), Image.ImageType.IMAGE, "jpg").AsDataString();
@@ -102,6 +168,130 @@ public class WildcardsHelper
         return wildcard;
     }
 
+    /// <summary>Characters allowed in a section name, eg '[section: hair/colors]'.</summary>
+    public static AsciiMatcher SectionNameMatcher = new(AsciiMatcher.BothCaseLetters + AsciiMatcher.Digits + "_-/ ");
+
+    /// <summary>Parses the raw text of a wildcard file into its entries.
+    /// Lines can be prefixed with a weight like '5:: red hair', can end with conditions like '@requires(hair=red|blonde)' or '@excludes(outfit)',
+    /// and a line like '[section: name]' starts a named section that contains all entries after it until the next section.
+    /// Plain bracketed lines like '[red hair]' are normal entries (as they are prompt de-emphasis syntax), sections need the explicit 'section:' marker.</summary>
+    public static WildcardEntry[] ParseEntries(string rawText)
+    {
+        List<WildcardEntry> entries = [];
+        string section = null;
+        foreach (string rawLine in rawText.Split('\n'))
+        {
+            string line = rawLine.Before('#').Trim();
+            if (string.IsNullOrWhiteSpace(line))
+            {
+                continue;
+            }
+            if (line.StartsWithFast('[') && line.EndsWithFast(']') && line[1..^1].TrimStart().ToLowerFast().StartsWith("section:"))
+            {
+                string sectionName = line[1..^1].After(':').Trim();
+                if (sectionName.Length > 0 && SectionNameMatcher.IsOnlyMatches(sectionName))
+                {
+                    section = sectionName.Trim('/').ToLowerFast();
+                    continue;
+                }
+            }
+            WildcardEntry entry = new() { Section = section };
+            int weightEnd = line.IndexOf("::");
+            if (weightEnd > 0 && double.TryParse(line[..weightEnd].Trim(), out double weight) && weight >= 0)
+            {
+                entry.Weight = weight;
+                line = line[(weightEnd + 2)..].Trim();
+            }
+            while (line.EndsWithFast(')'))
+            {
+                int start = line.LastIndexOf('@');
+                if (start == -1)
+                {
+                    break;
+                }
+                string condition = line[(start + 1)..^1];
+                string type = condition.Before('(').Trim().ToLowerFast();
+                if (!condition.Contains('(') || (type != "requires" && type != "excludes"))
+                {
+                    break;
+                }
+                string[] parts = condition.After('(').Split('=', 2);
+                string card = parts[0].Trim().ToLowerFast();
+                if (card.Length == 0)
+                {
+                    break;
+                }
+                string[] values = parts.Length > 1 ? [.. parts[1].Split('|').Select(v => v.Trim().ToLowerFast()).Where(v => v.Length > 0)] : [];
+                entry.Conditions.Add(new() { IsExclude = type == "excludes", Card = card, Values = values });
+                line = line[..start].Trim();
+            }
+            if (line.Length == 0)
+            {
+                continue;
+            }
+            entry.Text = line;
+            entries.Add(entry);
+        }
+        return [.. entries];
+    }
+
+    /// <summary>Finds the wildcard that best matches the given user input, which may refer to a section within the wildcard like 'hair/colors'.
+    /// An exact wildcard filename match takes priority, then an exact filename with a section, then the closest filename match.</summary>
+    /// <param name="name">The user input wildcard name.</param>
+    /// <param name="section">Output: the (lowercase) section name within the wildcard, or null if the whole wildcard is used.</param>
+    /// <returns>The exact wildcard name, or null if none match.</returns>
+    public static string FindWildcard(string name, out string section)
+    {
+        section = null;
+        string[] files = ListFiles;
+        string cleanName = T2IParamTypes.CleanNameGeneric(name);
+        string exact = files.FirstOrDefault(f => T2IParamTypes.CleanNameGeneric(f) == cleanName);
+        if (exact is not null)
+        {
+            return exact;
+        }
+        name = name.Replace('\\', '/').Trim();
+        int slash = name.LastIndexOf('/');
+        while (slash > 0)
+        {
+            string fileName = T2IParamTypes.CleanNameGeneric(name[..slash]);
+            string file = files.FirstOrDefault(f => T2IParamTypes.CleanNameGeneric(f) == fileName);
+            string sectionName = name[(slash + 1)..].Trim().ToLowerFast();
+            if (file is not null && sectionName.Length > 0 && GetWildcard(file).HasSection(sectionName))
+            {
+                section = sectionName;
+                return file;
+            }
+            slash = name.LastIndexOf('/', slash - 1);
+        }
+        return T2IParamTypes.GetBestInList(name, files);
+    }
+
+    /// <summary>Picks the index of a random entry within the list, respecting entry weights.
+    /// If all the weights are equal this picks the same way an unweighted list would, so that existing seeds keep their results.</summary>
+    public static int PickWeightedIndex(IList<WildcardEntry> entries, Random random)
+    {
+        if (entries.All(e => e.Weight == entries[0].Weight))
+        {
+            return random.Next(entries.Count);
+        }
+        double total = entries.Sum(e => e.Weight);
+        if (total <= 0)
+        {
+            return random.Next(entries.Count);
+        }
+        double target = random.NextDouble() * total;
+        for (int i = 0; i < entries.Count; i++)
+        {
+            target -= entries[i].Weight;
+            if (target < 0)
+            {
+                return i;
+            }
+        }
+        return entries.Count - 1;
+    }
+
     /// <summary>Picks a random entry from the given wildcard name, for the given random provider.</summary>
     /// <param name="name">The exact wildcard name.</param>
     /// <param name="random">The random provider.</param>
@@ -113,6 +303,6 @@ public class WildcardsHelper
         {
             return null;
         }
-        return wildcard.Options[random.Next(wildcard.Options.Length)];
+        return wildcard.Entries[PickWeightedIndex(wildcard.Entries, random)].Text;
     }
 }
@@ -27,6 +27,8 @@ public static class BasicAPIFeatures
         API.RegisterAPICall(InstallConfirmWS, true, Permissions.Install);
         API.RegisterAPICall(GetMyUserData, false, Permissions.FundamentalGenerateTabAccess);
         API.RegisterAPICall(SetStarredModels, true, Permissions.FundamentalModelAccess);
+        API.RegisterAPICall(SetBrushPresets, true, Permissions.EditUserSettings);
+        API.RegisterAPICall(SetAutoCompleteUsage, true, Permissions.EditUserSettings);
         API.RegisterAPICall(AddNewPreset, true, Permissions.ManagePresets);
         API.RegisterAPICall(DuplicatePreset, true, Permissions.ManagePresets);
         API.RegisterAPICall(DeletePreset, true, Permissions.ManagePresets);
@@ -218,6 +220,12 @@ public static class BasicAPIFeatures
             "starred_models": {
                 "LoRA": ["one", "two"]
             },
+            "brush_presets": [
+                { "name": "Soft Mask", "radius": 20, "hardness": 0.3 }
+            ],
+            "autocomplete_usage": {
+                "tag:red_hair": { "s": 4.2, "t": 1700000000000, "n": "red hair" }
+            },
             "autocompletions": ["Word\nword\ntag\n3"]
         """)]
     public static async Task<JObject> GetMyUserData(Session session)
@@ -230,6 +238,8 @@ public static class BasicAPIFeatures
             ["language"] = session.User.Settings.Language,
             ["permissions"] = JArray.FromObject(session.User.GetPermissions()),
             ["starred_models"] = JObject.Parse(session.User.GetGenericData("starred_models", "full") ?? "{}"),
+            ["brush_presets"] = JArray.Parse(session.User.GetGenericData("brush_presets", "full") ?? "[]"),
+            ["autocomplete_usage"] = JObject.Parse(session.User.GetGenericData("autocomplete_usage", "full") ?? "{}"),
             ["autocompletions"] = string.IsNullOrWhiteSpace(settings.Source) ? null : new JArray(AutoCompleteListHelper.GetData(settings.Source, settings.EscapeParens, settings.Suffix, settings.SpacingMode))
         };
     }
@@ -247,6 +257,76 @@ public static class BasicAPIFeatures
         return new JObject() { ["success"] = true };
     }
 
+    [API.APIDescription("User route to update the user's saved image editor brush presets.",
+        """
+            "success": true
+        """)]
+    public static async Task<JObject> SetBrushPresets(Session session,
+        [API.APIParameter("Send the full list of presets as 'presets': [{ 'name': 'Soft Mask', 'radius': 20, ... }, ...]")] JObject raw)
+    {
+        if (raw["presets"] is not JArray presets)
+        {
+            return new JObject() { ["error"] = "Missing 'presets' list." };
+        }
+        session.User.SaveGenericData("brush_presets", "full", presets.ToString(Formatting.None));
+        session.User.Save();
+        return new JObject() { ["success"] = true };
+    }
+
+    /// <summary>Maximum length of the raw JSON data accepted by <see cref="SetAutoCompleteUsage(Session, JObject)"/>.</summary>
+    public static int MaxAutoCompleteUsageLength = 1024 * 1024;
+
+    /// <summary>Maximum number of entries kept in a user's autocompletion usage data. The least recently used entries are dropped first.</summary>
+    public static int MaxAutoCompleteUsageEntries = 2000;
+
+    /// <summary>Lock for merging updates into users' autocompletion usage data, so that two saves at once can't lose each other's entries.</summary>
+    public static LockObject AutoCompleteUsageLock = new();
+
+    [API.APIDescription("User route to update the user's learned autocompletion usage data (how often and how recently they've used each tag, LoRA, wildcard, etc), used to rank autocompletions. The sent entries are merged into the saved data, keeping whichever copy of each entry was used more recently, so that multiple devices can save without overwriting each other. Returns the merged data.",
+        """
+            "success": true,
+            "usage": { "tag:red_hair": { "s": 4.2, "t": 1700000000000, "n": "red hair" }, ... }
+        """)]
+    public static async Task<JObject> SetAutoCompleteUsage(Session session,
+        [API.APIParameter("Send the usage map as 'usage': { 'tag:red_hair': { 's': 4.2, 't': 1700000000000, 'n': 'red hair' }, ... }, where 's' is the score, 't' the last-use time in unix milliseconds, and 'n' the original text.")] JObject raw)
+    {
+        if (raw["usage"] is not JObject usage)
+        {
+            return new JObject() { ["error"] = "Missing 'usage' object." };
+        }
+        if (usage.ToString(Formatting.None).Length > MaxAutoCompleteUsageLength)
+        {
+            return new JObject() { ["error"] = "Usage data is too large." };
+        }
+        lock (AutoCompleteUsageLock)
+        {
+            JObject merged = JObject.Parse(session.User.GetGenericData("autocomplete_usage", "full") ?? "{}");
+            foreach ((string key, JToken entry) in usage)
+            {
+                if (entry is not JObject entryObj || entryObj["t"]?.Type is not (JTokenType.Integer or JTokenType.Float))
+                {
+                    continue;
+                }
+                if (merged[key] is not JObject existing || (existing.Value<double?>("t") ?? 0) < entryObj.Value<double>("t"))
+                {
+                    merged[key] = entryObj;
+                }
+            }
+            if (merged.Count > MaxAutoCompleteUsageEntries)
+            {
+                merged = new JObject(merged.Properties().OrderByDescending(p => (p.Value as JObject)?.Value<double?>("t") ?? 0).Take(MaxAutoCompleteUsageEntries));
+            }
+            string data = merged.ToString(Formatting.None);
+            if (data.Length > MaxAutoCompleteUsageLength)
+            {
+                return new JObject() { ["error"] = "Usage data is too large." };
+            }
+            session.User.SaveGenericData("autocomplete_usage", "full", data);
+            session.User.Save();
+            return new JObject() { ["success"] = true, ["usage"] = merged };
+        }
+    }
+
     [API.APIDescription("User route to add a new parameter preset.",
         """
             "success": true
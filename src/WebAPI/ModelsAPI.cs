@@ -27,6 +27,8 @@ public static class ModelsAPI
         API.RegisterAPICall(DeleteWildcard, true, Permissions.EditWildcards);
         API.RegisterAPICall(TestPromptFill, false, Permissions.FundamentalModelAccess);
         API.RegisterAPICall(EditWildcard, true, Permissions.EditWildcards);
+        API.RegisterAPICall(ImportWildcards, true, Permissions.EditWildcards);
+        API.RegisterAPICall(ExportWildcards, false, Permissions.FundamentalModelAccess);
         API.RegisterAPICall(EditModelMetadata, true, Permissions.EditModelMetadata);
         API.RegisterAPICall(DoModelDownloadWS, true, Permissions.DownloadModels);
         API.RegisterAPICall(GetModelHash, true, Permissions.EditModelMetadata);
@@ -408,19 +410,45 @@ public static class ModelsAPI
         return new JObject() { ["success"] = true };
     }
 
-    [API.APIDescription("Tests how a prompt fills. Useful for testing wildcards, `<random:...`, etc.",
+    [API.APIDescription("Tests how a prompt fills. Useful for testing wildcards, `<random:...`, etc.\nWith a seed and count, fills the same way a generation batch with that seed would.",
         """
-            "result": "your filled prompt"
+            "result": "your filled prompt",
+            "results": ["your filled prompt", "the second filled prompt", ...]
         """)]
     public static async Task<JObject> TestPromptFill(Session session,
-        [API.APIParameter("The prompt to fill.")] string prompt)
+        [API.APIParameter("The prompt to fill.")] string prompt,
+        [API.APIParameter("The image seed to fill with (plus the variation seed, if one is used), or -1 for random.")] long seed = -1,
+        [API.APIParameter("The wildcard seed to fill with, or -1 to use the image seed.")] long wildcard_seed = -1,
+        [API.APIParameter("The 'Wildcard Seed Behavior' param value, 'Random' or 'Index'.")] string wildcard_seed_behavior = "Random",
+        [API.APIParameter("How many fills to do, as if generating a batch of this many images (max 100).")] int count = 1,
+        [API.APIParameter("If true, the seed is not incremented between fills (matches the 'No Seed Increment' param).")] bool no_seed_increment = false,
+        [API.APIParameter("The 'Batch Size' param value. Each fill is one backend call of this many images, so the seed goes up by this much between fills.")] int batch_size = 1)
     {
-        T2IParamInput input = new(session);
-        input.Set(T2IParamTypes.Seed, Random.Shared.Next(int.MaxValue));
-        input.Set(T2IParamTypes.Prompt, prompt);
-        input.Set(T2IParamTypes.NegativePrompt, "");
-        input.PreparsePromptLikes();
-        return new JObject() { ["result"] = input.Get(T2IParamTypes.Prompt) };
+        count = Math.Clamp(count, 1, 100);
+        batch_size = Math.Max(1, batch_size);
+        if (seed == -1)
+        {
+            seed = Random.Shared.Next(int.MaxValue);
+        }
+        JArray results = [];
+        for (int i = 0; i < count; i++)
+        {
+            T2IParamInput input = new(session);
+            input.Set(T2IParamTypes.Seed, no_seed_increment ? seed : seed + i * batch_size);
+            if (wildcard_seed != -1)
+            {
+                input.Set(T2IParamTypes.WildcardSeed, wildcard_seed);
+            }
+            if (wildcard_seed_behavior == "Index")
+            {
+                input.Set(T2IParamTypes.WildcardSeedBehavior, wildcard_seed_behavior);
+            }
+            input.Set(T2IParamTypes.Prompt, prompt);
+            input.Set(T2IParamTypes.NegativePrompt, "");
+            input.PreparsePromptLikes();
+            results.Add(input.Get(T2IParamTypes.Prompt));
+        }
+        return new JObject() { ["result"] = results[0], ["results"] = results };
     }
 
     [API.APIDescription("Edits a wildcard file.", "\"success\": true")]
@@ -449,6 +477,146 @@ public static class ModelsAPI
         return new JObject() { ["success"] = true };
     }
 
+    [API.APIDescription("Imports a pack of wildcards: zip files, wildcard '.txt' files, and Dynamic Prompts style '.yaml'/'.json' files. Can preview what the import would do without saving anything.",
+        """
+            "wildcards": [
+                {
+                    "name": "folder/animals/cats",
+                    "source": "pack.zip/animals/cats.txt",
+                    "status": "new", // or "conflict" if a different wildcard with that name exists, or "identical" if the same one does
+                    "action": "create", // or "overwrite", "rename", or "skip"
+                    "lines": 10,
+                    "existing_lines": 0,
+                    "has_image": false
+                }
+            ],
+            "errors": ["Skipped 'readme.md': unsupported file type."],
+            "imported": 1
+        """)]
+    public static async Task<JObject> ImportWildcards(Session session,
+        [API.APIParameter("Raw input mapping, with key `files` as a mapping of relative file path (eg `my_pack/animals.txt` or `pack.zip`) to base64 file data (plain or as a data URL).")] JObject rawInput,
+        [API.APIParameter("The wildcards folder to import into, or empty for the root folder.")] string folder = "",
+        [API.APIParameter("What to do with wildcards that already exist with different contents: `skip`, `overwrite`, or `rename`.")] string conflicts = "skip",
+        [API.APIParameter("If true, Dynamic Prompts style wildcard references like `__animals__` are converted to `<wildcard:animals>`.")] bool convert_syntax = true,
+        [API.APIParameter("If true, only list what would be imported, without saving anything.")] bool preview = true)
+    {
+        if (rawInput["files"] is not JObject filesInput || filesInput.Count == 0)
+        {
+            return new JObject() { ["error"] = "No files given." };
+        }
+        if (conflicts != "skip" && conflicts != "overwrite" && conflicts != "rename")
+        {
+            return new JObject() { ["error"] = "Invalid conflicts mode." };
+        }
+        folder = Utilities.StrictFilenameClean(folder);
+        Dictionary<string, byte[]> files = [];
+        foreach ((string path, JToken data) in filesInput)
+        {
+            string dataStr = $"{data}";
+            try
+            {
+                files[path] = Convert.FromBase64String(dataStr.StartsWithFast("data:") ? dataStr.After(',') : dataStr);
+            }
+            catch (FormatException)
+            {
+                return new JObject() { ["error"] = $"Invalid file data for '{path}'." };
+            }
+        }
+        List<string> errors = [];
+        Dictionary<string, WildcardPackHelper.PackWildcard> pack;
+        try
+        {
+            pack = WildcardPackHelper.ReadPack(files, errors);
+        }
+        catch (SwarmReadableErrorException ex)
+        {
+            return new JObject() { ["error"] = ex.Message };
+        }
+        HashSet<string> packNames = [.. pack.Keys];
+        JArray results = [];
+        int imported = 0;
+        HashSet<string> usedNames = [];
+        foreach (WildcardPackHelper.PackWildcard wildcard in pack.Values.OrderBy(w => w.Name))
+        {
+            string name = Utilities.StrictFilenameClean(folder == "" ? wildcard.Name : $"{folder}/{wildcard.Name}");
+            if (TryGetRefusalForModel(session, name, out _))
+            {
+                errors.Add($"Skipped '{wildcard.Source}': you do not have permission to edit wildcard '{name}'.");
+                continue;
+            }
+            string content = convert_syntax ? WildcardPackHelper.ConvertWildcardReferences(wildcard.Content, packNames, folder) : wildcard.Content;
+            string status = "new", action = "create";
+            WildcardsHelper.Wildcard existing = WildcardsHelper.GetWildcard(name);
+            if (existing is not null)
+            {
+                status = existing.Raw.Trim() == content.Trim() ? "identical" : "conflict";
+                action = status == "identical" ? "skip" : conflicts;
+                if (action == "overwrite")
+                {
+                    name = existing.Name;
+                }
+                else if (action == "rename")
+                {
+                    int i = 2;
+                    while (WildcardsHelper.WildcardFiles.ContainsKey($"{name} - {i}".ToLowerFast()) || usedNames.Contains($"{name} - {i}".ToLowerFast()))
+                    {
+                        i++;
+                    }
+                    name = $"{name} - {i}";
+                }
+            }
+            usedNames.Add(name.ToLowerFast());
+            results.Add(new JObject()
+            {
+                ["name"] = name,
+                ["source"] = wildcard.Source,
+                ["status"] = status,
+                ["action"] = action,
+                ["lines"] = WildcardsHelper.ParseEntries(content).Length,
+                ["existing_lines"] = existing?.Options.Length ?? 0,
+                ["has_image"] = wildcard.Image is not null
+            });
+            if (preview || action == "skip")
+            {
+                continue;
+            }
+            string path = $"{WildcardsHelper.Folder}/{name}.txt";
+            Directory.CreateDirectory(Path.GetDirectoryName(path));
+            File.WriteAllBytes(path, StringConversionHelper.UTF8Encoding.GetBytes(content));
+            if (wildcard.Image is not null)
+            {
+                File.WriteAllBytes($"{WildcardsHelper.Folder}/{name}.jpg", wildcard.Image.ToMetadataJpg().ImageData);
+            }
+            WildcardsHelper.WildcardFiles[name.ToLowerFast()] = new WildcardsHelper.Wildcard() { Name = name };
+            imported++;
+        }
+        if (imported > 0)
+        {
+            Interlocked.Increment(ref ModelEditID);
+        }
+        return new JObject() { ["wildcards"] = results, ["errors"] = JArray.FromObject(errors), ["imported"] = imported };
+    }
+
+    [API.APIDescription("Exports a folder of wildcards as a pack zip file (wildcard '.txt' files, their '.jpg' preview images, and a small manifest).",
+        """
+            "name": "animals.zip",
+            "data": "(base64 zip file data)",
+            "count": 12
+        """)]
+    public static async Task<JObject> ExportWildcards(Session session,
+        [API.APIParameter("The wildcards folder to export, or empty to export all wildcards.")] string folder = "")
+    {
+        folder = Utilities.StrictFilenameClean(folder);
+        using ManyReadOneWriteLock.ReadClaim claim = Program.RefreshLock.LockRead();
+        byte[] zip = WildcardPackHelper.CreatePack(folder, name => session.User.IsAllowedModel(name), out int count);
+        if (count == 0)
+        {
+            return new JObject() { ["error"] = "No wildcards found in that folder." };
+        }
+        string zipName = folder == "" ? "wildcards" : folder.AfterLast('/');
+        return new JObject() { ["name"] = $"{zipName}.zip", ["data"] = Convert.ToBase64String(zip), ["count"] = count };
+    }
+
     [API.APIDescription("Modifies the metadata of a model. Returns before the file update is necessarily saved.", "\"success\": true")]
     public static async Task<JObject> EditModelMetadata(Session session,
         [API.APIParameter("Exact filepath name of the model.")] string model,
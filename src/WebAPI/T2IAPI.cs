@@ -10,6 +10,7 @@ using SwarmUI.Utils;
 using System.Data;
 using System.Diagnostics;
 using System.IO;
+using System.IO.Compression;
 using System.Linq;
 using System.Net.WebSockets;
 using System.Runtime.InteropServices;
@@ -27,11 +28,18 @@ public static class T2IAPI
         // TODO: Some of these shouldn't be here?
         API.RegisterAPICall(GenerateText2Image, true, Permissions.BasicImageGeneration);
         API.RegisterAPICall(GenerateText2ImageWS, true, Permissions.BasicImageGeneration);
+        API.RegisterAPICall(GetResumableGeneration, false, Permissions.BasicImageGeneration);
+        Program.SlowTickEvent += PurgeResumableGenerations;
         API.RegisterAPICall(AddImageToHistory, true, Permissions.BasicImageGeneration);
         API.RegisterAPICall(ListImages, false, Permissions.ViewImageHistory);
         API.RegisterAPICall(ToggleImageStarred, true, Permissions.UserStarImages);
         API.RegisterAPICall(OpenImageFolder, true, Permissions.LocalImageFolder);
         API.RegisterAPICall(DeleteImage, true, Permissions.UserDeleteImage);
+        API.RegisterAPICall(MoveImages, true, Permissions.UserMoveImages);
+        API.RegisterAPICall(DownloadImagesZip, false, Permissions.ViewImageHistory);
+        Program.SlowTickEvent += PurgePreparedImagesZips;
+        API.RegisterAPICall(EditImageCuration, true, Permissions.UserStarImages);
+        API.RegisterAPICall(ListImageTagsAndCollections, false, Permissions.ViewImageHistory);
         API.RegisterAPICall(ListT2IParams, false, Permissions.FundamentalGenerateTabAccess);
         API.RegisterAPICall(TriggerRefresh, true, Permissions.FundamentalGenerateTabAccess); // Intentionally weird perm here: internal check for readonly vs true refresh
     }
@@ -77,7 +85,7 @@ public static class T2IAPI
         """)]
     public static async Task<JObject> GenerateText2ImageWS(WebSocket socket, Session session,
         [API.APIParameter("The number of images to generate.")] int images,
-        [API.APIParameter("Raw mapping of input should contain general T2I parameters (see listing on Generate tab of main interface) to values, eg `{ \"prompt\": \"a photo of a cat\", \"model\": \"OfficialStableDiffusion/sd_xl_base_1.0\", \"steps\": 20, ... }`. Note that this is the root raw map, ie all params go on the same level as `images`, `session_id`, etc.\nThe key 'extra_metadata' may be used to apply extra internal metadata as a JSON string:string map.")] JObject rawInput)
+        [API.APIParameter("Raw mapping of input should contain general T2I parameters (see listing on Generate tab of main interface) to values, eg `{ \"prompt\": \"a photo of a cat\", \"model\": \"OfficialStableDiffusion/sd_xl_base_1.0\", \"steps\": 20, ... }`. Note that this is the root raw map, ie all params go on the same level as `images`, `session_id`, etc.\nThe key 'extra_metadata' may be used to apply extra internal metadata as a JSON string:string map.\nThe key 'resume_id' may be set to a unique client-chosen ID to allow recovering outputs via `GetResumableGeneration` if the connection drops.")] JObject rawInput)
     {
         using CancellationTokenSource cancelTok = new();
         bool retain = false, ended = false;
@@ -107,7 +115,7 @@ public static class T2IAPI
                     }
                     JObject newInput = StringConversionHelper.UTF8Encoding.GetString(rec).ParseToJson();
                     int newImages = newInput.Value<int>("images");
-                    Task handleMore = API.RunWebsocketHandlerCallWS(GenT2I_Internal, session, (newImages, newInput, data, batchOffset), socket);
+                    Task handleMore = API.RunWebsocketHandlerCallWS(ResumableGenHandler(newInput), session, (newImages, newInput, data, batchOffset), socket);
                     tasks.TryAdd(handleMore, handleMore);
                     Volatile.Write(ref retain, false);
                     batchOffset += newImages * guessBatchSize(newInput);
@@ -122,7 +130,7 @@ public static class T2IAPI
                 Volatile.Write(ref retain, false);
             }
         });
-        Task handle = API.RunWebsocketHandlerCallWS(GenT2I_Internal, session, (images, rawInput, data, 0), socket);
+        Task handle = API.RunWebsocketHandlerCallWS(ResumableGenHandler(rawInput), session, (images, rawInput, data, 0), socket);
         tasks.TryAdd(handle, handle);
         while (Volatile.Read(ref retain) || tasks.Any())
         {
@@ -145,6 +153,154 @@ public static class T2IAPI
         return null;
     }
 
+    /// <summary>Recorded outputs of a websocket generation request that had a 'resume_id', kept so a client can recover them if its connection drops.</summary>
+    public class ResumableGeneration
+    {
+        /// <summary>The ID of the user that sent the request.</summary>
+        public string UserID;
+
+        /// <summary>The recorded outputs (images, discards, and errors, but not progress updates), in order.
+        /// Inline 'data:' images are not kept, only recorded as 'image_unavailable', so that this only ever holds file paths and metadata.</summary>
+        public List<JObject> Outputs = [];
+
+        /// <summary>Approximate size in bytes of <see cref="Outputs"/>.</summary>
+        public long Bytes = 0;
+
+        /// <summary>True if outputs were dropped because the user went over <see cref="MaxResumableBytesPerUser"/>, meaning this can no longer be resumed.</summary>
+        public volatile bool Overflowed = false;
+
+        /// <summary>True once the generation request has finished and no more outputs will be added.</summary>
+        public volatile bool IsComplete = false;
+
+        /// <summary><see cref="Environment.TickCount64"/> value of the last time this was updated.</summary>
+        public long LastUpdated = Environment.TickCount64;
+    }
+
+    /// <summary>Map of "UserID///resume_id" to recent resumable generation requests.</summary>
+    public static ConcurrentDictionary<string, ResumableGeneration> ResumableGenerations = [];
+
+    /// <summary>How long a completed <see cref="ResumableGeneration"/> is kept before it is removed.</summary>
+    public static TimeSpan ResumableGenerationLifetime = TimeSpan.FromMinutes(30);
+
+    /// <summary>Maximum number of <see cref="ResumableGeneration"/>s kept per user. The oldest completed ones are removed first.</summary>
+    public static int MaxResumableGenerationsPerUser = 32;
+
+    /// <summary>Maximum total size in bytes of the recorded outputs kept per user.</summary>
+    public static long MaxResumableBytesPerUser = 4 * 1024 * 1024;
+
+    /// <summary>Removes expired completed <see cref="ResumableGenerations"/>. Called from <see cref="Program.SlowTickEvent"/>, and whenever the list is read or added to.</summary>
+    public static void PurgeResumableGenerations()
+    {
+        long now = Environment.TickCount64;
+        foreach ((string key, ResumableGeneration old) in ResumableGenerations)
+        {
+            if (old.IsComplete && now - Interlocked.Read(ref old.LastUpdated) > ResumableGenerationLifetime.TotalMilliseconds)
+            {
+                ResumableGenerations.TryRemove(key, out _);
+            }
+        }
+    }
+
+    /// <summary>Removes a user's oldest completed <see cref="ResumableGenerations"/> until they are under <see cref="MaxResumableGenerationsPerUser"/> entries (leaving room for 'extraCount' more) and <see cref="MaxResumableBytesPerUser"/> bytes.
+    /// Returns false if the user is still over the byte limit (ie due to generations that are still running).</summary>
+    public static bool TrimResumableGenerations(string userId, int extraCount)
+    {
+        List<KeyValuePair<string, ResumableGeneration>> entries = [.. ResumableGenerations.Where(p => p.Value.UserID == userId).OrderBy(p => Interlocked.Read(ref p.Value.LastUpdated))];
+        int count = entries.Count;
+        long bytes = entries.Sum(p => Interlocked.Read(ref p.Value.Bytes));
+        foreach ((string key, ResumableGeneration old) in entries)
+        {
+            if (count + extraCount <= MaxResumableGenerationsPerUser && bytes <= MaxResumableBytesPerUser)
+            {
+                break;
+            }
+            if (old.IsComplete && ResumableGenerations.TryRemove(key, out _))
+            {
+                count--;
+                bytes -= Interlocked.Read(ref old.Bytes);
+            }
+        }
+        return bytes <= MaxResumableBytesPerUser;
+    }
+
+    /// <summary>Returns the handler for a websocket generation request, which is <see cref="GenT2I_Internal"/> wrapped to record outputs into <see cref="ResumableGenerations"/> if the request has a 'resume_id'.</summary>
+    public static Func<Session, (int, JObject, SharedGenT2IData, int), Action<JObject>, bool, Task> ResumableGenHandler(JObject rawInput)
+    {
+        string resumeId = rawInput.Value<string>("resume_id");
+        if (string.IsNullOrWhiteSpace(resumeId))
+        {
+            return GenT2I_Internal;
+        }
+        return async (session, input, output, isWS) =>
+        {
+            PurgeResumableGenerations();
+            TrimResumableGenerations(session.User.UserID, 1);
+            ResumableGeneration resumable = new() { UserID = session.User.UserID };
+            ResumableGenerations[$"{session.User.UserID}///{resumeId}"] = resumable;
+            void recordOutput(JObject obj)
+            {
+                if (obj is not null && !resumable.Overflowed && (obj.ContainsKey("image") || obj.ContainsKey("discard_indices") || obj.ContainsKey("error")))
+                {
+                    JObject recorded = obj;
+                    if (obj["image"] is JValue imageVal && imageVal.Type == JTokenType.String && imageVal.Value<string>().StartsWith("data:"))
+                    {
+                        recorded = new JObject() { ["image_unavailable"] = true, ["batch_index"] = obj["batch_index"] };
+                    }
+                    long size = recorded.ToString(Newtonsoft.Json.Formatting.None).Length;
+                    lock (resumable.Outputs)
+                    {
+                        resumable.Outputs.Add(recorded);
+                    }
+                    Interlocked.Add(ref resumable.Bytes, size);
+                    Interlocked.Exchange(ref resumable.LastUpdated, Environment.TickCount64);
+                    if (!TrimResumableGenerations(resumable.UserID, 0))
+                    {
+                        resumable.Overflowed = true;
+                        lock (resumable.Outputs)
+                        {
+                            resumable.Outputs.Clear();
+                        }
+                        Interlocked.Exchange(ref resumable.Bytes, 0);
+                    }
+                }
+                output(obj);
+            }
+            try
+            {
+                await GenT2I_Internal(session, input, recordOutput, isWS);
+            }
+            finally
+            {
+                Interlocked.Exchange(ref resumable.LastUpdated, Environment.TickCount64);
+                resumable.IsComplete = true;
+            }
+        };
+    }
+
+    [API.APIDescription("Gets the recorded outputs of a recent `GenerateText2ImageWS` request that had a 'resume_id', to recover images after a dropped connection.",
+        """
+            "known": true, // false if the server has no record of that request (eg it never arrived, the server has restarted since, or the outputs were too large to keep)
+            "complete": false, // true if the request is done and no further outputs will be added
+            "outputs": [ { "image": "View/local/raw/2024-01-02/0304-a photo of a cat-etc-1.png", "batch_index": "0", "metadata": "{ ... }" } ] // outputs from the given offset onward, in the same format as sent by `GenerateText2ImageWS`, except that inline 'data:' images are replaced by { "image_unavailable": true, "batch_index": "0" }
+        """)]
+    public static async Task<JObject> GetResumableGeneration(Session session,
+        [API.APIParameter("The 'resume_id' that was sent with the generation request.")] string resume_id,
+        [API.APIParameter("How many outputs have already been received from this route, to skip over.")] int offset = 0)
+    {
+        PurgeResumableGenerations();
+        if (!ResumableGenerations.TryGetValue($"{session.User.UserID}///{resume_id}", out ResumableGeneration resumable) || resumable.Overflowed)
+        {
+            return new JObject() { ["known"] = false };
+        }
+        bool complete = resumable.IsComplete;
+        JArray outputs;
+        lock (resumable.Outputs)
+        {
+            outputs = [.. resumable.Outputs.Skip(Math.Max(offset, 0))];
+        }
+        return new JObject() { ["known"] = true, ["complete"] = complete, ["outputs"] = outputs };
+    }
+
     [API.APIDescription("Generate images from text prompts, directly as an HTTP route. See the examples in the API docs root page.",
         """
             "images":
@@ -201,7 +357,7 @@ public static class T2IAPI
         }
         foreach (string key in keys)
         {
-            if (key == "session_id" || key == "presets" || key == "extra_metadata")
+            if (key == "session_id" || key == "presets" || key == "extra_metadata" || key == "resume_id")
             {
                 // Skip
             }
@@ -465,11 +621,12 @@ public static class T2IAPI
 
     public enum ImageHistorySortMode { Name, Date }
 
-    private static JObject GetListAPIInternal(Session session, string path, string root, HashSet<string> extensions, Func<string, bool> isAllowed, int depth, ImageHistorySortMode sortBy, bool sortReverse)
+    private static JObject GetListAPIInternal(Session session, string path, string root, HashSet<string> extensions, Func<string, bool> isAllowed, int depth, ImageHistorySortMode sortBy, bool sortReverse, ImageHistoryQuery query = null)
     {
         int maxInHistory = session.User.Settings.MaxImagesInHistory;
         int maxScanned = session.User.Settings.MaxImagesScannedInHistory;
-        Logs.Verbose($"User {session.User.UserID} wants to list images in '{path}', maxDepth={depth}, sortBy={sortBy}, reverse={sortReverse}, maxInHistory={maxInHistory}, maxScanned={maxScanned}");
+        int maxSearched = session.User.Settings.MaxImagesSearchedInHistory;
+        Logs.Verbose($"User {session.User.UserID} wants to list images in '{path}', maxDepth={depth}, sortBy={sortBy}, reverse={sortReverse}, maxInHistory={maxInHistory}, maxScanned={maxScanned}, hasQuery={query is not null}");
         long timeStart = Environment.TickCount64;
         int limit = sortBy == ImageHistorySortMode.Name ? maxInHistory : Math.Max(maxInHistory, maxScanned);
         (path, string consoleError, string userError) = WebServer.CheckFilePath(root, path);
@@ -478,6 +635,9 @@ public static class T2IAPI
             Logs.Error(consoleError);
             return new JObject() { ["error"] = userError };
         }
+        ImageCurationTracker.CurationIndex curationIndex = ImageCurationTracker.GetIndexFor(root);
+        string curationPrefix = ImageCurationTracker.KeyFor(root, path);
+        curationPrefix = curationPrefix == "." ? "" : $"{curationPrefix}/";
         try
         {
             if (!Directory.Exists(path))
@@ -527,6 +687,7 @@ public static class T2IAPI
             bool starNoFolders = session.User.Settings.StarNoFolders;
             int id = 0;
             int remaining = limit;
+            int searchRemaining = maxSearched;
             void sortList(List<ImageHistoryHelper> list)
             {
                 if (sortBy == ImageHistorySortMode.Name)
@@ -550,10 +711,30 @@ public static class T2IAPI
                 {
                     return;
                 }
+                int scanLimit = localLimit;
+                if (query is not null)
+                {
+                    // When searching, most files won't match, so scan past the usual limit (up to the search limit) to find enough that do.
+                    scanLimit = Interlocked.CompareExchange(ref searchRemaining, 0, 0);
+                    if (scanLimit <= 0)
+                    {
+                        return;
+                    }
+                }
                 string prefix = folder == "" ? "" : folder + "/";
-                List<string> subFiles = [.. Directory.EnumerateFiles($"{path}/{prefix}").Take(localLimit)];
+                List<string> subFiles = [.. Directory.EnumerateFiles($"{path}/{prefix}").Take(scanLimit)];
+                if (query is not null)
+                {
+                    Interlocked.Add(ref searchRemaining, -subFiles.Count);
+                }
                 IEnumerable<string> newFileNames = subFiles.Where(isAllowed).Where(f => extensions.Contains(f.AfterLast('.')) && !f.EndsWith(".swarmpreview.jpg") && !f.EndsWith(".swarmpreview.webp")).Select(f => f.Replace('\\', '/'));
-                List<ImageHistoryHelper> localFiles = [.. newFileNames.Select(f => new ImageHistoryHelper(prefix + f.AfterLast('/'), ImageMetadataTracker.GetMetadataFor(f, root, starNoFolders))).Where(f => f.Metadata is not null)];
+                IEnumerable<ImageHistoryHelper> newFiles = newFileNames.Select(f => new ImageHistoryHelper(prefix + f.AfterLast('/'), ImageMetadataTracker.GetMetadataFor(f, root, starNoFolders))).Where(f => f.Metadata is not null);
+                newFiles = newFiles.Select(f => f with { Curation = curationIndex.Get(ImageCurationTracker.NormalizeKey(curationPrefix + f.Name)) });
+                if (query is not null)
+                {
+                    newFiles = newFiles.Where(f => query.Matches(f.Name, f.Metadata, f.Curation)).Take(localLimit);
+                }
+                List<ImageHistoryHelper> localFiles = [.. newFiles];
                 int leftOver = Interlocked.Add(ref remaining, -localFiles.Count);
                 sortList(localFiles);
                 filesConc.TryAdd(localId, localFiles);
@@ -569,7 +750,15 @@ public static class T2IAPI
             return new JObject()
             {
                 ["folders"] = JToken.FromObject(dirs.Union(finalDirs.Keys).ToList()),
-                ["files"] = JToken.FromObject(files.Take(maxInHistory).Select(f => new JObject() { ["src"] = f.Name, ["metadata"] = f.Metadata.Metadata }).ToList())
+                ["files"] = JToken.FromObject(files.Take(maxInHistory).Select(f =>
+                {
+                    JObject file = new() { ["src"] = f.Name, ["metadata"] = f.Metadata.Metadata };
+                    if (f.Curation is not null)
+                    {
+                        file["curation"] = f.Curation.ToJson();
+                    }
+                    return file;
+                }).ToList())
             };
         }
         catch (Exception ex)
@@ -586,7 +775,7 @@ public static class T2IAPI
         }
     }
 
-    public record struct ImageHistoryHelper(string Name, ImageMetadataTracker.ImageMetadataEntry Metadata);
+    public record struct ImageHistoryHelper(string Name, ImageMetadataTracker.ImageMetadataEntry Metadata, ImageCurationTracker.CurationEntry Curation = null);
 
     [API.APIDescription("Open an image folder in the file explorer. Used for local users directly.", "\"success\": true")]
     public static async Task<JObject> OpenImageFolder(Session session,
@@ -658,9 +847,327 @@ public static class T2IAPI
             }
         }
         ImageMetadataTracker.RemoveMetadataFor(path);
+        string relPath = Path.GetRelativePath(root, path).Replace('\\', '/');
+        if (!relPath.StartsWith("Starred/"))
+        {
+            ImageCurationTracker.GetIndexFor(root).Remove(ImageCurationTracker.NormalizeKey(relPath));
+        }
         return new JObject() { ["success"] = true };
     }
 
+    /// <summary>Moves an image file, along with any of its <see cref="DeletableFileExtensions"/> side files, to a new path.</summary>
+    public static void MoveImageFiles(string path, string newPath)
+    {
+        Directory.CreateDirectory(Path.GetDirectoryName(newPath));
+        File.Move(path, newPath);
+        string fileBase = path.BeforeLast('.');
+        string newFileBase = newPath.BeforeLast('.');
+        foreach (string ext in DeletableFileExtensions)
+        {
+            if (File.Exists($"{fileBase}{ext}") && !File.Exists($"{newFileBase}{ext}"))
+            {
+                File.Move($"{fileBase}{ext}", $"{newFileBase}{ext}");
+            }
+        }
+        ImageMetadataTracker.RemoveMetadataFor(path);
+        ImageMetadataTracker.RemoveMetadataFor(newPath);
+    }
+
+    [API.APIDescription("Move images from history into a different history folder. Starred images stay starred. Only image files (not sidecar or index files) can be moved, and not into or out of the 'Starred' folder.",
+        """
+            "moved": ["my-folder/image.png"], // the new paths of the images that were moved
+            "errors": ["raw/2024-01-02/other.png: A file with that name already exists in 'my-folder'."] // any images that could not be moved, and why
+        """)]
+    public static async Task<JObject> MoveImages(Session session,
+        [API.APIParameter("The paths of the images to move.")] string[] paths,
+        [API.APIParameter("The folder to move the images into. Use an empty string for root.")] string folder)
+    {
+        string root = Utilities.CombinePathWithAbsolute(Environment.CurrentDirectory, session.User.OutputDirectory);
+        folder = folder.Replace('\\', '/').Trim('/');
+        if (IsStarredFolderPath(folder))
+        {
+            return new JObject() { ["error"] = "Images cannot be moved into the 'Starred' folder, star them instead." };
+        }
+        bool starNoFolders = session.User.Settings.StarNoFolders;
+        JArray moved = [];
+        JArray errors = [];
+        foreach (string rawPath in paths)
+        {
+            string origPath = rawPath.Replace('\\', '/').Trim('/');
+            string fileName = origPath.AfterLast('/');
+            if (!fileName.Contains('.') || !ImageExtensions.Contains(fileName.AfterLast('.').ToLowerFast()) || fileName == ImageCurationTracker.IndexFileName)
+            {
+                errors.Add($"{origPath}: Only images can be moved.");
+                continue;
+            }
+            if (IsStarredFolderPath(origPath))
+            {
+                errors.Add($"{origPath}: Starred copies cannot be moved directly, move the original image instead.");
+                continue;
+            }
+            string newRelPath = folder == "" ? origPath.AfterLast('/') : $"{folder}/{origPath.AfterLast('/')}";
+            (string path, string consoleError, string userError) = WebServer.CheckFilePath(root, origPath);
+            (string newPath, string newConsoleError, string newUserError) = WebServer.CheckFilePath(root, newRelPath);
+            if (consoleError is not null || newConsoleError is not null)
+            {
+                Logs.Error(consoleError ?? newConsoleError);
+                errors.Add($"{origPath}: {userError ?? newUserError}");
+                continue;
+            }
+            if (IsStarredFolderPath(Path.GetRelativePath(root, path).Replace('\\', '/')) || IsStarredFolderPath(Path.GetRelativePath(root, newPath).Replace('\\', '/')))
+            {
+                errors.Add($"{origPath}: Images cannot be moved into or out of the 'Starred' folder.");
+                continue;
+            }
+            if (!File.Exists(path))
+            {
+                errors.Add($"{origPath}: That file does not exist.");
+                continue;
+            }
+            if (path == newPath)
+            {
+                continue;
+            }
+            if (File.Exists(newPath))
+            {
+                errors.Add($"{origPath}: A file with that name already exists in '{folder}'.");
+                continue;
+            }
+            try
+            {
+                MoveImageFiles(path, newPath);
+                ImageCurationTracker.GetIndexFor(root).Move(ImageCurationTracker.KeyFor(root, path), ImageCurationTracker.KeyFor(root, newPath));
+                (string starPath, _, _) = WebServer.CheckFilePath(root, $"Starred/{(starNoFolders ? origPath.Replace("/", "") : origPath)}");
+                (string newStarPath, _, _) = WebServer.CheckFilePath(root, $"Starred/{(starNoFolders ? newRelPath.Replace("/", "") : newRelPath)}");
+                if (starPath != newStarPath && File.Exists(starPath) && !File.Exists(newStarPath))
+                {
+                    MoveImageFiles(starPath, newStarPath);
+                }
+            }
+            catch (IOException ex)
+            {
+                Logs.Warning($"User {session.User.UserID} failed to move image '{origPath}' to '{newRelPath}': {ex.ReadableString()}");
+                errors.Add($"{origPath}: Failed to move file.");
+                continue;
+            }
+            moved.Add(Path.GetRelativePath(root, newPath).Replace('\\', '/'));
+        }
+        Logs.Info($"User {session.User.UserID} moved {moved.Count} images to '{folder}'.");
+        return new JObject() { ["moved"] = moved, ["errors"] = errors };
+    }
+
+    /// <summary>Returns true if the given relative history path is the 'Starred' folder or within it.</summary>
+    public static bool IsStarredFolderPath(string path)
+    {
+        return path.Equals("Starred", StringComparison.OrdinalIgnoreCase) || path.StartsWith("Starred/", StringComparison.OrdinalIgnoreCase);
+    }
+
+    /// <summary>Maximum total size (in bytes) of images <see cref="DownloadImagesZip(Session, string[])"/> will pack at once.</summary>
+    public static long MaxImagesZipBytes = 512L * 1024 * 1024;
+
+    /// <summary>A zip file built by <see cref="DownloadImagesZip(Session, string[])"/>, waiting on disk to be downloaded through <see cref="WebServer.ViewImagesZip"/>.</summary>
+    public record class PreparedImagesZip(string UserID, string FilePath, string Name, long Created);
+
+    /// <summary>Map of download ID to zip files waiting to be downloaded.</summary>
+    public static ConcurrentDictionary<string, PreparedImagesZip> PreparedImagesZips = [];
+
+    /// <summary>How long a prepared zip file is kept on disk if it is never downloaded.</summary>
+    public static TimeSpan PreparedImagesZipLifetime = TimeSpan.FromMinutes(15);
+
+    /// <summary>The folder prepared zip files are written into.</summary>
+    public static string ImagesZipFolder => Utilities.CombinePathWithAbsolute(Program.DataDir, "Temp/ImagesZip");
+
+    /// <summary>Stops tracking a prepared zip file and deletes it from disk.</summary>
+    public static void RemovePreparedImagesZip(string id)
+    {
+        if (PreparedImagesZips.TryRemove(id, out PreparedImagesZip zip))
+        {
+            try
+            {
+                File.Delete(zip.FilePath);
+            }
+            catch (IOException ex)
+            {
+                Logs.Warning($"Failed to delete prepared image zip '{zip.FilePath}': {ex.ReadableString()}");
+            }
+        }
+    }
+
+    /// <summary>Removes expired <see cref="PreparedImagesZips"/>, and any old zip files that aren't tracked (eg left over from before a restart). Called from <see cref="Program.SlowTickEvent"/>.</summary>
+    public static void PurgePreparedImagesZips()
+    {
+        long now = Environment.TickCount64;
+        foreach ((string id, PreparedImagesZip zip) in PreparedImagesZips)
+        {
+            if (now - zip.Created > PreparedImagesZipLifetime.TotalMilliseconds)
+            {
+                RemovePreparedImagesZip(id);
+            }
+        }
+        string folder = ImagesZipFolder;
+        if (!Directory.Exists(folder))
+        {
+            return;
+        }
+        foreach (string file in Directory.EnumerateFiles(folder, "*.zip"))
+        {
+            if (!PreparedImagesZips.ContainsKey(Path.GetFileNameWithoutExtension(file)) && File.GetLastWriteTimeUtc(file) < DateTime.UtcNow - PreparedImagesZipLifetime)
+            {
+                try
+                {
+                    File.Delete(file);
+                }
+                catch (IOException ex)
+                {
+                    Logs.Warning($"Failed to delete old image zip '{file}': {ex.ReadableString()}");
+                }
+            }
+        }
+    }
+
+    [API.APIDescription("Pack a set of images from history into a zip file for download. The zip is written on the server, and can be downloaded once from the returned URL (relative to the server root) within 15 minutes.",
+        """
+            "name": "images-2024-01-02-030405.zip",
+            "url": "ImagesZip/0123456789abcdef0123456789abcdef",
+            "count": 12
+        """)]
+    public static async Task<JObject> DownloadImagesZip(Session session,
+        [API.APIParameter("The paths of the images to include.")] string[] paths)
+    {
+        string root = Utilities.CombinePathWithAbsolute(Environment.CurrentDirectory, session.User.OutputDirectory);
+        List<string> files = [];
+        long totalSize = 0;
+        foreach (string rawPath in paths)
+        {
+            (string path, string consoleError, _) = WebServer.CheckFilePath(root, rawPath);
+            if (consoleError is not null)
+            {
+                Logs.Error(consoleError);
+                continue;
+            }
+            if (!File.Exists(path))
+            {
+                continue;
+            }
+            totalSize += new FileInfo(path).Length;
+            if (totalSize > MaxImagesZipBytes)
+            {
+                return new JObject() { ["error"] = "Too much image data to download at once, please select fewer images." };
+            }
+            files.Add(path);
+        }
+        if (files.Count == 0)
+        {
+            return new JObject() { ["error"] = "None of those images exist." };
+        }
+        PurgePreparedImagesZips();
+        string id = Guid.NewGuid().ToString("N");
+        string folder = ImagesZipFolder;
+        Directory.CreateDirectory(folder);
+        string zipPath = $"{folder}/{id}.zip";
+        HashSet<string> usedNames = [];
+        try
+        {
+            using FileStream output = File.Create(zipPath);
+            using ZipArchive zip = new(output, ZipArchiveMode.Create);
+            foreach (string path in files)
+            {
+                string name = path.AfterLast('/');
+                string entryName = name;
+                for (int i = 1; !usedNames.Add(entryName); i++)
+                {
+                    entryName = $"{name.BeforeLast('.')}-{i}.{name.AfterLast('.')}";
+                }
+                // Images are already compressed, so don't waste time trying again.
+                zip.CreateEntryFromFile(path, entryName, CompressionLevel.NoCompression);
+            }
+        }
+        catch (IOException ex)
+        {
+            Logs.Error($"User {session.User.UserID} failed to build an image zip: {ex.ReadableString()}");
+            try
+            {
+                File.Delete(zipPath);
+            }
+            catch (IOException) { }
+            return new JObject() { ["error"] = "Failed to build the zip file." };
+        }
+        string zipName = $"images-{DateTime.Now:yyyy-MM-dd-HHmmss}.zip";
+        PreparedImagesZips[id] = new(session.User.UserID, zipPath, zipName, Environment.TickCount64);
+        return new JObject() { ["name"] = zipName, ["url"] = $"ImagesZip/{id}", ["count"] = files.Count };
+    }
+
+    [API.APIDescription("Edit the rating, tags, and collections of one or more images in history. Tags and collections are added or removed, and any others the images already have are left alone.",
+        """
+            "curation":
+            {
+                "raw/2024-01-02/image.png": { "rating": 4, "tags": ["hands", "good lighting"], "collections": ["LoRA Dataset"] }
+            },
+            "errors": ["raw/2024-01-02/other.png: That file does not exist."] // any images that could not be edited, and why
+        """)]
+    public static async Task<JObject> EditImageCuration(Session session,
+        [API.APIParameter("The paths of the images to edit.")] string[] paths,
+        [API.APIParameter("The new rating, from 1 to 5. Use 0 to clear the rating, or -1 to leave it unchanged.")] int rating = -1,
+        [API.APIParameter("Tags to add to the images.")] string[] addTags = null,
+        [API.APIParameter("Tags to remove from the images.")] string[] removeTags = null,
+        [API.APIParameter("Collections to add the images to.")] string[] addCollections = null,
+        [API.APIParameter("Collections to remove the images from.")] string[] removeCollections = null)
+    {
+        if (rating < -1 || rating > 5)
+        {
+            return new JObject() { ["error"] = "Rating must be from 1 to 5 (or 0 to clear it)." };
+        }
+        string root = Utilities.CombinePathWithAbsolute(Environment.CurrentDirectory, session.User.OutputDirectory);
+        List<string> keys = [];
+        JArray errors = [];
+        foreach (string rawPath in paths)
+        {
+            string origPath = rawPath.Replace('\\', '/').Trim('/');
+            (string path, string consoleError, string userError) = WebServer.CheckFilePath(root, origPath);
+            if (consoleError is not null)
+            {
+                Logs.Error(consoleError);
+                errors.Add($"{origPath}: {userError}");
+                continue;
+            }
+            if (!File.Exists(path))
+            {
+                errors.Add($"{origPath}: That file does not exist.");
+                continue;
+            }
+            keys.Add(ImageCurationTracker.KeyFor(root, path));
+        }
+        HashSet<string> tagsToRemove = [.. (removeTags ?? []).Select(ImageCurationTracker.CleanTag)];
+        HashSet<string> collectionsToRemove = new((removeCollections ?? []).Select(ImageCurationTracker.CleanName), StringComparer.OrdinalIgnoreCase);
+        Dictionary<string, ImageCurationTracker.CurationEntry> results = ImageCurationTracker.GetIndexFor(root).Update(keys, entry =>
+        {
+            if (rating != -1)
+            {
+                entry.Rating = rating;
+            }
+            entry.Tags = [.. entry.Tags.Where(t => !tagsToRemove.Contains(t)), .. addTags ?? []];
+            entry.Collections = [.. entry.Collections.Where(c => !collectionsToRemove.Contains(c)), .. addCollections ?? []];
+        });
+        JObject curation = new();
+        foreach ((string key, ImageCurationTracker.CurationEntry entry) in results)
+        {
+            curation[key] = entry.ToJson();
+        }
+        return new JObject() { ["curation"] = curation, ["errors"] = errors };
+    }
+
+    [API.APIDescription("Lists all the tags and collections used on images in history, with how many images use each.",
+        """
+            "tags": { "hands": 12, "good lighting": 3 },
+            "collections": { "LoRA Dataset": 40 }
+        """)]
+    public static async Task<JObject> ListImageTagsAndCollections(Session session)
+    {
+        string root = Utilities.CombinePathWithAbsolute(Environment.CurrentDirectory, session.User.OutputDirectory);
+        (Dictionary<string, int> tags, Dictionary<string, int> collections) = ImageCurationTracker.GetIndexFor(root).CountNames();
+        return new JObject() { ["tags"] = JObject.FromObject(tags), ["collections"] = JObject.FromObject(collections) };
+    }
+
     [API.APIDescription("Gets a list of images in a saved image history folder.",
         """
             "folders": ["Folder1", "Folder2"],
@@ -668,7 +1175,8 @@ public static class T2IAPI
             [
                 {
                     "src": "path/to/image.jpg",
-                    "metadata": "some-metadata" // usually a JSON blob encoded as a string. Not guaranteed.
+                    "metadata": "some-metadata", // usually a JSON blob encoded as a string. Not guaranteed.
+                    "curation": { "rating": 4, "tags": ["hands"], "collections": ["LoRA Dataset"] } // only present if the image has a rating, tags, or collections
                 }
             ]
         """)]
@@ -676,14 +1184,15 @@ public static class T2IAPI
         [API.APIParameter("The folder path to start the listing in. Use an empty string for root.")] string path,
         [API.APIParameter("Maximum depth (number of recursive folders) to search.")] int depth,
         [API.APIParameter("What to sort the list by - `Name` or `Date`.")] string sortBy = "Name",
-        [API.APIParameter("If true, the sorting should be done in reverse.")] bool sortReverse = false)
+        [API.APIParameter("If true, the sorting should be done in reverse.")] bool sortReverse = false,
+        [API.APIParameter("Optional search query to filter images by, eg `model:flux steps>30 lora:arcane starred:yes date:last-week rating>3`. Plain words match against the file name and raw metadata. See `docs/Features/ImageHistory.md` for the full syntax.")] string filter = "")
     {
         if (!Enum.TryParse(sortBy, true, out ImageHistorySortMode sortMode))
         {
             return new JObject() { ["error"] = $"Invalid sort mode '{sortBy}'." };
         }
         string root = Utilities.CombinePathWithAbsolute(Environment.CurrentDirectory, session.User.OutputDirectory);
-        return GetListAPIInternal(session, path, root, ImageExtensions, f => true, depth, sortMode, sortReverse);
+        return GetListAPIInternal(session, path, root, ImageExtensions, f => true, depth, sortMode, sortReverse, ImageHistoryQuery.Parse(filter));
     }
 
     [API.APIDescription("Toggle whether an image is starred or not.", "\"new_state\": true")]
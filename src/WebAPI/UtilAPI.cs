@@ -19,6 +19,7 @@ public static class UtilAPI
         API.RegisterAPICall(TokenizeInDetail, false, Permissions.UseTokenizer);
         API.RegisterAPICall(Pickle2SafeTensor, true, Permissions.Pickle2Safetensors);
         API.RegisterAPICall(WipeMetadata, true, Permissions.ResetMetadata);
+        API.RegisterAPICall(TranslatePrompt, false, Permissions.BasicImageGeneration);
     }
 
     public static ConcurrentDictionary<string, CliplikeTokenizer> Tokenizers = new();
@@ -188,4 +189,51 @@ public static class UtilAPI
         ImageMetadataTracker.MassRemoveMetadata();
         return new JObject() { ["success"] = true };
     }
+
+    [API.APIDescription("Translate prompt text to the server's target language (usually English) using the server's configured translation provider (see server settings 'Translation').\nUsed by the prompt translation pre-processor before generating.", "\"translated\": \"a photo of a cat\"")]
+    public static async Task<JObject> TranslatePrompt(
+        [API.APIParameter("The text to translate.")] string text,
+        [API.APIParameter("The language code the text is written in (eg 'ja' or 'de'), or 'auto' to detect it automatically.")] string source = "auto")
+    {
+        Settings.TranslationData settings = Program.ServerSettings.Translation;
+        if (string.IsNullOrWhiteSpace(settings.ProviderURL))
+        {
+            return new JObject() { ["error"] = "Prompt translation is not available: no translation provider is configured on this server." };
+        }
+        if (text.Length > 100 * 1024)
+        {
+            return new JObject() { ["error"] = "Text too long, refused." };
+        }
+        if (string.IsNullOrWhiteSpace(text))
+        {
+            return new JObject() { ["translated"] = text };
+        }
+        JObject request = new()
+        {
+            ["q"] = text,
+            ["source"] = string.IsNullOrWhiteSpace(source) ? "auto" : source.Trim(),
+            ["target"] = settings.TargetLanguage,
+            ["format"] = "text"
+        };
+        if (!string.IsNullOrWhiteSpace(settings.APIKey))
+        {
+            request["api_key"] = settings.APIKey;
+        }
+        try
+        {
+            using CancellationTokenSource cancel = Utilities.TimedCancel(TimeSpan.FromSeconds(settings.TimeoutSeconds));
+            JObject result = await Utilities.UtilWebClient.PostJson(settings.ProviderURL, request, null, cancel.Token);
+            if (result.TryGetValue("translatedText", out JToken translated) && translated.Type == JTokenType.String)
+            {
+                return new JObject() { ["translated"] = translated.ToString() };
+            }
+            Logs.Warning($"Prompt translation provider returned an unexpected response: {result.ToString(Newtonsoft.Json.Formatting.None)}");
+            return new JObject() { ["error"] = $"Translation provider failed: {result["error"]?.ToString() ?? "unexpected response"}" };
+        }
+        catch (Exception ex)
+        {
+            Logs.Warning($"Prompt translation request to '{settings.ProviderURL}' failed: {ex.ReadableString()}");
+            return new JObject() { ["error"] = "Translation provider could not be reached, or gave an invalid response." };
+        }
+    }
 }
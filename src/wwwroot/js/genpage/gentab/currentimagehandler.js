@@ -11,7 +11,8 @@ class ImageFullViewHelper {
             if (e.target.tagName == 'BODY') {
                 return; // it's impossible on the genpage to actually click body, so this indicates a bugged click, so ignore it
             }
-            if (!this.noClose && this.modal.style.display == 'block' && !findParentOfClass(e.target, 'imageview_popup_modal_undertext')) {
+            // Clicks inside other modals (eg the curation editor) opened on top of the full view shouldn't close it.
+            if (!this.noClose && this.modal.style.display == 'block' && !findParentOfClass(e.target, 'imageview_popup_modal_undertext') && !findParentOfClass(e.target, 'modal-content')) {
                 this.close();
                 e.preventDefault();
                 e.stopPropagation();
@@ -166,6 +167,7 @@ class ImageFullViewHelper {
     }
 
     showImage(src, metadata) {
+        this.currentSrc = src;
         let isVideo = isVideoExt(src);
         let imgHtml = `<img class="imageview_popup_modal_img" id="imageview_popup_modal_img" style="cursor:grab;max-width:100%;object-fit:contain;" src="${src}">`;
         if (isVideo) {
@@ -181,6 +183,10 @@ class ImageFullViewHelper {
             ${formatMetadata(metadata)}
             </div>
         </div>`;
+        let curationBar = imageCuration.buildBar(src);
+        if (curationBar) {
+            this.content.querySelector('.imageview_popup_modal_undertext').prepend(curationBar);
+        }
         this.modalJq.modal('show');
     }
 
@@ -262,6 +268,10 @@ function rightClickImageInBatch(e, div) {
         }
     }
     popoverActions.push({ key: 'Remove From Batch View', action: () => div.remove() })
+    let batchDivs = [...getRequiredElementById('current_image_batch').querySelectorAll('.image-block')].filter(block => block.dataset.is_placeholder != 'true');
+    if (batchDivs.length > 1) {
+        popoverActions.push({ key: 'Compare Batch', action: () => imageCompare.show(batchDivs.map(block => ({ src: block.dataset.src, metadata: block.dataset.metadata }))), title: 'Opens a comparison view of the images in the batch.' });
+    }
     let popover = new AdvancedPopover('image_batch_context_menu', popoverActions, false, mouseX, mouseY, document.body, null);
     e.preventDefault();
     e.stopPropagation();
@@ -360,22 +370,15 @@ function shiftToNextImagePreview(next = true, expand = false) {
     }
     let expandedState = imageFullView.isOpen() ? imageFullView.copyState() : {};
     if (curImgElem.dataset.batch_id == 'history') {
-        let divs = [...lastHistoryImageDiv.parentElement.children].filter(div => div.classList.contains('image-block'));
-        let index = divs.findIndex(div => div == lastHistoryImageDiv);
-        if (index == -1) {
+        let file = lastHistoryImageDiv ? imageHistoryBrowser.getAdjacentFile(lastHistoryImageDiv.dataset.name, next ? 1 : -1) : null;
+        let newDiv = file ? imageHistoryBrowser.revealItem(file.name) : null;
+        if (!newDiv) {
             console.log(`Image preview shift failed as current image ${lastHistoryImage} is not in history area`);
             return;
         }
-        let newIndex = index + (next ? 1 : -1);
-        if (newIndex < 0) {
-            newIndex = divs.length - 1;
-        }
-        else if (newIndex >= divs.length) {
-            newIndex = 0;
-        }
-        divs[newIndex].querySelector('img').click();
+        newDiv.querySelector('img').click();
         if (expand) {
-            divs[newIndex].querySelector('img').click();
+            newDiv.querySelector('img').click();
             imageFullView.showImage(currentImgSrc, currentMetadataVal);
             imageFullView.pasteState(expandedState);
         }
@@ -420,6 +423,10 @@ window.addEventListener('keydown', function(kbevent) {
     else if ((kbevent.key == 'ArrowRight' || kbevent.key == 'ArrowDown') && (isFullView || isCurImgFocused)) {
         shiftToNextImagePreview(true, isFullView);
     }
+    else if (isFullView && /^[0-5]$/.test(kbevent.key) && !kbevent.ctrlKey && !kbevent.altKey && !kbevent.metaKey && !isVisible(getRequiredElementById('image_curation_modal'))
+        && imageFullView.content.querySelector('.image-curation-bar')) {
+        imageCuration.setRating([getImageFullSrc(imageFullView.currentSrc)], parseInt(kbevent.key));
+    }
     else if (kbevent.key === "Enter" && kbevent.ctrlKey && isVisible(getRequiredElementById('main_image_area'))) {
         getRequiredElementById('alt_generate_button').click();
     }
@@ -491,6 +498,10 @@ function toggleStar(path, rawSrc) {
             batchDiv.dataset.metadata = JSON.stringify({ ...(JSON.parse(batchDiv.dataset.metadata ?? '{}') ?? {}), is_starred: data.new_state });
             batchDiv.classList.toggle('image-block-starred', data.new_state);
         }
+        let historyFile = (imageHistoryBrowser.lastFiles || []).find(f => f.data.src == rawSrc);
+        if (historyFile) {
+            historyFile.data.metadata = JSON.stringify({ ...(JSON.parse(historyFile.data.metadata || '{}') ?? {}), is_starred: data.new_state });
+        }
         let historyDiv = getRequiredElementById('imagehistorybrowser-content').querySelector(`.image-block[data-src="${rawSrc}"]`);
         if (historyDiv) {
             historyDiv.dataset.metadata = JSON.stringify({ ...(JSON.parse(historyDiv.dataset.metadata ?? '{}') ?? {}), is_starred: data.new_state });
@@ -721,7 +732,7 @@ function setCurrentImage(src, metadata = '', batchId = '', previewGrow = false,
                 'width': width * 2,
                 'height': height * 2
             };
-            mainGenHandler.doGenerate(input_overrides, { 'initimagecreativity': 0.4 });
+            mainGenHandler.doGenerateQueued(input_overrides, { 'initimagecreativity': 0.4 });
         }));
     }, '', 'Runs an instant generation with this image as the input and scale doubled');
     includeButton('Refine Image', () => {
@@ -746,7 +757,7 @@ function setCurrentImage(src, metadata = '', batchId = '', previewGrow = false,
             togglerRefine.checked = true;
             triggerChangeFor(togglerInit);
             triggerChangeFor(togglerRefine);
-            mainGenHandler.doGenerate(input_overrides);
+            mainGenHandler.doGenerateQueued(input_overrides);
             togglerInit.checked = togglerInitOriginal;
             togglerRefine.checked = togglerRefineOriginal;
             triggerChangeFor(togglerInit);
@@ -780,7 +791,7 @@ function setCurrentImage(src, metadata = '', batchId = '', previewGrow = false,
         }, '', 'Jumps the Image History browser to where this image is at.');
     }
     for (let added of buttonsForImage(imagePathClean, src, metadata)) {
-        if (added.label == 'Star' || added.label == 'Unstar') {
+        if (added.label == 'Star' || added.label == 'Unstar' || added.label == 'Compare With Current') {
             continue;
         }
         if (added.href) {
@@ -1,5 +1,5 @@
 
-function makeWSRequestT2I(url, in_data, callback, errorHandle = null) {
+function makeWSRequestT2I(url, in_data, callback, errorHandle = null, disconnectHandle = null) {
     return makeWSRequest(url, in_data, data => {
         if (data.status) {
             updateCurrentStatusDirect(data.status);
@@ -7,7 +7,7 @@ function makeWSRequestT2I(url, in_data, callback, errorHandle = null) {
         else {
             callback(data);
         }
-    }, 0, errorHandle);
+    }, 0, errorHandle, null, disconnectHandle);
 }
 
 function doInterrupt(allSessions = false) {
@@ -23,7 +23,8 @@ let genForeverInterval, genPreviewsInterval;
 let lastGenForeverParams = null;
 
 function doGenForeverOnce(minQueueSize) {
-    if (num_current_gens >= minQueueSize) {
+    let waiting = mainGenHandler.queue ? mainGenHandler.queue.countWaiting() : 0;
+    if (num_current_gens + waiting >= minQueueSize) {
         return;
     }
     let allParams = getGenInput();
@@ -33,7 +34,7 @@ function doGenForeverOnce(minQueueSize) {
         }
         lastGenForeverParams = allParams;
     }
-    mainGenHandler.doGenerate();
+    mainGenHandler.doGenerateQueued();
 }
 
 let generateForeverTranslatable = translatable('Generate Forever');
@@ -99,6 +100,7 @@ function genOnePreview() {
             input_overrides[param.id] = null;
         }
     }
+    // Previews skip the generation queue, as they're only useful right away.
     mainGenHandler.doGenerate(input_overrides);
 }
 
@@ -0,0 +1,393 @@
+/** Central handler for the client-side generation queue. Each Generate click becomes a job holding a snapshot of the generation input, which can be reordered, paused, duplicated, edited, or cancelled before it runs. Persists in browser local storage. */
+class GenerateQueue {
+
+    constructor(handler) {
+        this.handler = handler;
+        this.jobs = [];
+        this.paused = false;
+        this.hasInit = false;
+        this.editingJob = null;
+        this.dragJobId = null;
+        this.persistFailed = false;
+        this.maxRunning = Math.max(1, parseInt(localStorage.getItem('generate_queue_max_running') || '1') || 1);
+        this.pauseText = translatable('Pause Queue');
+        this.resumeText = translatable('Resume Queue');
+        this.load();
+    }
+
+    /** Loads the queue from browser storage. Jobs that were running when the page closed are put back to waiting, and the queue starts paused so that nothing reruns unexpectedly. */
+    load() {
+        let raw = localStorage.getItem('generate_queue');
+        if (!raw) {
+            return;
+        }
+        try {
+            let data = JSON.parse(raw);
+            this.jobs = data.jobs || [];
+            this.paused = data.paused || false;
+        }
+        catch (e) {
+            console.log(`Failed to load generate queue: ${e}`);
+            this.jobs = [];
+            return;
+        }
+        for (let job of this.jobs) {
+            if (job.status == 'running') {
+                job.status = 'waiting';
+                job.batch_id = null;
+            }
+        }
+        if (this.jobs.some(j => j.status == 'waiting')) {
+            this.paused = true;
+        }
+    }
+
+    /** Saves the queue to browser storage. */
+    save() {
+        try {
+            localStorage.setItem('generate_queue', JSON.stringify({ paused: this.paused, jobs: this.jobs }));
+            this.persistFailed = false;
+        }
+        catch (e) {
+            // Usually a quota error, eg from a job holding large init images
+            if (!this.persistFailed) {
+                console.log(`Failed to persist generate queue: ${e}`);
+                this.persistFailed = true;
+            }
+        }
+    }
+
+    /** Initializes the queue UI and starts running jobs. Call after parameters are loaded. */
+    init() {
+        this.listElem = getRequiredElementById('gen_queue_list');
+        this.pauseButton = getRequiredElementById('gen_queue_pause_button');
+        this.summaryElem = getRequiredElementById('gen_queue_summary');
+        let maxRunningElem = getRequiredElementById('gen_queue_max_running');
+        maxRunningElem.value = this.maxRunning;
+        this.hasInit = true;
+        this.render();
+        this.tryDispatch();
+    }
+
+    /** Returns a new unique job ID. */
+    newJobId() {
+        return `${Date.now().toString(36)}_${Math.random().toString(36).substring(2, 8)}`;
+    }
+
+    /** Returns the job with the given ID, or null if none. */
+    getJob(id) {
+        return this.jobs.find(j => j.id == id) || null;
+    }
+
+    /** Snapshots the current parameters (with optional overrides, as for 'getGenInput') into a new queue job. */
+    addCurrent(input_overrides = {}, input_preoverrides = {}) {
+        if (session_id == null || gen_param_types == null) {
+            this.handler.hadError("Cannot generate, session not started. Please wait a moment for the page to load.");
+            return;
+        }
+        if (this.handler.validateModel && getRequiredElementById('current_model').value == '') {
+            this.handler.hadError("Cannot generate, no model selected.");
+            return;
+        }
+        if (this.handler.validateModel && doModelInstallRequiredCheck()) {
+            return;
+        }
+        this.addJob(this.handler.getGenInput(input_overrides, input_preoverrides));
+    }
+
+    /** Returns how many jobs are waiting to run (not counting running or failed jobs). */
+    countWaiting() {
+        return this.jobs.filter(j => j.status == 'waiting').length;
+    }
+
+    /** Adds a new job for the given raw generation input. If index is null, the job goes at the end of the queue. Returns the new job. */
+    addJob(input, index = null) {
+        let job = { id: this.newJobId(), input: input, status: 'waiting', created: Date.now(), batch_id: null, error: null };
+        if (index == null || index >= this.jobs.length) {
+            this.jobs.push(job);
+        }
+        else {
+            this.jobs.splice(Math.max(0, index), 0, job);
+        }
+        this.changed();
+        return job;
+    }
+
+    /** Call when the job list has changed, to save, rerender, and run anything that can run now. */
+    changed() {
+        this.save();
+        this.render();
+        this.tryDispatch();
+    }
+
+    /** Moves a job up (negative offset) or down (positive offset) in the queue. */
+    moveJob(id, offset) {
+        let index = this.jobs.findIndex(j => j.id == id);
+        if (index == -1) {
+            return;
+        }
+        this.moveJobTo(id, index + offset);
+    }
+
+    /** Moves a job to a specific index in the queue. */
+    moveJobTo(id, newIndex) {
+        let index = this.jobs.findIndex(j => j.id == id);
+        if (index == -1) {
+            return;
+        }
+        newIndex = Math.min(Math.max(newIndex, 0), this.jobs.length - 1);
+        if (newIndex == index) {
+            return;
+        }
+        let [job] = this.jobs.splice(index, 1);
+        this.jobs.splice(newIndex, 0, job);
+        this.changed();
+    }
+
+    /** Adds a copy of a job directly after it. */
+    duplicateJob(id) {
+        let index = this.jobs.findIndex(j => j.id == id);
+        if (index == -1) {
+            return;
+        }
+        this.addJob(JSON.parse(JSON.stringify(this.jobs[index].input)), index + 1);
+    }
+
+    /** Removes a job that isn't running yet. Running jobs must be interrupted instead. */
+    cancelJob(id) {
+        let job = this.getJob(id);
+        if (!job || job.status == 'running') {
+            return;
+        }
+        this.jobs = this.jobs.filter(j => j.id != id);
+        this.changed();
+    }
+
+    /** Puts a failed job back to waiting, to be run again. */
+    retryJob(id) {
+        let job = this.getJob(id);
+        if (!job || job.status != 'failed') {
+            return;
+        }
+        job.status = 'waiting';
+        job.error = null;
+        this.changed();
+    }
+
+    /** Removes all jobs that aren't currently running. */
+    clearWaiting() {
+        this.jobs = this.jobs.filter(j => j.status == 'running');
+        this.changed();
+    }
+
+    /** Pauses or resumes the queue. Pausing does not stop jobs that are already running. */
+    setPaused(paused) {
+        if (this.paused == paused) {
+            return;
+        }
+        this.paused = paused;
+        this.changed();
+    }
+
+    /** Toggles whether the queue is paused. */
+    togglePaused() {
+        this.setPaused(!this.paused);
+    }
+
+    /** Sets how many queue jobs may be sent to the server at the same time. */
+    setMaxRunning(val) {
+        this.maxRunning = Math.max(1, parseInt(val) || 1);
+        localStorage.setItem('generate_queue_max_running', `${this.maxRunning}`);
+        this.tryDispatch();
+    }
+
+    /** Starts waiting jobs from the top of the queue, as long as there is room for more running jobs. */
+    tryDispatch() {
+        if (!this.hasInit || this.paused || session_id == null) {
+            return;
+        }
+        while (this.jobs.filter(j => j.status == 'running').length < this.maxRunning) {
+            let next = this.jobs.find(j => j.status == 'waiting');
+            if (!next) {
+                return;
+            }
+            this.startJob(next);
+        }
+    }
+
+    /** Sends a job to the server via the generate handler. */
+    startJob(job) {
+        job.status = 'running';
+        job.batch_id = null;
+        this.save();
+        this.render();
+        this.handler.doGenerate({}, {}, {
+            id: job.id,
+            input: job.input,
+            onStart: batchId => {
+                job.batch_id = batchId;
+                this.save();
+                this.render();
+            },
+            onComplete: () => this.jobFinished(job),
+            onError: e => this.jobFailed(job, e)
+        });
+    }
+
+    /** Called when a running job is done, to remove it from the queue. */
+    jobFinished(job) {
+        if (job.status != 'running') {
+            return;
+        }
+        this.jobs = this.jobs.filter(j => j.id != job.id);
+        this.changed();
+    }
+
+    /** Called when a job has failed, to keep it in the queue as a failed job. */
+    jobFailed(job, error) {
+        if (job.status != 'running') {
+            return;
+        }
+        job.status = 'failed';
+        job.error = `${error}`;
+        this.changed();
+    }
+
+    /** Returns a short human-readable title for a job. */
+    describeJob(job) {
+        let prompt = `${job.input.prompt || ''}`.trim();
+        if (prompt.length > 120) {
+            prompt = `${prompt.substring(0, 117)}...`;
+        }
+        return prompt || translate('(Empty prompt)');
+    }
+
+    /** Opens the job editor modal for a job that isn't running yet. */
+    editJob(id) {
+        let job = this.getJob(id);
+        if (!job || job.status == 'running') {
+            return;
+        }
+        this.editingJob = job;
+        getRequiredElementById('edit_queue_job_prompt').value = job.input.prompt || '';
+        getRequiredElementById('edit_queue_job_negativeprompt').value = job.input.negativeprompt || '';
+        getRequiredElementById('edit_queue_job_images').value = job.input.images ?? 1;
+        getRequiredElementById('edit_queue_job_seed').value = job.input.seed ?? -1;
+        $('#edit_queue_job_modal').modal('show');
+    }
+
+    /** Saves the edits from the job editor modal into the job being edited. */
+    saveEditJob() {
+        let job = this.editingJob;
+        this.editingJob = null;
+        $('#edit_queue_job_modal').modal('hide');
+        if (!job || !this.jobs.includes(job) || job.status == 'running') {
+            return;
+        }
+        job.input.prompt = getRequiredElementById('edit_queue_job_prompt').value;
+        let negative = getRequiredElementById('edit_queue_job_negativeprompt').value;
+        if (negative || 'negativeprompt' in job.input) {
+            job.input.negativeprompt = negative;
+        }
+        job.input.images = Math.max(1, parseInt(getRequiredElementById('edit_queue_job_images').value) || 1);
+        let seed = parseInt(getRequiredElementById('edit_queue_job_seed').value);
+        if (!isNaN(seed)) {
+            job.input.seed = seed;
+        }
+        if (job.status == 'failed') {
+            job.status = 'waiting';
+            job.error = null;
+        }
+        this.changed();
+    }
+
+    /** Replaces the input of the job being edited with a fresh snapshot of the current parameters. */
+    replaceEditJobWithCurrent() {
+        let job = this.editingJob;
+        this.editingJob = null;
+        $('#edit_queue_job_modal').modal('hide');
+        if (!job || !this.jobs.includes(job) || job.status == 'running') {
+            return;
+        }
+        job.input = this.handler.getGenInput();
+        this.changed();
+    }
+
+    /** Rebuilds the queue panel. */
+    render() {
+        if (!this.hasInit) {
+            return;
+        }
+        this.pauseButton.innerText = this.paused ? this.resumeText.get() : this.pauseText.get();
+        this.pauseButton.classList.toggle('gen-queue-paused', this.paused);
+        let running = this.jobs.filter(j => j.status == 'running').length;
+        let waiting = this.jobs.filter(j => j.status == 'waiting').length;
+        let failed = this.jobs.filter(j => j.status == 'failed').length;
+        this.summaryElem.innerText = `${running} ${translate('running')}, ${waiting} ${translate('waiting')}${failed ? `, ${failed} ${translate('failed')}` : ''}${this.paused ? ` (${translate('paused')})` : ''}`;
+        this.listElem.innerHTML = '';
+        if (this.jobs.length == 0) {
+            this.listElem.appendChild(createDiv(null, 'gen-queue-empty', translateableHtml('The queue is empty. Press Generate to add a job.')));
+            return;
+        }
+        for (let i = 0; i < this.jobs.length; i++) {
+            let job = this.jobs[i];
+            let div = createDiv(null, `gen-queue-job gen-queue-job-${job.status}`);
+            div.dataset.job_id = job.id;
+            let details = [];
+            if (job.input.model) {
+                details.push(cleanModelName(job.input.model));
+            }
+            let imageCount = job.input.images ?? 1;
+            details.push(`${imageCount} image${autoS(imageCount)}`);
+            if (job.input.seed !== undefined && job.input.seed != -1) {
+                details.push(`seed ${job.input.seed}`);
+            }
+            let statusText = job.status == 'running' && job.batch_id ? `${translate('running')} (${translate('batch')} ${job.batch_id})` : translate(job.status);
+            div.innerHTML = `<div class="gen-queue-job-header"><span class="gen-queue-job-index">#${i + 1}</span> <span class="gen-queue-job-status">${escapeHtml(statusText)}</span></div>`
+                + `<div class="gen-queue-job-title">${escapeHtml(this.describeJob(job))}</div>`
+                + `<div class="gen-queue-job-details">${escapeHtml(details.join(', '))}</div>`;
+            if (job.error) {
+                div.appendChild(createDiv(null, 'gen-queue-job-error', escapeHtml(job.error)));
+            }
+            let buttons = createDiv(null, 'gen-queue-job-buttons');
+            if (job.status != 'running') {
+                quickAppendButton(buttons, '&#x25B2;', () => this.moveJob(job.id, -1), ' gen-queue-job-button', translate('Move up'));
+                quickAppendButton(buttons, '&#x25BC;', () => this.moveJob(job.id, 1), ' gen-queue-job-button', translate('Move down'));
+                quickAppendButton(buttons, translateableHtml('Edit'), () => this.editJob(job.id), ' gen-queue-job-button', translate('Edit this job'));
+            }
+            if (job.status == 'failed') {
+                quickAppendButton(buttons, translateableHtml('Retry'), () => this.retryJob(job.id), ' gen-queue-job-button', translate('Run this job again'));
+            }
+            quickAppendButton(buttons, translateableHtml('Duplicate'), () => this.duplicateJob(job.id), ' gen-queue-job-button', translate('Add a copy of this job'));
+            if (job.status != 'running') {
+                quickAppendButton(buttons, '&times;', () => this.cancelJob(job.id), ' gen-queue-job-button gen-queue-job-cancel', translate('Remove this job from the queue'));
+            }
+            div.appendChild(buttons);
+            if (job.status != 'running') {
+                div.draggable = true;
+                div.addEventListener('dragstart', e => {
+                    this.dragJobId = job.id;
+                    e.dataTransfer.effectAllowed = 'move';
+                });
+                div.addEventListener('dragend', () => {
+                    this.dragJobId = null;
+                });
+            }
+            div.addEventListener('dragover', e => {
+                if (this.dragJobId) {
+                    e.preventDefault();
+                }
+            });
+            div.addEventListener('drop', e => {
+                if (this.dragJobId) {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    let dragged = this.dragJobId;
+                    this.dragJobId = null;
+                    this.moveJobTo(dragged, this.jobs.findIndex(j => j.id == job.id));
+                }
+            });
+            this.listElem.appendChild(div);
+        }
+    }
+}
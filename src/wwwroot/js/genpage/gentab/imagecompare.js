@@ -0,0 +1,383 @@
+/** Central helper class to handle the 'image compare' modal, which shows two or more images together: side by side with synchronized pan and zoom, as a slider overlay, or as a difference blend, with a diff of their parameters underneath. */
+class ImageCompareHelper {
+    constructor() {
+        this.zoomRate = 1.1;
+        this.minZoom = 0.5;
+        this.maxZoom = 64;
+        this.maxImages = 9;
+        this.modal = getRequiredElementById('image_compare_modal');
+        this.content = getRequiredElementById('image_compare_modal_content');
+        this.modalJq = $('#image_compare_modal');
+        /** The images being compared, as objects with 'src', 'metadata', 'label', and 'params'. */
+        this.images = [];
+        /** The current display mode, one of 'grid', 'slider', or 'difference'. */
+        this.mode = localStorage.getItem('image_compare_mode') || 'grid';
+        /** Indices (in 'images') of the two images used by the slider and difference modes. */
+        this.pairA = 0;
+        this.pairB = 1;
+        /** Shared pan/zoom state: 'zoom' is relative to fitting the panel, 'x' and 'y' are the point of the image (from 0 to 1 on each axis) at the center of the panel. */
+        this.view = { zoom: 1, x: 0.5, y: 0.5 };
+        this.sliderPos = 0.5;
+        this.amplifyDifference = false;
+        this.showAllParams = false;
+        /** List of {img, panel} for every image currently shown. */
+        this.layers = [];
+        /** What the current mouse drag is doing, 'pan' or 'slider', or null if not dragging. */
+        this.dragMode = null;
+        this.dragEntry = null;
+        this.lastMouseX = 0;
+        this.lastMouseY = 0;
+        this.modal.addEventListener('shown.bs.modal', () => this.updateView());
+        window.addEventListener('resize', () => {
+            if (this.isOpen()) {
+                this.updateView();
+            }
+        });
+        document.addEventListener('mousemove', this.onGlobalMouseMove.bind(this));
+        document.addEventListener('mouseup', () => {
+            this.dragMode = null;
+            this.dragEntry = null;
+        });
+    }
+
+    /** Returns the file name part of an image src. */
+    fileName(src) {
+        if (src.startsWith('data:')) {
+            return translate('(unsaved image)');
+        }
+        return src.substring(src.lastIndexOf('/') + 1);
+    }
+
+    /** Returns the 'sui_image_params' of an image's raw metadata, or an empty object if it has none. */
+    parseParams(metadata) {
+        if (!metadata) {
+            return {};
+        }
+        try {
+            let readable = interpretMetadata(metadata);
+            return readable ? (JSON.parse(readable).sui_image_params || {}) : {};
+        }
+        catch (e) {
+            console.log(`Error parsing metadata for image compare: '${e}'`);
+            return {};
+        }
+    }
+
+    /** Returns a parameter value formatted as comparable display text. */
+    formatValue(val) {
+        if (val === undefined || val === null) {
+            return '';
+        }
+        if (Array.isArray(val)) {
+            return val.join(', ');
+        }
+        if (typeof val == 'object') {
+            return JSON.stringify(val);
+        }
+        return `${val}`;
+    }
+
+    /** Opens the compare view for a list of images, each an object with 'src' and 'metadata'. Videos and duplicates are skipped, and only the first 'maxImages' are used. */
+    show(images) {
+        let seen = new Set();
+        images = images.filter(img => {
+            if (!img.src || isVideoExt(img.src) || seen.has(img.src)) {
+                return false;
+            }
+            seen.add(img.src);
+            return true;
+        });
+        if (images.length < 2) {
+            showError('Need at least two different images to compare.');
+            return;
+        }
+        if (images.length > this.maxImages) {
+            doNoticePopover(`Only comparing the first ${this.maxImages} images.`, 'notice-pop-red');
+            images = images.slice(0, this.maxImages);
+        }
+        this.images = images.map((img, i) => {
+            return { src: img.src, metadata: img.metadata, label: `${String.fromCharCode(65 + i)}: ${this.fileName(img.src)}`, params: this.parseParams(img.metadata) };
+        });
+        this.pairA = 0;
+        this.pairB = 1;
+        this.sliderPos = 0.5;
+        this.resetView();
+        this.render();
+        this.modalJq.modal('show');
+    }
+
+    /** Changes the display mode, see 'mode'. */
+    setMode(mode) {
+        this.mode = mode;
+        localStorage.setItem('image_compare_mode', mode);
+        this.render();
+    }
+
+    /** Resets pan and zoom to fit the images to their panels. */
+    resetView() {
+        this.view = { zoom: 1, x: 0.5, y: 0.5 };
+        this.updateView();
+    }
+
+    /** Rebuilds the whole compare view for the current images and mode. */
+    render() {
+        let modeButton = (mode, label, title) => `<button class="basic-button image-compare-mode-button translate${this.mode == mode ? ' image-compare-mode-active' : ''}" data-mode="${mode}" title="${title}">${label}</button>`;
+        let pairSelect = (id, selected) => `<select id="${id}" class="image-compare-pair-select">${this.images.map((img, i) => `<option value="${i}"${i == selected ? ' selected' : ''}>${escapeHtml(img.label)}</option>`).join('')}</select>`;
+        let isPairMode = this.mode != 'grid';
+        this.content.innerHTML = `
+        <div class="image-compare-toolbar">
+            ${modeButton('grid', 'Side By Side', 'Shows every image next to each other, with pan and zoom kept in sync.')}
+            ${modeButton('slider', 'Slider', 'Shows two images on top of each other, with a slider to swipe between them.')}
+            ${modeButton('difference', 'Difference', 'Blends two images so that only the parts that differ are visible.')}
+            <span class="image-compare-pair"${isPairMode ? '' : ' style="display:none"'}>${pairSelect('image_compare_pair_a', this.pairA)} <span class="translate">vs</span> ${pairSelect('image_compare_pair_b', this.pairB)}</span>
+            <span class="form-check form-switch display-inline-block"${this.mode == 'difference' ? '' : ' style="display:none"'} title="Brightens the difference, to make small changes easier to see.">
+                <input type="checkbox" class="form-check-input" id="image_compare_amplify"${this.amplifyDifference ? ' checked' : ''}> <label class="form-check-label translate" for="image_compare_amplify">Amplify</label>
+            </span>
+            <button class="basic-button translate" id="image_compare_reset" title="Resets pan and zoom.">Reset View</button>
+            <span class="image-compare-hint translate">Scroll to zoom, drag to pan.</span>
+        </div>
+        <div class="image-compare-viewport" id="image_compare_viewport"></div>
+        <div class="image-compare-params" id="image_compare_params"></div>`;
+        for (let button of this.content.querySelectorAll('.image-compare-mode-button')) {
+            button.addEventListener('click', () => this.setMode(button.dataset.mode));
+        }
+        let selectA = getRequiredElementById('image_compare_pair_a');
+        let selectB = getRequiredElementById('image_compare_pair_b');
+        selectA.addEventListener('change', () => {
+            this.pairA = parseInt(selectA.value);
+            this.buildViewport();
+        });
+        selectB.addEventListener('change', () => {
+            this.pairB = parseInt(selectB.value);
+            this.buildViewport();
+        });
+        getRequiredElementById('image_compare_amplify').addEventListener('change', e => {
+            this.amplifyDifference = e.target.checked;
+            this.buildViewport();
+        });
+        getRequiredElementById('image_compare_reset').addEventListener('click', () => this.resetView());
+        let viewport = getRequiredElementById('image_compare_viewport');
+        viewport.addEventListener('wheel', this.onWheel.bind(this));
+        viewport.addEventListener('mousedown', this.onMouseDown.bind(this));
+        this.buildViewport();
+        this.buildParams();
+    }
+
+    /** Creates an image element for one of the compared images, and registers it as a layer of the given panel. */
+    addLayer(panel, index, extraClass = '') {
+        let layer = createDiv(null, `image-compare-layer ${extraClass}`);
+        let img = document.createElement('img');
+        img.className = 'image-compare-img';
+        img.draggable = false;
+        img.addEventListener('load', () => this.updateView());
+        img.src = this.images[index].src;
+        layer.appendChild(img);
+        panel.appendChild(layer);
+        this.layers.push({ img: img, panel: panel, layer: layer });
+        return layer;
+    }
+
+    /** Rebuilds the image area for the current mode. */
+    buildViewport() {
+        let viewport = getRequiredElementById('image_compare_viewport');
+        viewport.innerHTML = '';
+        viewport.className = `image-compare-viewport image-compare-viewport-${this.mode}`;
+        viewport.style.gridTemplateColumns = '';
+        this.layers = [];
+        this.sliderLayer = null;
+        this.sliderHandle = null;
+        let label = (panel, text, extraClass = '') => {
+            panel.appendChild(createDiv(null, `image-compare-label ${extraClass}`, escapeHtml(text)));
+        };
+        if (this.mode == 'grid') {
+            viewport.style.gridTemplateColumns = `repeat(${Math.ceil(Math.sqrt(this.images.length))}, 1fr)`;
+            for (let i = 0; i < this.images.length; i++) {
+                let panel = createDiv(null, 'image-compare-panel');
+                viewport.appendChild(panel);
+                this.addLayer(panel, i);
+                label(panel, this.images[i].label);
+            }
+        }
+        else {
+            let panel = createDiv(null, 'image-compare-panel');
+            viewport.appendChild(panel);
+            let stack = createDiv(null, 'image-compare-stack');
+            panel.appendChild(stack);
+            this.addLayer(stack, this.pairB);
+            if (this.mode == 'slider') {
+                this.sliderLayer = this.addLayer(stack, this.pairA);
+                this.sliderHandle = createDiv(null, 'image-compare-slider-handle');
+                panel.appendChild(this.sliderHandle);
+                label(panel, this.images[this.pairA].label);
+                label(panel, this.images[this.pairB].label, 'image-compare-label-right');
+            }
+            else {
+                this.addLayer(stack, this.pairA, 'image-compare-layer-difference');
+                stack.style.filter = this.amplifyDifference ? 'brightness(4)' : '';
+                label(panel, `${this.images[this.pairA].label} - ${this.images[this.pairB].label}`);
+            }
+        }
+        this.updateView();
+    }
+
+    /** Returns the scale (display pixels per image pixel) an image is currently shown at. */
+    getScale(entry) {
+        let fit = Math.min(entry.panel.clientWidth / entry.img.naturalWidth, entry.panel.clientHeight / entry.img.naturalHeight);
+        return fit * this.view.zoom;
+    }
+
+    /** Applies the shared pan/zoom state (and slider position) to every shown image. */
+    updateView() {
+        for (let entry of this.layers) {
+            let img = entry.img;
+            if (!img.naturalWidth) {
+                continue;
+            }
+            let scale = this.getScale(entry);
+            let [width, height] = [img.naturalWidth * scale, img.naturalHeight * scale];
+            img.style.width = `${width}px`;
+            img.style.height = `${height}px`;
+            img.style.left = `${entry.panel.clientWidth / 2 - this.view.x * width}px`;
+            img.style.top = `${entry.panel.clientHeight / 2 - this.view.y * height}px`;
+            img.style.imageRendering = scale > 2 ? 'pixelated' : '';
+        }
+        if (this.sliderLayer) {
+            this.sliderLayer.style.clipPath = `inset(0 ${(1 - this.sliderPos) * 100}% 0 0)`;
+            this.sliderHandle.style.left = `${this.sliderPos * 100}%`;
+        }
+    }
+
+    /** Returns the first loaded layer inside the panel that contains the given element, or null if none. */
+    getEntryFor(elem) {
+        let panel = findParentOfClass(elem, 'image-compare-panel');
+        if (!panel) {
+            return null;
+        }
+        return this.layers.find(entry => panel.contains(entry.panel) && entry.img.naturalWidth) || null;
+    }
+
+    onWheel(e) {
+        let entry = this.getEntryFor(e.target);
+        if (!entry) {
+            return;
+        }
+        e.preventDefault();
+        let rect = entry.panel.getBoundingClientRect();
+        let [mouseX, mouseY] = [e.clientX - rect.left - rect.width / 2, e.clientY - rect.top - rect.height / 2];
+        let origScale = this.getScale(entry);
+        let pointX = this.view.x + mouseX / (entry.img.naturalWidth * origScale);
+        let pointY = this.view.y + mouseY / (entry.img.naturalHeight * origScale);
+        let zoom = this.view.zoom * Math.pow(this.zoomRate, -e.deltaY / 100);
+        this.view.zoom = Math.max(this.minZoom, Math.min(zoom, this.maxZoom));
+        let newScale = this.getScale(entry);
+        this.view.x = Math.max(0, Math.min(1, pointX - mouseX / (entry.img.naturalWidth * newScale)));
+        this.view.y = Math.max(0, Math.min(1, pointY - mouseY / (entry.img.naturalHeight * newScale)));
+        this.updateView();
+    }
+
+    onMouseDown(e) {
+        if (e.button != 0) {
+            return;
+        }
+        if (e.target == this.sliderHandle) {
+            this.dragMode = 'slider';
+        }
+        else {
+            this.dragEntry = this.getEntryFor(e.target);
+            if (!this.dragEntry) {
+                return;
+            }
+            this.dragMode = 'pan';
+        }
+        this.lastMouseX = e.clientX;
+        this.lastMouseY = e.clientY;
+        e.preventDefault();
+    }
+
+    onGlobalMouseMove(e) {
+        if (!this.dragMode) {
+            return;
+        }
+        if (this.dragMode == 'slider') {
+            let rect = this.sliderHandle.parentElement.getBoundingClientRect();
+            this.sliderPos = Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width));
+        }
+        else {
+            let scale = this.getScale(this.dragEntry);
+            this.view.x = Math.max(0, Math.min(1, this.view.x - (e.clientX - this.lastMouseX) / (this.dragEntry.img.naturalWidth * scale)));
+            this.view.y = Math.max(0, Math.min(1, this.view.y - (e.clientY - this.lastMouseY) / (this.dragEntry.img.naturalHeight * scale)));
+        }
+        this.lastMouseX = e.clientX;
+        this.lastMouseY = e.clientY;
+        this.updateView();
+    }
+
+    /** Returns HTML for one parameter value cell. Differing prompts get a word diff against the first image's prompt. */
+    paramCellHtml(key, val, baseVal, index) {
+        if (val == '') {
+            return `<span class="image-compare-param-missing">${translate('(none)')}</span>`;
+        }
+        if (index > 0 && val != baseVal && key.includes('prompt') && baseVal != '') {
+            let parts = promptHistory.diffWords(baseVal, val);
+            if (parts) {
+                return parts.map(p => `<span class="image-compare-diff-${p.type}">${escapeHtmlNoBr(p.text)}</span>`).join(' ');
+            }
+        }
+        return escapeHtmlNoBr(val);
+    }
+
+    /** Rebuilds the parameter diff table under the images. */
+    buildParams() {
+        let paramsDiv = getRequiredElementById('image_compare_params');
+        let keys = [];
+        for (let image of this.images) {
+            for (let key of Object.keys(image.params)) {
+                if (!keys.includes(key)) {
+                    keys.push(key);
+                }
+            }
+        }
+        let rows = '';
+        let diffCount = 0;
+        for (let key of keys) {
+            let values = this.images.map(image => this.formatValue(image.params[key]));
+            let differs = values.some(val => val != values[0]);
+            if (differs) {
+                diffCount++;
+            }
+            else if (!this.showAllParams) {
+                continue;
+            }
+            let param = getParamById(key);
+            let name = param ? param.name : key;
+            let cells = values.map((val, i) => `<td>${this.paramCellHtml(key, val, values[0], i)}</td>`).join('');
+            rows += `<tr class="${differs ? 'image-compare-param-differs' : 'image-compare-param-same'}"><td class="image-compare-param-name" title="${escapeHtml(key)}">${escapeHtml(translate(name))}</td>${cells}</tr>`;
+        }
+        let summary = diffCount == 0 ? translate('All parameters are the same.') : `${diffCount} ${translate(diffCount == 1 ? 'parameter differs.' : 'parameters differ.')}`;
+        let header = `<tr><th>${translate('Parameter')}</th>${this.images.map(image => `<th>${escapeHtml(image.label)}</th>`).join('')}</tr>`;
+        paramsDiv.innerHTML = `
+        <div class="image-compare-params-header">
+            <span>${summary}</span>
+            <span class="form-check form-switch display-inline-block">
+                <input type="checkbox" class="form-check-input" id="image_compare_show_all"${this.showAllParams ? ' checked' : ''}> <label class="form-check-label translate" for="image_compare_show_all">Show All Parameters</label>
+            </span>
+        </div>
+        ${rows ? `<table class="simple-table image-compare-params-table">${header}${rows}</table>` : ''}`;
+        getRequiredElementById('image_compare_show_all').addEventListener('change', e => {
+            this.showAllParams = e.target.checked;
+            this.buildParams();
+        });
+    }
+
+    close() {
+        this.dragMode = null;
+        this.dragEntry = null;
+        this.modalJq.modal('hide');
+    }
+
+    isOpen() {
+        return this.modalJq.is(':visible');
+    }
+}
+
+let imageCompare = new ImageCompareHelper();
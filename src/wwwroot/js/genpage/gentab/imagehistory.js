@@ -26,7 +26,7 @@ function listImageHistoryFolderAndFiles(path, isRefresh, callback, depth) {
         }
     }
     let prefix = path == '' ? '' : (path.endsWith('/') ? path : `${path}/`);
-    genericRequest('ListImages', {'path': path, 'depth': depth, 'sortBy': sortBy, 'sortReverse': reverse}, data => {
+    genericRequest('ListImages', {'path': path, 'depth': depth, 'sortBy': sortBy, 'sortReverse': reverse, 'filter': imageHistoryBrowser.filter}, data => {
         let folders = data.folders.sort((a, b) => b.toLowerCase().localeCompare(a.toLowerCase()));
         function isPreSortFile(f) {
             return f.src == 'index.html'; // Grid index files
@@ -36,8 +36,10 @@ function listImageHistoryFolderAndFiles(path, isRefresh, callback, depth) {
         data.files = preFiles.concat(postFiles);
         let mapped = data.files.map(f => {
             let fullSrc = `${prefix}${f.src}`;
+            imageCuration.remember(fullSrc, f.curation);
             return { 'name': fullSrc, 'data': { 'src': `${getImageOutPrefix()}/${fullSrc}`, 'fullsrc': fullSrc, 'name': f.src, 'metadata': interpretMetadata(f.metadata) } };
         });
+        imageHistorySearch.lastFiles = mapped;
         callback(folders, mapped);
         if (fix) {
             fix();
@@ -57,6 +59,15 @@ function buttonsForImage(fullsrc, src, metadata) {
             }
         });
     }
+    if (permissions.hasPermission('user_star_images') && !isDataImage) {
+        buttons.push({
+            label: 'Rate And Tag',
+            title: 'Set a 1-5 rating for this image, and edit its tags and collections.',
+            onclick: (e) => {
+                imageCuration.openEditor([fullsrc]);
+            }
+        });
+    }
     if (metadata) {
         buttons.push({
             label: 'Copy Raw Metadata',
@@ -76,6 +87,15 @@ function buttonsForImage(fullsrc, src, metadata) {
             }
         });
     }
+    if (!isVideoExt(src)) {
+        buttons.push({
+            label: 'Compare With Current',
+            title: 'Opens a comparison view of this image and the current main image.',
+            onclick: (e) => {
+                imageCompare.show([{ src: currentImgSrc, metadata: currentMetadataVal }, { src: src, metadata: metadata }]);
+            }
+        });
+    }
     buttons.push({
         label: 'Download',
         title: 'Downloads this image to your PC.',
@@ -88,6 +108,7 @@ function buttonsForImage(fullsrc, src, metadata) {
             title: 'Deletes this image from the server.',
             onclick: (e) => {
                 genericRequest('DeleteImage', {'path': fullsrc}, data => {
+                    imageHistoryBrowser.removeFile(fullsrc);
                     if (e) {
                         e.remove();
                     }
@@ -127,13 +148,18 @@ function describeImage(image) {
         }
     }
     let formattedMetadata = formatMetadata(image.data.metadata);
+    let curationSummary = imageCuration.summaryHtml(image.data.fullsrc);
+    if (curationSummary) {
+        formattedMetadata = `${curationSummary}<br>${formattedMetadata}`;
+    }
     let description = image.data.name + "\n" + formattedMetadata;
     let name = image.data.name;
     let dragImage = image.data.src.endsWith('.html') ? 'imgs/html.jpg' : `${image.data.src}`;
     let imageSrc = image.data.src.endsWith('.html') ? 'imgs/html.jpg' : `${image.data.src}?preview=true`;
     let searchable = description;
     let detail_list = [escapeHtml(image.data.name), formattedMetadata.replaceAll('<br>', '&emsp;')];
-    return { name, description, buttons, 'image': imageSrc, 'dragimage': dragImage, className: parsedMeta.is_starred ? 'image-block-starred' : '', searchable, display: name, detail_list };
+    let className = `${parsedMeta.is_starred ? 'image-block-starred' : ''} ${imageCuration.ratingClass(imageCuration.get(image.data.fullsrc).rating)}`.trim();
+    return { name, description, buttons, 'image': imageSrc, 'dragimage': dragImage, className, searchable, display: name, detail_list };
 }
 
 function selectImageInHistory(image, div) {
@@ -157,8 +183,592 @@ function selectImageInHistory(image, div) {
     }
 }
 
+/** Helper for structured image history searches (eg 'model:flux steps>30 starred:yes date:last-week', evaluated server-side by 'ListImages'). Shows facet chips for the current results, and manages saved searches. */
+class ImageHistorySearch {
+
+    constructor() {
+        /** Facets to show chips for, as the query key, a display label, and a function to get the values from parsed 'sui_image_params' and the image's curation data. */
+        this.facets = [
+            { key: 'model', label: 'Model', values: params => params.model ? [this.shortName(params.model)] : [] },
+            { key: 'lora', label: 'LoRA', values: params => this.listOf(params.loras).map(l => this.shortName(l)) },
+            { key: 'sampler', label: 'Sampler', values: params => params.sampler ? [`${params.sampler}`] : [] },
+            { key: 'resolution', label: 'Resolution', values: params => params.width && params.height ? [`${params.width}x${params.height}`] : [] },
+            { key: 'tag', label: 'Tag', values: (params, curation) => curation.tags },
+            { key: 'collection', label: 'Collection', values: (params, curation) => curation.collections }
+        ];
+        /** Maximum number of chips to show per facet, most common first. */
+        this.maxChipsPerFacet = 8;
+        /** The files from the most recent listing, to build facets from. */
+        this.lastFiles = [];
+        /** List of saved search query strings. */
+        this.savedSearches = JSON.parse(localStorage.getItem('image_history_saved_searches') || '[]');
+        this.savedSelect = null;
+        this.saveButton = null;
+    }
+
+    /** Returns a short display name for a model or LoRA, without its folder or file extension. */
+    shortName(name) {
+        return cleanModelName(`${name}`.replaceAll('\\', '/').split('/').pop());
+    }
+
+    /** Returns a metadata value as a list, whether it was stored as a list or a comma-separated string. */
+    listOf(value) {
+        if (!value) {
+            return [];
+        }
+        return Array.isArray(value) ? value : `${value}`.split(',').map(v => v.trim()).filter(v => v);
+    }
+
+    /** Splits a query into whitespace-separated terms, keeping quoted sections together (the same way the server parses it). */
+    splitTerms(query) {
+        let terms = [];
+        let current = '';
+        let inQuote = false;
+        for (let c of query) {
+            if (c == '"') {
+                inQuote = !inQuote;
+            }
+            else if (/\s/.test(c) && !inQuote) {
+                if (current) {
+                    terms.push(current);
+                    current = '';
+                }
+                continue;
+            }
+            current += c;
+        }
+        if (current) {
+            terms.push(current);
+        }
+        return terms;
+    }
+
+    /** Returns a 'key:value' query term, quoting the value if needed. */
+    makeTerm(key, value) {
+        value = `${value}`.toLowerCase().replaceAll('"', '');
+        return /\s/.test(value) ? `${key}:"${value}"` : `${key}:${value}`;
+    }
+
+    /** Replaces the image history filter text with the given query, and reloads the listing. */
+    setQuery(query) {
+        let input = document.getElementById(`${imageHistoryBrowser.id}_filter_input`);
+        if (!input) {
+            return;
+        }
+        input.value = query;
+        input.dispatchEvent(new Event('input'));
+    }
+
+    /** Adds a term to the current query, or removes it if it's already there. */
+    toggleTerm(term) {
+        let terms = this.splitTerms(imageHistoryBrowser.filter);
+        if (terms.includes(term)) {
+            terms = terms.filter(t => t != term);
+        }
+        else {
+            terms.push(term);
+        }
+        this.setQuery(terms.join(' '));
+    }
+
+    /** Counts facet values over the given files. Returns a map of facet key to a list of [value, count], most common first. */
+    countFacets(files) {
+        let counts = {};
+        for (let facet of this.facets) {
+            counts[facet.key] = new Map();
+        }
+        for (let file of files) {
+            let params = {};
+            try {
+                params = JSON.parse(file.data.metadata)?.sui_image_params || {};
+            }
+            catch (e) {
+                // Not JSON metadata, so only curation facets apply.
+            }
+            let curation = imageCuration.get(file.name);
+            for (let facet of this.facets) {
+                for (let value of facet.values(params, curation)) {
+                    counts[facet.key].set(value, (counts[facet.key].get(value) || 0) + 1);
+                }
+            }
+        }
+        let result = {};
+        for (let facet of this.facets) {
+            result[facet.key] = [...counts[facet.key].entries()].sort((a, b) => b[1] - a[1]).slice(0, this.maxChipsPerFacet);
+        }
+        return result;
+    }
+
+    /** Builds the facet chip bar at the top of the image history content list. */
+    buildFacets() {
+        let counts = this.countFacets(this.lastFiles);
+        let terms = this.splitTerms(imageHistoryBrowser.filter);
+        let bar = createDiv(null, 'image-history-facets');
+        for (let facet of this.facets) {
+            if (counts[facet.key].length == 0) {
+                continue;
+            }
+            let group = createSpan(null, 'image-history-facet-group');
+            group.appendChild(createSpan(null, 'image-history-facet-label translate', facet.label));
+            for (let [value, count] of counts[facet.key]) {
+                let term = this.makeTerm(facet.key, value);
+                let isActive = terms.includes(term);
+                let chip = createSpan(null, `image-history-facet-chip${isActive ? ' image-history-facet-chip-active' : ''}`);
+                chip.innerText = value;
+                chip.appendChild(createSpan(null, 'image-history-facet-count', `${count}`));
+                chip.title = isActive ? `${translate('Remove filter')} ${term}` : `${translate('Filter to')} ${term}`;
+                chip.onclick = () => this.toggleTerm(term);
+                group.appendChild(chip);
+            }
+            bar.appendChild(group);
+        }
+        if (bar.children.length == 0) {
+            return;
+        }
+        applyTranslations(bar);
+        imageHistoryBrowser.contentDiv.prepend(bar);
+    }
+
+    /** Stores the saved searches list. */
+    storeSavedSearches() {
+        localStorage.setItem('image_history_saved_searches', JSON.stringify(this.savedSearches));
+    }
+
+    /** Saves the current query as a saved search, or un-saves it if it's already saved. */
+    toggleSaveCurrent() {
+        let query = imageHistoryBrowser.filter.trim();
+        if (!query) {
+            doNoticePopover('Type a search into the filter box first', 'notice-pop-red');
+            return;
+        }
+        if (this.savedSearches.includes(query)) {
+            this.savedSearches = this.savedSearches.filter(s => s != query);
+        }
+        else {
+            this.savedSearches.push(query);
+            this.savedSearches.sort();
+        }
+        this.storeSavedSearches();
+        this.updateSavedSearches();
+    }
+
+    /** Updates the saved searches dropdown and save button to match the current query. */
+    updateSavedSearches() {
+        if (!this.savedSelect || !this.savedSelect.isConnected) {
+            this.savedSelect = document.getElementById('image_history_saved_searches');
+            this.saveButton = document.getElementById('image_history_save_search');
+            if (!this.savedSelect) {
+                return;
+            }
+            this.savedSelect.addEventListener('change', () => {
+                if (this.savedSelect.value) {
+                    this.setQuery(this.savedSelect.value);
+                }
+            });
+            this.saveButton.addEventListener('click', () => this.toggleSaveCurrent());
+        }
+        let query = imageHistoryBrowser.filter.trim();
+        let isSaved = this.savedSearches.includes(query);
+        this.savedSelect.innerHTML = `<option value="">${escapeHtml(translate('Saved Searches...'))}</option>` + this.savedSearches.map(s => `<option value="${escapeHtml(s)}">${escapeHtml(s)}</option>`).join('');
+        this.savedSelect.value = isSaved ? query : '';
+        this.saveButton.innerHTML = isSaved ? '&#x2605;' : '&#x2606;';
+        this.saveButton.title = translate(isSaved ? 'Remove this search from your saved searches' : 'Save the current search');
+    }
+}
+
+/** Global instance of the image history search helper. */
+let imageHistorySearch = new ImageHistorySearch();
+
+/** Helper for image curation data: 1-5 ratings, free-form tags, and named collections (albums, which can span folders). Stored server-side by 'EditImageCuration', and editable from the image buttons, the full view, and history bulk actions. */
+class ImageCurationHelper {
+
+    constructor() {
+        /** Map of image key (see 'keyFor') to its known curation data, as {rating, tags, collections}. Filled by history listings and edits. */
+        this.known = new Map();
+        /** Tags and collections in use, as maps of name to image count, from 'ListImageTagsAndCollections'. */
+        this.allTags = {};
+        this.allCollections = {};
+        /** Maximum number of existing tags or collections to suggest in the editor. */
+        this.maxSuggestions = 20;
+        /** Image paths the editor modal is currently editing, and the values it was opened with. */
+        this.editorPaths = [];
+        this.editorOriginal = null;
+        this.editorRating = -1;
+        this.collectionSelect = null;
+        this.namesLoaded = false;
+    }
+
+    /** Returns the key curation data is stored under for an image path. Starred copies share the key of their original image, the same as on the server. */
+    keyFor(path) {
+        path = path.replaceAll('\\', '/').replace(/^\/+|\/+$/g, '');
+        return path.startsWith('Starred/') ? path.substring('Starred/'.length) : path;
+    }
+
+    /** Returns the known curation data for an image path, or empty data if none is known. */
+    get(path) {
+        return this.known.get(this.keyFor(path)) || { rating: 0, tags: [], collections: [] };
+    }
+
+    /** Stores curation data for an image path, as given by the server (or null if it has none). */
+    remember(path, curation) {
+        if (curation) {
+            this.known.set(this.keyFor(path), curation);
+        }
+        else {
+            this.known.delete(this.keyFor(path));
+        }
+    }
+
+    /** Returns the CSS class for a rating on an image block, or an empty string if unrated. */
+    ratingClass(rating) {
+        return rating ? `image-rating-${rating}` : '';
+    }
+
+    /** Returns a short readable summary of an image's curation data (as HTML), or an empty string if it has none. */
+    summaryHtml(path) {
+        let curation = this.get(path);
+        let lines = [];
+        if (curation.rating) {
+            lines.push(`${translate('Rating')}: ${'&#x2605;'.repeat(curation.rating)}${'&#x2606;'.repeat(5 - curation.rating)}`);
+        }
+        if (curation.tags.length > 0) {
+            lines.push(`${translate('Tags')}: ${escapeHtml(curation.tags.join(', '))}`);
+        }
+        if (curation.collections.length > 0) {
+            lines.push(`${translate('Collections')}: ${escapeHtml(curation.collections.join(', '))}`);
+        }
+        return lines.join('<br>');
+    }
+
+    /** Splits comma-separated editor input into a list of names. */
+    splitNames(text) {
+        return text.split(',').map(s => s.trim()).filter(s => s);
+    }
+
+    /** Reloads the list of all tags and collections in use. */
+    refreshNames() {
+        this.namesLoaded = true;
+        genericRequest('ListImageTagsAndCollections', {}, data => {
+            this.allTags = data.tags;
+            this.allCollections = data.collections;
+            this.updateCollectionSelect();
+        });
+    }
+
+    /** Sends an edit (the extra parameters of 'EditImageCuration') for a list of image paths, then updates any views of those images. */
+    edit(paths, changes) {
+        genericRequest('EditImageCuration', { 'paths': paths, ...changes }, data => {
+            for (let [key, curation] of Object.entries(data.curation)) {
+                let isEmpty = !curation.rating && curation.tags.length == 0 && curation.collections.length == 0;
+                this.remember(key, isEmpty ? null : curation);
+                this.updateViews(key);
+            }
+            if (data.errors.length > 0) {
+                showError(data.errors.join('\n'));
+            }
+            if (changes.addTags || changes.removeTags || changes.addCollections || changes.removeCollections) {
+                this.refreshNames();
+            }
+        });
+    }
+
+    /** Sets the rating (1 to 5, or 0 to clear) of a list of image paths. */
+    setRating(paths, rating) {
+        this.edit(paths, { 'rating': rating });
+    }
+
+    /** Updates the rating marker on any history or batch blocks of an image, and the full view's curation bar if it's showing that image. */
+    updateViews(key) {
+        let ratingClass = this.ratingClass(this.get(key).rating);
+        let blocks = [...imageHistoryBrowser.contentDiv.querySelectorAll('.image-block[data-name]')].filter(div => this.keyFor(div.dataset.name) == key);
+        blocks.push(...[...getRequiredElementById('current_image_batch').querySelectorAll('.image-block[data-src]')].filter(div => !div.dataset.src.startsWith('data:') && this.keyFor(getImageFullSrc(div.dataset.src)) == key));
+        for (let div of blocks) {
+            for (let rating = 1; rating <= 5; rating++) {
+                div.classList.remove(this.ratingClass(rating));
+            }
+            if (ratingClass) {
+                div.classList.add(ratingClass);
+            }
+        }
+        let bar = imageFullView.content.querySelector('.image-curation-bar');
+        if (bar && this.keyFor(bar.dataset.path) == key) {
+            this.fillBar(bar);
+        }
+    }
+
+    /** Builds the curation bar shown in the full view for an image src, or returns null if the image can't be curated. */
+    buildBar(src) {
+        if (!src || src.startsWith('data:') || !permissions.hasPermission('user_star_images')) {
+            return null;
+        }
+        let bar = createDiv(null, 'image-curation-bar');
+        bar.dataset.path = getImageFullSrc(src);
+        this.fillBar(bar);
+        return bar;
+    }
+
+    /** Fills (or refills) a curation bar with star buttons, the current tags and collections, and an edit button. */
+    fillBar(bar) {
+        let path = bar.dataset.path;
+        let curation = this.get(path);
+        bar.innerHTML = '';
+        let stars = createSpan(null, 'image-curation-stars');
+        for (let i = 1; i <= 5; i++) {
+            let star = createSpan(null, `image-curation-star${i <= curation.rating ? ' image-curation-star-on' : ''}`, i <= curation.rating ? '&#x2605;' : '&#x2606;');
+            star.title = curation.rating == i ? translate('Click to clear the rating') : `${translate('Rate')} ${i}/5 (${translate('or press')} ${i})`;
+            star.addEventListener('click', () => this.setRating([path], curation.rating == i ? 0 : i));
+            stars.appendChild(star);
+        }
+        bar.appendChild(stars);
+        let names = [...curation.tags.map(t => `#${t}`), ...curation.collections.map(c => `[${c}]`)];
+        bar.appendChild(createSpan(null, 'image-curation-names', escapeHtml(names.join(' '))));
+        quickAppendButton(bar, translate('Edit Tags'), () => this.openEditor([path]), ' image-curation-edit-button', translate('Edit the tags and collections of this image'));
+    }
+
+    /** Opens the editor modal for a list of image paths. When editing several images, the tags and collections shown are the ones all of them share. */
+    openEditor(paths) {
+        if (paths.length == 0) {
+            return;
+        }
+        let entries = paths.map(p => this.get(p));
+        let shared = (list) => list.reduce((a, b) => a.filter(x => b.some(y => y.toLowerCase() == x.toLowerCase())));
+        this.editorPaths = paths;
+        this.editorOriginal = {
+            rating: entries.every(e => e.rating == entries[0].rating) ? entries[0].rating : -1,
+            tags: shared(entries.map(e => e.tags)),
+            collections: shared(entries.map(e => e.collections))
+        };
+        this.editorRating = this.editorOriginal.rating;
+        getRequiredElementById('image_curation_modal_title').innerText = paths.length == 1 ? `${translate('Rate And Tag')}: ${paths[0].split('/').pop()}` : `${translate('Rate And Tag')}: ${paths.length} ${translate('images')}`;
+        getRequiredElementById('image_curation_tags').value = this.editorOriginal.tags.join(', ');
+        getRequiredElementById('image_curation_collections').value = this.editorOriginal.collections.join(', ');
+        getRequiredElementById('image_curation_note').innerText = paths.length == 1 ? '' : translate('Only the tags and collections that all selected images share are shown. Any others they have are kept.');
+        this.renderEditorStars();
+        this.renderSuggestions();
+        genericRequest('ListImageTagsAndCollections', {}, data => {
+            this.allTags = data.tags;
+            this.allCollections = data.collections;
+            this.renderSuggestions();
+        });
+        $('#image_curation_modal').modal('show');
+    }
+
+    /** Renders the rating stars in the editor modal. */
+    renderEditorStars() {
+        let starsDiv = getRequiredElementById('image_curation_stars');
+        starsDiv.innerHTML = '';
+        for (let i = 1; i <= 5; i++) {
+            let star = createSpan(null, `image-curation-star${i <= this.editorRating ? ' image-curation-star-on' : ''}`, i <= this.editorRating ? '&#x2605;' : '&#x2606;');
+            star.addEventListener('click', () => {
+                this.editorRating = i;
+                this.renderEditorStars();
+            });
+            starsDiv.appendChild(star);
+        }
+        quickAppendButton(starsDiv, translate('Clear'), () => {
+            this.editorRating = 0;
+            this.renderEditorStars();
+        }, ' image-curation-clear-button', translate('Remove the rating'));
+        if (this.editorRating == -1) {
+            starsDiv.appendChild(createSpan(null, 'image-curation-note', translate('(mixed, unchanged)')));
+        }
+    }
+
+    /** Renders clickable suggestions of existing tags and collections under the editor inputs. */
+    renderSuggestions() {
+        let render = (inputId, divId, counts) => {
+            let input = getRequiredElementById(inputId);
+            let div = getRequiredElementById(divId);
+            let current = this.splitNames(input.value).map(n => n.toLowerCase());
+            div.innerHTML = '';
+            for (let [name, count] of Object.entries(counts).sort((a, b) => b[1] - a[1]).slice(0, this.maxSuggestions)) {
+                let isActive = current.includes(name.toLowerCase());
+                let chip = createSpan(null, `image-history-facet-chip${isActive ? ' image-history-facet-chip-active' : ''}`);
+                chip.innerText = name;
+                chip.appendChild(createSpan(null, 'image-history-facet-count', `${count}`));
+                chip.addEventListener('click', () => {
+                    let names = this.splitNames(input.value);
+                    input.value = (isActive ? names.filter(n => n.toLowerCase() != name.toLowerCase()) : [...names, name]).join(', ');
+                    this.renderSuggestions();
+                });
+                div.appendChild(chip);
+            }
+        };
+        render('image_curation_tags', 'image_curation_tag_suggestions', this.allTags);
+        render('image_curation_collections', 'image_curation_collection_suggestions', this.allCollections);
+    }
+
+    /** Saves the editor modal's changes. */
+    submitEditor() {
+        let diff = (original, text) => {
+            let now = this.splitNames(text);
+            let has = (list, name) => list.some(x => x.toLowerCase() == name.toLowerCase());
+            return [now.filter(n => !has(original, n)), original.filter(o => !has(now, o))];
+        };
+        let [addTags, removeTags] = diff(this.editorOriginal.tags, getRequiredElementById('image_curation_tags').value);
+        let [addCollections, removeCollections] = diff(this.editorOriginal.collections, getRequiredElementById('image_curation_collections').value);
+        $('#image_curation_modal').modal('hide');
+        if (this.editorRating == this.editorOriginal.rating && addTags.length + removeTags.length + addCollections.length + removeCollections.length == 0) {
+            return;
+        }
+        this.edit(this.editorPaths, { 'rating': this.editorRating == this.editorOriginal.rating ? -1 : this.editorRating, 'addTags': addTags, 'removeTags': removeTags, 'addCollections': addCollections, 'removeCollections': removeCollections });
+    }
+
+    /** Updates the collections dropdown in the image history header. */
+    updateCollectionSelect() {
+        if (!this.collectionSelect || !this.collectionSelect.isConnected) {
+            this.collectionSelect = document.getElementById('image_history_collections');
+            if (!this.collectionSelect) {
+                return;
+            }
+            this.collectionSelect.addEventListener('change', () => {
+                if (this.collectionSelect.value) {
+                    // Collections can span folders, so search from the root.
+                    imageHistorySearch.setQuery(imageHistorySearch.makeTerm('collection', this.collectionSelect.value));
+                    imageHistoryBrowser.navigate('');
+                }
+            });
+        }
+        let names = Object.keys(this.allCollections).sort((a, b) => a.toLowerCase().localeCompare(b.toLowerCase()));
+        this.collectionSelect.style.display = names.length == 0 ? 'none' : '';
+        this.collectionSelect.innerHTML = `<option value="">${escapeHtml(translate('Collections...'))}</option>` + names.map(n => `<option value="${escapeHtml(n)}">${escapeHtml(n)} (${this.allCollections[n]})</option>`).join('');
+        let active = names.find(n => imageHistorySearch.splitTerms(imageHistoryBrowser.filter).includes(imageHistorySearch.makeTerm('collection', n)));
+        this.collectionSelect.value = active || '';
+    }
+}
+
+/** Global instance of the image curation helper. */
+let imageCuration = new ImageCurationHelper();
+
 let imageHistoryBrowser = new GenPageBrowserClass('image_history', listImageHistoryFolderAndFiles, 'imagehistorybrowser', 'Thumbnails', describeImage, selectImageInHistory,
-    `<label for="image_history_sort_by">Sort:</label> <select id="image_history_sort_by"><option>Name</option><option>Date</option></select> <input type="checkbox" id="image_history_sort_reverse"> <label for="image_history_sort_reverse">Reverse</label>`);
+    `<label for="image_history_sort_by">Sort:</label> <select id="image_history_sort_by"><option>Name</option><option>Date</option></select> <input type="checkbox" id="image_history_sort_reverse"> <label for="image_history_sort_reverse">Reverse</label>`
+    + ` <select id="image_history_saved_searches" title="Saved searches"></select> <button id="image_history_save_search" class="refresh-button" title="Save the current search">&#x2606;</button>`
+    + ` <select id="image_history_collections" title="Show all images in a collection" style="display:none"></select>`);
+// Filtering is done server-side by 'ListImages' (to support structured queries and reach past the history limit), so everything it returns already matches.
+imageHistoryBrowser.filterMatcher = () => true;
+imageHistoryBrowser.builtEvent = () => {
+    imageHistorySearch.buildFacets();
+    imageHistorySearch.updateSavedSearches();
+    if (!imageCuration.namesLoaded) {
+        imageCuration.refreshNames();
+    }
+    imageCuration.updateCollectionSelect();
+};
+
+/** Bulk actions for multi-selected images in the image history browser. */
+class ImageHistoryBulkActions {
+
+    /** Returns true if the given history file's metadata says it's starred. */
+    isStarred(file) {
+        try {
+            return !!JSON.parse(file.data.metadata)?.is_starred;
+        }
+        catch (e) {
+            return false;
+        }
+    }
+
+    /** Calls an API route once per request data object, one at a time, then reloads the history view and calls 'done' with the number of failures. */
+    runEach(route, requests, done) {
+        let failed = 0;
+        let next = () => {
+            if (requests.length == 0) {
+                imageHistoryBrowser.update();
+                done(failed);
+                return;
+            }
+            genericRequest(route, requests.shift(), () => next(), 0, e => {
+                console.log(`Bulk '${route}' request failed: ${e}`);
+                failed++;
+                next();
+            });
+        };
+        next();
+    }
+
+    /** Stars (or unstars) all the given files. */
+    setStarred(files, starred) {
+        let toChange = files.filter(f => this.isStarred(f) != starred);
+        if (toChange.length == 0) {
+            return;
+        }
+        this.runEach('ToggleImageStarred', toChange.map(f => ({ 'path': f.data.fullsrc })), failed => {
+            if (failed > 0) {
+                showError(`Failed to ${starred ? 'star' : 'unstar'} ${failed} of ${toChange.length} images.`);
+            }
+        });
+    }
+
+    /** Deletes all the given files, after confirmation. */
+    deleteAll(files) {
+        if (!confirm(`Are you sure you want to delete ${files.length} images?\nThis cannot be undone.`)) {
+            return;
+        }
+        let srcs = files.map(f => f.data.src);
+        imageHistoryBrowser.clearMultiSelection();
+        this.runEach('DeleteImage', files.map(f => ({ 'path': f.data.fullsrc })), failed => {
+            let currentImage = document.getElementById('current_image_img');
+            if (currentImage && srcs.includes(currentImage.dataset.src)) {
+                forceShowWelcomeMessage();
+            }
+            for (let src of srcs) {
+                let div = getRequiredElementById('current_image_batch').querySelector(`.image-block[data-src="${CSS.escape(src)}"]`);
+                if (div) {
+                    div.remove();
+                }
+            }
+            if (failed > 0) {
+                showError(`Failed to delete ${failed} of ${files.length} images.`);
+            }
+        });
+    }
+
+    /** Moves all the given files to a folder the user picks. */
+    moveAll(files) {
+        let folder = prompt(translate('Move the selected images to which folder? (Leave empty for the root folder)'), imageHistoryBrowser.folder);
+        if (folder == null) {
+            return;
+        }
+        imageHistoryBrowser.clearMultiSelection();
+        genericRequest('MoveImages', { 'paths': files.map(f => f.data.fullsrc), 'folder': folder }, data => {
+            imageHistoryBrowser.update();
+            if (data.errors.length > 0) {
+                showError(`Failed to move ${data.errors.length} images:\n${data.errors.join('\n')}`);
+            }
+            else {
+                doNoticePopover(`Moved ${data.moved.length} images`, 'notice-pop-green');
+            }
+        });
+    }
+
+    /** Downloads all the given files as one zip file. */
+    downloadZip(files) {
+        genericRequest('DownloadImagesZip', { 'paths': files.map(f => f.data.fullsrc) }, data => {
+            let link = document.createElement('a');
+            link.href = data.url;
+            link.download = data.name;
+            link.click();
+        });
+    }
+
+    /** Registers the bulk actions to the image history browser. */
+    register() {
+        imageHistoryBrowser.multiSelect = true;
+        imageHistoryBrowser.bulkActions.push(
+            { label: 'Star', title: 'Star all selected images.', isAvailable: () => permissions.hasPermission('user_star_images'), onclick: files => this.setStarred(files, true) },
+            { label: 'Unstar', title: 'Unstar all selected images.', isAvailable: () => permissions.hasPermission('user_star_images'), onclick: files => this.setStarred(files, false) },
+            { label: 'Move To Folder', title: 'Move all selected images into a different folder.', isAvailable: () => permissions.hasPermission('user_move_images'), onclick: files => this.moveAll(files) },
+            { label: 'Rate And Tag', title: 'Set the rating, tags, and collections of all selected images.', isAvailable: () => permissions.hasPermission('user_star_images'), onclick: files => imageCuration.openEditor(files.map(f => f.data.fullsrc)) },
+            { label: 'Compare', title: 'Open a comparison view of the selected images.', onclick: files => imageCompare.show(files.map(f => ({ src: f.data.src, metadata: f.data.metadata }))) },
+            { label: 'Download Zip', title: 'Download all selected images as one zip file.', onclick: files => this.downloadZip(files) },
+            { label: 'Delete', title: 'Delete all selected images from the server.', isAvailable: () => permissions.hasPermission('user_delete_image'), onclick: files => this.deleteAll(files) }
+        );
+    }
+}
+
+/** Global instance of the image history bulk actions. */
+let imageHistoryBulkActions = new ImageHistoryBulkActions();
+imageHistoryBulkActions.register();
 
 function storeImageToHistoryWithCurrentParams(img) {
     let data = getGenInput();
@@ -124,6 +124,7 @@ class GenTabLayout {
         this.altText = getRequiredElementById('alt_prompt_textbox');
         this.altNegText = getRequiredElementById('alt_negativeprompt_textbox');
         this.altImageRegion = getRequiredElementById('alt_prompt_extra_area');
+        this.altExpansionPreview = getRequiredElementById('prompt_expansion_preview');
         this.editorSizebar = getRequiredElementById('image_editor_sizebar');
         this.tabCollections = document.querySelectorAll('.swarm-gen-tab-subnav');
         this.layoutConfigArea = getRequiredElementById('layoutconfigarea');
@@ -179,7 +180,7 @@ class GenTabLayout {
     
     /** Signal a possible update to the size of the prompt box. */
     altPromptSizeHandle() {
-        this.altRegion.style.top = `calc(-${this.altText.offsetHeight + this.altNegText.offsetHeight + this.altImageRegion.offsetHeight}px - 1rem - 7px)`;
+        this.altRegion.style.top = `calc(-${this.altText.offsetHeight + this.altNegText.offsetHeight + this.altImageRegion.offsetHeight + this.altExpansionPreview.offsetHeight}px - 1rem - 7px)`;
         if (!this.antiDup) {
             this.antiDup = true;
             this.reapplyPositions();
@@ -204,7 +205,7 @@ class GenTabLayout {
         if (this.altRegion.style.display != 'none') {
             dynamicSizeTextBox(this.altText);
             dynamicSizeTextBox(this.altNegText);
-            this.altRegion.style.top = `calc(-${this.altText.offsetHeight + this.altNegText.offsetHeight + this.altImageRegion.offsetHeight}px - 1rem - 7px)`;
+            this.altRegion.style.top = `calc(-${this.altText.offsetHeight + this.altNegText.offsetHeight + this.altImageRegion.offsetHeight + this.altExpansionPreview.offsetHeight}px - 1rem - 7px)`;
         }
         let rootTop = this.t2iRootDiv.getBoundingClientRect().top;
         let bottomShut = this.bottomShut;
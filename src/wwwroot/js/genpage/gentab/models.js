@@ -647,7 +647,7 @@ class ModelBrowserWrapper {
         this.willRebuildSelected = true;
         setTimeout(() => {
             this.willRebuildSelected = false;
-            for (let child of this.browser.contentDiv.children) {
+            for (let child of this.browser.getVisibleEntries()) {
                 if (child.dataset.name) {
                     let hasSelectedClass = child.classList.contains('model-selected');
                     let isSelected = this.isSelected(child.dataset.name);
@@ -699,7 +699,7 @@ let sdVAEBrowser = new ModelBrowserWrapper('VAE', ['vae'], 'vae_list', 'sdvaebro
 let sdLoraBrowser = new ModelBrowserWrapper('LoRA', ['lora', 'lora-depth', 'lora-canny'], 'lora_list', 'sdlorabrowser', (lora) => { toggleSelectLora(cleanModelName(lora.data.name)); });
 let sdEmbedBrowser = new ModelBrowserWrapper('Embedding', ['embedding', 'textual-inversion'], 'embedding_list', 'sdembedbrowser', (embed) => { selectEmbedding(embed.data); });
 let sdControlnetBrowser = new ModelBrowserWrapper('ControlNet', ['controlnet', 'control-lora', 'controlnet-alimamainpaint'], 'controlnet_list', 'sdcontrolnetbrowser', (controlnet) => { setControlNet(controlnet.data); });
-let wildcardsBrowser = new ModelBrowserWrapper('Wildcards', [], 'wildcard_list', 'wildcardsbrowser', (wildcard) => { wildcardHelpers.selectWildcard(wildcard.data); }, `<button id="wildcards_list_create_new_button" class="refresh-button" onclick="wildcardHelpers.createNewWildcardButton()">Create New Wildcard</button>`);
+let wildcardsBrowser = new ModelBrowserWrapper('Wildcards', [], 'wildcard_list', 'wildcardsbrowser', (wildcard) => { wildcardHelpers.selectWildcard(wildcard.data); }, `<button id="wildcards_list_create_new_button" class="refresh-button" onclick="wildcardHelpers.createNewWildcardButton()">Create New Wildcard</button> <button id="wildcards_list_import_button" class="refresh-button" title="Import a zip, folder, or files of wildcards" onclick="wildcardHelpers.importWildcardsButton()">Import Pack</button> <button id="wildcards_list_export_button" class="refresh-button" title="Download the current folder of wildcards as a zip pack" onclick="wildcardHelpers.exportWildcardsButton()">Export Pack</button>`);
 
 let allModelBrowsers = [sdModelBrowser, sdVAEBrowser, sdLoraBrowser, sdEmbedBrowser, sdControlnetBrowser, wildcardsBrowser];
 let subModelBrowsers = [sdVAEBrowser, sdLoraBrowser, sdEmbedBrowser, sdControlnetBrowser];
@@ -1348,3 +1348,24 @@ function getParamById(id) {
     }
     return param;
 }
+
+/** Returns the current value of a parameter by ID, or null if it's missing or not currently active (eg toggled off), following the same rules as getGenInput. */
+function getActiveParamValue(id) {
+    let type = getParamById(id);
+    let elem = document.getElementById(`input_${id}`);
+    if (!type || !elem || type.feature_missing) {
+        return null;
+    }
+    if (type.toggleable && !getRequiredElementById(`input_${id}_toggle`).checked) {
+        return null;
+    }
+    let group = type.original_group || type.group;
+    if (group && group.toggles && !getRequiredElementById(`input_group_content_${group.id}_toggle`).checked) {
+        return null;
+    }
+    let parent = findParentOfClass(elem, 'auto-input');
+    if (parent && parent.dataset.disabled == 'true') {
+        return null;
+    }
+    return getInputVal(elem);
+}
@@ -0,0 +1,373 @@
+/** Panel under the main prompt box that previews how the random syntax in the prompt (random, wildcard, setvar, etc.) will fill in, either for the next images to generate or as a list of every possible combination. */
+class PromptExpansionPreview {
+
+    constructor() {
+        this.panel = getRequiredElementById('prompt_expansion_preview');
+        this.list = getRequiredElementById('prompt_expansion_preview_list');
+        this.status = getRequiredElementById('prompt_expansion_preview_status');
+        this.modeSelect = getRequiredElementById('prompt_expansion_preview_mode');
+        this.countInput = getRequiredElementById('prompt_expansion_preview_count');
+        this.maxCombinations = 256;
+        this.wildcardPicksVar = '\u0000wildcard_picks';
+        this.refreshTimer = null;
+        this.requestId = 0;
+        this.lastKey = null;
+        this.pendingRetries = 0;
+        this.modeSelect.value = localStorage.getItem('prompt_expansion_preview_mode') || 'samples';
+        this.countInput.value = localStorage.getItem('prompt_expansion_preview_count') || '4';
+        this.modeSelect.addEventListener('change', () => {
+            localStorage.setItem('prompt_expansion_preview_mode', this.modeSelect.value);
+            this.refresh();
+        });
+        this.countInput.addEventListener('change', () => {
+            localStorage.setItem('prompt_expansion_preview_count', this.countInput.value);
+            this.refresh();
+        });
+        for (let evt of ['input', 'change']) {
+            document.addEventListener(evt, e => {
+                if (e.target && e.target.id && (e.target.id == 'alt_prompt_textbox' || e.target.id.startsWith('input_'))) {
+                    this.scheduleRefresh();
+                }
+            });
+        }
+    }
+
+    /** Returns true if the panel is currently open. */
+    isOpen() {
+        return this.panel.style.display != 'none';
+    }
+
+    /** Opens the panel and fills it. */
+    show() {
+        this.panel.style.display = '';
+        this.refresh();
+    }
+
+    /** Closes the panel. */
+    hide() {
+        this.panel.style.display = 'none';
+        this.requestId++;
+        genTabLayout.altPromptSizeHandle();
+    }
+
+    /** Opens the panel if closed, or closes it if open. */
+    toggle() {
+        if (this.isOpen()) {
+            this.hide();
+        }
+        else {
+            this.show();
+        }
+    }
+
+    /** Returns the seed-related values that control how the prompt fills, matching what the next generation will use. */
+    getSeedSettings() {
+        let intOr = (val, def) => {
+            let num = parseInt(val);
+            return isNaN(num) ? def : num;
+        };
+        let seed = intOr(getActiveParamValue('seed'), -1);
+        let variationSeed = getActiveParamValue('variationseed');
+        if (seed != -1 && variationSeed != null) {
+            variationSeed = intOr(variationSeed, 0);
+            seed = variationSeed == -1 ? -1 : seed + variationSeed;
+        }
+        let wildcardSeed = getActiveParamValue('wildcardseed');
+        wildcardSeed = wildcardSeed == null ? -1 : intOr(wildcardSeed, -1);
+        let isRandom = wildcardSeed == -1 && seed == -1;
+        return {
+            seed: seed,
+            wildcard_seed: wildcardSeed,
+            wildcard_seed_behavior: getActiveParamValue('wildcardseedbehavior') || 'Random',
+            no_seed_increment: getActiveParamValue('noseedincrement') == true,
+            batch_size: Math.max(1, intOr(getActiveParamValue('batchsize'), 1)),
+            isRandom: isRandom
+        };
+    }
+
+    /** Returns how many previews to show. */
+    getCount() {
+        return Math.min(100, Math.max(1, parseInt(this.countInput.value) || 1));
+    }
+
+    /** Refreshes the panel shortly after the prompt or seed changes, if anything relevant changed. */
+    scheduleRefresh() {
+        if (!this.isOpen()) {
+            return;
+        }
+        if (this.refreshTimer) {
+            clearTimeout(this.refreshTimer);
+        }
+        this.refreshTimer = setTimeout(() => {
+            this.refreshTimer = null;
+            this.refresh(false);
+        }, 400);
+    }
+
+    /** Fills the panel for the current prompt. If 'force' is false, does nothing when the prompt and seed are unchanged since the last fill. */
+    refresh(force = true) {
+        if (!this.isOpen()) {
+            return;
+        }
+        let prompt = getRequiredElementById('alt_prompt_textbox').value;
+        let mode = this.modeSelect.value;
+        let settings = this.getSeedSettings();
+        let count = this.getCount();
+        this.countInput.style.display = mode == 'samples' ? '' : 'none';
+        let key = JSON.stringify([prompt, mode, settings, count]);
+        if (!force && key == this.lastKey) {
+            return;
+        }
+        this.lastKey = key;
+        let id = ++this.requestId;
+        if (!prompt.includes('<')) {
+            this.setResults(prompt.trim() ? [prompt.trim()] : [], [], 'No random syntax in this prompt.');
+            return;
+        }
+        if (mode == 'all') {
+            this.pendingRetries = 0;
+            this.refreshCombinations(prompt, id);
+            return;
+        }
+        this.status.innerText = 'Loading...';
+        let labels = [];
+        for (let i = 0; i < count; i++) {
+            // Each image is a separate backend call of 'Batch Size' images, so the server steps the seed by the batch size
+            let seed = settings.no_seed_increment ? settings.seed : settings.seed + i * settings.batch_size;
+            labels.push(settings.wildcard_seed != -1 ? `Wildcard seed ${settings.wildcard_seed}` : (settings.isRandom ? `#${i + 1}` : `Seed ${seed}`));
+        }
+        let request = { prompt: prompt, seed: settings.seed, wildcard_seed: settings.wildcard_seed, wildcard_seed_behavior: settings.wildcard_seed_behavior, count: count, no_seed_increment: settings.no_seed_increment, batch_size: settings.batch_size };
+        genericRequest('TestPromptFill', request, data => {
+            if (id != this.requestId) {
+                return;
+            }
+            let note = settings.isRandom ? 'The seed is random (-1), so these are examples of what you might get, not exact.' : '';
+            this.setResults(data.results || [data.result], labels, note);
+        }, 0, e => {
+            if (id == this.requestId) {
+                this.setResults([], [], `Failed to fill prompt: ${e}`);
+            }
+        });
+    }
+
+    /** Fills the panel with every combination of the prompt's options, retrying briefly while wildcard contents load. */
+    refreshCombinations(prompt, id) {
+        let result = this.enumerateCombinations(prompt);
+        if (result.pending && this.pendingRetries++ < 40) {
+            this.status.innerText = 'Loading wildcards...';
+            setTimeout(() => {
+                if (id == this.requestId) {
+                    this.refreshCombinations(prompt, id);
+                }
+            }, 250);
+            return;
+        }
+        if (result.pending) {
+            this.setResults([], [], 'Failed to load wildcard contents.');
+            return;
+        }
+        if (result.error) {
+            this.setResults([], [], result.error);
+            return;
+        }
+        this.setResults(result.results, result.results.map((_, i) => `#${i + 1}`), `${result.results.length} possible combination${result.results.length == 1 ? '' : 's'}.`);
+    }
+
+    /** Displays a list of filled prompts in the panel. */
+    setResults(results, labels, status) {
+        this.status.innerText = status;
+        this.list.innerHTML = '';
+        for (let i = 0; i < results.length; i++) {
+            let entry = createDiv(null, 'prompt-expansion-preview-entry');
+            if (labels[i]) {
+                entry.appendChild(createSpan(null, 'prompt-expansion-preview-label', escapeHtml(labels[i])));
+            }
+            let text = createSpan(null, 'prompt-expansion-preview-text');
+            text.innerText = results[i];
+            entry.appendChild(text);
+            this.list.appendChild(entry);
+        }
+        genTabLayout.altPromptSizeHandle();
+    }
+
+    /**
+     * Lists every distinct way the prompt can fill in, by expanding single-pick random and wildcard tags (with setvar/var tracking).
+     * Returns {results, error, pending}, where 'pending' means wildcard contents are still loading, and 'error' explains why the prompt can't be listed.
+     * This mirrors the server's fill rules rather than calling them, so the source of truth is 'PromptTagProcessors' in 'src/Text2Image/T2IPromptHandling.cs' (and 'WildcardsHelper.PickWeightedIndex' for weights) - keep the two in sync.
+     * Known differences: tags without randomness that the server transforms (eg '<alternate>', '<fromto>', '<preset>') are listed as their raw text, and multi-pick tags, dynamic wildcard names, and random repeat counts aren't listed at all.
+     */
+    enumerateCombinations(prompt) {
+        let state = { pending: false, error: null };
+        let states = this.expandText(prompt, [{ text: '', vars: {} }], state);
+        if (state.error || state.pending) {
+            return { results: [], error: state.error, pending: state.pending };
+        }
+        return { results: [...new Set(states.map(s => s.text.trim()))], error: null, pending: false };
+    }
+
+    /** Expands the given text onto the end of each state ({text, vars}), returning the new list of states. */
+    expandText(text, states, state) {
+        let parsed = promptLinter.parser.parse(text);
+        let pos = 0;
+        for (let tag of parsed.tags.filter(t => t.depth == 0)) {
+            states = states.map(s => ({ text: s.text + text.substring(pos, tag.start), vars: s.vars }));
+            states = this.expandTag(tag, text.substring(tag.start, tag.end), states, state);
+            if (state.error || state.pending) {
+                return states;
+            }
+            pos = tag.end;
+        }
+        return states.map(s => ({ text: s.text + text.substring(pos), vars: s.vars }));
+    }
+
+    /** Expands each choice (itself possibly containing tags) onto each state, as the server does for a single random pick.
+     * Choices are either a list of text, or a function that returns the list of {text, vars} choices available to a given state.
+     */
+    expandChoices(choices, states, state) {
+        let output = [];
+        for (let s of states) {
+            let stateChoices = typeof choices == 'function' ? choices(s) : choices.map(c => ({ text: c, vars: s.vars }));
+            for (let choice of stateChoices) {
+                for (let result of this.expandText(choice.text, [{ text: '', vars: choice.vars }], state)) {
+                    output.push({ text: s.text + result.text.trim(), vars: result.vars });
+                }
+                if (state.error || state.pending) {
+                    return output;
+                }
+                if (output.length > this.maxCombinations) {
+                    state.error = `More than ${this.maxCombinations} possible combinations, too many to list. Use 'Next Images' instead.`;
+                    return output;
+                }
+            }
+        }
+        return output;
+    }
+
+    /** Expands a single tag onto each state. Tags that don't involve randomness are kept as-is. */
+    expandTag(tag, raw, states, state) {
+        switch (tag.prefix) {
+            case 'random':
+                return this.expandRandomTag(tag, states, state);
+            case 'wildcard':
+            case 'wc':
+                return this.expandWildcardTag(tag, raw, states, state);
+            case 'setvar':
+                return this.expandSetvarTag(tag, raw, states, state);
+            case 'var':
+                return states.map(s => ({ text: s.text + (s.vars[tag.data] ?? ''), vars: s.vars }));
+            case 'comment':
+                return states;
+            case 'repeat':
+                return this.expandRepeatTag(tag, states, state);
+            default:
+                return states.map(s => ({ text: s.text + raw, vars: s.vars }));
+        }
+    }
+
+    /** Returns true if the tag picks a single option, otherwise marks the state with an error. */
+    checkSinglePick(tag, state) {
+        if (tag.preData != null && tag.preData.replace(',', '').trim() != '1') {
+            state.error = `Can't list every combination of multi-pick tags like '<${tag.prefix}[${tag.preData}]:...>'. Use 'Next Images' instead.`;
+            return false;
+        }
+        return true;
+    }
+
+    /** Expands a '<random:...>' tag, including number ranges like '1-5'. */
+    expandRandomTag(tag, states, state) {
+        if (!this.checkSinglePick(tag, state)) {
+            return states;
+        }
+        let choices = [];
+        for (let choice of promptLinter.parser.splitSmart(tag.data)) {
+            let dash = choice.indexOf('-', 1);
+            let low = dash == -1 ? null : promptLinter.parser.parseNumber(choice.substring(0, dash));
+            let high = dash == -1 ? null : promptLinter.parser.parseNumber(choice.substring(dash + 1));
+            if (low == null || high == null) {
+                choices.push(choice);
+                continue;
+            }
+            if (!Number.isInteger(low) || !Number.isInteger(high) || high - low > this.maxCombinations) {
+                state.error = `Can't list every number in the range '${choice}'. Use 'Next Images' instead.`;
+                return states;
+            }
+            for (let i = low; i <= high; i++) {
+                choices.push(`${i}`);
+            }
+        }
+        return this.expandChoices(choices, states, state);
+    }
+
+    /** Expands a '<wildcard:...>' tag, including sections, 'not=' exclusions, and entry conditions. Marks the state as pending if the wildcard contents are still loading. */
+    expandWildcardTag(tag, raw, states, state) {
+        if (!this.checkSinglePick(tag, state)) {
+            return states;
+        }
+        if (tag.data.includes('<')) {
+            state.error = `Can't list every combination of a wildcard with a dynamic name. Use 'Next Images' instead.`;
+            return states;
+        }
+        let comma = tag.data.indexOf(',');
+        let name = comma == -1 ? tag.data : tag.data.substring(0, comma);
+        let rest = comma == -1 ? '' : tag.data.substring(comma + 1);
+        let found = wildcardHelpers.findWildcard(name);
+        let holder = found.card ? wildcardHelpers.getWildcardDataFor(found.card) : null;
+        if (!found.isComplete || (holder && !holder.isComplete)) {
+            state.pending = true;
+            return states;
+        }
+        if (!holder || !holder.entries) {
+            return states.map(s => ({ text: s.text + raw, vars: s.vars }));
+        }
+        let exclude = rest.startsWith('not=') ? promptLinter.parser.splitSmart(rest.substring('not='.length)) : [];
+        let entries = wildcardHelpers.getSectionEntries(holder.entries, found.section).filter(e => !exclude.includes(e.text));
+        if (entries.length == 0) {
+            return states;
+        }
+        // The server's 'Index' seed behavior picks by position and ignores weights, so weight 0 entries can still be picked there
+        let useWeights = getActiveParamValue('wildcardseedbehavior') != 'Index';
+        return this.expandChoices(s => {
+            let picks = s.vars[this.wildcardPicksVar] || {};
+            let allowed = entries.filter(e => e.conditions.every(c => wildcardHelpers.conditionPasses(c, picks)));
+            if (allowed.length == 0) {
+                // The server leaves the wildcard empty when conditions rule out every entry
+                return [{ text: '', vars: s.vars }];
+            }
+            let anyWeighted = useWeights && allowed.some(e => e.weight > 0);
+            return allowed.filter(e => e.weight > 0 || !anyWeighted).map(e => ({ text: e.text, vars: Object.assign({}, s.vars, { [this.wildcardPicksVar]: wildcardHelpers.withWildcardPick(picks, found.card, e) }) }));
+        }, states, state);
+    }
+
+    /** Expands a '<setvar[name]:...>' tag, storing each result in that state's variables. */
+    expandSetvarTag(tag, raw, states, state) {
+        if (!tag.preData) {
+            return states.map(s => ({ text: s.text + raw, vars: s.vars }));
+        }
+        let output = [];
+        for (let s of states) {
+            for (let result of this.expandText(tag.data, [{ text: '', vars: s.vars }], state)) {
+                output.push({ text: s.text + result.text, vars: Object.assign({}, result.vars, { [tag.preData]: result.text }) });
+            }
+        }
+        return output;
+    }
+
+    /** Expands a '<repeat[count]:...>' or '<repeat:count,...>' tag, if its count and contents are fixed. */
+    expandRepeatTag(tag, states, state) {
+        let count = tag.preData, value = tag.data;
+        if (!count) {
+            let comma = tag.data.indexOf(',');
+            count = comma == -1 ? tag.data : tag.data.substring(0, comma);
+            value = comma == -1 ? '' : tag.data.substring(comma + 1);
+        }
+        count = promptLinter.parser.parseNumber(count);
+        if (count == null || value.includes('<')) {
+            state.error = `Can't list every combination of '<repeat>' tags with random counts or contents. Use 'Next Images' instead.`;
+            return states;
+        }
+        let repeated = Array(Math.max(0, Math.ceil(count))).fill(value.trim()).join(' ');
+        return states.map(s => ({ text: s.text + repeated, vars: s.vars }));
+    }
+}
+
+let promptExpansionPreview = new PromptExpansionPreview();
@@ -0,0 +1,322 @@
+/** Client-side record of submitted prompts, shown as a searchable drawer under the prompt box, with favorites, restore, and a word diff against the current prompt. */
+class PromptHistory {
+
+    constructor() {
+        this.panel = getRequiredElementById('prompt_history');
+        this.list = getRequiredElementById('prompt_history_list');
+        this.status = getRequiredElementById('prompt_history_status');
+        this.searchBox = getRequiredElementById('prompt_history_search');
+        this.starredOnly = getRequiredElementById('prompt_history_starred_only');
+        this.storageKey = 'prompt_history';
+        this.maxEntries = 300;
+        this.maxShown = 100;
+        this.maxDiffCells = 4000000;
+        this.thumbnailSize = 96;
+        this.openDiffId = null;
+        this.entries = this.load();
+        this.starredOnly.checked = localStorage.getItem('prompt_history_starred_only') == 'true';
+        this.searchBox.addEventListener('input', () => this.render());
+        this.starredOnly.addEventListener('change', () => {
+            localStorage.setItem('prompt_history_starred_only', `${this.starredOnly.checked}`);
+            this.render();
+        });
+        for (let id of ['alt_prompt_textbox', 'alt_negativeprompt_textbox']) {
+            getRequiredElementById(id).addEventListener('input', () => {
+                if (this.openDiffId && this.isOpen()) {
+                    this.render();
+                }
+            });
+        }
+    }
+
+    /** Reads the stored history list. */
+    load() {
+        try {
+            let data = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+            return Array.isArray(data) ? data : [];
+        }
+        catch (e) {
+            console.log(`Failed to read prompt history: ${e}`);
+            return [];
+        }
+    }
+
+    /** Writes the history list to storage. If storage is full, thumbnails and then the oldest unstarred entries are dropped until it fits. */
+    save() {
+        while (true) {
+            try {
+                localStorage.setItem(this.storageKey, JSON.stringify(this.entries));
+                return;
+            }
+            catch (e) {
+                let withThumb = this.entries.findLast(entry => !entry.starred && entry.thumbnail);
+                if (withThumb) {
+                    delete withThumb.thumbnail;
+                    continue;
+                }
+                let unstarred = this.entries.findLastIndex(entry => !entry.starred);
+                if (unstarred == -1) {
+                    console.log(`Failed to save prompt history: ${e}`);
+                    return;
+                }
+                this.entries.splice(unstarred, 1);
+            }
+        }
+    }
+
+    /** Returns the history entry with the given ID, or null. */
+    getEntry(id) {
+        return this.entries.find(entry => entry.id == id) || null;
+    }
+
+    /** Records the prompt of a generation input (from {@link getGenInput}) in history, and returns the ID of its entry, or null if there was no prompt. A prompt that's already in history is moved back to the top. */
+    record(input) {
+        let prompt = `${input.prompt ?? ''}`;
+        let negative = `${input.negativeprompt ?? ''}`;
+        if (prompt.trim() == '' && negative.trim() == '') {
+            return null;
+        }
+        let index = this.entries.findIndex(entry => entry.prompt == prompt && entry.negative == negative);
+        let entry;
+        if (index == -1) {
+            entry = { id: `${Date.now().toString(36)}_${Math.random().toString(36).substring(2, 8)}`, prompt: prompt, negative: negative, starred: false, uses: 0 };
+        }
+        else {
+            entry = this.entries.splice(index, 1)[0];
+        }
+        entry.time = Date.now();
+        entry.model = input.model || '';
+        entry.uses++;
+        this.entries.unshift(entry);
+        let unstarredSeen = 0;
+        this.entries = this.entries.filter(e => e.starred || ++unstarredSeen <= this.maxEntries);
+        this.save();
+        if (this.isOpen()) {
+            this.render();
+        }
+        return entry.id;
+    }
+
+    /** Sets the thumbnail for a history entry from a generated image src. */
+    setThumbnail(id, src) {
+        if (!id || !src || src.startsWith('data:video/') || src.startsWith('DOPLACEHOLDER:')) {
+            return;
+        }
+        let img = new Image();
+        img.onload = () => {
+            let entry = this.getEntry(id);
+            if (!entry || !img.naturalWidth || !img.naturalHeight) {
+                return;
+            }
+            let scale = Math.min(1, this.thumbnailSize / Math.max(img.naturalWidth, img.naturalHeight));
+            let canvas = document.createElement('canvas');
+            canvas.width = Math.max(1, Math.round(img.naturalWidth * scale));
+            canvas.height = Math.max(1, Math.round(img.naturalHeight * scale));
+            canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+            entry.thumbnail = canvas.toDataURL('image/jpeg', 0.7);
+            this.save();
+            if (this.isOpen()) {
+                this.render();
+            }
+        };
+        img.src = src;
+    }
+
+    /** Toggles whether an entry is starred. Starred entries are never dropped automatically. */
+    toggleStar(id) {
+        let entry = this.getEntry(id);
+        if (entry) {
+            entry.starred = !entry.starred;
+            this.save();
+            this.render();
+        }
+    }
+
+    /** Removes an entry from history. */
+    remove(id) {
+        this.entries = this.entries.filter(entry => entry.id != id);
+        this.save();
+        this.render();
+    }
+
+    /** Removes all unstarred entries, after confirming. */
+    clearUnstarred() {
+        if (!confirm(translate('Remove all prompt history entries that are not starred?'))) {
+            return;
+        }
+        this.entries = this.entries.filter(entry => entry.starred);
+        this.save();
+        this.render();
+    }
+
+    /** Puts an entry's prompt and negative prompt back into the prompt boxes. */
+    restore(id) {
+        let entry = this.getEntry(id);
+        if (!entry) {
+            return;
+        }
+        for (let [boxId, text] of [['alt_prompt_textbox', entry.prompt], ['alt_negativeprompt_textbox', entry.negative]]) {
+            let box = getRequiredElementById(boxId);
+            box.value = text;
+            triggerChangeFor(box);
+        }
+        this.render();
+    }
+
+    /** Opens or closes the diff view for an entry. */
+    toggleDiff(id) {
+        this.openDiffId = this.openDiffId == id ? null : id;
+        this.render();
+    }
+
+    /** Returns true if the drawer is currently open. */
+    isOpen() {
+        return this.panel.style.display != 'none';
+    }
+
+    /** Opens the drawer. */
+    show() {
+        this.panel.style.display = '';
+        this.entries = this.load();
+        this.render();
+        this.searchBox.focus();
+    }
+
+    /** Closes the drawer. */
+    hide() {
+        this.panel.style.display = 'none';
+        genTabLayout.altPromptSizeHandle();
+    }
+
+    /** Opens the drawer if closed, or closes it if open. */
+    toggle() {
+        if (this.isOpen()) {
+            this.hide();
+        }
+        else {
+            this.show();
+        }
+    }
+
+    /** Returns the entries that match the current search text and starred filter. Every search word must appear in the prompt, negative prompt, or model name. */
+    getMatches() {
+        let words = this.searchBox.value.toLowerCase().split(/\s+/).filter(w => w);
+        return this.entries.filter(entry => {
+            if (this.starredOnly.checked && !entry.starred) {
+                return false;
+            }
+            let text = `${entry.prompt}\n${entry.negative}\n${entry.model}`.toLowerCase();
+            return words.every(w => text.includes(w));
+        });
+    }
+
+    /**
+     * Computes a word-level diff between two texts.
+     * Returns a list of {type, text} where type is 'same', 'added' (only in 'newText'), or 'removed' (only in 'oldText'), or null if the texts are too long to compare.
+     */
+    diffWords(oldText, newText) {
+        let oldWords = oldText.split(/\s+/).filter(w => w);
+        let newWords = newText.split(/\s+/).filter(w => w);
+        let n = oldWords.length, m = newWords.length;
+        if (n * m > this.maxDiffCells) {
+            return null;
+        }
+        let lengths = [];
+        for (let i = 0; i <= n; i++) {
+            lengths.push(new Uint16Array(m + 1));
+        }
+        for (let i = n - 1; i >= 0; i--) {
+            for (let j = m - 1; j >= 0; j--) {
+                lengths[i][j] = oldWords[i] == newWords[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+            }
+        }
+        let result = [];
+        let push = (type, text) => {
+            let last = result[result.length - 1];
+            if (last && last.type == type) {
+                last.text += ` ${text}`;
+            }
+            else {
+                result.push({ type: type, text: text });
+            }
+        };
+        let i = 0, j = 0;
+        while (i < n || j < m) {
+            if (i < n && j < m && oldWords[i] == newWords[j]) {
+                push('same', oldWords[i]);
+                i++;
+                j++;
+            }
+            else if (j < m && (i == n || lengths[i][j + 1] >= lengths[i + 1][j])) {
+                push('added', newWords[j]);
+                j++;
+            }
+            else {
+                push('removed', oldWords[i]);
+                i++;
+            }
+        }
+        return result;
+    }
+
+    /** Returns HTML showing the changes that restoring the given text would make to the current text. */
+    diffHtml(label, currentText, entryText) {
+        let parts = this.diffWords(currentText, entryText);
+        let html = `<div class="prompt-history-diff-line"><span class="prompt-history-diff-label">${escapeHtmlNoBr(translate(label))}:</span> `;
+        if (parts == null) {
+            return html + `<span class="prompt-history-meta">${escapeHtmlNoBr(translate('Too long to compare.'))}</span></div>`;
+        }
+        if (!parts.some(p => p.type != 'same')) {
+            return html + `<span class="prompt-history-meta">${escapeHtmlNoBr(translate('Same as current.'))}</span></div>`;
+        }
+        return html + parts.map(p => `<span class="prompt-history-diff-${p.type}">${escapeHtmlNoBr(p.text)}</span>`).join(' ') + '</div>';
+    }
+
+    /** Rebuilds the list of entries in the drawer. */
+    render() {
+        if (!this.isOpen()) {
+            return;
+        }
+        let matches = this.getMatches();
+        this.status.innerText = matches.length > this.maxShown ? `${translate('Showing')} ${this.maxShown} / ${matches.length}` : `${matches.length} ${translate('prompts')}`;
+        this.list.innerHTML = '';
+        if (matches.length == 0) {
+            this.list.appendChild(createDiv(null, 'prompt-history-empty', escapeHtmlNoBr(translate(this.entries.length == 0 ? 'No prompts yet. Prompts are recorded here each time you generate.' : 'No prompts match your search.'))));
+        }
+        let currentPrompt = getRequiredElementById('alt_prompt_textbox').value;
+        let currentNegative = getRequiredElementById('alt_negativeprompt_textbox').value;
+        for (let entry of matches.slice(0, this.maxShown)) {
+            let isCurrent = entry.prompt == currentPrompt && entry.negative == currentNegative;
+            let div = createDiv(null, `prompt-history-entry${isCurrent ? ' prompt-history-entry-current' : ''}`);
+            let thumb = entry.thumbnail ? `<img class="prompt-history-thumb" src="${entry.thumbnail}" alt="">` : `<div class="prompt-history-thumb prompt-history-thumb-empty"></div>`;
+            let negative = entry.negative.trim() ? `<div class="prompt-history-negative"><span class="prompt-history-diff-label">${escapeHtmlNoBr(translate('Negative'))}:</span> ${escapeHtmlNoBr(entry.negative)}</div>` : '';
+            let meta = [new Date(entry.time).toLocaleString(), entry.model ? cleanModelName(entry.model) : null, entry.uses > 1 ? `${translate('used')} ${entry.uses}x` : null].filter(m => m).join(' | ');
+            div.innerHTML = `${thumb}
+                <div class="prompt-history-body">
+                    <div class="prompt-history-prompt">${escapeHtmlNoBr(entry.prompt)}</div>
+                    ${negative}
+                    <div class="prompt-history-meta">${escapeHtmlNoBr(meta)}</div>
+                </div>
+                <div class="prompt-history-buttons">
+                    <button class="basic-button prompt-history-star${entry.starred ? ' prompt-history-starred' : ''}" title="${entry.starred ? 'Unstar' : 'Star (starred prompts are never removed automatically)'}">${entry.starred ? '&#x2605;' : '&#x2606;'}</button>
+                    <button class="basic-button prompt-history-restore translate" title="Put this prompt back into the prompt boxes"${isCurrent ? ' disabled' : ''}>Restore</button>
+                    <button class="basic-button prompt-history-diff-button translate" title="Show what restoring this prompt would change">Diff</button>
+                    <button class="basic-button prompt-history-remove" title="Remove from history">&times;</button>
+                </div>`;
+            div.querySelector('.prompt-history-star').addEventListener('click', () => this.toggleStar(entry.id));
+            div.querySelector('.prompt-history-restore').addEventListener('click', () => this.restore(entry.id));
+            div.querySelector('.prompt-history-diff-button').addEventListener('click', () => this.toggleDiff(entry.id));
+            div.querySelector('.prompt-history-remove').addEventListener('click', () => this.remove(entry.id));
+            if (this.openDiffId == entry.id) {
+                let diff = createDiv(null, 'prompt-history-diff');
+                diff.innerHTML = this.diffHtml('Prompt', currentPrompt, entry.prompt) + this.diffHtml('Negative', currentNegative, entry.negative);
+                div.querySelector('.prompt-history-body').appendChild(diff);
+            }
+            this.list.appendChild(div);
+        }
+        genTabLayout.altPromptSizeHandle();
+    }
+}
+
+/** Instance of {@link PromptHistory} for the main prompt box. */
+let promptHistory = new PromptHistory();
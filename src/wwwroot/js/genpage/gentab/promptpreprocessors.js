@@ -0,0 +1,143 @@
+/** Registry of prompt pre-processors: transforms (eg translation) that run on the prompt text after 'getGenInput' and right before a generation is sent to the server.
+ * Extensions can add their own via 'promptPreprocessors.register(...)'. */
+class PromptPreprocessorRegistry {
+
+    constructor() {
+        /** List of registered pre-processors, in the order they run. */
+        this.processors = [];
+    }
+
+    /** Registers a new pre-processor (or replaces an existing one with the same ID). The processor is an object with:
+     * 'id': unique ID string.
+     * 'name': display name, recorded in image metadata.
+     * 'isEnabled()': returns true if it should currently run.
+     * 'process(text, paramId, input)': returns a Promise of the transformed text (or the same text to leave it alone). 'paramId' is 'prompt' or 'negativeprompt', 'input' is the full generation input.
+     * 'order' (optional, default 0): lower numbers run first. */
+    register(processor) {
+        this.processors = this.processors.filter(p => p.id != processor.id);
+        this.processors.push(processor);
+        this.processors.sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
+    }
+
+    /** Returns the list of currently enabled pre-processors. */
+    getEnabled() {
+        return this.processors.filter(p => p.isEnabled());
+    }
+
+    /** Runs all enabled pre-processors on a generation input (as from 'getGenInput'), editing it in place. Returns a Promise that resolves once done.
+     * The original text of any changed prompt is kept in the extra metadata as 'original_prompt' (or 'original_negativeprompt'), and the names of the pre-processors that changed anything as 'prompt_preprocessors'. */
+    async apply(input) {
+        let enabled = this.getEnabled();
+        if (enabled.length == 0) {
+            return input;
+        }
+        let used = [];
+        for (let paramId of ['prompt', 'negativeprompt']) {
+            let original = input[paramId];
+            if (!original) {
+                continue;
+            }
+            let text = original;
+            for (let processor of enabled) {
+                let result = await processor.process(text, paramId, input);
+                if (result != null && result != text) {
+                    text = result;
+                    if (!used.includes(processor.name)) {
+                        used.push(processor.name);
+                    }
+                }
+            }
+            if (text != original) {
+                input[paramId] = text;
+                input.extra_metadata = input.extra_metadata || {};
+                input.extra_metadata[`original_${paramId}`] = original;
+            }
+        }
+        if (used.length > 0) {
+            input.extra_metadata['prompt_preprocessors'] = used.join(', ');
+        }
+        return input;
+    }
+}
+
+/** Global instance of the prompt pre-processor registry. */
+let promptPreprocessors = new PromptPreprocessorRegistry();
+
+/** Built-in prompt pre-processor that translates prompts (eg from Japanese or German) to the server's target language using the server's configured translation provider.
+ * Prompt syntax (anything in '<...>') is kept as-is, only the plain text between is translated. */
+class PromptTranslator {
+
+    constructor() {
+        this.id = 'translate';
+        this.name = 'Translate';
+        // Runs before other transforms, so that eg LLM prompt expansion gets to work with the translated text.
+        this.order = -10;
+        this.cache = new Map();
+        this.maxCacheSize = 256;
+    }
+
+    isEnabled() {
+        return getUserSetting('prompttranslation.enabled', false);
+    }
+
+    /** Splits prompt text into a list of plain text and prompt syntax segments, as objects with 'text' and 'isSyntax'. */
+    splitSegments(text) {
+        let segments = [];
+        let depth = 0;
+        let start = 0;
+        for (let i = 0; i < text.length; i++) {
+            let c = text[i];
+            if (c == '<') {
+                if (depth == 0 && i > start) {
+                    segments.push({ text: text.substring(start, i), isSyntax: false });
+                    start = i;
+                }
+                depth++;
+            }
+            else if (c == '>' && depth > 0) {
+                depth--;
+                if (depth == 0) {
+                    segments.push({ text: text.substring(start, i + 1), isSyntax: true });
+                    start = i + 1;
+                }
+            }
+        }
+        if (start < text.length) {
+            segments.push({ text: text.substring(start), isSyntax: depth > 0 });
+        }
+        return segments;
+    }
+
+    /** Translates one piece of plain text, keeping its surrounding whitespace. Returns a Promise of the translated text. */
+    translateText(text, source) {
+        let [_, pre, body, post] = /^(\s*)([\s\S]*?)(\s*)$/.exec(text);
+        if (!/\p{L}/u.test(body)) {
+            return Promise.resolve(text);
+        }
+        let key = `${source}\n${body}`;
+        if (this.cache.has(key)) {
+            return Promise.resolve(pre + this.cache.get(key) + post);
+        }
+        return new Promise((resolve, reject) => {
+            genericRequest('TranslatePrompt', { text: body, source: source }, data => {
+                if (this.cache.size >= this.maxCacheSize) {
+                    this.cache.delete(this.cache.keys().next().value);
+                }
+                this.cache.set(key, data.translated);
+                resolve(pre + data.translated + post);
+            }, 0, e => reject(e));
+        });
+    }
+
+    async process(text, paramId, input) {
+        if (paramId == 'negativeprompt' && !getUserSetting('prompttranslation.translatenegative', true)) {
+            return text;
+        }
+        let source = getUserSetting('prompttranslation.sourcelanguage', 'auto') || 'auto';
+        let segments = this.splitSegments(text);
+        let results = await Promise.all(segments.map(s => s.isSyntax ? s.text : this.translateText(s.text, source)));
+        return results.join('');
+    }
+}
+
+promptPreprocessors.register(new PromptTranslator());
@@ -0,0 +1,595 @@
+
+/** Client-side parser for SwarmUI prompt syntax (tags, weights, brackets). Mirrors the server's T2IPromptHandling rules closely enough to find mistakes before generating. */
+class PromptSyntaxParser {
+    constructor() {
+        /** Server-side tag aliases that don't have their own autocomplete entry. */
+        this.extraPrefixes = ['alt'];
+    }
+
+    /** Returns a list of all known tag prefix names (lowercase, without the "[...]" predata examples). */
+    getKnownPrefixes() {
+        let names = new Set(this.extraPrefixes);
+        for (let key of Object.keys(promptTabComplete.prefixes)) {
+            let bracket = key.indexOf('[');
+            names.add((bracket == -1 ? key : key.substring(0, bracket)).toLowerCase());
+        }
+        return names;
+    }
+
+    /**
+     * Parses a prompt into its syntax pieces.
+     * Returns {tags, weights, pairs, diagnostics}, where each entry has 'start' and 'end' indices into the text ('end' is exclusive).
+     */
+    parse(text) {
+        let result = { tags: [], weights: [], pairs: [], diagnostics: [] };
+        let frames = [{ tag: null, parens: [], diagnostics: result.diagnostics }];
+        for (let i = 0; i < text.length; i++) {
+            let c = text[i];
+            let frame = frames[frames.length - 1];
+            if (c == '\\' && i + 1 < text.length && (text[i + 1] == '(' || text[i + 1] == ')')) {
+                i++;
+            }
+            else if (c == '<') {
+                frames.push({ tag: { start: i }, parens: [], diagnostics: [] });
+            }
+            else if (c == '>') {
+                if (frames.length == 1) {
+                    frame.diagnostics.push({ start: i, end: i + 1, severity: 'warning', message: `Unmatched '>' with no '<' before it, it will be kept as plain text.` });
+                    continue;
+                }
+                frames.pop();
+                let tag = this.readTag(text, frame.tag.start, i + 1);
+                tag.depth = frames.length - 1;
+                result.tags.push(tag);
+                result.pairs.push({ open: tag.start, close: i, type: 'tag' });
+                if (tag.prefix == 'comment') {
+                    continue;
+                }
+                for (let paren of frame.parens) {
+                    frame.diagnostics.push({ start: paren.start, end: paren.start + 1, severity: 'error', message: `Unclosed '(' inside the '<${tag.prefix}:...>' tag.` });
+                }
+                frames[frames.length - 1].diagnostics.push(...frame.diagnostics);
+            }
+            else if (c == '(') {
+                frame.parens.push({ start: i });
+            }
+            else if (c == ')') {
+                if (frame.parens.length == 0) {
+                    frame.diagnostics.push({ start: i, end: i + 1, severity: 'error', message: `Unmatched ')' with no '(' before it.\nUse '\\)' if you want a literal parenthesis.` });
+                    continue;
+                }
+                let paren = frame.parens.pop();
+                result.pairs.push({ open: paren.start, close: i, type: 'paren' });
+                this.readWeight(text, paren.start, i + 1, result, frame.diagnostics);
+            }
+        }
+        while (frames.length > 1) {
+            let frame = frames.pop();
+            for (let paren of frame.parens) {
+                frame.diagnostics.push({ start: paren.start, end: paren.start + 1, severity: 'error', message: `Unclosed '('.` });
+            }
+            frame.diagnostics.push({ start: frame.tag.start, end: text.length, severity: 'error', message: `Unclosed tag, missing a '>' to end it.` });
+            frames[frames.length - 1].diagnostics.push(...frame.diagnostics);
+        }
+        for (let paren of frames[0].parens) {
+            result.diagnostics.push({ start: paren.start, end: paren.start + 1, severity: 'error', message: `Unclosed '(', missing a ')' to end it.\nUse '\\(' if you want a literal parenthesis.` });
+        }
+        result.tags.sort((a, b) => a.start - b.start);
+        result.weights.sort((a, b) => a.start - b.start);
+        return result;
+    }
+
+    /** Reads a '<prefix[predata]:data>' tag spanning start to end (inclusive of the angle brackets), in the same way the server splits it. */
+    readTag(text, start, end) {
+        let raw = text.substring(start + 1, end - 1);
+        let colon = raw.indexOf(':');
+        let prefix = colon == -1 ? raw : raw.substring(0, colon);
+        let data = colon == -1 ? '' : raw.substring(colon + 1);
+        let preData = null;
+        if (prefix.endsWith(']') && prefix.includes('[')) {
+            let bracket = prefix.indexOf('[');
+            preData = prefix.substring(bracket + 1, prefix.length - 1);
+            prefix = prefix.substring(0, bracket);
+        }
+        let cid = data.lastIndexOf('//cid=');
+        if (cid != -1) {
+            data = data.substring(0, cid);
+        }
+        return { start, end, prefix: prefix.toLowerCase(), preData, data, hasColon: colon != -1, dataStart: colon == -1 ? end - 1 : start + 2 + colon };
+    }
+
+    /** Reads a '(text)' or '(text:weight)' span, spanning start to end (inclusive of the parens). */
+    readWeight(text, start, end, result, diagnostics) {
+        let depth = 0;
+        let colon = -1;
+        for (let i = start + 1; i < end - 1; i++) {
+            let c = text[i];
+            if (c == '\\') {
+                i++;
+            }
+            else if (c == '<' || c == '(') {
+                depth++;
+            }
+            else if (c == '>' || c == ')') {
+                depth--;
+            }
+            else if (c == ':' && depth == 0) {
+                colon = i;
+            }
+        }
+        if (colon == -1) {
+            result.weights.push({ start, end, colon: -1, weight: 1.1 });
+            return;
+        }
+        let weightText = text.substring(colon + 1, end - 1).trim();
+        let weight = this.parseNumber(weightText);
+        if (weight == null) {
+            diagnostics.push({ start: colon, end: end - 1, severity: 'warning', message: `'${weightText}' is not a valid weight, so this whole span will be treated as text with the default weight of 1.1.\nUse a number, like '(text:1.2)', or escape the parens like '\\(text\\)'.` });
+            result.weights.push({ start, end, colon: -1, weight: 1.1 });
+            return;
+        }
+        result.weights.push({ start, end, colon, weight });
+    }
+
+    /** Parses a plain number, or returns null if the text isn't one. */
+    parseNumber(text) {
+        text = text.trim();
+        if (text == '' || !/^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(text)) {
+            return null;
+        }
+        return parseFloat(text);
+    }
+
+    /** Returns true if the text is a number or a number range like '1-5' (as used by random counts and repeat). */
+    isNumberOrRange(text) {
+        if (this.parseNumber(text) != null) {
+            return true;
+        }
+        let dash = text.indexOf('-', 1);
+        return dash != -1 && this.parseNumber(text.substring(0, dash)) != null && this.parseNumber(text.substring(dash + 1)) != null;
+    }
+
+    /** Splits the options of a tag like '<random:...>', by '||', '|', or ',' (whichever is used outside of sub-tags), the same way the server's SplitSmart does. */
+    splitSmart(text) {
+        let separator = ',';
+        let depth = 0;
+        for (let i = 0; i < text.length; i++) {
+            if (text[i] == '<') {
+                depth++;
+            }
+            else if (text[i] == '>') {
+                depth--;
+            }
+            else if (depth == 0 && text[i] == '|') {
+                if (i > 0 && text[i - 1] == '|') {
+                    separator = '||';
+                    break;
+                }
+                separator = '|';
+            }
+        }
+        let output = [];
+        depth = 0;
+        let start = 0;
+        for (let i = 0; i < text.length; i++) {
+            if (text[i] == '<') {
+                depth++;
+            }
+            else if (text[i] == '>') {
+                depth--;
+            }
+            else if (depth == 0 && text.startsWith(separator, i)) {
+                output.push(text.substring(start, i));
+                start = i + separator.length;
+                i += separator.length - 1;
+            }
+        }
+        output.push(text.substring(start));
+        return output.map(v => v.trim());
+    }
+}
+
+/** Checks prompt text for mistakes, producing the diagnostics that the prompt box overlay underlines. */
+class PromptLinter {
+    constructor() {
+        this.parser = new PromptSyntaxParser();
+    }
+
+    /** Returns true if the user has prompt syntax checking enabled. */
+    isEnabled() {
+        return getUserSetting('promptsyntaxcheck', true);
+    }
+
+    /** Returns the list entry that best matches the name (exact first, then the shortest entry containing it), the same way the server's GetBestInList does, or null if none match. */
+    getBestMatch(list, name, isModel = false) {
+        let clean = (s) => {
+            if (isModel && s.endsWith('.safetensors')) {
+                s = s.substring(0, s.length - '.safetensors'.length);
+            }
+            return s.toLowerCase().replaceAll(' ', '').replaceAll('[', '').replaceAll(']', '').trim();
+        };
+        name = clean(name);
+        let backup = null, bestLen = 999;
+        for (let val of list) {
+            let valClean = clean(val);
+            if (valClean == name) {
+                return val;
+            }
+            if (valClean.includes(name) && valClean.length < bestLen) {
+                backup = val;
+                bestLen = valClean.length;
+            }
+        }
+        return backup;
+    }
+
+    /** Returns true if the name matches any entry in the list, with the same loose matching the server uses. */
+    listHasMatch(list, name, isModel = false) {
+        return this.getBestMatch(list, name, isModel) != null;
+    }
+
+    /** Returns a list of diagnostics ({start, end, severity, message}) for the given prompt text. Optionally takes an already parsed copy of the text. */
+    lint(text, parsed = null) {
+        parsed ??= this.parser.parse(text);
+        let diagnostics = parsed.diagnostics;
+        let known = this.parser.getKnownPrefixes();
+        let varsSet = [];
+        let add = (tag, severity, message, fromData = false) => {
+            diagnostics.push({ start: fromData ? tag.dataStart : tag.start, end: fromData ? tag.end - 1 : tag.end, severity, message });
+        };
+        for (let tag of parsed.tags) {
+            if (tag.prefix == 'setvar' && tag.preData) {
+                varsSet.push({ name: tag.preData, start: tag.start });
+            }
+        }
+        for (let tag of parsed.tags) {
+            let data = tag.data.trim();
+            let hasSubTags = data.includes('<');
+            if (!known.has(tag.prefix)) {
+                add(tag, 'warning', `Unknown tag '<${tag.prefix}>', it will be left in the prompt as plain text.\nType '<' in the prompt box to see a list of valid tags.`);
+                continue;
+            }
+            let countCheck = () => {
+                if (tag.preData != null && !this.parser.isNumberOrRange(tag.preData.endsWith(',') ? tag.preData.substring(0, tag.preData.length - 1) : tag.preData)) {
+                    add(tag, 'error', `'[${tag.preData}]' is not a valid count, it should be a number like '[2]' or range like '[1-3]'.`);
+                    return false;
+                }
+                return true;
+            };
+            switch (tag.prefix) {
+                case 'random':
+                case 'alternate':
+                case 'alt':
+                    if (!countCheck()) {
+                        break;
+                    }
+                    if (data == '') {
+                        add(tag, 'warning', `The '${tag.prefix}' tag has no options to choose from and will be ignored.\nUse like '<${tag.prefix}:cat,dog>'.`);
+                    }
+                    break;
+                case 'fromto':
+                    if (tag.preData == null || this.parser.parseNumber(tag.preData) == null) {
+                        add(tag, 'error', `The 'fromto' tag needs a step or fraction in brackets, like '<fromto[0.5]:cat,dog>'.`);
+                    }
+                    break;
+                case 'repeat':
+                    if (tag.preData == null) {
+                        let count = data.split(',')[0];
+                        if (!hasSubTags && !this.parser.isNumberOrRange(count)) {
+                            add(tag, 'error', `The 'repeat' tag needs a count, like '<repeat[3]:very>' or '<repeat:3,very>'.`);
+                        }
+                        break;
+                    }
+                    countCheck();
+                    break;
+                case 'wildcard':
+                case 'wc':
+                    if (!countCheck() || hasSubTags || !wildcardHelpers.listLoaded) {
+                        break;
+                    }
+                    let card = data.split(',')[0].trim();
+                    if (card == '') {
+                        add(tag, 'error', `The wildcard tag needs a wildcard name, like '<wildcard:animals>'.`);
+                    }
+                    else {
+                        let found = wildcardHelpers.findWildcard(card);
+                        if (found.isComplete && found.card == null) {
+                            add(tag, 'error', `Wildcard '${card}' does not exist, this tag will be ignored.`, true);
+                        }
+                    }
+                    break;
+                case 'preset':
+                case 'p':
+                    if (!hasSubTags && !this.listHasMatch(allPresets.map(p => p.title), data)) {
+                        add(tag, 'error', `Preset '${data}' does not exist, this tag will be ignored.`, true);
+                    }
+                    break;
+                case 'embed':
+                case 'embedding':
+                    if (!hasSubTags && coreModelMap['Embedding'] && !this.listHasMatch(coreModelMap['Embedding'], data, true)) {
+                        add(tag, 'error', `Embedding '${data}' does not exist.`, true);
+                    }
+                    break;
+                case 'lora':
+                    if (hasSubTags) {
+                        break;
+                    }
+                    let parts = data.split(':');
+                    if (parts.length > 3) {
+                        add(tag, 'error', `Too many ':' in the LoRA tag, expected '<lora:name>', '<lora:name:weight>', or '<lora:name:weight:text_encoder_weight>'.`, true);
+                        break;
+                    }
+                    let badWeight = parts.slice(1).find(w => this.parser.parseNumber(w) == null);
+                    if (badWeight != null) {
+                        add(tag, 'error', `LoRA weight '${badWeight}' is not a number.`, true);
+                        break;
+                    }
+                    let loraName = parts[0].replaceAll('\\', '/');
+                    if (coreModelMap['LoRA'] && !this.listHasMatch(coreModelMap['LoRA'], loraName, true)) {
+                        add(tag, 'error', `LoRA '${loraName}' does not exist, this tag will be ignored.`, true);
+                    }
+                    break;
+                case 'region':
+                case 'object':
+                    if (hasSubTags || (tag.prefix == 'region' && (data == 'background' || data == 'end'))) {
+                        break;
+                    }
+                    let coords = data.split(',');
+                    let example = tag.prefix == 'region' ? `'<region:0.25,0.25,0.5,0.5>', or '<region:background>'` : `'<object:0.25,0.25,0.5,0.5>'`;
+                    if (coords.length < 4 || coords.length > 6) {
+                        add(tag, 'error', `The '${tag.prefix}' tag needs 4 to 6 comma-separated numbers (x,y,width,height, then optional strengths), but got ${coords.length}.\nUse like ${example}. This tag will be left as plain text.`, true);
+                        break;
+                    }
+                    let values = coords.map(c => this.parser.parseNumber(c));
+                    if (values.some(v => v == null)) {
+                        add(tag, 'error', `The '${tag.prefix}' tag coordinates must all be numbers.\nUse like ${example}. This tag will be left as plain text.`, true);
+                    }
+                    else if (values.slice(0, 4).some(v => v < 0 || v > 1)) {
+                        add(tag, 'warning', `Region coordinates are fractions of the image size and should be between 0 and 1, values outside that will be clamped.`, true);
+                    }
+                    break;
+                case 'segment':
+                case 'clear':
+                    if (data == '') {
+                        add(tag, 'error', `The '${tag.prefix}' tag needs some text to match against in the image, like '<${tag.prefix}:face>'.`);
+                    }
+                    break;
+                case 'extend':
+                    if (!hasSubTags && !/^\d+$/.test(data)) {
+                        add(tag, 'error', `The 'extend' tag needs a frame count, like '<extend:81>'.`);
+                    }
+                    break;
+                case 'setvar':
+                    if (!tag.preData || tag.preData.trim() == '') {
+                        add(tag, 'error', `The 'setvar' tag needs a variable name in brackets, like '<setvar[color]:red>'.`);
+                    }
+                    break;
+                case 'var':
+                    if (hasSubTags) {
+                        break;
+                    }
+                    if (!varsSet.some(v => v.name == tag.data && v.start < tag.start)) {
+                        let later = varsSet.some(v => v.name == tag.data);
+                        add(tag, 'warning', later ? `Variable '${tag.data}' is used before it is set, it must be set earlier in the prompt with '<setvar[${tag.data}]:...>'.` : `Variable '${tag.data}' is never set in this prompt, set it first with '<setvar[${tag.data}]:...>'.`, true);
+                    }
+                    break;
+            }
+        }
+        return diagnostics;
+    }
+}
+
+let promptLinter = new PromptLinter();
+
+/** Mapping of prompt tag prefixes to their syntax highlighting category. Unlisted (eg extension-registered) tags use 'other'. */
+let promptSyntaxTagCategories = {
+    random: 'random', alternate: 'random', alt: 'random', fromto: 'random', wildcard: 'random', wc: 'random', repeat: 'random',
+    lora: 'model', embed: 'model', embedding: 'model', preset: 'model', p: 'model',
+    region: 'region', object: 'region', segment: 'region', clear: 'region', extend: 'region', refiner: 'region', break: 'region',
+    setvar: 'var', var: 'var', trigger: 'var',
+    comment: 'comment'
+};
+
+/** Draws syntax highlighting and lint underlines over prompt textareas. The overlay is purely visual, it never edits the textarea, so native undo, autocomplete and token counting are unaffected. */
+class PromptSyntaxOverlay {
+    constructor() {
+        this.boxes = [];
+    }
+
+    /** Returns true if the user has prompt syntax highlighting enabled. */
+    isHighlightEnabled() {
+        return getUserSetting('promptsyntaxhighlight', true);
+    }
+
+    /** Enables the overlay for the given prompt textarea. */
+    enableFor(box) {
+        let overlay = createDiv(null, 'prompt-syntax-overlay');
+        box.parentElement.insertBefore(overlay, box);
+        let entry = { box, overlay, parsed: null, diagnostics: [], bracket: null, baseTitle: null };
+        this.boxes.push(entry);
+        box.addEventListener('input', () => this.update(entry));
+        box.addEventListener('change', () => this.update(entry));
+        box.addEventListener('scroll', () => {
+            overlay.scrollTop = box.scrollTop;
+            overlay.scrollLeft = box.scrollLeft;
+        });
+        for (let evt of ['keyup', 'click', 'focus']) {
+            box.addEventListener(evt, () => this.updateBracketMatch(entry));
+        }
+        box.addEventListener('blur', () => {
+            if (entry.bracket) {
+                entry.bracket = null;
+                this.render(entry);
+            }
+        });
+        box.addEventListener('mousemove', e => this.onMouseMove(entry, e));
+        box.addEventListener('mouseleave', () => this.restoreTitle(entry));
+        new ResizeObserver(() => this.syncLayout(entry)).observe(box);
+        this.update(entry);
+    }
+
+    /** Re-checks all enabled prompt boxes, eg after the model or wildcard lists change. */
+    refreshAll() {
+        for (let entry of this.boxes) {
+            this.update(entry);
+        }
+    }
+
+    /** Copies the textarea's size and text layout onto the overlay, so the overlay lines up with the text. */
+    syncLayout(entry) {
+        let box = entry.box, overlay = entry.overlay;
+        if (!box.offsetParent) {
+            overlay.style.display = 'none';
+            return;
+        }
+        overlay.style.display = '';
+        let style = window.getComputedStyle(box);
+        for (let prop of ['fontFamily', 'fontSize', 'fontWeight', 'fontStyle', 'lineHeight', 'letterSpacing', 'wordSpacing', 'textIndent', 'textTransform', 'tabSize', 'paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft', 'borderTopWidth', 'borderRightWidth', 'borderBottomWidth', 'borderLeftWidth']) {
+            overlay.style[prop] = style[prop];
+        }
+        let borderX = parseFloat(style.borderLeftWidth) + parseFloat(style.borderRightWidth);
+        overlay.style.left = `${box.offsetLeft}px`;
+        overlay.style.top = `${box.offsetTop}px`;
+        overlay.style.width = `${box.clientWidth + borderX}px`;
+        overlay.style.height = `${box.offsetHeight}px`;
+        overlay.scrollTop = box.scrollTop;
+        overlay.scrollLeft = box.scrollLeft;
+    }
+
+    /** Re-parses the box's text and redraws the overlay. */
+    update(entry) {
+        let text = entry.box.value;
+        entry.parsed = promptLinter.parser.parse(text);
+        entry.diagnostics = promptLinter.isEnabled() ? promptLinter.lint(text, entry.parsed) : [];
+        entry.box.classList.toggle('prompt-lint-has-errors', entry.diagnostics.some(d => d.severity == 'error'));
+        this.findBracketMatch(entry);
+        this.render(entry);
+    }
+
+    /** Updates which bracket pair is highlighted, based on the text cursor position. */
+    updateBracketMatch(entry) {
+        let prior = entry.bracket;
+        this.findBracketMatch(entry);
+        if (prior != entry.bracket) {
+            this.render(entry);
+        }
+    }
+
+    /** Finds the bracket pair (if any) touching the text cursor, preferring the character just before the cursor. */
+    findBracketMatch(entry) {
+        entry.bracket = null;
+        let box = entry.box;
+        if (document.activeElement != box || box.selectionStart != box.selectionEnd || !entry.parsed) {
+            return;
+        }
+        for (let pos of [box.selectionStart - 1, box.selectionStart]) {
+            let pair = entry.parsed.pairs.find(p => p.open == pos || p.close == pos);
+            if (pair) {
+                entry.bracket = pair;
+                return;
+            }
+        }
+    }
+
+    /** Returns the list of styled ranges ({start, end, classes, attrs}) to draw for the box. */
+    getRanges(entry) {
+        let ranges = [];
+        if (this.isHighlightEnabled()) {
+            for (let tag of entry.parsed.tags) {
+                let category = promptSyntaxTagCategories[tag.prefix] || 'other';
+                ranges.push({ start: tag.start, end: tag.end, classes: `prompt-syntax-tag prompt-syntax-tag-${category}` });
+                if (category != 'comment') {
+                    ranges.push({ start: tag.start, end: tag.dataStart, classes: 'prompt-syntax-tag-prefix' });
+                }
+            }
+            for (let weight of entry.parsed.weights) {
+                if (weight.weight == 1) {
+                    continue;
+                }
+                let strength = Math.min(1, Math.abs(weight.weight - 1) * 2);
+                ranges.push({ start: weight.start, end: weight.end, classes: weight.weight > 1 ? 'prompt-syntax-weight-up' : 'prompt-syntax-weight-down', attrs: ` style="--prompt-weight-strength: ${strength.toFixed(2)}"` });
+            }
+            if (entry.bracket) {
+                for (let pos of [entry.bracket.open, entry.bracket.close]) {
+                    ranges.push({ start: pos, end: pos + 1, classes: 'prompt-syntax-bracket-match' });
+                }
+            }
+        }
+        return ranges;
+    }
+
+    /** Redraws the overlay content. */
+    render(entry) {
+        let text = entry.box.value;
+        let ranges = this.getRanges(entry);
+        let severityRank = { error: 2, warning: 1 };
+        let bestDiag = (start, end) => {
+            let best = -1;
+            for (let i = 0; i < entry.diagnostics.length; i++) {
+                let diag = entry.diagnostics[i], prior = entry.diagnostics[best];
+                if (diag.start <= start && diag.end >= end && (!prior || severityRank[diag.severity] > severityRank[prior.severity] || (prior.severity == diag.severity && diag.end - diag.start < prior.end - prior.start))) {
+                    best = i;
+                }
+            }
+            return best;
+        };
+        let bounds = new Set([0, text.length]);
+        for (let item of ranges.concat(entry.diagnostics)) {
+            bounds.add(Math.min(item.start, text.length));
+            bounds.add(Math.min(item.end, text.length));
+        }
+        bounds = [...bounds].sort((a, b) => a - b);
+        let html = '';
+        for (let i = 0; i + 1 < bounds.length; i++) {
+            let start = bounds[i], end = bounds[i + 1];
+            let chunk = escapeHtmlNoBr(text.substring(start, end));
+            let diag = bestDiag(start, end);
+            if (diag != -1) {
+                chunk = `<span class="prompt-lint-${entry.diagnostics[diag].severity}" data-diag="${diag}">${chunk}</span>`;
+            }
+            let covering = ranges.filter(r => r.start <= start && r.end >= end).sort((a, b) => a.start - b.start || b.end - a.end);
+            for (let r = covering.length - 1; r >= 0; r--) {
+                chunk = `<span class="${covering[r].classes}"${covering[r].attrs || ''}>${chunk}</span>`;
+            }
+            html += chunk;
+        }
+        entry.overlay.innerHTML = html + '\u200b';
+        this.syncLayout(entry);
+    }
+
+    /** Shows the explanation for whichever underlined span is under the mouse as the box's hover title. */
+    onMouseMove(entry, e) {
+        let messages = [];
+        for (let span of entry.overlay.querySelectorAll('[data-diag]')) {
+            let diag = entry.diagnostics[parseInt(span.dataset.diag)];
+            let message = `${diag.severity == 'error' ? 'Error' : 'Warning'}: ${diag.message}`;
+            if (messages.includes(message)) {
+                continue;
+            }
+            for (let rect of span.getClientRects()) {
+                if (e.clientX >= rect.left && e.clientX <= rect.right && e.clientY >= rect.top && e.clientY <= rect.bottom) {
+                    messages.push(message);
+                    break;
+                }
+            }
+        }
+        if (messages.length == 0) {
+            this.restoreTitle(entry);
+            return;
+        }
+        if (entry.baseTitle == null) {
+            entry.baseTitle = entry.box.title;
+        }
+        entry.box.title = messages.join('\n');
+    }
+
+    /** Puts back the box's normal hover title after a diagnostic explanation was shown. */
+    restoreTitle(entry) {
+        if (entry.baseTitle != null) {
+            entry.box.title = entry.baseTitle;
+            entry.baseTitle = null;
+        }
+    }
+}
+
+let promptSyntaxOverlay = new PromptSyntaxOverlay();
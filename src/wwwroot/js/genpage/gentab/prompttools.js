@@ -1,4 +1,256 @@
 
+/** Learns how often and how recently the user uses tags, LoRAs, wildcards, etc. so that autocompletions can list their favorites first. Synced to the server as per-user data. */
+class PromptUsageTracker {
+    constructor() {
+        /** Map of key (eg 'tag:red_hair' or 'lora:my_lora') to {s: score, t: last use time (ms), n: original text}. */
+        this.usage = {};
+        this.maxEntries = 2000;
+        this.minScore = 0.05;
+        /** Phrases that aren't in the autocompletion source list are only suggested once they've been used this much. */
+        this.minLearnedScore = 1.5;
+        this.prefixAliases = { 'wc': 'wildcard', 'p': 'preset', 'embedding': 'embed' };
+        this.trackedPrefixes = ['lora', 'wildcard', 'embed', 'preset'];
+        this.saveTimer = null;
+    }
+
+    /** Returns true if the user has usage learning enabled. */
+    isEnabled() {
+        return getUserSetting('autocomplete.learnfromusage', false);
+    }
+
+    /** Loads server-side usage data, merging with any local data by whichever entry is newer. */
+    load(data) {
+        for (let key of Object.keys(data || {})) {
+            let entry = data[key];
+            if (!entry || typeof entry.s != 'number' || typeof entry.t != 'number') {
+                continue;
+            }
+            let existing = this.usage[key];
+            if (!existing || existing.t < entry.t) {
+                this.usage[key] = { s: entry.s, t: entry.t, n: entry.n || '' };
+            }
+        }
+    }
+
+    /** Returns the usage key for a prompt syntax prefix and value, or null if that prefix isn't tracked. */
+    getPrefixKey(prefix, value) {
+        prefix = prefix.toLowerCase();
+        let bracket = prefix.indexOf('[');
+        if (bracket != -1) {
+            prefix = prefix.substring(0, bracket);
+        }
+        prefix = this.prefixAliases[prefix] || prefix;
+        if (!this.trackedPrefixes.includes(prefix)) {
+            return null;
+        }
+        value = value.trim().toLowerCase();
+        if (!value) {
+            return null;
+        }
+        return `${prefix}:${value}`;
+    }
+
+    /** Returns the usage key for a plain tag or phrase. */
+    getTagKey(low) {
+        return `tag:${low.trim().replaceAll(' ', '_').toLowerCase()}`;
+    }
+
+    /** Returns the usage key for a word completion entry, or null if it isn't tracked. */
+    getEntryKey(entry) {
+        if ('usageKey' in entry) {
+            return entry.usageKey;
+        }
+        return this.getTagKey(entry.low);
+    }
+
+    /** Returns the current score of a key, after recency decay. */
+    getScore(key, now = Date.now()) {
+        let entry = this.usage[key];
+        if (!entry) {
+            return 0;
+        }
+        let halfLife = parseFloat(getUserSetting('autocomplete.usagehalflifedays', 14)) || 14;
+        return entry.s * Math.pow(0.5, Math.max(0, now - entry.t) / (halfLife * 24 * 60 * 60 * 1000));
+    }
+
+    /** Marks a key as used once more. */
+    bump(key, text, now = Date.now()) {
+        let score = this.getScore(key, now);
+        this.usage[key] = { s: score + 1, t: now, n: text || (this.usage[key] ? this.usage[key].n : '') };
+    }
+
+    /** Records that the user accepted an autocompletion entry (as returned by 'getPossibleList'). */
+    recordCompletion(val) {
+        if (!this.isEnabled()) {
+            return;
+        }
+        if (typeof val == 'object') {
+            let key = this.getEntryKey(val);
+            if (val.raw && key) {
+                this.bump(key, val.clean || val.name);
+                this.scheduleSave();
+            }
+            return;
+        }
+        let match = /^<([^:<>]+):([^<>]*)>$/.exec(val);
+        if (!match) {
+            return;
+        }
+        let key = this.getPrefixKey(match[1], match[2]);
+        if (key) {
+            this.bump(key, match[2]);
+            this.scheduleSave();
+        }
+    }
+
+    /** Records all the tags, LoRAs, wildcards, etc. used in a submitted generation input. Each one counts once per call. */
+    recordInput(input) {
+        if (!this.isEnabled()) {
+            return;
+        }
+        let keys = {};
+        let prompt = `${input.prompt || ''}`;
+        for (let match of prompt.matchAll(/<([^:<>]+):([^<>]*)>/g)) {
+            let value = match[2];
+            let colon = value.indexOf(':');
+            if (colon != -1) {
+                value = value.substring(0, colon);
+            }
+            let key = this.getPrefixKey(match[1], value);
+            if (key) {
+                keys[key] = value.trim();
+            }
+        }
+        if (input.loras) {
+            for (let lora of `${input.loras}`.split(',')) {
+                let key = this.getPrefixKey('lora', lora);
+                if (key) {
+                    keys[key] = lora.trim();
+                }
+            }
+        }
+        let plain = prompt;
+        let prior = null;
+        while (prior != plain) {
+            prior = plain;
+            plain = plain.replaceAll(/<[^<>]*>/g, ',');
+        }
+        for (let part of plain.split(/[,\n]/)) {
+            part = part.replaceAll('\\(', '\x01').replaceAll('\\)', '\x02').replaceAll(/[()\[\]]/g, '').replaceAll(/:\s*-?[\d.]+\s*$/g, '').trim();
+            let text = part.replaceAll('\x01', '\\(').replaceAll('\x02', '\\)');
+            part = part.replaceAll('\x01', '(').replaceAll('\x02', ')');
+            if (part.length < 2 || part.length > 80) {
+                continue;
+            }
+            keys[this.getTagKey(part)] = text;
+        }
+        let now = Date.now();
+        for (let key of Object.keys(keys)) {
+            this.bump(key, keys[key], now);
+        }
+        if (Object.keys(keys).length > 0) {
+            this.scheduleSave();
+        }
+    }
+
+    /** Reorders a list of word completions so the user's most used entries come first, and adds phrases the user uses often that the source list doesn't have. Entries the user hasn't used keep their original order. */
+    rankCompletions(list, wordLow) {
+        if (!this.isEnabled()) {
+            return list;
+        }
+        let now = Date.now();
+        let scored = [];
+        let unscored = [];
+        let known = new Set();
+        for (let entry of list) {
+            let key = this.getEntryKey(entry);
+            known.add(key);
+            let score = key ? this.getScore(key, now) : 0;
+            if (score > 0) {
+                scored.push([entry, score]);
+            }
+            else {
+                unscored.push(entry);
+            }
+        }
+        let matchMode = getUserSetting('autocomplete.matchmode', 'Bucketed');
+        let suffix = getUserSetting('autocomplete.suffix', '');
+        for (let key of Object.keys(this.usage)) {
+            if (!key.startsWith('tag:') || known.has(key)) {
+                continue;
+            }
+            let low = key.substring('tag:'.length);
+            let isMatch = matchMode == 'Fuzzy' ? fuzzyMatch(low, wordLow) : (matchMode == 'StartsWith' ? low.startsWith(wordLow) : low.includes(wordLow));
+            if (!isMatch) {
+                continue;
+            }
+            let score = this.getScore(key, now);
+            if (score < this.minLearnedScore) {
+                continue;
+            }
+            let text = this.usage[key].n || low;
+            scored.push([{ name: text + suffix, low: low, clean: text, raw: text, count: 0, alts: [], count_display: translate('(learned)') }, score]);
+        }
+        scored.sort((a, b) => b[1] - a[1]);
+        return scored.map(p => p[0]).concat(unscored);
+    }
+
+    /** Reorders a list of prompt syntax completions (eg LoRA names) for the given prefix so the user's most used entries come first. */
+    rankPrefixCompletions(prefix, list) {
+        if (!this.isEnabled() || !this.getPrefixKey(prefix, 'x')) {
+            return list;
+        }
+        let now = Date.now();
+        let scores = new Map();
+        for (let val of list) {
+            if (!val.startsWith('\n') && !val.startsWith('\t')) {
+                scores.set(val, this.getScore(this.getPrefixKey(prefix, val) || '', now));
+            }
+        }
+        return list.slice().sort((a, b) => (scores.get(b) || 0) - (scores.get(a) || 0));
+    }
+
+    /** Drops entries that have decayed away, and keeps only the highest scoring entries if there are too many. */
+    prune() {
+        let now = Date.now();
+        let scored = Object.keys(this.usage).map(key => [key, this.getScore(key, now)]).filter(p => p[1] >= this.minScore);
+        scored.sort((a, b) => b[1] - a[1]);
+        let result = {};
+        for (let [key, score] of scored.slice(0, this.maxEntries)) {
+            result[key] = this.usage[key];
+        }
+        this.usage = result;
+    }
+
+    /** Saves the usage data to the server after a short delay, so that bursts of changes only send once. */
+    scheduleSave() {
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
+        }
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.save();
+        }, 5000);
+    }
+
+    /** Immediately saves the usage data to the server. The server merges it with what other devices have saved and sends back the result, which is merged in here too. */
+    save() {
+        if (!permissions.hasPermission('edit_user_settings')) {
+            return;
+        }
+        this.prune();
+        genericRequest('SetAutoCompleteUsage', { usage: this.usage }, data => {
+            this.load(data.usage);
+            this.prune();
+        }, 0, e => {
+            console.log(`Failed to save autocomplete usage data: ${e}`);
+        });
+    }
+}
+
+/** Global instance of the autocompletion usage tracker. */
+let promptUsageTracker = new PromptUsageTracker();
+
 /** Handler for tab-completes in prompt boxes. */
 class PromptTabCompleteClass {
     constructor() {
@@ -20,7 +272,24 @@ class PromptTabCompleteClass {
             let prefixLow = prefix.toLowerCase();
             let colonInd = prefixLow.indexOf(':');
             if (colonInd == -1) {
-                return this.getOrderedMatches(wildcardHelpers.allWildcards, prefixLow);
+                let matches = this.getOrderedMatches(wildcardHelpers.allWildcards, prefixLow);
+                let slash = prefixLow.lastIndexOf('/');
+                let file = slash == -1 ? null : wildcardHelpers.allWildcards.find(w => w.toLowerCase() == prefixLow.substring(0, slash));
+                if (file) {
+                    let dataHolder = wildcardHelpers.getWildcardDataFor(file);
+                    if (!dataHolder.isComplete) {
+                        return ['\n<AUTO-RETRY>'];
+                    }
+                    let sections = new Set();
+                    for (let entry of dataHolder.entries || []) {
+                        let parts = entry.section == null ? [] : entry.section.split('/');
+                        for (let i = 1; i <= parts.length; i++) {
+                            sections.add(`${file}/${parts.slice(0, i).join('/')}`);
+                        }
+                    }
+                    matches = this.getOrderedMatches([...sections], prefixLow).concat(matches);
+                }
+                return matches;
             }
             let wcName = prefixLow.substring(0, colonInd);
             if (!(wcName in wildcardHelpers.wildcardNameCheck)) {
@@ -115,9 +384,76 @@ class PromptTabCompleteClass {
         });
         this.lastWord = null;
         this.lastResults = null;
+        this.lastHighlights = new Map();
+        this.triggerPhrases = null;
+        this.triggerPhrasesLoading = false;
         this.blockInput = false;
     }
 
+    /** Returns LoRA trigger phrases as a list of [LoRA name, phrase] pairs. Loads them from the server in the background the first time, so may be empty until the load completes. */
+    getTriggerPhrases() {
+        if (this.triggerPhrases == null && !this.triggerPhrasesLoading) {
+            this.triggerPhrasesLoading = true;
+            genericRequest('ListModels', { path: '', depth: 20, subtype: 'LoRA' }, data => {
+                let phrases = [];
+                for (let file of data.files) {
+                    for (let phrase of (file.trigger_phrase || '').split(',')) {
+                        phrase = phrase.trim();
+                        if (phrase) {
+                            phrases.push([cleanModelName(file.name), phrase]);
+                        }
+                    }
+                }
+                this.triggerPhrases = phrases;
+                this.triggerPhrasesLoading = false;
+            }, 0, e => {
+                console.log(`Failed to load LoRA trigger phrases for autocompletion: ${e}`);
+                this.triggerPhrases = [];
+                this.triggerPhrasesLoading = false;
+            });
+        }
+        return this.triggerPhrases || [];
+    }
+
+    /** Returns completion entries from sources other than the word list (model names, LoRAs and their trigger phrases, wildcards, and presets), if enabled by the user. Each has a 'source' to show as a badge. */
+    getSourceCompletions() {
+        if (!getUserSetting('autocomplete.includeothersources', false)) {
+            return [];
+        }
+        let result = [];
+        let add = (source, display, apply, usageKey, desc = '', onApply = null) => {
+            result.push({ name: display, apply: apply, low: display.replaceAll(' ', '_').toLowerCase(), clean: display, raw: display, count: 0, alts: [], source: source, desc: desc, usageKey: usageKey, onApply: onApply });
+        };
+        for (let model of coreModelMap['Stable-Diffusion'] || []) {
+            let clean = cleanModelName(model);
+            add('Model', clean, '', null, translate('switch to this model'), () => forceSetDropdownValue('current_model', clean));
+        }
+        for (let lora of coreModelMap['LoRA'] || []) {
+            let clean = cleanModelName(lora);
+            add('LoRA', clean, `<lora:${clean}>`, promptUsageTracker.getPrefixKey('lora', clean));
+        }
+        for (let [lora, phrase] of this.getTriggerPhrases()) {
+            add('Trigger', phrase, phrase, promptUsageTracker.getTagKey(phrase), lora);
+        }
+        for (let card of wildcardHelpers.allWildcards) {
+            add('Wildcard', card, `<wildcard:${card}>`, promptUsageTracker.getPrefixKey('wildcard', card));
+        }
+        for (let preset of allPresets) {
+            add('Preset', preset.title, `<preset:${preset.title}>`, promptUsageTracker.getPrefixKey('preset', preset.title));
+        }
+        return result;
+    }
+
+    /** Returns HTML for the given text with the characters at the given indices highlighted. */
+    highlightMatch(text, indices) {
+        let indexSet = new Set(indices);
+        let html = '';
+        for (let i = 0; i < text.length; i++) {
+            html += indexSet.has(i) ? `<span class="autocomplete-match">${escapeHtml(text[i])}</span>` : escapeHtml(text[i]);
+        }
+        return html;
+    }
+
     getOrderedMatches(set, prefixLow) {
         let matched = set.filter(m => m.toLowerCase().includes(prefixLow));
         let prefixed = matched.filter(m => m.toLowerCase().startsWith(prefixLow));
@@ -158,67 +494,97 @@ class PromptTabCompleteClass {
         let prompt = this.getPromptBeforeCursor(box);
         let word = prompt.substring(this.findLastWordIndex(prompt));
         let baseList = [];
-        if (word.length > 1 && autoCompletionsList) {
-            let completionSet;
-            if (this.lastWord && word.startsWith(this.lastWord)) {
+        this.lastHighlights = new Map();
+        if (word.length > 1) {
+            let matchMode = getUserSetting('autocomplete.matchmode');
+            let isFuzzy = matchMode == 'Fuzzy';
+            let completionSet = null;
+            if (this.lastWord && word.startsWith(this.lastWord) && !isFuzzy) {
                 completionSet = this.lastResults;
             }
-            else {
-                completionSet = autoCompletionsOptimize ? autoCompletionsList[word[0]] : autoCompletionsList['all'];
+            else if (autoCompletionsList) {
+                completionSet = autoCompletionsOptimize && !isFuzzy ? autoCompletionsList[word[0]] : autoCompletionsList['all'];
             }
             let wordLow = word.toLowerCase();
             let rawMatchSet = [];
-            if (completionSet) {
-                let startWithList = [];
-                let startWithAltList = [];
-                let containList = [];
-                for (let i = 0; i < completionSet.length; i++) {
-                    let entry = completionSet[i];
-                    if (entry.low.includes(wordLow) || entry.alts.some(alt => alt.includes(wordLow))) {
-                        if (entry.low.startsWith(wordLow)) {
-                            startWithList.push(entry);
+            let startWithList = [];
+            let startWithAltList = [];
+            let containList = [];
+            let fuzzyScores = new Map();
+            let checkEntry = (entry) => {
+                if (isFuzzy) {
+                    let match = fuzzyMatch(entry.low, wordLow);
+                    for (let alt of entry.alts) {
+                        let altMatch = fuzzyMatch(alt, wordLow);
+                        if (altMatch && (!match || altMatch.score - 1 > match.score)) {
+                            match = { score: altMatch.score - 1, indices: [] };
                         }
-                        else if (entry.alts.some(alt => alt.startsWith(wordLow))) {
-                            startWithAltList.push(entry);
-                        }
-                        else {
-                            containList.push(entry);
-                        }
-                        rawMatchSet.push(entry);
                     }
+                    if (!match) {
+                        return false;
+                    }
+                    fuzzyScores.set(entry, match.score);
+                    this.lastHighlights.set(entry, match.indices);
+                    return true;
                 }
-                let sortMode = getUserSetting('autocomplete.sortmode');
-                let doSortList = (list) => {
-                    if (sortMode == 'Active') {
-                        list.sort((a, b) => a.low.length - b.low.length || a.low.localeCompare(b.low));
+                if (entry.low.includes(wordLow) || entry.alts.some(alt => alt.includes(wordLow))) {
+                    if (entry.low.startsWith(wordLow)) {
+                        startWithList.push(entry);
                     }
-                    else if (sortMode == 'Alphabetical') {
-                        list.sort((a, b) => a.low.localeCompare(b.low));
+                    else if (entry.alts.some(alt => alt.startsWith(wordLow))) {
+                        startWithAltList.push(entry);
                     }
-                    else if (sortMode == 'Frequency') {
-                        list.sort((a, b) => b.count - a.count);
+                    else {
+                        containList.push(entry);
                     }
-                    // else 'None'
+                    return true;
                 }
-                let matchMode = getUserSetting('autocomplete.matchmode');
-                if (matchMode == 'Bucketed') {
-                    doSortList(startWithList);
-                    doSortList(startWithAltList);
-                    doSortList(containList);
-                    baseList = startWithList.concat(startWithAltList).concat(containList);
+                return false;
+            };
+            if (completionSet) {
+                for (let i = 0; i < completionSet.length; i++) {
+                    if (checkEntry(completionSet[i])) {
+                        rawMatchSet.push(completionSet[i]);
+                    }
                 }
-                else if (matchMode == 'Contains') {
-                    doSortList(rawMatchSet);
-                    baseList = rawMatchSet;
+            }
+            let sourceMatches = this.getSourceCompletions().filter(checkEntry);
+            let sortMode = getUserSetting('autocomplete.sortmode');
+            let doSortList = (list) => {
+                if (sortMode == 'Active') {
+                    list.sort((a, b) => a.low.length - b.low.length || a.low.localeCompare(b.low));
                 }
-                else if (matchMode == 'StartsWith') {
-                    doSortList(startWithList);
-                    doSortList(startWithAltList);
-                    baseList = startWithList.concat(startWithAltList);
+                else if (sortMode == 'Alphabetical') {
+                    list.sort((a, b) => a.low.localeCompare(b.low));
                 }
-                if (baseList.length > 50) {
-                    baseList = baseList.slice(0, 50);
+                else if (sortMode == 'Frequency') {
+                    list.sort((a, b) => b.count - a.count);
                 }
+                // else 'None'
+            }
+            if (matchMode == 'Bucketed') {
+                doSortList(startWithList);
+                doSortList(startWithAltList);
+                doSortList(containList);
+                baseList = startWithList.concat(startWithAltList).concat(containList);
+            }
+            else if (matchMode == 'Contains') {
+                baseList = rawMatchSet.concat(sourceMatches);
+                doSortList(baseList);
+            }
+            else if (matchMode == 'StartsWith') {
+                doSortList(startWithList);
+                doSortList(startWithAltList);
+                baseList = startWithList.concat(startWithAltList);
+            }
+            else if (isFuzzy) {
+                baseList = rawMatchSet.concat(sourceMatches);
+                doSortList(baseList);
+                baseList.sort((a, b) => fuzzyScores.get(b) - fuzzyScores.get(a));
+            }
+            baseList = promptUsageTracker.rankCompletions(baseList, wordLow);
+            if (baseList.length > 50) {
+                baseList = baseList.slice(0, 50);
             }
             this.lastWord = word;
             this.lastResults = rawMatchSet;
@@ -242,7 +608,7 @@ class PromptTabCompleteClass {
         if (!(prefix in this.prefixes)) {
             return [];
         }
-        return this.prefixes[prefix].completer(suffix, prompt).map(p => {
+        return promptUsageTracker.rankPrefixCompletions(prefix, this.prefixes[prefix].completer(suffix, prompt)).map(p => {
             if (p.startsWith('\n')) {
                 return p;
             }
@@ -302,6 +668,7 @@ class PromptTabCompleteClass {
             let isClickable = true;
             let index = lastBrace;
             let className = null;
+            let badge = null;
             if (typeof val == 'object') {
                 if (val.raw) {
                     name = val.name || '';
@@ -315,7 +682,10 @@ class PromptTabCompleteClass {
                     if (val.count_display) {
                         desc = `${desc} ${val.count_display}`.trim();
                     }
-                    apply = name;
+                    if (val.source) {
+                        badge = val.source;
+                    }
+                    apply = val.apply ?? name;
                     index = wordIndex;
                 }
                 else {
@@ -334,11 +704,13 @@ class PromptTabCompleteClass {
                 desc = val.substring(1);
             }
             let button = { key: name, className: className };
-            if (desc) {
-                button.key_html = `${escapeHtml(clean_name || name)} <span class="parens">- ${escapeHtml(desc)}</span>`;
+            let highlight = this.lastHighlights.get(val);
+            button.key_html = highlight ? this.highlightMatch(clean_name || name, highlight) : escapeHtml(clean_name || name);
+            if (badge) {
+                button.key_html += ` <span class="autocomplete-source-badge autocomplete-source-${badge.toLowerCase()}">${escapeHtml(translate(badge))}</span>`;
             }
-            else {
-                button.key_html = escapeHtml(clean_name || name);
+            if (desc) {
+                button.key_html += ` <span class="parens">- ${escapeHtml(desc)}</span>`;
             }
             if (isClickable) {
                 button.action = () => {
@@ -349,6 +721,10 @@ class PromptTabCompleteClass {
                     box.selectionEnd = areaPre.length + apply.length;
                     box.focus();
                     box.dispatchEvent(new Event('input'));
+                    if (val.onApply) {
+                        val.onApply();
+                    }
+                    promptUsageTracker.recordCompletion(val);
                 };
             }
             buttons.push(button);
@@ -397,6 +773,27 @@ class PromptPlusButton {
         this.segmentModalMainText = getRequiredElementById('text_prompt_segment_gentext');
         textPromptAddKeydownHandler(this.segmentModalMainText);
         enableSlidersIn(this.segmentModalOther);
+        this.segmentModalClassChips = createDiv('text_prompt_segment_class_chips', 'segment-class-chips');
+        findParentOfClass(this.segmentModalClassIds, 'auto-input').after(this.segmentModalClassChips);
+        this.segmentModalClassIds.addEventListener('input', () => this.segmentModalUpdateClassChips());
+        this.segmentPreviewSource = getRequiredElementById('text_prompt_segment_preview_source');
+        this.segmentPreviewStatus = getRequiredElementById('text_prompt_segment_preview_status');
+        this.segmentPreviewArea = getRequiredElementById('text_prompt_segment_preview');
+        this.segmentPreviewImg = getRequiredElementById('text_prompt_segment_preview_img');
+        this.segmentPreviewMask = getRequiredElementById('text_prompt_segment_preview_mask');
+        this.segmentPreviewActive = false;
+        this.segmentPreviewTimer = null;
+        this.segmentPreviewRequestId = 0;
+        this.segmentPreviewCache = new Map();
+        this.segmentPreviewCacheSrc = null;
+        this.maxSegmentPreviewCacheSize = 16;
+        this.segmentPreviewSource.addEventListener('change', () => this.segmentModalPreview());
+        for (let elem of [this.segmentModalModelSelect, this.segmentModalTextMatch, this.segmentModalClassIds, this.segmentModalYoloId, this.segmentModalCreativity, this.segmentModalThreshold, this.segmentModalInvertMask]) {
+            elem.addEventListener('change', () => this.segmentModalSchedulePreview());
+        }
+        for (let elem of [this.segmentModalTextMatch, this.segmentModalClassIds, getRequiredElementById('text_prompt_segment_creativity_rangeslider'), getRequiredElementById('text_prompt_segment_threshold_rangeslider')]) {
+            elem.addEventListener('input', () => this.segmentModalSchedulePreview());
+        }
         this.regionModalOther = getRequiredElementById('text_prompt_region_other_inputs');
         this.regionModalOther.innerHTML =
             makeGenericPopover('text_prompt_region_x', 'Prompt Syntax: Region Left X', 'Left X', "The left X coordinate of the region's box.", '')
@@ -462,6 +859,18 @@ class PromptPlusButton {
             this.regionModalProcessChanges();
             $('#text_prompt_region_modal').modal('show');
         }});
+        buttons.push({ key: 'composer', key_html: 'Region Composer', title: "Visually lay out, move, and edit all the regions and objects in your prompt at once", action: () => {
+            this.autoHideMenu();
+            regionComposer.open();
+        }});
+        buttons.push({ key: 'preview', key_html: 'Preview Expansions', title: "Show or hide a preview of how random and wildcard syntax in your prompt will fill in", action: () => {
+            this.autoHideMenu();
+            promptExpansionPreview.toggle();
+        }});
+        buttons.push({ key: 'history', key_html: 'Prompt History', title: "Show or hide your past prompts, to search, star, compare, or restore them", action: () => {
+            this.autoHideMenu();
+            promptHistory.toggle();
+        }});
         buttons.push({ key: 'other', key_html: 'Other...', title: "Add some other prompt syntax (that doesn't have its own menu)", action: () => {
             let text = this.altTextBox.value.trim();
             if (!text.endsWith('<')) {
@@ -497,6 +906,12 @@ class PromptPlusButton {
         this.segmentModalInvertMask.checked = false;
         triggerChangeFor(this.segmentModalCreativity);
         triggerChangeFor(this.segmentModalThreshold);
+        this.segmentPreviewActive = false;
+        this.segmentPreviewCache.clear();
+        this.segmentPreviewCacheSrc = null;
+        this.segmentPreviewArea.style.display = 'none';
+        this.segmentPreviewStatus.innerText = '';
+        this.segmentPreviewSource.value = this.segmentModalGetPreviewImage('init') ? 'init' : 'current';
     }
 
     segmentModalProcessChanges() {
@@ -513,9 +928,59 @@ class PromptPlusButton {
             findParentOfClass(this.segmentModalYoloId, 'auto-input').style.display = '';
             findParentOfClass(this.segmentModalClassIds, 'auto-input').style.display = '';
         }
+        this.segmentModalUpdateClassChips();
     }
 
-    segmentModalSubmit() {
+    /** Returns the list of known class names for the given YOLO model, or null if unknown. Only general-purpose COCO-trained models are recognized, as single-purpose models (eg face detectors) don't need class filtering. */
+    segmentModalKnownClasses(model) {
+        let name = model.toLowerCase().split('/').pop();
+        if (!/^yolo(v\d+|\d+)[nsmlx]?(-seg)?\.pt$/.test(name)) {
+            return null;
+        }
+        return ['person', 'bicycle', 'car', 'motorcycle', 'airplane', 'bus', 'train', 'truck', 'boat', 'traffic light', 'fire hydrant', 'stop sign', 'parking meter', 'bench', 'bird', 'cat', 'dog', 'horse', 'sheep', 'cow', 'elephant', 'bear', 'zebra', 'giraffe', 'backpack', 'umbrella', 'handbag', 'tie', 'suitcase', 'frisbee', 'skis', 'snowboard', 'sports ball', 'kite', 'baseball bat', 'baseball glove', 'skateboard', 'surfboard', 'tennis racket', 'bottle', 'wine glass', 'cup', 'fork', 'knife', 'spoon', 'bowl', 'banana', 'apple', 'sandwich', 'orange', 'broccoli', 'carrot', 'hot dog', 'pizza', 'donut', 'cake', 'chair', 'couch', 'potted plant', 'bed', 'dining table', 'toilet', 'tv', 'laptop', 'mouse', 'remote', 'keyboard', 'cell phone', 'microwave', 'oven', 'toaster', 'sink', 'refrigerator', 'book', 'clock', 'vase', 'scissors', 'teddy bear', 'hair drier', 'toothbrush'];
+    }
+
+    /** Rebuilds the clickable class filter chips for the selected YOLO model, highlighting the ones currently in the Class IDs box. */
+    segmentModalUpdateClassChips() {
+        let model = this.segmentModalModelSelect.value;
+        let classes = model == 'CLIP-Seg' ? null : this.segmentModalKnownClasses(model.substring('yolo-'.length));
+        if (!classes) {
+            this.segmentModalClassChips.style.display = 'none';
+            this.segmentModalClassChips.innerHTML = '';
+            return;
+        }
+        this.segmentModalClassChips.style.display = '';
+        let selected = this.segmentModalClassIds.value.split(',').map(c => c.trim().toLowerCase()).filter(c => c);
+        if (this.segmentModalClassChips.dataset.model != model) {
+            this.segmentModalClassChips.dataset.model = model;
+            this.segmentModalClassChips.innerHTML = '';
+            for (let className of classes) {
+                let chip = createSpan(null, 'segment-class-chip', escapeHtmlNoBr(className));
+                chip.dataset.class = className;
+                chip.title = `Click to toggle YOLO class filter '${className}'`;
+                chip.addEventListener('click', () => {
+                    let current = this.segmentModalClassIds.value.split(',').map(c => c.trim()).filter(c => c);
+                    let index = current.findIndex(c => c.toLowerCase() == className);
+                    if (index == -1) {
+                        current.push(className);
+                    }
+                    else {
+                        current.splice(index, 1);
+                    }
+                    this.segmentModalClassIds.value = current.join(',');
+                    triggerChangeFor(this.segmentModalClassIds);
+                    this.segmentModalUpdateClassChips();
+                });
+                this.segmentModalClassChips.appendChild(chip);
+            }
+        }
+        for (let chip of this.segmentModalClassChips.children) {
+            chip.classList.toggle('segment-class-chip-selected', selected.includes(chip.dataset.class));
+        }
+    }
+
+    /** Returns the model text (the first value of the '<segment:...>' tag) for the current modal inputs. */
+    segmentModalGetModelText() {
         let modelText = this.segmentModalModelSelect.value;
         if (modelText == "CLIP-Seg") {
             modelText = this.segmentModalTextMatch.value.trim();
@@ -529,10 +994,130 @@ class PromptPlusButton {
                 modelText += `:${classIds}:`;
             }
         }
+        return modelText;
+    }
+
+    segmentModalSubmit() {
+        let modelText = this.segmentModalGetModelText();
         $('#text_prompt_segment_modal').modal('hide');
         this.applyNewSyntax(`<segment:${modelText},${this.segmentModalCreativity.value},${this.segmentModalInvertMask.checked ? '-' : ''}${this.segmentModalThreshold.value}> ${this.segmentModalMainText.value.trim()}`);
     }
 
+    /** Returns the image src to preview segmentation on, from the given source ('init' for the init image, 'current' for the currently displayed result), or null if there isn't one. */
+    segmentModalGetPreviewImage(source) {
+        if (source == 'init') {
+            let initImage = document.getElementById('input_initimage');
+            return initImage && initImage.dataset.filedata ? initImage.dataset.filedata : null;
+        }
+        let currentImage = document.getElementById('current_image_img');
+        return currentImage && currentImage.tagName == 'IMG' && currentImage.src ? currentImage.src : null;
+    }
+
+    /** Re-runs the mask preview shortly after the inputs stop changing, if the preview has been opened. */
+    segmentModalSchedulePreview() {
+        if (!this.segmentPreviewActive) {
+            return;
+        }
+        if (this.segmentPreviewTimer) {
+            clearTimeout(this.segmentPreviewTimer);
+        }
+        this.segmentPreviewTimer = setTimeout(() => {
+            this.segmentPreviewTimer = null;
+            this.segmentModalPreview();
+        }, 400);
+    }
+
+    /** Runs only the segmentation stage of the current modal settings against the chosen image, and shows the resulting mask over it. */
+    segmentModalPreview() {
+        let src = this.segmentModalGetPreviewImage(this.segmentPreviewSource.value);
+        if (!src) {
+            this.segmentPreviewStatus.innerText = translate(this.segmentPreviewSource.value == 'init' ? 'No init image is set.' : 'No current image to preview on.');
+            this.segmentPreviewArea.style.display = 'none';
+            return;
+        }
+        let modelText = this.segmentModalGetModelText();
+        if (!modelText) {
+            this.segmentPreviewStatus.innerText = translate('Enter text to match first.');
+            return;
+        }
+        this.segmentPreviewActive = true;
+        let request = {
+            segment: modelText,
+            threshold: parseFloat(this.segmentModalThreshold.value),
+            invert: this.segmentModalInvertMask.checked,
+            mask_blur: parseInt(getActiveParamValue('segmentmaskblur') ?? 10),
+            mask_grow: parseInt(getActiveParamValue('segmentmaskgrow') ?? 16),
+            sort_order: getActiveParamValue('segmentsortorder') ?? 'left-right'
+        };
+        // Masks are only cached for one source image at a time, so switching images drops the old masks rather than piling them up
+        if (src != this.segmentPreviewCacheSrc) {
+            this.segmentPreviewCache.clear();
+            this.segmentPreviewCacheSrc = src;
+        }
+        let cacheKey = JSON.stringify(request);
+        let requestId = ++this.segmentPreviewRequestId;
+        let show = (mask) => {
+            if (requestId != this.segmentPreviewRequestId) {
+                return;
+            }
+            this.segmentPreviewImg.src = src;
+            this.segmentPreviewMask.style.maskImage = `url(${mask})`;
+            this.segmentPreviewMask.style.webkitMaskImage = `url(${mask})`;
+            this.segmentPreviewArea.style.display = '';
+            this.segmentModalDescribeMask(mask, requestId);
+        };
+        if (this.segmentPreviewCache.has(cacheKey)) {
+            show(this.segmentPreviewCache.get(cacheKey));
+            return;
+        }
+        this.segmentPreviewStatus.innerText = translate('Finding mask...');
+        let run = (imageData) => {
+            request.image = imageData;
+            genericRequest('ComfySegmentPreview', request, data => {
+                if (src == this.segmentPreviewCacheSrc) {
+                    if (this.segmentPreviewCache.size >= this.maxSegmentPreviewCacheSize) {
+                        this.segmentPreviewCache.delete(this.segmentPreviewCache.keys().next().value);
+                    }
+                    this.segmentPreviewCache.set(cacheKey, data.mask);
+                }
+                show(data.mask);
+            }, 0, e => {
+                if (requestId == this.segmentPreviewRequestId) {
+                    this.segmentPreviewStatus.innerText = `${translate('Mask preview failed')}: ${e}`;
+                }
+            });
+        };
+        if (src.startsWith('data:')) {
+            run(src);
+        }
+        else {
+            toDataURL(src, run);
+        }
+    }
+
+    /** Shows how much of the image the preview mask covers, so an empty or near-total mask is obvious at a glance. */
+    segmentModalDescribeMask(mask, requestId) {
+        let img = new Image();
+        img.onload = () => {
+            if (requestId != this.segmentPreviewRequestId) {
+                return;
+            }
+            let canvas = document.createElement('canvas');
+            canvas.width = 64;
+            canvas.height = 64;
+            let ctx = canvas.getContext('2d');
+            ctx.drawImage(img, 0, 0, 64, 64);
+            let pixels = ctx.getImageData(0, 0, 64, 64).data;
+            let total = 0;
+            for (let i = 0; i < pixels.length; i += 4) {
+                total += pixels[i];
+            }
+            let percent = Math.round(total / (64 * 64 * 255) * 100);
+            this.segmentPreviewStatus.innerText = percent == 0 ? translate('Nothing was matched, the mask is empty.') : `${translate('Mask covers about')} ${percent}% ${translate('of the image.')}`;
+        };
+        img.src = mask;
+    }
+
     regionModalClear() {
         this.regionModalX.value = 0.25;
         this.regionModalY.value = 0.25;
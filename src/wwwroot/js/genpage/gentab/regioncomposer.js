@@ -0,0 +1,348 @@
+/** Visual editor for all of the '<region:...>' and '<object:...>' tags in the main prompt, shown as boxes over the init image (or a blank frame), which stays in sync with the prompt text both ways. */
+class RegionComposer {
+
+    constructor() {
+        this.modal = getRequiredElementById('region_composer_modal');
+        this.frame = getRequiredElementById('region_composer_frame');
+        this.editorList = getRequiredElementById('region_composer_editors');
+        this.promptText = getRequiredElementById('region_composer_prompt');
+        this.promptBox = getRequiredElementById('alt_prompt_textbox');
+        this.boxes = [];
+        this.boxElems = [];
+        this.editorElems = [];
+        this.drag = null;
+        this.selected = -1;
+        this.maxFrameWidth = 640;
+        this.maxFrameHeight = 420;
+        this.sectionPrefixes = ['region', 'object', 'segment', 'clear', 'extend', 'refiner'];
+        this.promptText.addEventListener('input', () => {
+            this.setPrompt(this.promptText.value, false);
+        });
+        textPromptAddKeydownHandler(this.promptText);
+        document.addEventListener('mousemove', e => this.onMouseMove(e));
+        document.addEventListener('mouseup', () => this.onMouseUp());
+    }
+
+    /** Opens the composer for the current main prompt. */
+    open() {
+        this.selected = -1;
+        this.promptText.value = this.promptBox.value;
+        this.buildFrame();
+        this.sync(true);
+        $('#region_composer_modal').modal('show');
+    }
+
+    /** Returns the color to use for the box at the given index. */
+    getColor(index) {
+        return `hsl(${(index * 67 + 200) % 360}, 80%, 55%)`;
+    }
+
+    /** Sizes the frame to the current image aspect ratio, and shows the init image behind it if there is one. */
+    buildFrame() {
+        let width = parseInt(getActiveParamValue('width') || 1024);
+        let height = parseInt(getActiveParamValue('height') || 1024);
+        let scale = Math.min(this.maxFrameWidth / width, this.maxFrameHeight / height);
+        this.frame.style.width = `${Math.round(width * scale)}px`;
+        this.frame.style.height = `${Math.round(height * scale)}px`;
+        let initImage = document.getElementById('input_initimage');
+        let initImageToggle = document.getElementById('input_initimage_toggle');
+        let useImage = initImage && initImage.dataset.filedata && (!initImageToggle || initImageToggle.checked);
+        this.frame.style.backgroundImage = useImage ? `url(${initImage.dataset.filedata})` : '';
+        this.frame.classList.toggle('region-composer-frame-blank', !useImage);
+    }
+
+    /**
+     * Finds all region and object tags in the prompt, with the prompt text that belongs to each (up until the next region-like tag, same as the server).
+     * Returns a list of {kind, x, y, width, height, strength, strength2, hadStrength, hadStrength2, tagStart, tagEnd, textEnd, text}.
+     */
+    parseBoxes(prompt) {
+        let parsed = promptLinter.parser.parse(prompt);
+        let sectionTags = parsed.tags.filter(t => t.depth == 0 && this.sectionPrefixes.includes(t.prefix));
+        let boxes = [];
+        for (let i = 0; i < sectionTags.length; i++) {
+            let tag = sectionTags[i];
+            if (tag.prefix != 'region' && tag.prefix != 'object') {
+                continue;
+            }
+            let coords = (tag.data || '').split(',').map(c => promptLinter.parser.parseNumber(c));
+            if (coords.length < 4 || coords.length > 6 || coords.some(c => c == null)) {
+                continue;
+            }
+            let textEnd = i + 1 < sectionTags.length ? sectionTags[i + 1].start : prompt.length;
+            let x = Math.max(0, Math.min(1, coords[0])), y = Math.max(0, Math.min(1, coords[1]));
+            boxes.push({
+                kind: tag.prefix,
+                x: x,
+                y: y,
+                width: Math.max(0, Math.min(1 - x, coords[2])),
+                height: Math.max(0, Math.min(1 - y, coords[3])),
+                strength: coords.length > 4 ? coords[4] : 1,
+                strength2: coords.length > 5 ? coords[5] : 1,
+                hadStrength: coords.length > 4,
+                hadStrength2: coords.length > 5,
+                tagStart: tag.start,
+                tagEnd: tag.end,
+                textEnd: textEnd,
+                text: prompt.substring(tag.end, textEnd)
+            });
+        }
+        return boxes;
+    }
+
+    /** Returns the prompt tag text for a box, keeping optional values left off if they weren't used before and are still the defaults. */
+    formatTag(box) {
+        let parts = [box.x, box.y, box.width, box.height].map(v => roundToStrAuto(v, 0.01));
+        let needStrength2 = box.kind == 'object' && (box.hadStrength2 || box.strength2 != 1);
+        if (box.hadStrength || box.strength != 1 || needStrength2) {
+            parts.push(roundToStrAuto(box.strength, 0.01));
+        }
+        if (needStrength2) {
+            parts.push(roundToStrAuto(box.strength2, 0.01));
+        }
+        return `<${box.kind}:${parts.join(',')}>`;
+    }
+
+    /** Returns the replacement for a box's prompt text, keeping the whitespace that was around the old text. */
+    formatText(box, newText) {
+        let trimmed = box.text.trim();
+        if (trimmed == '') {
+            return ` ${newText.trim()}${box.text}`;
+        }
+        let lead = box.text.substring(0, box.text.indexOf(trimmed));
+        let trail = box.text.substring(lead.length + trimmed.length);
+        return `${lead || ' '}${newText.trim()}${trail}`;
+    }
+
+    /** Sets the full prompt text, in both the composer and the main prompt box, then updates the boxes to match. If 'notify' is false, listeners on the main prompt box are only notified once a drag ends. */
+    setPrompt(prompt, updateComposerText = true, notify = true) {
+        this.promptBox.value = prompt;
+        if (updateComposerText && this.promptText.value != prompt) {
+            this.promptText.value = prompt;
+        }
+        if (notify) {
+            triggerChangeFor(this.promptBox);
+        }
+        this.sync();
+    }
+
+    /** Replaces part of the prompt with new text. */
+    replacePromptRange(start, end, text, notify = true) {
+        let prompt = this.promptBox.value;
+        this.setPrompt(prompt.substring(0, start) + text + prompt.substring(end), true, notify);
+    }
+
+    /** Rewrites the tag of the box at the given index, after its values were changed. */
+    updateBoxTag(index, notify = true) {
+        let box = this.boxes[index];
+        this.replacePromptRange(box.tagStart, box.tagEnd, this.formatTag(box), notify);
+    }
+
+    /** Adds a new box to the end of the prompt. */
+    addBox(kind) {
+        let count = this.boxes.length;
+        let offset = (count % 4) * 0.05;
+        let tag = this.formatTag({ kind: kind, x: 0.25 + offset, y: 0.25 + offset, width: 0.5, height: 0.5, strength: 0.5, strength2: 0.5, hadStrength: true, hadStrength2: kind == 'object' });
+        let prompt = this.promptBox.value.trimEnd();
+        this.selected = count;
+        this.setPrompt(`${prompt}${prompt == '' ? '' : '\n'}${tag} `);
+        let editor = this.editorElems[count];
+        if (editor) {
+            editor.querySelector('.region-composer-editor-text').focus();
+        }
+    }
+
+    /** Removes the box at the given index, along with its prompt text. */
+    removeBox(index) {
+        let box = this.boxes[index];
+        let prompt = this.promptBox.value;
+        let before = prompt.substring(0, box.tagStart).trimEnd();
+        let after = prompt.substring(box.textEnd).trimStart();
+        this.selected = -1;
+        this.setPrompt(before + (before != '' && after != '' ? '\n' : '') + after);
+    }
+
+    /** Re-reads the boxes from the prompt, and updates the frame and editors to match. Elements are only rebuilt when the number of boxes changes, so that in-progress typing and dragging isn't interrupted. */
+    sync(forceRebuild = false) {
+        this.boxes = this.parseBoxes(this.promptBox.value);
+        if (forceRebuild || this.boxes.length != this.boxElems.length) {
+            this.rebuild();
+        }
+        for (let i = 0; i < this.boxes.length; i++) {
+            this.updateBoxElem(i);
+            this.updateEditorElem(i);
+        }
+        getRequiredElementById('region_composer_empty').style.display = this.boxes.length == 0 ? '' : 'none';
+    }
+
+    /** Rebuilds all box and editor elements. */
+    rebuild() {
+        for (let elem of this.boxElems) {
+            elem.remove();
+        }
+        this.boxElems = [];
+        this.editorElems = [];
+        this.editorList.innerHTML = '';
+        for (let i = 0; i < this.boxes.length; i++) {
+            let color = this.getColor(i);
+            let boxElem = createDiv(null, 'region-composer-box');
+            boxElem.style.setProperty('--region-color', color);
+            boxElem.innerHTML = `<span class="region-composer-box-label"></span>` + ['nw', 'ne', 'sw', 'se'].map(h => `<span class="region-composer-handle region-composer-handle-${h}" data-handle="${h}"></span>`).join('');
+            boxElem.addEventListener('mousedown', e => this.onMouseDown(e, i));
+            this.frame.appendChild(boxElem);
+            this.boxElems.push(boxElem);
+            let editor = createDiv(null, 'region-composer-editor');
+            editor.style.setProperty('--region-color', color);
+            editor.innerHTML = `
+                <div class="region-composer-editor-header">
+                    <span class="region-composer-editor-index">${i + 1}</span>
+                    <select class="region-composer-editor-kind" title="'Region' applies a different prompt to the area while generating. 'Object' also inpaints the area afterwards to refine it.">
+                        <option value="region">Region</option>
+                        <option value="object">Object</option>
+                    </select>
+                    <label title="How strongly to apply the prompt to the region (vs global prompt). 0 is no effect, 1 is full effect.">Strength <input type="number" class="region-composer-editor-strength" min="-1" max="1" step="0.05"></label>
+                    <label class="region-composer-editor-strength2-label" title="How strongly to inpaint the region (ie InitImageCreativity).">Inpaint <input type="number" class="region-composer-editor-strength2" min="0" max="1" step="0.05"></label>
+                    <button class="basic-button region-composer-editor-remove" title="Remove this box and its prompt">&times;</button>
+                </div>
+                <textarea class="auto-text region-composer-editor-text" rows="1" placeholder="Prompt for this region..."></textarea>`;
+            editor.addEventListener('focusin', () => this.select(i));
+            editor.querySelector('.region-composer-editor-kind').addEventListener('change', e => {
+                this.boxes[i].kind = e.target.value;
+                this.updateBoxTag(i);
+            });
+            editor.querySelector('.region-composer-editor-strength').addEventListener('change', e => {
+                this.boxes[i].strength = Math.max(-1, Math.min(1, parseFloat(e.target.value) || 0));
+                this.updateBoxTag(i);
+            });
+            editor.querySelector('.region-composer-editor-strength2').addEventListener('change', e => {
+                this.boxes[i].strength2 = Math.max(0, Math.min(1, parseFloat(e.target.value) || 0));
+                this.updateBoxTag(i);
+            });
+            editor.querySelector('.region-composer-editor-remove').addEventListener('click', () => this.removeBox(i));
+            let text = editor.querySelector('.region-composer-editor-text');
+            text.addEventListener('input', () => {
+                let box = this.boxes[i];
+                this.replacePromptRange(box.tagEnd, box.textEnd, this.formatText(box, text.value));
+                dynamicSizeTextBox(text);
+            });
+            this.editorList.appendChild(editor);
+            this.editorElems.push(editor);
+        }
+    }
+
+    /** Updates the position and label of the frame element for the box at the given index. */
+    updateBoxElem(index) {
+        let box = this.boxes[index];
+        let elem = this.boxElems[index];
+        elem.style.left = `${box.x * 100}%`;
+        elem.style.top = `${box.y * 100}%`;
+        elem.style.width = `${box.width * 100}%`;
+        elem.style.height = `${box.height * 100}%`;
+        elem.classList.toggle('region-composer-box-selected', index == this.selected);
+        let text = box.text.trim();
+        elem.querySelector('.region-composer-box-label').innerText = `${index + 1}${box.kind == 'object' ? ' (object)' : ''}${text ? ': ' + text : ''}`;
+        elem.title = `${this.formatTag(box)} ${text}`;
+    }
+
+    /** Updates the inputs of the editor for the box at the given index, skipping whichever input is currently being edited. */
+    updateEditorElem(index) {
+        let box = this.boxes[index];
+        let editor = this.editorElems[index];
+        editor.classList.toggle('region-composer-editor-selected', index == this.selected);
+        let setIfIdle = (selector, value) => {
+            let input = editor.querySelector(selector);
+            if (document.activeElement != input && input.value != value) {
+                input.value = value;
+                if (input.tagName == 'TEXTAREA') {
+                    dynamicSizeTextBox(input);
+                }
+            }
+        };
+        setIfIdle('.region-composer-editor-kind', box.kind);
+        setIfIdle('.region-composer-editor-strength', `${box.strength}`);
+        setIfIdle('.region-composer-editor-strength2', `${box.strength2}`);
+        setIfIdle('.region-composer-editor-text', box.text.trim());
+        editor.querySelector('.region-composer-editor-strength2-label').style.display = box.kind == 'object' ? '' : 'none';
+    }
+
+    /** Marks the box at the given index as selected, highlighting it in both the frame and the editor list. */
+    select(index) {
+        if (this.selected == index) {
+            return;
+        }
+        this.selected = index;
+        for (let i = 0; i < this.boxes.length; i++) {
+            this.boxElems[i].classList.toggle('region-composer-box-selected', i == index);
+            this.editorElems[i].classList.toggle('region-composer-editor-selected', i == index);
+        }
+    }
+
+    /** Starts moving (or resizing, if on a corner handle) a box in the frame. */
+    onMouseDown(e, index) {
+        if (e.button != 0) {
+            return;
+        }
+        e.preventDefault();
+        this.select(index);
+        let box = this.boxes[index];
+        this.drag = { index: index, handle: e.target.dataset.handle || 'move', startX: e.clientX, startY: e.clientY, orig: { x: box.x, y: box.y, width: box.width, height: box.height } };
+        this.editorElems[index].scrollIntoView({ block: 'nearest' });
+    }
+
+    /** Moves or resizes the box being dragged, rewriting its tag in the prompt as it goes. */
+    onMouseMove(e) {
+        if (!this.drag) {
+            return;
+        }
+        let rect = this.frame.getBoundingClientRect();
+        let dx = (e.clientX - this.drag.startX) / rect.width;
+        let dy = (e.clientY - this.drag.startY) / rect.height;
+        let orig = this.drag.orig;
+        let minSize = 0.02;
+        let x1 = orig.x, y1 = orig.y, x2 = orig.x + orig.width, y2 = orig.y + orig.height;
+        let handle = this.drag.handle;
+        if (handle == 'move') {
+            let moveX = Math.max(-x1, Math.min(1 - x2, dx));
+            let moveY = Math.max(-y1, Math.min(1 - y2, dy));
+            x1 += moveX;
+            x2 += moveX;
+            y1 += moveY;
+            y2 += moveY;
+        }
+        else {
+            if (handle.includes('w')) {
+                x1 = Math.max(0, Math.min(x2 - minSize, x1 + dx));
+            }
+            else {
+                x2 = Math.min(1, Math.max(x1 + minSize, x2 + dx));
+            }
+            if (handle.includes('n')) {
+                y1 = Math.max(0, Math.min(y2 - minSize, y1 + dy));
+            }
+            else {
+                y2 = Math.min(1, Math.max(y1 + minSize, y2 + dy));
+            }
+        }
+        let box = this.boxes[this.drag.index];
+        box.x = roundToAuto(x1, 0.01);
+        box.y = roundToAuto(y1, 0.01);
+        box.width = roundToAuto(x2 - x1, 0.01);
+        box.height = roundToAuto(y2 - y1, 0.01);
+        this.drag.moved = true;
+        this.updateBoxTag(this.drag.index, false);
+    }
+
+    /** Ends a drag, notifying anything watching the main prompt box of the change. */
+    onMouseUp() {
+        if (!this.drag) {
+            return;
+        }
+        let moved = this.drag.moved;
+        this.drag = null;
+        if (moved) {
+            triggerChangeFor(this.promptBox);
+        }
+    }
+}
+
+/** Instance of {@link RegionComposer} for the main prompt box. */
+let regionComposer = new RegionComposer();
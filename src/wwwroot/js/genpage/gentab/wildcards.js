@@ -7,6 +7,8 @@ class WildcardHelpers {
         this.allWildcards = [];
         this.wildcardNameCheck = {};
         this.wildcardDataCache = {};
+        this.listLoaded = false;
+        this.importFiles = null;
     }
 
     /** Applies a new wildcard list from the server. */
@@ -17,6 +19,10 @@ class WildcardHelpers {
         for (let card of cards) {
             this.wildcardNameCheck[card.toLowerCase()] = card.name;
         }
+        this.listLoaded = true;
+        if (typeof promptSyntaxOverlay != 'undefined') {
+            promptSyntaxOverlay.refreshAll();
+        }
     }
 
     /** Test a wildcard, opening the wildcard test modal. */
@@ -94,9 +100,233 @@ class WildcardHelpers {
         }
         getRequiredElementById('edit_wildcard_name').value = card.name;
         getRequiredElementById('edit_wildcard_contents').value = card.raw;
+        this.updateEditWildcardAnalysis();
         $('#edit_wildcard_modal').modal('show');
     }
 
+    /** Parses the raw text of a wildcard file the same way the server does.
+     * Returns {entries, sections, problems}, where each entry is {text, weight, section, conditions, line}, each condition is {isExclude, card, values}, each section is {name, line, count},
+     * and each problem is {line, severity, message} for things that are likely mistakes in the file.
+     */
+    parseWildcard(raw) {
+        let entries = [], sections = [], problems = [];
+        let section = null, sectionInfo = null;
+        let lines = raw.replaceAll('\r', '').split('\n');
+        let problem = (line, severity, message) => problems.push({ line: line + 1, severity, message });
+        for (let i = 0; i < lines.length; i++) {
+            let line = lines[i];
+            let hash = line.indexOf('#');
+            line = (hash == -1 ? line : line.substring(0, hash)).trim();
+            if (line == '') {
+                continue;
+            }
+            let sectionMatch = /^\[\s*section:(.*)\]$/i.exec(line);
+            if (sectionMatch) {
+                let name = sectionMatch[1].trim();
+                if (/^[a-zA-Z0-9_\- \/]+$/.test(name)) {
+                    section = name.trim().replace(/^\/+|\/+$/g, '').toLowerCase();
+                    sectionInfo = sections.find(s => s.name == section);
+                    if (sectionInfo) {
+                        problem(i, 'warning', `Section '${section}' was already started on line ${sectionInfo.line}, its entries will be merged together.`);
+                    }
+                    else {
+                        sectionInfo = { name: section, line: i + 1, count: 0 };
+                        sections.push(sectionInfo);
+                    }
+                    continue;
+                }
+                problem(i, 'warning', `This looks like a section header, but section names can only contain letters, numbers, spaces, '_', '-', and '/', so it will be used as a normal entry.`);
+            }
+            let entry = { text: null, weight: 1, section: section, conditions: [], line: i + 1 };
+            let weightEnd = line.indexOf('::');
+            if (weightEnd > 0) {
+                let weightText = line.substring(0, weightEnd).trim();
+                let weight = /^[0-9]*\.?[0-9]+$/.test(weightText) ? parseFloat(weightText) : null;
+                if (weight != null) {
+                    entry.weight = weight;
+                    line = line.substring(weightEnd + 2).trim();
+                    if (weight == 0) {
+                        problem(i, 'warning', `This entry has a weight of 0, so it will never be picked.`);
+                    }
+                }
+                else if (!weightText.includes(' ') && !weightText.includes('<')) {
+                    problem(i, 'error', `'${weightText}' is not a valid weight (weights must be positive numbers, like '5::'), so this whole line will be used as text.`);
+                }
+            }
+            while (line.endsWith(')')) {
+                let start = line.lastIndexOf('@');
+                if (start == -1) {
+                    break;
+                }
+                let condition = line.substring(start + 1, line.length - 1);
+                let paren = condition.indexOf('(');
+                let type = paren == -1 ? '' : condition.substring(0, paren).trim().toLowerCase();
+                if (type != 'requires' && type != 'excludes') {
+                    if (/^[a-zA-Z]+\(/.test(condition)) {
+                        problem(i, 'error', `Unknown condition '@${type}', only '@requires(...)' and '@excludes(...)' are supported.`);
+                    }
+                    break;
+                }
+                let inner = condition.substring(paren + 1);
+                let equals = inner.indexOf('=');
+                let card = (equals == -1 ? inner : inner.substring(0, equals)).trim().toLowerCase();
+                if (card == '') {
+                    problem(i, 'error', `The '@${type}' condition needs a wildcard name, like '@${type}(hair=red)', so this whole line will be used as text.`);
+                    break;
+                }
+                let values = equals == -1 ? [] : inner.substring(equals + 1).split('|').map(v => v.trim().toLowerCase()).filter(v => v != '');
+                entry.conditions.push({ isExclude: type == 'excludes', card: card, values: values });
+                line = line.substring(0, start).trim();
+            }
+            if (line == '') {
+                problem(i, 'error', `This line has no text, so it will be ignored.`);
+                continue;
+            }
+            entry.text = line;
+            let duplicate = entries.find(e => e.section == section && e.text == line);
+            if (duplicate) {
+                problem(i, 'warning', `This is a duplicate of line ${duplicate.line}. Use a weight like '2::' instead to make an entry more likely.`);
+            }
+            entries.push(entry);
+            if (sectionInfo) {
+                sectionInfo.count++;
+            }
+        }
+        for (let sect of sections) {
+            if (sect.count == 0 && !sections.some(s => s.name.startsWith(`${sect.name}/`) && s.count > 0)) {
+                problem(sect.line - 1, 'warning', `Section '${sect.name}' has no entries.`);
+            }
+        }
+        return { entries, sections, problems };
+    }
+
+    /** Returns the entries within the given (lowercase) section name of a parsed wildcard, including nested sections, or all entries if the section is null. */
+    getSectionEntries(entries, section) {
+        if (section == null) {
+            return entries;
+        }
+        return entries.filter(e => e.section != null && (e.section == section || e.section.startsWith(`${section}/`)));
+    }
+
+    /** Returns true if a wildcard entry condition ({isExclude, card, values}) allows its entry, given the wildcard picks so far (a map of lowercase wildcard name to list of lowercase values). */
+    conditionPasses(condition, picks) {
+        let picked = picks[condition.card];
+        let matched = picked != null && (condition.values.length == 0 || picked.some(p => condition.values.includes(p)));
+        return matched != condition.isExclude;
+    }
+
+    /** Returns a copy of the given wildcard picks map, with a newly picked entry recorded for both the wildcard and each section it's within, the same way the server tracks picks for conditions. */
+    withWildcardPick(picks, card, entry) {
+        let result = Object.assign({}, picks);
+        let value = entry.text.toLowerCase();
+        let keys = [card.toLowerCase()];
+        if (entry.section != null) {
+            let parts = entry.section.split('/');
+            for (let i = 1; i <= parts.length; i++) {
+                keys.push(`${card.toLowerCase()}/${parts.slice(0, i).join('/')}`);
+            }
+        }
+        for (let key of keys) {
+            result[key] = (result[key] || []).concat([value]);
+        }
+        return result;
+    }
+
+    /** Finds the wildcard (and optionally a section within it) that best matches user input like 'hair' or 'hair/colors', the same way the server does.
+     * Returns {card, section, isComplete}, where card is null if nothing matches, and isComplete is false if wildcard contents needed to check for a section are still loading.
+     */
+    findWildcard(name) {
+        let clean = (s) => s.toLowerCase().replaceAll(' ', '').replaceAll('[', '').replaceAll(']', '').trim();
+        let cleanName = clean(name);
+        let exact = this.allWildcards.find(w => clean(w) == cleanName);
+        if (exact) {
+            return { card: exact, section: null, isComplete: true };
+        }
+        name = name.replaceAll('\\', '/').trim();
+        let isComplete = true;
+        let slash = name.lastIndexOf('/');
+        while (slash > 0) {
+            let fileName = clean(name.substring(0, slash));
+            let file = this.allWildcards.find(w => clean(w) == fileName);
+            let section = name.substring(slash + 1).trim().toLowerCase();
+            if (file && section) {
+                let holder = this.getWildcardDataFor(file);
+                if (!holder.isComplete) {
+                    isComplete = false;
+                }
+                else if (holder.entries && this.getSectionEntries(holder.entries, section).length > 0) {
+                    return { card: file, section: section, isComplete: true };
+                }
+            }
+            slash = name.lastIndexOf('/', slash - 1);
+        }
+        return { card: promptLinter.getBestMatch(this.allWildcards, name), section: null, isComplete: isComplete };
+    }
+
+    /** Updates the validation messages and weighted distribution preview in the wildcard edit modal, to match the current contents. */
+    updateEditWildcardAnalysis() {
+        let raw = getRequiredElementById('edit_wildcard_contents').value;
+        let output = getRequiredElementById('edit_wildcard_analysis');
+        let parsed = this.parseWildcard(raw);
+        let problems = parsed.problems;
+        let name = getRequiredElementById('edit_wildcard_name').value.trim().toLowerCase();
+        for (let entry of parsed.entries) {
+            for (let condition of entry.conditions) {
+                let found = condition.card == name || condition.card.startsWith(`${name}/`) || this.findWildcard(condition.card).card != null;
+                if (!found) {
+                    problems.push({ line: entry.line, severity: 'warning', message: `Condition refers to wildcard '${condition.card}', which does not exist.` });
+                }
+            }
+            if (typeof promptLinter != 'undefined' && entry.text.includes('<')) {
+                for (let diag of promptLinter.lint(entry.text).filter(d => d.severity == 'error')) {
+                    problems.push({ line: entry.line, severity: 'error', message: diag.message });
+                }
+            }
+        }
+        problems.sort((a, b) => a.line - b.line);
+        let html = '';
+        if (problems.length > 0) {
+            html += `<div class="wildcard-edit-problems">`;
+            for (let problem of problems) {
+                html += `<div class="wildcard-edit-problem wildcard-edit-problem-${problem.severity}">Line ${problem.line}: ${escapeHtml(problem.message)}</div>`;
+            }
+            html += `</div>`;
+        }
+        let totalWeight = parsed.entries.reduce((sum, e) => sum + e.weight, 0);
+        let groups = [];
+        let unsectioned = parsed.entries.filter(e => e.section == null);
+        if (unsectioned.length > 0) {
+            groups.push({ name: parsed.sections.length > 0 ? '(no section)' : 'All entries', entries: unsectioned });
+        }
+        for (let section of parsed.sections) {
+            let entries = parsed.entries.filter(e => e.section == section.name);
+            if (entries.length > 0) {
+                groups.push({ name: section.name, entries: entries });
+            }
+        }
+        let maxRows = 50;
+        for (let group of groups) {
+            let groupWeight = group.entries.reduce((sum, e) => sum + e.weight, 0);
+            let title = `${group.name}: ${group.entries.length} entr${group.entries.length == 1 ? 'y' : 'ies'}`;
+            if (groups.length > 1 && totalWeight > 0) {
+                title += `, ${(groupWeight / totalWeight * 100).toFixed(1)}% of picks from the whole wildcard`;
+            }
+            html += `<div class="wildcard-edit-dist-title">${escapeHtml(title)}</div>`;
+            for (let entry of group.entries.slice(0, maxRows)) {
+                let percent = groupWeight > 0 ? entry.weight / groupWeight * 100 : 0;
+                let conditions = entry.conditions.map(c => `@${c.isExclude ? 'excludes' : 'requires'}(${c.card}${c.values.length > 0 ? '=' + c.values.join('|') : ''})`).join(' ');
+                html += `<div class="wildcard-edit-dist-row" title="Line ${entry.line}, weight ${entry.weight}${conditions ? ', ' + escapeHtmlNoBr(conditions) : ''}">`
+                    + `<span class="wildcard-edit-dist-text">${escapeHtmlNoBr(entry.text)}${conditions ? ' <span class="wildcard-edit-dist-conditions">(conditional)</span>' : ''}</span>`
+                    + `<span class="wildcard-edit-dist-bar"><span style="width:${percent.toFixed(2)}%"></span></span>`
+                    + `<span class="wildcard-edit-dist-percent">${percent.toFixed(1)}%</span></div>`;
+            }
+            if (group.entries.length > maxRows) {
+                html += `<div class="wildcard-edit-dist-more">...and ${group.entries.length - maxRows} more</div>`;
+            }
+        }
+        output.innerHTML = html;
+    }
+
     /** Saves the edits to a wildcard from the modal created by {@link WildcardHelpers#editWildcard}. */
     saveEditWildcard() {
         let card = this.curWildcardMenuWildcard;
@@ -155,6 +385,101 @@ class WildcardHelpers {
         });
     }
 
+    /** Opens the wildcard pack import modal, importing into the wildcard browser's current folder by default. */
+    importWildcardsButton() {
+        this.importFiles = null;
+        getRequiredElementById('import_wildcards_files').value = '';
+        getRequiredElementById('import_wildcards_folder').value = '';
+        getRequiredElementById('import_wildcards_target').value = wildcardsBrowser.browser.folder.replace(/\/+$/, '');
+        getRequiredElementById('import_wildcards_preview').innerHTML = '';
+        getRequiredElementById('import_wildcards_confirm').disabled = true;
+        $('#import_wildcards_modal').modal('show');
+    }
+
+    /** Reads the files chosen in the import modal (as data URLs, keyed by relative path), then previews the import. */
+    importWildcardsFilesChanged(input) {
+        let files = [...input.files].filter(f => /\.(zip|txt|ya?ml|json|jpe?g|png|webp)$/i.test(f.name));
+        getRequiredElementById(input.id == 'import_wildcards_files' ? 'import_wildcards_folder' : 'import_wildcards_files').value = '';
+        getRequiredElementById('import_wildcards_confirm').disabled = true;
+        this.importFiles = null;
+        let preview = getRequiredElementById('import_wildcards_preview');
+        if (files.length == 0) {
+            preview.innerText = input.files.length == 0 ? '' : 'None of the chosen files are wildcard files.';
+            return;
+        }
+        preview.innerText = `Reading ${files.length} files...`;
+        let result = {};
+        let remaining = files.length;
+        let finish = () => {
+            remaining--;
+            if (remaining == 0) {
+                this.importFiles = result;
+                this.previewImportWildcards();
+            }
+        };
+        for (let file of files) {
+            let reader = new FileReader();
+            reader.onload = e => {
+                result[file.webkitRelativePath || file.name] = e.target.result;
+                finish();
+            };
+            reader.onerror = finish;
+            reader.readAsDataURL(file);
+        }
+    }
+
+    /** Sends the files chosen in the import modal to the server to preview what importing them would do, or to actually import them if 'doImport' is true. */
+    previewImportWildcards(doImport = false) {
+        if (!this.importFiles) {
+            return;
+        }
+        let preview = getRequiredElementById('import_wildcards_preview');
+        let confirm = getRequiredElementById('import_wildcards_confirm');
+        confirm.disabled = true;
+        let request = {
+            files: this.importFiles,
+            folder: getRequiredElementById('import_wildcards_target').value.trim(),
+            conflicts: getRequiredElementById('import_wildcards_conflicts').value,
+            convert_syntax: getRequiredElementById('import_wildcards_convert').checked,
+            preview: !doImport
+        };
+        genericRequest('ImportWildcards', request, data => {
+            if (doImport) {
+                wildcardsBrowser.browser.refresh();
+                $('#import_wildcards_modal').modal('hide');
+                if (data.errors.length > 0) {
+                    showError(`Imported ${data.imported} wildcards, but some files had problems:\n${data.errors.join('\n')}`);
+                }
+                return;
+            }
+            let counts = { create: 0, overwrite: 0, rename: 0, skip: 0 };
+            let html = '';
+            for (let wildcard of data.wildcards) {
+                counts[wildcard.action]++;
+                let detail = wildcard.status == 'conflict' ? `replaces ${wildcard.existing_lines} existing lines` : (wildcard.status == 'identical' ? 'already exists with the same contents' : '');
+                html += `<tr class="wildcard-import-${wildcard.status}"><td>${escapeHtmlNoBr(wildcard.name)}</td><td>${wildcard.action}</td><td>${wildcard.lines}</td><td>${escapeHtmlNoBr(detail)}</td><td class="wildcard-import-source">${escapeHtmlNoBr(wildcard.source)}</td></tr>`;
+            }
+            let summary = `${data.wildcards.length} wildcards found: ${counts.create} new, ${counts.overwrite} to overwrite, ${counts.rename} to rename, ${counts.skip} to skip.`;
+            let errors = data.errors.map(e => `<div class="wildcard-import-error">${escapeHtmlNoBr(e)}</div>`).join('');
+            preview.innerHTML = `<div>${summary}</div>${errors}<table class="simple-table wildcard-import-table"><tr><th>Name</th><th>Action</th><th>Lines</th><th>Notes</th><th>Source</th></tr>${html}</table>`;
+            confirm.disabled = counts.create + counts.overwrite + counts.rename == 0;
+        }, 0, e => {
+            preview.innerText = e;
+        });
+    }
+
+    /** Downloads the wildcard browser's current folder as a wildcard pack zip. */
+    exportWildcardsButton() {
+        genericRequest('ExportWildcards', { folder: wildcardsBrowser.browser.folder.replace(/\/+$/, '') }, data => {
+            let bytes = Uint8Array.from(atob(data.data), c => c.charCodeAt(0));
+            let link = document.createElement('a');
+            link.href = URL.createObjectURL(new Blob([bytes], { type: 'application/zip' }));
+            link.download = data.name;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+        });
+    }
+
     /** Small util to match a wildcard syntax entry in a prompt. */
     matchWildcard(prompt, wildcard) {
         let matcher = new RegExp(`<(wildcard(?:\\[\\d+(?:-\\d+)?\\])?):${regexEscape(wildcard)}>`, 'g');
@@ -188,28 +513,33 @@ class WildcardHelpers {
         triggerChangeFor(promptBox);
     }
 
-    /** Async function (returns a simple object with 'isComplete' and 'data') to get the data for a wildcard, using the wildcard name. Caches results and doesn't request the same data more than once. */
+    /** Async function (returns a simple object with 'isComplete', 'data' (the list of options), and 'entries' (see {@link WildcardHelpers#parseWildcard})) to get the data for a wildcard, using the wildcard name. Caches results and doesn't request the same data more than once. */
     getWildcardDataFor(name) {
         name = name.trim().toLowerCase();
         if (name in this.wildcardDataCache) {
-            return { isComplete: true, data: this.wildcardDataCache[name] };
+            let cached = this.wildcardDataCache[name];
+            return { isComplete: true, data: cached ? cached.options : null, entries: cached ? cached.entries : null };
         }
         if (!(name in this.wildcardNameCheck)) {
-            return { isComplete: true, data: null };
+            return { isComplete: true, data: null, entries: null };
         }
         if (this.wildcardDataCache[name + "____READ_NOW"]) {
             return this.wildcardDataCache[name + "____READ_NOW"];
         }
-        let result = { isComplete: false, data: null };
+        let result = { isComplete: false, data: null, entries: null };
         this.wildcardDataCache[name + "____READ_NOW"] = result;
         let giveResult = (data) => {
             this.wildcardDataCache[name] = data;
-            result.data = data;
+            result.data = data ? data.options : null;
+            result.entries = data ? data.entries : null;
             result.isComplete = true;
             delete this.wildcardDataCache[name + "____READ_NOW"];
+            if (typeof promptSyntaxOverlay != 'undefined') {
+                promptSyntaxOverlay.refreshAll();
+            }
         }
         genericRequest('DescribeModel', { subtype: 'Wildcards', modelName: name }, data => {
-            giveResult(data.options);
+            giveResult({ options: data.options, entries: this.parseWildcard(data.raw || '').entries });
         }, 0, e => giveResult(null));
         return result;
     }
@@ -18,10 +18,6 @@ class BrowserUtil {
                 subElem.src = subElem.dataset.src;
                 delete subElem.dataset.src;
             }
-            else if (subElem.classList.contains('browser-section-loader')) {
-                subElem.click();
-                subElem.remove();
-            }
         }
     }
 }
@@ -86,12 +82,23 @@ class GenPageBrowserClass {
         this.showRefresh = true;
         this.showUpFolder = true;
         this.showFilter = true;
+        this.filterMatcher = null; // Optional function(file, desc) to replace the default text filter match (eg if the list is already filtered server-side).
+        this.multiSelect = false; // If true, items can be multi-selected (ctrl/shift-click, or drag a box over empty space) to use 'bulkActions' on.
+        this.bulkActions = []; // List of { label, title, onclick(files), isAvailable() (optional) } shown while items are multi-selected.
+        this.multiSelected = new Set();
+        this.selectionAnchor = null;
+        this.selectionBar = null;
         this.folderTreeShowFiles = false;
         this.folderSelectedEvent = null;
         this.builtEvent = null;
         this.sizeChangedEvent = null;
-        this.maxPreBuild = 512;
-        this.chunksRendered = 0;
+        this.virtualChunkSize = 120; // Items per content chunk. Only chunks near the visible area are built. 120 divides evenly into most column counts, to avoid ragged rows between chunks.
+        this.virtualMargin = 1; // How many view-heights above and below the visible area to keep built.
+        this.chunks = [];
+        this.listedFiles = [];
+        this.chunkEstimate = null;
+        this.virtualWidth = null;
+        this.pendingScroll = null;
         this.rerenderPlanned = false;
         this.updatePendingSince = null;
         this.wantsReupdate = false;
@@ -131,7 +138,6 @@ class GenPageBrowserClass {
      * Navigates the browser to a given folder path.
      */
     navigate(folder, callback = null) {
-        this.chunksRendered = 0;
         this.folder = folder;
         this.selected = null;
         this.update(false, callback);
@@ -140,44 +146,49 @@ class GenPageBrowserClass {
     /**
      * Clicks repeatedly into a path to fully open it.
      */
-    clickPath(path) {
+    clickPath(path, callback = null) {
         let tree = this.tree;
         if (!tree.isOpen) {
             tree.clickme(() => {
-                this.clickPath(path);
+                this.clickPath(path, callback);
             });
             return;
         }
-        if (path.length == 0) {
-            return;
-        }
         let split = path.split('/');
         for (let part of split) {
             if (part == '') {
                 continue;
             }
             if (!(part in tree.children)) {
-                return;
+                break;
             }
             tree = tree.children[part];
             if (!tree.isOpen) {
                 tree.clickme(() => {
-                    this.clickPath(path);
+                    this.clickPath(path, callback);
                 });
                 return;
             }
         }
+        if (callback) {
+            callback();
+        }
     }
 
     /**
-     * Refreshes the browser view from source.
+     * Refreshes the browser view from source, keeping the scroll position.
      */
     refresh() {
         refreshParameterValues(true, () => {
-            this.chunksRendered = 0;
             let path = this.folder;
+            this.pendingScroll = this.getScrollAnchor();
+            if (this.pendingScroll) {
+                this.pendingScroll.path = path.endsWith('/') ? path.substring(0, path.length - 1) : path;
+            }
             this.update(true, () => {
-                this.clickPath(path);
+                this.clickPath(path, () => {
+                    this.pendingScroll = null;
+                });
             });
         });
     }
@@ -189,7 +200,6 @@ class GenPageBrowserClass {
         this.updatePendingSince = new Date().getTime();
         if (isRefresh) {
             this.tree = new BrowserTreePart('', {}, false, null, null, '');
-            this.contentDiv.scrollTop = 0;
         }
         let folder = this.folder;
         this.listFoldersAndFiles(folder, isRefresh, (folders, files) => {
@@ -349,165 +359,519 @@ class GenPageBrowserClass {
 
     /**
      * Fills the container with the content list.
+     * Items are grouped into chunks of 'virtualChunkSize', and only the chunks near the visible area are actually built (see 'updateVirtualWindow'), so even folders with tens of thousands of items stay fast.
      */
-    buildContentList(container, files, before = null, startId = 0) {
-        let id = startId;
-        let maxBuildNow = this.maxPreBuild;
-        if (startId == 0) {
-            maxBuildNow += this.chunksRendered * Math.min(this.maxPreBuild / 2, 100);
-            this.chunksRendered = 0;
-        }
-        else {
-            this.chunksRendered++;
-        }
+    buildContentList(container, files) {
+        this.chunks = [];
+        this.listedFiles = [];
+        this.chunkEstimate = null;
+        let chunk = null;
         for (let i = 0; i < files.length; i++) {
             let file = files[i];
-            id++;
-            let desc = this.describe(file);
-            if (this.filter && !desc.searchable.toLowerCase().includes(this.filter)) {
+            if (this.filter && !this.matchesFilter(file, this.describe(file))) {
                 continue;
             }
-            if (i > maxBuildNow) {
-                let remainingFiles = files.slice(i);
-                while (remainingFiles.length > 0) {
-                    let chunkSize = Math.min(this.maxPreBuild / 2, remainingFiles.length, 100);
-                    let chunk = remainingFiles.splice(0, chunkSize);
-                    remainingFiles = remainingFiles.slice(chunkSize);
-                    let sectionDiv = createDiv(null, 'lazyload browser-section-loader');
-                    sectionDiv.onclick = () => {
-                        this.buildContentList(container, chunk, sectionDiv, id);
-                    };
-                    container.appendChild(sectionDiv);
-                }
-                break;
+            this.listedFiles.push(file);
+            if (!chunk || chunk.entries.length >= this.virtualChunkSize) {
+                chunk = { entries: [], div: createDiv(null, 'browser-content-chunk'), isRendered: false, height: null };
+                this.chunks.push(chunk);
+                container.appendChild(chunk.div);
             }
-            let div = createDiv(null, `${desc.className}`);
-            let popoverId = `${this.id}-${id}`;
-            if (desc.buttons.length > 0) {
-                let menuDiv = createDiv(`popover_${popoverId}`, 'sui-popover sui_popover_model');
-                for (let button of desc.buttons) {
-                    let buttonElem;
-                    if (button.href) {
-                        buttonElem = document.createElement('a');
-                        buttonElem.href = button.href;
-                        if (button.is_download) {
-                            buttonElem.download = '';
-                        }
-                    }
-                    else {
-                        buttonElem = document.createElement('div');
-                    }
-                    buttonElem.className = 'sui_popover_model_button';
-                    buttonElem.innerText = button.label;
-                    if (button.onclick) {
-                        buttonElem.onclick = () => button.onclick(div);
+            chunk.entries.push({ file: file, id: i + 1 });
+        }
+        this.updateVirtualWindow();
+        setTimeout(() => {
+            browserUtil.makeVisible(container);
+        }, 100);
+    }
+
+    /**
+     * Builds the chunks of the content list that are within (or near) the visible area, and frees the ones far away from it (leaving an empty placeholder of the same height).
+     */
+    updateVirtualWindow() {
+        if (!this.contentDiv || this.chunks.length == 0) {
+            return;
+        }
+        let viewHeight = this.contentDiv.clientHeight;
+        if (viewHeight == 0) {
+            // Not currently visible, so there's no telling what's in view. Just make sure the start is built, the resize observer will call back once it's shown.
+            if (!this.chunks[0].isRendered) {
+                this.renderChunk(this.chunks[0]);
+            }
+            return;
+        }
+        if (this.contentDiv.clientWidth != this.virtualWidth) {
+            // Item wrapping changed, so the heights of freed chunks are no longer right.
+            this.virtualWidth = this.contentDiv.clientWidth;
+            this.chunkEstimate = null;
+            for (let chunk of this.chunks) {
+                chunk.height = null;
+            }
+        }
+        let contentRect = this.contentDiv.getBoundingClientRect();
+        let margin = viewHeight * this.virtualMargin;
+        for (let chunk of this.chunks) {
+            let rect = chunk.div.getBoundingClientRect();
+            let isNear = rect.bottom >= contentRect.top - margin && rect.top <= contentRect.top + viewHeight + margin;
+            if (isNear && !chunk.isRendered) {
+                this.renderChunk(chunk);
+            }
+            else if (!isNear && chunk.isRendered && !chunk.div.contains(document.activeElement)) {
+                this.unrenderChunk(chunk);
+            }
+            if (chunk.isRendered && chunk.entries.length == this.virtualChunkSize) {
+                this.updateChunkEstimate(chunk.div.offsetHeight);
+            }
+        }
+    }
+
+    /**
+     * Updates the estimated height of a full chunk from a measured one, and applies it to any freed chunks that don't have a measured height of their own.
+     */
+    updateChunkEstimate(height) {
+        if (height == 0 || (this.chunkEstimate != null && Math.abs(height - this.chunkEstimate) < this.chunkEstimate * 0.1)) {
+            return;
+        }
+        this.chunkEstimate = height;
+        for (let chunk of this.chunks) {
+            if (!chunk.isRendered && chunk.height == null) {
+                chunk.div.style.height = `${height}px`;
+            }
+        }
+    }
+
+    /**
+     * Builds all the items in a content chunk.
+     */
+    renderChunk(chunk) {
+        chunk.div.style.height = '';
+        for (let entry of chunk.entries) {
+            this.buildItem(chunk.div, entry.file, entry.id);
+        }
+        chunk.isRendered = true;
+        applyTranslations(chunk.div);
+    }
+
+    /**
+     * Frees all the items in a content chunk, keeping its height so the scroll position doesn't change.
+     */
+    unrenderChunk(chunk) {
+        chunk.height = chunk.div.offsetHeight;
+        chunk.div.style.height = `${chunk.height}px`;
+        chunk.div.innerHTML = '';
+        chunk.isRendered = false;
+    }
+
+    /**
+     * Builds the element for a single item (plus its popover menu, if any) into the container.
+     */
+    buildItem(container, file, id) {
+        let desc = this.describe(file);
+        let div = createDiv(null, `${desc.className}`);
+        let popoverId = `${this.id}-${id}`;
+        if (desc.buttons.length > 0) {
+            let menuDiv = createDiv(`popover_${popoverId}`, 'sui-popover sui_popover_model');
+            for (let button of desc.buttons) {
+                let buttonElem;
+                if (button.href) {
+                    buttonElem = document.createElement('a');
+                    buttonElem.href = button.href;
+                    if (button.is_download) {
+                        buttonElem.download = '';
                     }
-                    menuDiv.appendChild(buttonElem);
-                }
-                if (before) {
-                    container.insertBefore(menuDiv, before);
                 }
                 else {
-                    container.appendChild(menuDiv);
+                    buttonElem = document.createElement('div');
                 }
+                buttonElem.className = 'sui_popover_model_button';
+                buttonElem.innerText = button.label;
+                if (button.onclick) {
+                    buttonElem.onclick = () => button.onclick(div);
+                }
+                menuDiv.appendChild(buttonElem);
             }
-            let img = document.createElement('img');
-            img.addEventListener('click', () => {
-                this.select(file, div);
+            container.appendChild(menuDiv);
+        }
+        let img = document.createElement('img');
+        img.addEventListener('click', (e) => {
+            this.clickItem(file, div, e);
+        });
+        div.appendChild(img);
+        if (this.format.includes('Cards')) {
+            div.className += ' model-block model-block-hoverable';
+            if (this.format.startsWith('Small')) { div.classList.add('model-block-small'); }
+            else if (this.format.startsWith('Big')) { div.classList.add('model-block-big'); }
+            let textBlock = createDiv(null, 'model-descblock');
+            textBlock.tabIndex = 0;
+            textBlock.innerHTML = desc.description;
+            div.appendChild(textBlock);
+        }
+        else if (this.format.includes('Thumbnails')) {
+            div.className += ' image-block image-block-legacy';
+            let factor = 8;
+            if (this.format.startsWith('Big')) { factor = 15; div.classList.add('image-block-big'); }
+            else if (this.format.startsWith('Giant')) { factor = 25; div.classList.add('image-block-giant'); }
+            else if (this.format.startsWith('Small')) { factor = 5; div.classList.add('image-block-small'); }
+            div.style.width = `${factor + 1}rem`;
+            img.addEventListener('load', () => {
+                let ratio = img.width / img.height;
+                div.style.width = `${(ratio * factor) + 1}rem`;
             });
-            div.appendChild(img);
-            if (this.format.includes('Cards')) {
-                div.className += ' model-block model-block-hoverable';
-                if (this.format.startsWith('Small')) { div.classList.add('model-block-small'); }
-                else if (this.format.startsWith('Big')) { div.classList.add('model-block-big'); }
-                let textBlock = createDiv(null, 'model-descblock');
-                textBlock.tabIndex = 0;
-                textBlock.innerHTML = desc.description;
-                div.appendChild(textBlock);
+            let textBlock = createDiv(null, 'image-preview-text');
+            textBlock.innerText = desc.display || desc.name;
+            if (this.format == "Small Thumbnails" || textBlock.innerText.length > 40) {
+                textBlock.classList.add('image-preview-text-small');
             }
-            else if (this.format.includes('Thumbnails')) {
-                div.className += ' image-block image-block-legacy';
-                let factor = 8;
-                if (this.format.startsWith('Big')) { factor = 15; div.classList.add('image-block-big'); }
-                else if (this.format.startsWith('Giant')) { factor = 25; div.classList.add('image-block-giant'); }
-                else if (this.format.startsWith('Small')) { factor = 5; div.classList.add('image-block-small'); }
-                div.style.width = `${factor + 1}rem`;
-                img.addEventListener('load', () => {
-                    let ratio = img.width / img.height;
-                    div.style.width = `${(ratio * factor) + 1}rem`;
-                });
-                let textBlock = createDiv(null, 'image-preview-text');
-                textBlock.innerText = desc.display || desc.name;
-                if (this.format == "Small Thumbnails" || textBlock.innerText.length > 40) {
-                    textBlock.classList.add('image-preview-text-small');
-                }
-                else if (textBlock.innerText.length > 20) {
-                    textBlock.classList.add('image-preview-text-medium');
-                }
-                else {
-                    textBlock.classList.add('image-preview-text-large');
-                }
-                div.appendChild(textBlock);
+            else if (textBlock.innerText.length > 20) {
+                textBlock.classList.add('image-preview-text-medium');
+            }
+            else {
+                textBlock.classList.add('image-preview-text-large');
             }
-            else if (this.format == 'List') {
-                div.className += ' browser-list-entry';
-                let textBlock = createSpan(null, 'browser-list-entry-text');
-                textBlock.innerText = desc.display || desc.name;
-                textBlock.addEventListener('click', () => {
-                    this.select(file, div);
+            div.appendChild(textBlock);
+        }
+        else if (this.format == 'List') {
+            div.className += ' browser-list-entry';
+            let textBlock = createSpan(null, 'browser-list-entry-text');
+            textBlock.innerText = desc.display || desc.name;
+            textBlock.addEventListener('click', (e) => {
+                this.clickItem(file, div, e);
+            });
+            div.appendChild(textBlock);
+        }
+        else if (this.format == 'Details List') {
+            img.style.width = '1.3rem';
+            div.className += ' browser-details-list-entry';
+            let detail_list = desc.detail_list;
+            if (!detail_list) {
+                detail_list = [escapeHtml(desc.display || desc.name), desc.description.replaceAll('<br>', '&emsp;')];
+            }
+            let percent = 98 / detail_list.length;
+            for (let detail of detail_list) {
+                let textBlock = createSpan(null, 'browser-details-list-entry-text');
+                textBlock.style.width = `${percent}%`;
+                textBlock.innerHTML = detail;
+                textBlock.addEventListener('click', (e) => {
+                    this.clickItem(file, div, e);
                 });
                 div.appendChild(textBlock);
             }
-            else if (this.format == 'Details List') {
-                img.style.width = '1.3rem';
-                div.className += ' browser-details-list-entry';
-                let detail_list = desc.detail_list;
-                if (!detail_list) {
-                    detail_list = [escapeHtml(desc.display || desc.name), desc.description.replaceAll('<br>', '&emsp;')];
-                }
-                let percent = 98 / detail_list.length;
-                for (let detail of detail_list) {
-                    let textBlock = createSpan(null, 'browser-details-list-entry-text');
-                    textBlock.style.width = `${percent}%`;
-                    textBlock.innerHTML = detail;
-                    textBlock.addEventListener('click', () => {
-                        this.select(file, div);
-                    });
-                    div.appendChild(textBlock);
-                }
+        }
+        if (desc.buttons.length > 0) {
+            let menu = createDiv(null, 'model-block-menu-button');
+            menu.innerHTML = '&#x2630;';
+            menu.addEventListener('click', () => {
+                doPopover(popoverId);
+            });
+            div.appendChild(menu);
+        }
+        if (!this.format.includes('Cards')) {
+            div.title = stripHtmlToText(desc.description);
+        }
+        div.dataset.name = file.name;
+        if (this.multiSelected.has(file.name)) {
+            div.classList.add('browser-item-multiselected');
+        }
+        img.classList.add('lazyload');
+        img.dataset.src = desc.image;
+        if (desc.dragimage) {
+            img.addEventListener('dragstart', (e) => {
+                chromeIsDumbFileHack(e.dataTransfer.files[0], desc.dragimage);
+                e.dataTransfer.clearData();
+                e.dataTransfer.setDragImage(img, 0, 0);
+                e.dataTransfer.setData('text/uri-list', desc.dragimage);
+            });
+        }
+        container.appendChild(div);
+    }
+
+    /**
+     * Makes sure the element for a given file name is built, scrolls it into view if needed, and returns it. Returns null if the file isn't listed.
+     */
+    revealItem(name) {
+        let chunk = this.chunks.find(c => c.entries.some(e => e.file.name == name));
+        if (!chunk) {
+            return null;
+        }
+        if (!chunk.isRendered) {
+            this.renderChunk(chunk);
+        }
+        let div = this.getVisibleEntry(name);
+        if (div && this.contentDiv.clientHeight > 0) {
+            let rect = div.getBoundingClientRect();
+            let view = this.contentDiv.getBoundingClientRect();
+            if (rect.top < view.top) {
+                this.contentDiv.scrollTop -= view.top - rect.top;
             }
-            if (desc.buttons.length > 0) {
-                let menu = createDiv(null, 'model-block-menu-button');
-                menu.innerHTML = '&#x2630;';
-                menu.addEventListener('click', () => {
-                    doPopover(popoverId);
-                });
-                div.appendChild(menu);
-            }
-            if (!this.format.includes('Cards')) {
-                div.title = stripHtmlToText(desc.description);
-            }
-            div.dataset.name = file.name;
-            img.classList.add('lazyload');
-            img.dataset.src = desc.image;
-            if (desc.dragimage) {
-                img.addEventListener('dragstart', (e) => {
-                    chromeIsDumbFileHack(e.dataTransfer.files[0], desc.dragimage);
-                    e.dataTransfer.clearData();
-                    e.dataTransfer.setDragImage(img, 0, 0);
-                    e.dataTransfer.setData('text/uri-list', desc.dragimage);
-                });
+            else if (rect.bottom > view.bottom) {
+                this.contentDiv.scrollTop += rect.bottom - view.bottom;
+            }
+            this.updateVirtualWindow();
+            browserUtil.makeVisible(this.contentDiv);
+        }
+        return div;
+    }
+
+    /**
+     * Returns the listed file that is 'offset' places after the one with the given name (wrapping around at the ends), or null if that name isn't listed.
+     */
+    getAdjacentFile(name, offset) {
+        let index = this.listedFiles.findIndex(f => f.name == name);
+        if (index == -1) {
+            return null;
+        }
+        let count = this.listedFiles.length;
+        return this.listedFiles[(((index + offset) % count) + count) % count];
+    }
+
+    /**
+     * Removes a file (by name) from the current listing without rebuilding the view, eg after it was deleted.
+     */
+    removeFile(name) {
+        if (this.lastFiles) {
+            this.lastFiles = this.lastFiles.filter(f => f.name != name);
+        }
+        this.listedFiles = this.listedFiles.filter(f => f.name != name);
+        for (let chunk of this.chunks) {
+            chunk.entries = chunk.entries.filter(e => e.file.name != name);
+        }
+        this.multiSelected.delete(name);
+        let div = this.getVisibleEntry(name);
+        if (div) {
+            div.remove();
+        }
+        if (this.headerCount && this.lastFiles) {
+            this.headerCount.innerText = this.lastFiles.length;
+        }
+    }
+
+    /**
+     * Returns where the content area is scrolled to, as the first visible item's name and its offset from the top, or null if nothing is visible.
+     */
+    getScrollAnchor() {
+        if (!this.contentDiv || this.contentDiv.clientHeight == 0) {
+            return null;
+        }
+        let top = this.contentDiv.getBoundingClientRect().top;
+        for (let div of this.getVisibleEntries()) {
+            let rect = div.getBoundingClientRect();
+            if (rect.bottom > top) {
+                return { name: div.dataset.name, offset: rect.top - top, scrollTop: this.contentDiv.scrollTop };
             }
-            if (before) {
-                container.insertBefore(div, before);
+        }
+        return { name: null, offset: 0, scrollTop: this.contentDiv.scrollTop };
+    }
+
+    /**
+     * Scrolls the content area back to a position from 'getScrollAnchor'. If the anchor item is no longer listed, falls back to the raw scroll offset.
+     */
+    restoreScrollAnchor(anchor) {
+        let div = anchor.name ? this.revealItem(anchor.name) : null;
+        if (div) {
+            this.contentDiv.scrollTop += div.getBoundingClientRect().top - this.contentDiv.getBoundingClientRect().top - anchor.offset;
+        }
+        else {
+            this.contentDiv.scrollTop = anchor.scrollTop;
+        }
+        this.updateVirtualWindow();
+    }
+
+    /**
+     * Returns true if the given file (with its description from 'describe') matches the current filter text.
+     */
+    matchesFilter(file, desc) {
+        if (!this.filter) {
+            return true;
+        }
+        if (this.filterMatcher) {
+            return this.filterMatcher(file, desc);
+        }
+        return desc.searchable.toLowerCase().includes(this.filter);
+    }
+
+    /**
+     * Returns the list of files currently listed (ie matching the filter), in display order.
+     */
+    getListedFiles() {
+        return this.listedFiles;
+    }
+
+    /**
+     * Handles a click on an item. Normally this selects it, but if 'multiSelect' is enabled, ctrl-click toggles the item in the multi-selection, and shift-click selects a range.
+     */
+    clickItem(file, div, e) {
+        if (this.multiSelect && e && (e.shiftKey || e.ctrlKey || e.metaKey)) {
+            e.preventDefault();
+            if (e.shiftKey && this.selectionAnchor) {
+                this.selectRange(this.selectionAnchor, file.name, e.ctrlKey || e.metaKey);
             }
             else {
-                container.appendChild(div);
+                this.setItemSelected(file.name, !this.multiSelected.has(file.name), div);
+                this.selectionAnchor = file.name;
             }
+            this.updateSelectionBar();
+            return;
+        }
+        this.selectionAnchor = file.name;
+        if (this.multiSelected.size > 0) {
+            this.clearMultiSelection();
+        }
+        this.select(file, div);
+    }
+
+    /**
+     * Adds or removes an item (by name) from the multi-selection. Does not update the selection bar.
+     */
+    setItemSelected(name, selected, div = null) {
+        if (selected) {
+            this.multiSelected.add(name);
+        }
+        else {
+            this.multiSelected.delete(name);
+        }
+        div = div || this.getVisibleEntry(name);
+        if (div) {
+            div.classList.toggle('browser-item-multiselected', selected);
         }
-        setTimeout(() => {
-            browserUtil.makeVisible(container);
-        }, 100);
+    }
+
+    /**
+     * Multi-selects all listed items between two item names (inclusive). If not 'additive', the previous selection is cleared first.
+     */
+    selectRange(fromName, toName, additive) {
+        let names = this.getListedFiles().map(f => f.name);
+        let start = names.indexOf(fromName);
+        let end = names.indexOf(toName);
+        if (!additive) {
+            this.clearMultiSelection(false);
+        }
+        if (start == -1 || end == -1) {
+            this.setItemSelected(toName, true);
+            return;
+        }
+        for (let i = Math.min(start, end); i <= Math.max(start, end); i++) {
+            this.setItemSelected(names[i], true);
+        }
+    }
+
+    /**
+     * Multi-selects every listed item.
+     */
+    selectAll() {
+        for (let file of this.getListedFiles()) {
+            this.setItemSelected(file.name, true);
+        }
+        this.updateSelectionBar();
+    }
+
+    /**
+     * Clears the multi-selection.
+     */
+    clearMultiSelection(updateBar = true) {
+        for (let name of [...this.multiSelected]) {
+            this.setItemSelected(name, false);
+        }
+        if (updateBar) {
+            this.updateSelectionBar();
+        }
+    }
+
+    /**
+     * Returns the list of currently multi-selected files.
+     */
+    getMultiSelectedFiles() {
+        return (this.lastFiles || []).filter(f => this.multiSelected.has(f.name));
+    }
+
+    /**
+     * Updates the bulk action bar to match the current multi-selection.
+     */
+    updateSelectionBar() {
+        if (!this.selectionBar) {
+            return;
+        }
+        let count = this.multiSelected.size;
+        this.selectionBar.innerHTML = '';
+        this.selectionBar.style.display = count > 0 ? '' : 'none';
+        this.contentDiv.classList.toggle('browser-content-container-with-selection', count > 0);
+        if (count == 0) {
+            return;
+        }
+        let countSpan = createSpan(null, 'browser-selection-count');
+        countSpan.innerText = `${count} ${translate('selected')}`;
+        this.selectionBar.appendChild(countSpan);
+        let addButton = (label, title, onclick) => {
+            let button = document.createElement('button');
+            button.className = 'basic-button browser-selection-button';
+            button.innerText = translate(label);
+            button.title = translate(title);
+            button.addEventListener('click', onclick);
+            this.selectionBar.appendChild(button);
+        };
+        addButton('Select All', 'Select every item in this view.', () => this.selectAll());
+        addButton('Clear', 'Clear the selection.', () => this.clearMultiSelection());
+        for (let action of this.bulkActions) {
+            if (action.isAvailable && !action.isAvailable()) {
+                continue;
+            }
+            addButton(action.label, action.title, () => action.onclick(this.getMultiSelectedFiles()));
+        }
+    }
+
+    /**
+     * Handles a mousedown in the content area, starting a drag-box multi-selection if it was on empty space.
+     */
+    startDragSelect(e) {
+        if (!this.multiSelect || e.button != 0 || e.target != this.contentDiv) {
+            return;
+        }
+        if (e.offsetX >= this.contentDiv.clientWidth || e.offsetY >= this.contentDiv.clientHeight) {
+            return; // Clicked the scrollbar
+        }
+        e.preventDefault();
+        let additive = e.ctrlKey || e.metaKey || e.shiftKey;
+        let initial = additive ? new Set(this.multiSelected) : new Set();
+        let startX = e.clientX;
+        // Track the start in content coordinates, so scrolling mid-drag works.
+        let startY = e.clientY - this.contentDiv.getBoundingClientRect().top + this.contentDiv.scrollTop;
+        let box = null;
+        let move = (moveEvent) => {
+            let y = startY + this.contentDiv.getBoundingClientRect().top - this.contentDiv.scrollTop;
+            if (!box) {
+                if (Math.abs(moveEvent.clientX - startX) < 5 && Math.abs(moveEvent.clientY - y) < 5) {
+                    return;
+                }
+                box = createDiv(null, 'browser-drag-select-box');
+                document.body.appendChild(box);
+            }
+            let left = Math.min(startX, moveEvent.clientX), right = Math.max(startX, moveEvent.clientX);
+            let top = Math.min(y, moveEvent.clientY), bottom = Math.max(y, moveEvent.clientY);
+            box.style.left = `${left}px`;
+            box.style.top = `${top}px`;
+            box.style.width = `${right - left}px`;
+            box.style.height = `${bottom - top}px`;
+            for (let item of this.getVisibleEntries()) {
+                let rect = item.getBoundingClientRect();
+                let hit = rect.right > left && rect.left < right && rect.bottom > top && rect.top < bottom;
+                let selected = hit || initial.has(item.dataset.name);
+                if (selected != this.multiSelected.has(item.dataset.name)) {
+                    this.setItemSelected(item.dataset.name, selected, item);
+                }
+            }
+        };
+        let up = () => {
+            document.removeEventListener('mousemove', move);
+            document.removeEventListener('mouseup', up);
+            if (box) {
+                box.remove();
+            }
+            else if (!additive && this.multiSelected.size > 0) {
+                this.clearMultiSelection(false);
+            }
+            this.updateSelectionBar();
+        };
+        document.addEventListener('mousemove', move);
+        document.addEventListener('mouseup', up);
     }
 
     /**
@@ -527,15 +891,17 @@ class GenPageBrowserClass {
     }
 
     /**
-     * Returns the visible element block for a given file name.
+     * Returns the visible element block for a given file name, or null if it isn't currently built.
      */
     getVisibleEntry(name) {
-        for (let child of this.contentDiv.children) {
-            if (child.dataset.name == name) {
-                return child;
-            }
-        }
-        return null;
+        return this.contentDiv.querySelector(`:scope > .browser-content-chunk > [data-name="${CSS.escape(name)}"]`);
+    }
+
+    /**
+     * Returns all currently built item element blocks.
+     */
+    getVisibleEntries() {
+        return [...this.contentDiv.querySelectorAll(':scope > .browser-content-chunk > [data-name]')];
     }
 
     /**
@@ -546,18 +912,29 @@ class GenPageBrowserClass {
         if (path.endsWith('/')) {
             path = path.substring(0, path.length - 1);
         }
-        let scrollOffset = 0;
+        let scrollAnchor = null;
         this.lastPath = path;
         if (folders) {
             this.refillTree(path, folders, false);
         }
         else if (folders == null && this.contentDiv) {
-            scrollOffset = this.contentDiv.scrollTop;
+            scrollAnchor = this.getScrollAnchor();
+        }
+        if (this.pendingScroll && this.pendingScroll.path == path) {
+            scrollAnchor = this.pendingScroll;
         }
         if (files == null) {
             files = this.lastFiles;
         }
         this.lastFiles = files;
+        if (files && this.multiSelected.size > 0) {
+            let names = new Set(files.map(f => f.name));
+            for (let name of [...this.multiSelected]) {
+                if (!names.has(name)) {
+                    this.multiSelected.delete(name);
+                }
+            }
+        }
         if (files && this.folderTreeShowFiles) {
             this.refillTree(path, files.map(f => {
                 let name = f.name.substring(path.length);
@@ -655,10 +1032,19 @@ class GenPageBrowserClass {
             this.headerBar.appendChild(buttons);
             refreshButton.onclick = this.refresh.bind(this);
             this.fullContentDiv.appendChild(this.headerBar);
+            this.selectionBar = createDiv(`${this.id}-selection-bar`, 'browser-selection-bar');
+            this.selectionBar.style.display = 'none';
+            this.fullContentDiv.appendChild(this.selectionBar);
             this.contentDiv = createDiv(`${this.id}-content`, 'browser-content-container');
             this.contentDiv.addEventListener('scroll', () => {
+                this.updateVirtualWindow();
                 browserUtil.makeVisible(this.contentDiv);
             });
+            new ResizeObserver(() => {
+                this.updateVirtualWindow();
+                browserUtil.makeVisible(this.contentDiv);
+            }).observe(this.contentDiv);
+            this.contentDiv.addEventListener('mousedown', (e) => this.startDragSelect(e));
             this.fullContentDiv.appendChild(this.contentDiv);
             this.barSpot = 0;
             let setBar = () => {
@@ -719,14 +1105,15 @@ class GenPageBrowserClass {
         this.buildContentList(this.contentDiv, files);
         this.folderTreeDiv.scrollTop = folderScroll;
         browserUtil.makeVisible(this.contentDiv);
-        if (scrollOffset) {
-            this.contentDiv.scrollTop = scrollOffset;
-        }
         applyTranslations(this.headerBar);
         applyTranslations(this.contentDiv);
+        this.updateSelectionBar();
         this.everLoaded = true;
         if (this.builtEvent) {
             this.builtEvent();
         }
+        if (scrollAnchor) {
+            this.restoreScrollAnchor(scrollAnchor);
+        }
     }
 }
@@ -7,6 +7,8 @@ class GenerateHandler {
         this.validateModel = true;
         this.interrupted = -1;
         this.sockets = {};
+        this.resumeIdPrefix = Math.random().toString(36).substring(2, 10);
+        this.queue = null;
         this.imageContainerDivId = 'current_image';
         this.imageId = 'current_image_img';
         this.progressBarHtml = `<div class="image-preview-progress-inner"><div class="image-preview-progress-overall"></div><div class="image-preview-progress-current"></div></div>`;
@@ -36,6 +38,20 @@ class GenerateHandler {
         // nothing to do here
     }
 
+    recordPromptHistory(input) {
+        promptUsageTracker.recordInput(input);
+        return promptHistory.record(input);
+    }
+
+    gotPromptHistoryImage(historyId, image) {
+        promptHistory.setThumbnail(historyId, image);
+    }
+
+    /** Runs the registered prompt pre-processors (see {@link PromptPreprocessorRegistry}) on the input, right before it is sent. Returns a Promise. */
+    preprocessPrompts(input) {
+        return promptPreprocessors.apply(input);
+    }
+
     hadError(msg) {
         showError(msg);
     }
@@ -45,15 +61,19 @@ class GenerateHandler {
         this.totalGenRunTime += time;
     }
 
-    beforeGenRun() {
-        num_current_gens += parseInt(getRequiredElementById('input_images').value);
+    beforeGenRun(images = null) {
+        num_current_gens += parseInt(images ?? getRequiredElementById('input_images').value);
     }
 
     doInterrupt(allSessions = false) {
         this.interrupted = this.batchesEver;
+        if (this.queue) {
+            this.queue.setPaused(true);
+        }
         doInterrupt(allSessions);
     }
 
+    /** Interrupts everything and generates right away. This deliberately skips the queue, as interrupting pauses the queue. */
     doInterruptAndGen() {
         this.doInterrupt();
         getSession(() => {
@@ -66,7 +86,18 @@ class GenerateHandler {
             this.doInterruptAndGen();
         }
         else {
-            this.doGenerate();
+            this.doGenerateQueued();
+        }
+    }
+
+    /** Adds a generation of the current parameters (with optional overrides, as for 'doGenerate') to the generation queue if one is attached, or generates immediately if not.
+     * All user-triggered generations should go through this. Only live previews (which must not wait behind queued jobs) and 'doInterruptAndGen' call 'doGenerate' directly. */
+    doGenerateQueued(input_overrides = {}, input_preoverrides = {}) {
+        if (this.queue) {
+            this.queue.addCurrent(input_overrides, input_preoverrides);
+        }
+        else {
+            this.doGenerate(input_overrides, input_preoverrides);
         }
     }
 
@@ -74,6 +105,39 @@ class GenerateHandler {
         return ++this.batchesEver;
     }
 
+    /** Reattaches to generation requests by their resume ids after their socket dropped unexpectedly. Reconnects with backoff, then polls the server for outputs until every request is complete. Calls 'onData' for each recovered output, 'onDone' when all requests are complete, or 'onFail' if the server can't be reached or has lost track of a request. */
+    resumeGeneration(resumeIds, onData, onDone, onFail) {
+        let offsets = {};
+        for (let id of resumeIds) {
+            offsets[id] = 0;
+        }
+        let pollOnce = (onSuccess, onFailure) => {
+            let remaining = Object.keys(offsets);
+            if (remaining.length == 0) {
+                onSuccess();
+                onDone();
+                return;
+            }
+            let id = remaining[0];
+            genericRequest('GetResumableGeneration', { resume_id: id, offset: offsets[id] }, data => {
+                onSuccess();
+                if (!data.known) {
+                    onFail(`Lost connection to the server, and the generation could not be resumed.`);
+                    return;
+                }
+                for (let output of data.outputs) {
+                    onData(output);
+                }
+                offsets[id] += data.outputs.length;
+                if (data.complete) {
+                    delete offsets[id];
+                }
+                setTimeout(() => retryWithBackoff(pollOnce, onFail), data.complete ? 1 : 2000);
+            }, 0, onFailure);
+        };
+        retryWithBackoff(pollOnce, onFail);
+    }
+
     setImageFor(imgHolder, src) {
         if (imgHolder.div.dataset.is_placeholder) {
             delete imgHolder.div.dataset.is_placeholder;
@@ -106,7 +170,8 @@ class GenerateHandler {
         imgHolder.div.dataset.src = src;
     }
 
-    doGenerate(input_overrides = {}, input_preoverrides = {}) {
+    /** Starts a generation. If 'queueJob' is given (from {@link GenerateQueue}), its 'input' snapshot is used as-is on a dedicated socket, and its 'onStart', 'onComplete' and 'onError' callbacks are fired. */
+    doGenerate(input_overrides = {}, input_preoverrides = {}, queueJob = null) {
         if (session_id == null) {
             if (Date.now() - time_started > 1000 * 60) {
                 this.hadError("Cannot generate, session not started. Did the server crash?");
@@ -122,20 +187,36 @@ class GenerateHandler {
             delete input_overrides['_preview'];
             socketId = 'preview';
         }
-        this.beforeGenRun();
+        if (queueJob) {
+            socketId = `queue_${queueJob.id}`;
+        }
+        this.beforeGenRun(queueJob ? (queueJob.input.images ?? 1) : null);
         let run = () => {
             this.resetBatchIfNeeded();
             let images = {};
             let batch_id = this.getBatchId();
             let discardable = {};
             let timeLastGenHit = Date.now();
-            let actualInput = this.getGenInput(input_overrides, input_preoverrides);
+            let actualInput = queueJob ? JSON.parse(JSON.stringify(queueJob.input)) : this.getGenInput(input_overrides, input_preoverrides);
+            let historyId = isPreview ? null : this.recordPromptHistory(actualInput);
+            let resumeId = isPreview ? null : `${this.resumeIdPrefix}_${batch_id}`;
+            if (resumeId) {
+                actualInput['resume_id'] = resumeId;
+            }
             let socket = null;
+            let finished = false;
+            if (queueJob && queueJob.onStart) {
+                queueJob.onStart(batch_id);
+            }
             let handleData = data => {
                 if ('socket_intention' in data && data.socket_intention == 'close') {
+                    finished = true;
                     if (this.sockets[socketId] == socket) {
                         this.sockets[socketId] = null;
                     }
+                    if (queueJob && queueJob.onComplete) {
+                        queueJob.onComplete();
+                    }
                     if (Object.keys(discardable).length > 0) {
                         // clear any lingering previews
                         for (let img of Object.values(images)) {
@@ -152,6 +233,10 @@ class GenerateHandler {
                     return;
                 }
                 if (data.image) {
+                    if (historyId) {
+                        this.gotPromptHistoryImage(historyId, data.image);
+                        historyId = null;
+                    }
                     let timeNow = Date.now();
                     let timeDiff = timeNow - timeLastGenHit;
                     timeLastGenHit = timeNow;
@@ -250,6 +335,7 @@ class GenerateHandler {
                 }
             };
             let handleError = e => {
+                finished = true;
                 console.log(`Error in GenerateText2ImageWS: ${e}, ${this.interrupted}, ${batch_id}`);
                 setTimeout(() => {
                     for (let imgHolder of Object.values(images)) {
@@ -265,20 +351,93 @@ class GenerateHandler {
                         }
                     }
                 }, 1);
+                if (queueJob && queueJob.onError) {
+                    queueJob.onError(e);
+                }
                 if (this.interrupted >= batch_id) {
                     return;
                 }
                 this.hadError(e);
             };
-            if (this.sockets[socketId] && this.sockets[socketId].readyState == WebSocket.OPEN) {
-                this.sockets[socketId].send(JSON.stringify(actualInput));
-            }
-            else {
-                socket = makeWSRequestT2I('GenerateText2ImageWS', actualInput, handleData, handleError);
-                this.sockets[socketId] = socket;
+            let handleDisconnect = () => {
+                if (finished) {
+                    return;
+                }
+                if (this.sockets[socketId] == socket) {
+                    this.sockets[socketId] = null;
+                }
+                if (this.interrupted >= batch_id || socket.resumeIds.length == 0) {
+                    handleError(genericServerErrorMsg.get());
+                    return;
+                }
+                console.log(`Lost connection during GenerateText2ImageWS for batch ${batch_id}, will try to resume.`);
+                let resumeError = null;
+                let unavailable = 0;
+                this.resumeGeneration(socket.resumeIds, data => {
+                    if (data.error) {
+                        resumeError = data.error;
+                    }
+                    else if (data.image_unavailable) {
+                        // The server doesn't keep inline (unsaved) images for resuming.
+                        unavailable++;
+                    }
+                    else if (!(data.image && data.batch_index in discardable)) {
+                        handleData(data);
+                    }
+                }, () => {
+                    if (resumeError) {
+                        handleError(resumeError);
+                    }
+                    else {
+                        if (unavailable > 0) {
+                            doNoticePopover(`${unavailable} unsaved image(s) could not be recovered after the connection dropped.`, 'notice-pop-red');
+                        }
+                        updateGenCount();
+                        handleData({ socket_intention: 'close' });
+                    }
+                }, handleError);
+            };
+            let send = () => {
+                if (this.sockets[socketId] && this.sockets[socketId].readyState == WebSocket.OPEN) {
+                    if (resumeId) {
+                        this.sockets[socketId].resumeIds.push(resumeId);
+                    }
+                    this.sockets[socketId].send(JSON.stringify(actualInput));
+                }
+                else {
+                    socket = makeWSRequestT2I('GenerateText2ImageWS', actualInput, handleData, handleError, handleDisconnect);
+                    if (socket) {
+                        socket.resumeIds = resumeId ? [resumeId] : [];
+                    }
+                    this.sockets[socketId] = socket;
+                }
+            };
+            if (isPreview) {
+                // Live previews skip pre-processing, to avoid calling out to eg a translation provider on every keystroke.
+                send();
+                return;
             }
+            this.preprocessPrompts(actualInput).then(() => {
+                if (this.interrupted >= batch_id) {
+                    handleError('Generation was interrupted.');
+                    return;
+                }
+                send();
+            }, e => {
+                handleError(`Prompt pre-processing failed: ${e}`);
+            });
         };
-        if (this.validateModel) {
+        if (queueJob) {
+            if (!queueJob.input.model) {
+                this.hadError("Cannot generate, no model selected.");
+                if (queueJob.onError) {
+                    queueJob.onError("No model selected.");
+                }
+                return;
+            }
+            run();
+        }
+        else if (this.validateModel) {
             if (getRequiredElementById('current_model').value == '') {
                 this.hadError("Cannot generate, no model selected.");
                 return;
@@ -95,6 +95,11 @@ class ImageEditorTool {
     onGlobalMouseUp(e) {
         return false;
     }
+
+    /** Called when a key is pressed while the canvas is focused. Returns true if the key was consumed by the tool. */
+    onKeyDown(e) {
+        return false;
+    }
 }
 
 /**
@@ -149,6 +154,24 @@ class ImageEditorToolOptions extends ImageEditorTool {
                 link.download = 'mask.png';
                 link.click();
             }},
+            { key: 'Save Editor Document', action: () => {
+                this.editor.downloadDocument();
+            }},
+            { key: 'Open Editor Document...', action: () => {
+                let input = document.createElement('input');
+                input.type = 'file';
+                input.accept = '.json,application/json';
+                input.addEventListener('change', () => {
+                    if (input.files.length > 0) {
+                        this.editor.loadDocumentFile(input.files[0]);
+                    }
+                });
+                input.click();
+            }},
+            { key: 'Expand Canvas...', action: () => {
+                let rect = this.div.getBoundingClientRect();
+                this.editor.showExpandCanvas(rect.x, rect.y + this.div.offsetHeight + 6);
+            }},
         ];
     }
 
@@ -414,7 +437,7 @@ class ImageEditorToolMove extends ImageEditorTool {
         this.startingY = this.editor.activeLayer.offsetY;
         this.moveX = 0;
         this.moveY = 0;
-        this.editor.activeLayer.savePositions();
+        this.editor.activeLayer.savePositions('Move Layer');
     }
 
     onGlobalMouseMove(e) {
@@ -457,15 +480,75 @@ class ImageEditorToolMove extends ImageEditorTool {
 }
 
 /**
- * The selection tool.
+ * The selection tool. Supports rectangle, lasso, polygon, and color-similarity (magic wand) selections, which can be combined into the current selection.
  */
 class ImageEditorToolSelect extends ImageEditorTool {
     constructor(editor) {
-        super(editor, 'select', 'select', 'Select', 'Select a region of the image.\nHotKey: S', 's');
-        let makeRegionButton = `<div class="image-editor-tool-block">
-            <button class="basic-button id-make-region">Make Region</button>
-        </div>`;
-        this.configDiv.innerHTML = makeRegionButton;
+        super(editor, 'select', 'select', 'Select', 'Select a region of the image.\nRectangle and Lasso selections are drawn by dragging.\nPolygon selections are drawn by clicking each point, then clicking the first point or pressing Enter to close (Escape to cancel).\nMagic Wand selects an area of similar color.\nHotKey: S', 's');
+        this.selectType = 'rectangle';
+        this.mode = 'replace';
+        this.threshold = 10;
+        this.featherRadius = 8;
+        this.points = [];
+        this.dragging = false;
+        let typeHtml = `<div class="image-editor-tool-block">
+                <label>Type:&nbsp;</label>
+                <select class="id-type">
+                    <option value="rectangle">Rectangle</option>
+                    <option value="lasso">Lasso</option>
+                    <option value="polygon">Polygon</option>
+                    <option value="wand">Magic Wand</option>
+                </select>
+            </div>`;
+        let modeHtml = `<div class="image-editor-tool-block">
+                <label>Mode:&nbsp;</label>
+                <select class="id-mode">
+                    <option value="replace">Replace</option>
+                    <option value="add">Add</option>
+                    <option value="subtract">Subtract</option>
+                    <option value="intersect">Intersect</option>
+                </select>
+            </div>`;
+        let thresholdHtml = `<div class="image-editor-tool-block id-thresh-block" style="display:none">
+                <label>Threshold:&nbsp;</label>
+                <input type="number" style="width: 40px;" class="auto-number id-thresh1" min="1" max="256" step="1" value="10">
+                <div class="auto-slider-range-wrapper" style="${getRangeStyle(10, 1, 256)}">
+                    <input type="range" style="flex-grow: 2" data-ispot="true" class="auto-slider-range id-thresh2" min="1" max="256" step="1" value="10" oninput="updateRangeStyle(arguments[0])" onchange="updateRangeStyle(arguments[0])">
+                </div>
+            </div>`;
+        let actionsHtml = `<div class="image-editor-tool-block">
+                <button class="basic-button id-invert" title="Invert the current selection (or select everything if nothing is selected)">Invert</button>
+                <button class="basic-button id-clear" title="Clear the current selection">Deselect</button>
+                <input type="number" style="width: 40px;" class="auto-number id-feather" min="1" max="256" step="1" value="8" title="Feather radius, in pixels">
+                <button class="basic-button id-do-feather" title="Soften the edges of the current selection">Feather</button>
+            </div>
+            <div class="image-editor-tool-block">
+                <button class="basic-button id-fill-mask" title="Fill the current mask layer (or a new one) with the selected area">Fill Mask</button>
+                <button class="basic-button id-make-region">Make Region</button>
+            </div>`;
+        this.configDiv.innerHTML = typeHtml + modeHtml + thresholdHtml + actionsHtml;
+        this.typeSelector = this.configDiv.querySelector('.id-type');
+        this.modeSelector = this.configDiv.querySelector('.id-mode');
+        this.thresholdBlock = this.configDiv.querySelector('.id-thresh-block');
+        enableSliderForBox(this.thresholdBlock);
+        this.thresholdNumber = this.configDiv.querySelector('.id-thresh1');
+        this.featherNumber = this.configDiv.querySelector('.id-feather');
+        this.typeSelector.addEventListener('change', () => { this.onConfigChange(); });
+        this.modeSelector.addEventListener('change', () => { this.onConfigChange(); });
+        this.thresholdNumber.addEventListener('change', () => { this.onConfigChange(); });
+        this.featherNumber.addEventListener('change', () => { this.onConfigChange(); });
+        this.configDiv.querySelector('.id-invert').addEventListener('click', () => {
+            this.editor.invertSelection();
+        });
+        this.configDiv.querySelector('.id-clear').addEventListener('click', () => {
+            this.editor.clearSelection();
+        });
+        this.configDiv.querySelector('.id-do-feather').addEventListener('click', () => {
+            this.editor.featherSelection(this.featherRadius);
+        });
+        this.configDiv.querySelector('.id-fill-mask').addEventListener('click', () => {
+            this.editor.fillMaskFromSelection();
+        });
         this.configDiv.querySelector('.id-make-region').addEventListener('click', () => {
             if (this.editor.hasSelection) {
                 // TODO: This should create a new pseudo-layer that highlights a simple box and render the region text inside of it
@@ -480,39 +563,196 @@ class ImageEditorToolSelect extends ImageEditorTool {
         });
     }
 
-    onMouseDown(e) {
-        let [mouseX, mouseY] = this.editor.canvasCoordToImageCoord(this.editor.mouseX, this.editor.mouseY);
-        this.editor.selectX = mouseX;
-        this.editor.selectY = mouseY;
-        this.editor.hasSelection = false;
+    onConfigChange() {
+        this.selectType = this.typeSelector.value;
+        this.mode = this.modeSelector.value;
+        this.threshold = parseInt(this.thresholdNumber.value);
+        this.featherRadius = Math.max(1, parseInt(this.featherNumber.value) || 1);
+        this.thresholdBlock.style.display = this.selectType == 'wand' ? '' : 'none';
+        this.points = [];
+        this.editor.redraw();
     }
 
-    onMouseUp(e) {
-        if (this.editor.hasSelection) {
-            if (this.editor.selectWidth < 0) {
-                this.editor.selectX += this.editor.selectWidth;
-                this.editor.selectWidth = -this.editor.selectWidth;
+    setInactive() {
+        super.setInactive();
+        this.points = [];
+        this.dragging = false;
+    }
+
+    draw() {
+        if (this.points.length == 0) {
+            return;
+        }
+        let ctx = this.editor.ctx;
+        ctx.save();
+        ctx.strokeStyle = this.editor.uiBorderColor;
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        if (this.selectType == 'rectangle') {
+            let [x1, y1] = this.editor.imageCoordToCanvasCoord(this.points[0][0], this.points[0][1]);
+            let [x2, y2] = this.editor.imageCoordToCanvasCoord(this.points[1][0], this.points[1][1]);
+            ctx.rect(x1, y1, x2 - x1, y2 - y1);
+        }
+        else {
+            for (let point of this.points) {
+                let [x, y] = this.editor.imageCoordToCanvasCoord(point[0], point[1]);
+                ctx.lineTo(x, y);
+            }
+            if (this.selectType == 'polygon') {
+                ctx.lineTo(this.editor.mouseX, this.editor.mouseY);
             }
-            if (this.editor.selectHeight < 0) {
-                this.editor.selectY += this.editor.selectHeight;
-                this.editor.selectHeight = -this.editor.selectHeight;
+        }
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    getMousePoint() {
+        return this.editor.canvasCoordToImageCoord(this.editor.mouseX, this.editor.mouseY);
+    }
+
+    /** Applies the current in-progress shape (rectangle, lasso, or polygon points) to the editor's selection. */
+    finishShape() {
+        let points = this.points;
+        this.points = [];
+        this.dragging = false;
+        if (this.selectType == 'rectangle') {
+            let [[x1, y1], [x2, y2]] = points;
+            if (Math.abs(x2 - x1) < 1 || Math.abs(y2 - y1) < 1) {
+                if (this.mode == 'replace') {
+                    this.editor.clearSelection();
+                }
+                return;
+            }
+            this.editor.applySelection(ctx => ctx.fillRect(Math.min(x1, x2), Math.min(y1, y2), Math.abs(x2 - x1), Math.abs(y2 - y1)), this.mode);
+            return;
+        }
+        if (points.length < 3) {
+            if (this.mode == 'replace') {
+                this.editor.clearSelection();
+            }
+            return;
+        }
+        this.editor.applySelection(ctx => {
+            ctx.beginPath();
+            for (let point of points) {
+                ctx.lineTo(point[0], point[1]);
+            }
+            ctx.closePath();
+            ctx.fill();
+        }, this.mode);
+    }
+
+    /** Selects the area of similar color around the given image coordinate, based on all visible image layers. */
+    selectByColor(x, y) {
+        let [baseX, baseY] = [this.editor.finalOffsetX, this.editor.finalOffsetY];
+        let [width, height] = [this.editor.realWidth, this.editor.realHeight];
+        let [targetX, targetY] = [Math.floor(x - baseX), Math.floor(y - baseY)];
+        if (targetX < 0 || targetY < 0 || targetX >= width || targetY >= height) {
+            return;
+        }
+        let refImage = document.createElement('canvas');
+        refImage.width = width;
+        refImage.height = height;
+        let refCtx = refImage.getContext('2d');
+        for (let layer of this.editor.layers) {
+            if (!layer.isMask) {
+                layer.drawToBack(refCtx, -baseX, -baseY, 1);
+            }
+        }
+        let refData = refCtx.getImageData(0, 0, width, height).data;
+        let region = imageEditorFloodFill(refData, width, height, targetX, targetY, this.threshold);
+        let shape = new ImageData(width, height);
+        for (let i = 0; i < region.length; i++) {
+            if (region[i]) {
+                shape.data[i * 4] = 255;
+                shape.data[i * 4 + 1] = 255;
+                shape.data[i * 4 + 2] = 255;
+                shape.data[i * 4 + 3] = 255;
+            }
+        }
+        let shapeCanvas = document.createElement('canvas');
+        shapeCanvas.width = width;
+        shapeCanvas.height = height;
+        shapeCanvas.getContext('2d').putImageData(shape, 0, 0);
+        this.editor.applySelection(ctx => ctx.drawImage(shapeCanvas, baseX, baseY), this.mode);
+    }
+
+    onMouseDown(e) {
+        let point = this.getMousePoint();
+        if (this.selectType == 'wand') {
+            this.selectByColor(point[0], point[1]);
+        }
+        else if (this.selectType == 'polygon') {
+            if (this.points.length >= 3) {
+                let [firstX, firstY] = this.editor.imageCoordToCanvasCoord(this.points[0][0], this.points[0][1]);
+                if (this.editor.isMouseInCircle(firstX, firstY, 8)) {
+                    this.finishShape();
+                    return;
+                }
             }
+            this.points.push(point);
+        }
+        else {
+            this.dragging = true;
+            this.points = this.selectType == 'rectangle' ? [point, point] : [point];
         }
     }
 
     onGlobalMouseMove(e) {
-        if (this.editor.mouseDown) {
-            let [mouseX, mouseY] = this.editor.canvasCoordToImageCoord(this.editor.mouseX, this.editor.mouseY);
-            this.editor.selectWidth = mouseX - this.editor.selectX;
-            this.editor.selectHeight = mouseY - this.editor.selectY;
-            this.editor.hasSelection = true;
-            this.editor.markChanged();
+        if (this.dragging) {
+            let point = this.getMousePoint();
+            if (this.selectType == 'rectangle') {
+                this.points[1] = point;
+            }
+            else {
+                this.points.push(point);
+            }
             return true;
         }
+        return this.selectType == 'polygon' && this.points.length > 0;
+    }
+
+    onGlobalMouseUp(e) {
+        if (this.dragging) {
+            this.finishShape();
+            return true;
+        }
+        return false;
+    }
+
+    onKeyDown(e) {
+        if (this.selectType == 'polygon' && this.points.length > 0) {
+            if (e.key == 'Enter') {
+                this.finishShape();
+                this.editor.redraw();
+                return true;
+            }
+            if (e.key == 'Escape') {
+                this.points = [];
+                this.editor.redraw();
+                return true;
+            }
+        }
         return false;
     }
 }
 
+/**
+ * Named brush presets saved to the user's data, shared by all brush-like tools. Set by 'loadUserData' in main.js.
+ */
+let imageEditorBrushPresets = [];
+
+/**
+ * Available pen pressure curves for brush dynamics, mapping raw pressure (0 to 1) to a strength multiplier.
+ */
+let imageEditorPressureCurves = {
+    'none': { name: 'None', apply: p => 1 },
+    'linear': { name: 'Linear', apply: p => p },
+    'soft': { name: 'Soft', apply: p => Math.sqrt(p) },
+    'hard': { name: 'Hard', apply: p => p * p }
+};
+
 /**
  * The Paintbrush tool (also the base used for other brush-likes, such as the Eraser).
  */
@@ -523,7 +763,15 @@ class ImageEditorToolBrush extends ImageEditorTool {
         this.color = '#ffffff';
         this.radius = 10;
         this.opacity = 1;
+        this.hardness = 1;
+        this.spacing = 0.1;
+        this.jitter = 0;
+        this.sizeCurve = 'linear';
+        this.opacityCurve = 'none';
+        this.tipCanvas = null;
+        this.tintedTip = null;
         this.brushing = false;
+        this.lastStamp = null;
         this.isEraser = isEraser;
         let colorHTML = `
         <div class="image-editor-tool-block">
@@ -546,11 +794,22 @@ class ImageEditorToolBrush extends ImageEditorTool {
                     <input type="range" style="flex-grow: 2" class="auto-slider-range id-opac2" min="1" max="100" step="1" value="100" oninput="updateRangeStyle(arguments[0])" onchange="updateRangeStyle(arguments[0])">
                 </div>
             </div>`;
+        let hardnessHtml = `<div class="image-editor-tool-block id-hard-block">
+                <label>Hardness:&nbsp;</label>
+                <input type="number" style="width: 40px;" class="auto-number id-hard1" min="0" max="100" step="1" value="100">
+                <div class="auto-slider-range-wrapper" style="${getRangeStyle(100, 0, 100)}">
+                    <input type="range" style="flex-grow: 2" class="auto-slider-range id-hard2" min="0" max="100" step="1" value="100" oninput="updateRangeStyle(arguments[0])" onchange="updateRangeStyle(arguments[0])">
+                </div>
+            </div>`;
+        let presetHtml = `<div class="image-editor-tool-block">
+                <select class="id-preset" title="Saved brush presets"></select>
+                <button class="basic-button id-dynamics" title="Spacing, jitter, pen pressure, brush tip, and preset management">Dynamics...</button>
+            </div>`;
         if (isEraser) {
-            this.configDiv.innerHTML = radiusHtml + opacityHtml;
+            this.configDiv.innerHTML = radiusHtml + opacityHtml + hardnessHtml + presetHtml;
         }
         else {
-            this.configDiv.innerHTML = colorHTML + radiusHtml + opacityHtml;
+            this.configDiv.innerHTML = colorHTML + radiusHtml + opacityHtml + hardnessHtml + presetHtml;
             this.colorText = this.configDiv.querySelector('.id-col1');
             this.colorSelector = this.configDiv.querySelector('.id-col2');
             this.colorPickButton = this.configDiv.querySelector('.id-col3');
@@ -576,15 +835,215 @@ class ImageEditorToolBrush extends ImageEditorTool {
         }
         enableSliderForBox(this.configDiv.querySelector('.id-rad-block'));
         enableSliderForBox(this.configDiv.querySelector('.id-opac-block'));
+        enableSliderForBox(this.configDiv.querySelector('.id-hard-block'));
         this.radiusNumber = this.configDiv.querySelector('.id-rad1');
         this.radiusSelector = this.configDiv.querySelector('.id-rad2');
         this.opacityNumber = this.configDiv.querySelector('.id-opac1');
         this.opacitySelector = this.configDiv.querySelector('.id-opac2');
+        this.hardnessNumber = this.configDiv.querySelector('.id-hard1');
         this.radiusNumber.addEventListener('change', () => { this.onConfigChange(); });
         this.opacityNumber.addEventListener('change', () => { this.onConfigChange(); });
+        this.hardnessNumber.addEventListener('change', () => { this.onConfigChange(); });
+        this.presetSelector = this.configDiv.querySelector('.id-preset');
+        this.presetSelector.addEventListener('change', () => {
+            let preset = imageEditorBrushPresets.find(p => p.name == this.presetSelector.value);
+            if (preset) {
+                this.applyPreset(preset);
+            }
+        });
+        this.createDynamicsPopover();
+        let dynamicsButton = this.configDiv.querySelector('.id-dynamics');
+        dynamicsButton.addEventListener('click', () => {
+            let rect = dynamicsButton.getBoundingClientRect();
+            showPopover(this.dynamicsPopoverId, rect.x, rect.y - this.dynamicsPopover.offsetHeight - 6);
+        });
         this.lastTouch = null;
     }
 
+    /** Builds the popover holding advanced brush dynamics and preset management. */
+    createDynamicsPopover() {
+        this.dynamicsPopoverId = `image_editor_brush_${this.id}`;
+        this.dynamicsPopover = createDiv(`popover_${this.dynamicsPopoverId}`, 'sui-popover image-editor-brush-popover');
+        let curveOptions = Object.entries(imageEditorPressureCurves).map(([id, curve]) => `<option value="${id}">${curve.name}</option>`).join('');
+        this.dynamicsPopover.innerHTML = `
+            <div class="sui-popover-inline-block" title="Distance between brush stamps, as a percentage of the brush size"><label>Spacing (%):&nbsp;</label><input type="number" class="auto-number id-spacing" min="1" max="200" step="1" value="10"></div>
+            <div class="sui-popover-inline-block" title="Random scatter of brush stamps, as a percentage of the brush radius"><label>Jitter (%):&nbsp;</label><input type="number" class="auto-number id-jitter" min="0" max="200" step="1" value="0"></div>
+            <div class="sui-popover-inline-block" title="How pen pressure affects brush size"><label>Size Pressure:&nbsp;</label><select class="id-size-curve">${curveOptions}</select></div>
+            <div class="sui-popover-inline-block" title="How pen pressure affects brush opacity"><label>Opacity Pressure:&nbsp;</label><select class="id-opacity-curve">${curveOptions}</select></div>
+            <div class="sui-popover-inline-block"><label>Tip:&nbsp;</label><span class="id-tip-name">Round</span>&nbsp;<button class="basic-button id-tip-load" title="Use an image as the brush tip (dark or opaque areas paint)">Load Image</button>&nbsp;<button class="basic-button id-tip-clear" title="Go back to the default round tip">Round</button></div>
+            <hr>
+            <div class="sui-popover-inline-block"><input type="text" class="id-preset-name" placeholder="Preset name">&nbsp;<button class="basic-button id-preset-save">Save Preset</button></div>
+            <div class="sui-popover-inline-block"><button class="basic-button id-preset-delete">Delete Selected Preset</button></div>`;
+        this.spacingNumber = this.dynamicsPopover.querySelector('.id-spacing');
+        this.jitterNumber = this.dynamicsPopover.querySelector('.id-jitter');
+        this.sizeCurveSelector = this.dynamicsPopover.querySelector('.id-size-curve');
+        this.opacityCurveSelector = this.dynamicsPopover.querySelector('.id-opacity-curve');
+        this.sizeCurveSelector.value = this.sizeCurve;
+        this.opacityCurveSelector.value = this.opacityCurve;
+        for (let elem of [this.spacingNumber, this.jitterNumber, this.sizeCurveSelector, this.opacityCurveSelector]) {
+            elem.addEventListener('change', () => { this.onConfigChange(); });
+        }
+        this.dynamicsPopover.querySelector('.id-tip-load').addEventListener('click', () => {
+            let input = document.createElement('input');
+            input.type = 'file';
+            input.accept = 'image/*';
+            input.addEventListener('change', () => {
+                if (input.files.length == 0) {
+                    return;
+                }
+                let reader = new FileReader();
+                reader.onload = (e) => {
+                    let img = new Image();
+                    img.onload = () => this.setTipImage(img);
+                    img.src = e.target.result;
+                };
+                reader.readAsDataURL(input.files[0]);
+            });
+            input.click();
+        });
+        this.dynamicsPopover.querySelector('.id-tip-clear').addEventListener('click', () => {
+            this.setTipImage(null);
+        });
+        let presetName = this.dynamicsPopover.querySelector('.id-preset-name');
+        this.dynamicsPopover.querySelector('.id-preset-save').addEventListener('click', () => {
+            let name = presetName.value.trim();
+            if (!name) {
+                showError('Please enter a name for the brush preset.');
+                return;
+            }
+            this.savePreset(name);
+            presetName.value = '';
+        });
+        this.dynamicsPopover.querySelector('.id-preset-delete').addEventListener('click', () => {
+            if (this.presetSelector.value) {
+                this.deletePreset(this.presetSelector.value);
+            }
+        });
+        this.editor.inputDiv.appendChild(this.dynamicsPopover);
+    }
+
+    setActive() {
+        super.setActive();
+        this.renderPresetList();
+    }
+
+    /** Rebuilds the preset dropdown from the user's saved presets. */
+    renderPresetList() {
+        let selected = this.presetSelector.value;
+        this.presetSelector.innerHTML = `<option value="">(Brush Preset)</option>` + imageEditorBrushPresets.map(p => `<option value="${escapeHtml(p.name)}">${escapeHtml(p.name)}</option>`).join('');
+        this.presetSelector.value = imageEditorBrushPresets.some(p => p.name == selected) ? selected : '';
+    }
+
+    /** Returns the current brush settings as a preset object. */
+    getPresetData(name) {
+        return {
+            name: name,
+            radius: this.radius,
+            opacity: this.opacity,
+            hardness: this.hardness,
+            spacing: this.spacing,
+            jitter: this.jitter,
+            size_curve: this.sizeCurve,
+            opacity_curve: this.opacityCurve,
+            tip: this.tipCanvas ? this.tipCanvas.toDataURL('image/png') : null
+        };
+    }
+
+    applyPreset(preset) {
+        this.radiusNumber.value = preset.radius ?? this.radius;
+        this.opacityNumber.value = Math.round((preset.opacity ?? this.opacity) * 100);
+        this.hardnessNumber.value = Math.round((preset.hardness ?? 1) * 100);
+        this.spacingNumber.value = Math.round((preset.spacing ?? 0.1) * 100);
+        this.jitterNumber.value = Math.round((preset.jitter ?? 0) * 100);
+        this.sizeCurveSelector.value = imageEditorPressureCurves[preset.size_curve] ? preset.size_curve : 'linear';
+        this.opacityCurveSelector.value = imageEditorPressureCurves[preset.opacity_curve] ? preset.opacity_curve : 'none';
+        for (let elem of [this.radiusNumber, this.opacityNumber, this.hardnessNumber]) {
+            elem.dispatchEvent(new Event('input'));
+        }
+        if (preset.tip) {
+            let img = new Image();
+            img.onload = () => this.setTipImage(img);
+            img.src = preset.tip;
+        }
+        else {
+            this.setTipImage(null);
+        }
+        this.onConfigChange();
+    }
+
+    savePreset(name) {
+        let preset = this.getPresetData(name);
+        let index = imageEditorBrushPresets.findIndex(p => p.name == name);
+        if (index >= 0) {
+            imageEditorBrushPresets[index] = preset;
+        }
+        else {
+            imageEditorBrushPresets.push(preset);
+        }
+        genericRequest('SetBrushPresets', { presets: imageEditorBrushPresets }, data => { });
+        this.renderPresetList();
+        this.presetSelector.value = name;
+    }
+
+    deletePreset(name) {
+        imageEditorBrushPresets = imageEditorBrushPresets.filter(p => p.name != name);
+        genericRequest('SetBrushPresets', { presets: imageEditorBrushPresets }, data => { });
+        this.renderPresetList();
+    }
+
+    /** Sets an image as the brush tip (or null for the default round tip). The image is converted to an alpha mask, using transparency if it has any, or darkness otherwise. */
+    setTipImage(img) {
+        this.tintedTip = null;
+        if (!img) {
+            this.tipCanvas = null;
+            this.dynamicsPopover.querySelector('.id-tip-name').innerText = 'Round';
+            return;
+        }
+        let size = Math.min(128, Math.max(img.naturalWidth, img.naturalHeight));
+        let scale = size / Math.max(img.naturalWidth, img.naturalHeight);
+        let canvas = document.createElement('canvas');
+        canvas.width = size;
+        canvas.height = size;
+        let ctx = canvas.getContext('2d');
+        let [width, height] = [img.naturalWidth * scale, img.naturalHeight * scale];
+        ctx.drawImage(img, (size - width) / 2, (size - height) / 2, width, height);
+        let imageData = ctx.getImageData(0, 0, size, size);
+        let data = imageData.data;
+        let hasTransparency = false;
+        for (let i = 3; i < data.length; i += 4) {
+            if (data[i] < 255) {
+                hasTransparency = true;
+                break;
+            }
+        }
+        for (let i = 0; i < data.length; i += 4) {
+            let alpha = hasTransparency ? data[i + 3] : 255 - (data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114);
+            data[i] = 255;
+            data[i + 1] = 255;
+            data[i + 2] = 255;
+            data[i + 3] = alpha;
+        }
+        ctx.putImageData(imageData, 0, 0);
+        this.tipCanvas = canvas;
+        this.dynamicsPopover.querySelector('.id-tip-name').innerText = 'Image';
+    }
+
+    /** Returns the brush tip image tinted to the current color. */
+    getTintedTip() {
+        if (!this.tintedTip || this.tintedTip.color != this.color) {
+            let canvas = document.createElement('canvas');
+            canvas.width = this.tipCanvas.width;
+            canvas.height = this.tipCanvas.height;
+            let ctx = canvas.getContext('2d');
+            ctx.drawImage(this.tipCanvas, 0, 0);
+            ctx.globalCompositeOperation = 'source-in';
+            ctx.fillStyle = this.color;
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+            this.tintedTip = { color: this.color, canvas: canvas };
+        }
+        return this.tintedTip.canvas;
+    }
+
     setColor(col) {
         this.color = col;
         this.colorText.value = col;
@@ -598,6 +1057,11 @@ class ImageEditorToolBrush extends ImageEditorTool {
         }
         this.radius = parseInt(this.radiusNumber.value);
         this.opacity = parseInt(this.opacityNumber.value) / 100;
+        this.hardness = Math.max(0, Math.min(100, parseInt(this.hardnessNumber.value) || 0)) / 100;
+        this.spacing = Math.max(1, parseInt(this.spacingNumber.value) || 1) / 100;
+        this.jitter = Math.max(0, parseInt(this.jitterNumber.value) || 0) / 100;
+        this.sizeCurve = this.sizeCurveSelector.value;
+        this.opacityCurve = this.opacityCurveSelector.value;
         this.editor.redraw();
     }
 
@@ -605,12 +1069,58 @@ class ImageEditorToolBrush extends ImageEditorTool {
         this.drawCircleBrush(this.editor.mouseX, this.editor.mouseY, this.radius * this.editor.zoomLevel);
     }
 
+    /** Draws a single brush stamp onto the given layer, at layer coordinates. */
+    stamp(layer, x, y, radius, alpha) {
+        if (this.jitter > 0) {
+            x += (Math.random() * 2 - 1) * radius * this.jitter;
+            y += (Math.random() * 2 - 1) * radius * this.jitter;
+        }
+        let ctx = layer.ctx;
+        ctx.save();
+        ctx.globalAlpha = alpha;
+        if (this.tipCanvas) {
+            ctx.drawImage(this.getTintedTip(), x - radius, y - radius, radius * 2, radius * 2);
+        }
+        else if (this.hardness >= 1 || !this.color.match(/^#[0-9a-fA-F]{6}$/)) {
+            layer.drawFilledCircle(x, y, radius, this.color);
+        }
+        else {
+            let gradient = ctx.createRadialGradient(x, y, radius * this.hardness, x, y, radius);
+            gradient.addColorStop(0, this.color);
+            gradient.addColorStop(1, `${this.color}00`);
+            layer.drawFilledCircle(x, y, radius, gradient);
+        }
+        ctx.restore();
+    }
+
     brush(force = 1) {
-        let [lastX, lastY] = this.editor.activeLayer.canvasCoordToLayerCoord(this.editor.lastMouseX, this.editor.lastMouseY);
         let [x, y] = this.editor.activeLayer.canvasCoordToLayerCoord(this.editor.mouseX, this.editor.mouseY);
-        this.bufferLayer.drawFilledCircle(lastX, lastY, this.radius * force, this.color);
-        this.bufferLayer.drawFilledCircleStrokeBetween(lastX, lastY, x, y, this.radius * force, this.color);
-        this.bufferLayer.drawFilledCircle(x, y, this.radius * force, this.color);
+        let strokeLayer = this.strokeLayer ?? this.bufferLayer;
+        let radius = Math.max(0.5, this.radius * imageEditorPressureCurves[this.sizeCurve].apply(force));
+        let alpha = imageEditorPressureCurves[this.opacityCurve].apply(force);
+        if (!this.lastStamp) {
+            this.stamp(strokeLayer, x, y, radius, alpha);
+            this.lastStamp = [x, y];
+        }
+        else {
+            let [lastX, lastY] = this.lastStamp;
+            let dist = Math.sqrt((x - lastX) * (x - lastX) + (y - lastY) * (y - lastY));
+            let step = Math.max(1, radius * 2 * this.spacing);
+            for (let traveled = step; traveled <= dist; traveled += step) {
+                let t = traveled / dist;
+                this.lastStamp = [lastX + (x - lastX) * t, lastY + (y - lastY) * t];
+                this.stamp(strokeLayer, this.lastStamp[0], this.lastStamp[1], radius, alpha);
+            }
+        }
+        if (this.strokeLayer) {
+            let ctx = this.bufferLayer.ctx;
+            ctx.save();
+            ctx.clearRect(0, 0, this.bufferLayer.canvas.width, this.bufferLayer.canvas.height);
+            ctx.drawImage(this.strokeLayer.canvas, 0, 0);
+            ctx.globalCompositeOperation = 'destination-in';
+            ctx.drawImage(this.clipCanvas, 0, 0);
+            ctx.restore();
+        }
         this.editor.markChanged();
     }
 
@@ -623,6 +1133,9 @@ class ImageEditorToolBrush extends ImageEditorTool {
             }
             return touch.force;
         }
+        if (this.editor.penPressure != null) {
+            return Math.max(0.01, this.editor.penPressure);
+        }
         return 1;
     }
 
@@ -644,6 +1157,10 @@ class ImageEditorToolBrush extends ImageEditorTool {
             this.bufferLayer.globalCompositeOperation = 'destination-out';
         }
         target.childLayers.push(this.bufferLayer);
+        // With an active selection, the raw stroke is drawn separately and only the selected part of it is copied into the buffer
+        this.clipCanvas = this.editor.getSelectionForLayer(target);
+        this.strokeLayer = this.clipCanvas ? new ImageEditorLayer(this.editor, target.canvas.width, target.canvas.height) : null;
+        this.lastStamp = null;
         this.brush(this.getForceFrom(e));
     }
 
@@ -676,10 +1193,13 @@ class ImageEditorToolBrush extends ImageEditorTool {
         if (this.brushing) {
             this.editor.activeLayer.childLayers.pop();
             let offset = this.editor.activeLayer.getOffset();
-            this.editor.activeLayer.saveBeforeEdit();
+            this.editor.activeLayer.saveBeforeEdit(this.name);
             this.bufferLayer.drawToBackDirect(this.editor.activeLayer.ctx, -offset[0], -offset[1], 1);
             this.editor.activeLayer.hasAnyContent = true;
             this.bufferLayer = null;
+            this.strokeLayer = null;
+            this.clipCanvas = null;
+            this.lastStamp = null;
             this.brushing = false;
             return true;
         }
@@ -687,6 +1207,39 @@ class ImageEditorToolBrush extends ImageEditorTool {
     }
 }
 
+/**
+ * Flood-fills outward from a starting pixel of raw RGBA data, including all connected pixels within the color threshold of the start pixel.
+ * If 'allowed' (raw RGBA data of the same size) is given, pixels with zero alpha in it are never included.
+ * Returns a Uint8Array with 1 for every included pixel.
+ */
+function imageEditorFloodFill(rawData, width, height, startX, startY, threshold, allowed = null) {
+    let maskData = new Uint8Array(width * height);
+    let startIndex = (startY * width + startX) * 4;
+    let startColor = [rawData[startIndex], rawData[startIndex + 1], rawData[startIndex + 2], rawData[startIndex + 3]];
+    function canInclude(x, y) {
+        if (x < 0 || y < 0 || x >= width || y >= height || maskData[y * width + x] != 0) {
+            return false;
+        }
+        let index = (y * width + x) * 4;
+        if (allowed && allowed[index + 3] == 0) {
+            return false;
+        }
+        return Math.abs(rawData[index] - startColor[0]) + Math.abs(rawData[index + 1] - startColor[1]) + Math.abs(rawData[index + 2] - startColor[2]) + Math.abs(rawData[index + 3] - startColor[3]) <= threshold;
+    }
+    let stack = [[startX, startY]];
+    while (stack.length > 0) {
+        let [x, y] = stack.pop();
+        if (!canInclude(x, y)) {
+            continue;
+        }
+        maskData[y * width + x] = 1;
+        if (canInclude(x - 1, y)) { stack.push([x - 1, y]); }
+        if (canInclude(x + 1, y)) { stack.push([x + 1, y]); }
+        if (canInclude(x, y - 1)) { stack.push([x, y - 1]); }
+        if (canInclude(x, y + 1)) { stack.push([x, y + 1]); }
+    }
+    return maskData;
+}
 
 /**
  * The Paint Bucket tool.
@@ -763,7 +1316,7 @@ class ImageEditorToolBucket extends ImageEditorTool {
         if (targetX < 0 || targetY < 0 || targetX >= layer.width || targetY >= layer.height) {
             return;
         }
-        layer.saveBeforeEdit();
+        layer.saveBeforeEdit(this.name);
         layer.hasAnyContent = true;
         let canvas = layer.canvas;
         let ctx = layer.ctx;
@@ -786,46 +1339,18 @@ class ImageEditorToolBucket extends ImageEditorTool {
         let refRawData = refData.data;
         let imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
         let [width, height] = [imageData.width, imageData.height];
-        let maskData = new Uint8Array(width * height);
         let rawData = imageData.data;
-        let threshold = this.threshold;
-        let newColor = [parseInt(this.color.substring(1, 3), 16), parseInt(this.color.substring(3, 5), 16), parseInt(this.color.substring(5, 7), 16)];
-        function getPixelIndex(x, y) {
-            return (y * width + x) * 4;
-        }
-        function getColorAt(x, y) {
-            let index = getPixelIndex(x, y);
-            return [refRawData[index], refRawData[index + 1], refRawData[index + 2], refRawData[index + 3]];
-        }
-        let startColor = getColorAt(targetX, targetY);
-        function isInRange(targetColor) {
-            return Math.abs(targetColor[0] - startColor[0]) + Math.abs(targetColor[1] - startColor[1]) + Math.abs(targetColor[2] - startColor[2]) + Math.abs(targetColor[3] - startColor[3]) <= threshold;
-        }
-        let hits = 0;
-        function setPixel(x, y) {
-            maskData[y * width + x] = 1;
-            let index = getPixelIndex(x, y);
-            rawData[index] = newColor[0];
-            rawData[index + 1] = newColor[1];
-            rawData[index + 2] = newColor[2];
-            rawData[index + 3] = 255;
-            hits++;
-        }
-        function canInclude(x, y) {
-            return x >= 0 && y >= 0 && x < width && y < height && maskData[y * width + x] == 0 && isInRange(getColorAt(x, y));
-        }
-        let stack = [[targetX, targetY]];
-        while (stack.length > 0) {
-            let [x, y] = stack.pop();
-            if (!canInclude(x, y)) {
-                continue;
-            }
-            if (isInRange(getColorAt(x, y))) {
-                setPixel(x, y);
-                if (canInclude(x - 1, y)) { stack.push([x - 1, y]); }
-                if (canInclude(x + 1, y)) { stack.push([x + 1, y]); }
-                if (canInclude(x, y - 1)) { stack.push([x, y - 1]); }
-                if (canInclude(x, y + 1)) { stack.push([x, y + 1]); }
+        let clip = this.editor.getSelectionForLayer(layer);
+        let clipData = clip ? clip.getContext('2d').getImageData(0, 0, width, height).data : null;
+        let newColor = [parseInt(this.color.substring(1, 3), 16), parseInt(this.color.substring(3, 5), 16), parseInt(this.color.substring(5, 7), 16), 255];
+        let region = imageEditorFloodFill(refRawData, width, height, targetX, targetY, this.threshold, clipData);
+        for (let i = 0; i < region.length; i++) {
+            if (region[i]) {
+                let index = i * 4;
+                let strength = clipData ? clipData[index + 3] / 255 : 1;
+                for (let c = 0; c < 4; c++) {
+                    rawData[index + c] = rawData[index + c] * (1 - strength) + newColor[c] * strength;
+                }
             }
         }
         ctx.putImageData(imageData, 0, 0);
@@ -837,6 +1362,332 @@ class ImageEditorToolBucket extends ImageEditorTool {
     }
 }
 
+/**
+ * The Text tool, which places editable text layers.
+ */
+class ImageEditorToolText extends ImageEditorTool {
+    constructor(editor) {
+        super(editor, 'text', 'text', 'Text', 'Add text to the image.\nClick to place a new text layer, or click an existing text layer to edit it.\nText layers stay editable until rasterized (from the layer menu, or by painting on them).\nHotKey: T', 't');
+        this.cursor = 'text';
+        this.historyMergeTime = 1000;
+        let textHtml = `<div class="image-editor-tool-block">
+                <label>Text:&nbsp;</label>
+                <textarea class="id-text image-editor-text-input" rows="1">Text</textarea>
+            </div>`;
+        let fontHtml = `<div class="image-editor-tool-block">
+                <label>Font:&nbsp;</label>
+                <select class="id-font">${['sans-serif', 'serif', 'monospace', 'Arial', 'Verdana', 'Georgia', 'Times New Roman', 'Courier New', 'Impact', 'Comic Sans MS'].map(font => `<option value="${font}">${font}</option>`).join('')}</select>
+                <label>&nbsp;Size:&nbsp;</label>
+                <input type="number" style="width: 50px;" class="auto-number id-size" min="4" max="1024" step="1" value="48">
+                <label>&nbsp;Align:&nbsp;</label>
+                <select class="id-align">
+                    <option value="left">Left</option>
+                    <option value="center">Center</option>
+                    <option value="right">Right</option>
+                </select>
+            </div>`;
+        let colorHTML = `
+        <div class="image-editor-tool-block">
+            <label>Color:&nbsp;</label>
+            <input type="text" class="auto-number id-col1" style="width:75px;flex-grow:0;" value="#ffffff">
+            <input type="color" class="id-col2" value="#ffffff">
+            <button class="basic-button id-col3">Pick</button>
+        </div>`;
+        let rasterizeHtml = `<div class="image-editor-tool-block">
+                <button class="basic-button id-rasterize" title="Convert the current text layer into a normal image layer">Rasterize</button>
+            </div>`;
+        this.configDiv.innerHTML = textHtml + fontHtml + colorHTML + rasterizeHtml;
+        this.textInput = this.configDiv.querySelector('.id-text');
+        this.fontSelector = this.configDiv.querySelector('.id-font');
+        this.sizeNumber = this.configDiv.querySelector('.id-size');
+        this.alignSelector = this.configDiv.querySelector('.id-align');
+        this.colorText = this.configDiv.querySelector('.id-col1');
+        this.colorSelector = this.configDiv.querySelector('.id-col2');
+        this.colorPickButton = this.configDiv.querySelector('.id-col3');
+        this.textInput.addEventListener('input', () => { this.onConfigChange(); });
+        this.fontSelector.addEventListener('change', () => { this.onConfigChange(); });
+        this.sizeNumber.addEventListener('change', () => { this.onConfigChange(); });
+        this.alignSelector.addEventListener('change', () => { this.onConfigChange(); });
+        this.colorText.addEventListener('input', () => {
+            this.colorSelector.value = this.colorText.value;
+            this.onConfigChange();
+        });
+        this.colorSelector.addEventListener('change', () => {
+            this.colorText.value = this.colorSelector.value;
+            this.onConfigChange();
+        });
+        this.colorPickButton.addEventListener('click', () => {
+            if (this.colorPickButton.classList.contains('interrupt-button')) {
+                this.colorPickButton.classList.remove('interrupt-button');
+                this.editor.activateTool(this.id);
+            }
+            else {
+                this.colorPickButton.classList.add('interrupt-button');
+                this.editor.pickerTool.toolFor = this;
+                this.editor.activateTool('picker');
+            }
+        });
+        this.configDiv.querySelector('.id-rasterize').addEventListener('click', () => {
+            if (this.editor.activeLayer && this.editor.activeLayer.textData) {
+                this.editor.activeLayer.saveTextData('Rasterize Text');
+                this.editor.activeLayer.rasterizeText();
+            }
+        });
+    }
+
+    setColor(col) {
+        this.colorText.value = col;
+        this.colorSelector.value = col;
+        this.colorPickButton.classList.remove('interrupt-button');
+        this.onConfigChange();
+    }
+
+    /** Returns the text settings currently in the tool's config bar. */
+    getTextData() {
+        return {
+            text: this.textInput.value,
+            font: this.fontSelector.value,
+            size: Math.max(4, parseInt(this.sizeNumber.value) || 48),
+            color: this.colorText.value,
+            align: this.alignSelector.value
+        };
+    }
+
+    /** Loads the config bar from the given layer's text data. */
+    loadFrom(layer) {
+        this.textInput.value = layer.textData.text;
+        this.fontSelector.value = layer.textData.font;
+        this.sizeNumber.value = layer.textData.size;
+        this.alignSelector.value = layer.textData.align;
+        this.colorText.value = layer.textData.color;
+        this.colorSelector.value = layer.textData.color;
+    }
+
+    onConfigChange() {
+        let layer = this.editor.activeLayer;
+        if (layer && layer.textData) {
+            this.saveTextHistory(layer);
+            layer.textData = this.getTextData();
+            layer.renderText();
+        }
+        this.editor.redraw();
+    }
+
+    /** Records the layer's current text settings as an undo step, merging rapid successive edits to the same layer (eg typing) into one entry. */
+    saveTextHistory(layer) {
+        let editor = this.editor;
+        let now = Date.now();
+        let last = editor.historyPosition == editor.editHistory.length ? editor.editHistory[editor.historyPosition - 1] : null;
+        if (last && last.type == 'layer_text_edit' && last.data.layer == layer && now - last.data.time < this.historyMergeTime) {
+            last.data.time = now;
+            return;
+        }
+        layer.saveTextData().data.time = now;
+    }
+
+    onMouseDown(e) {
+        let target = null;
+        for (let layer of Array.from(this.editor.layers).reverse()) {
+            if (layer.textData) {
+                let [x, y] = layer.canvasCoordToLayerCoord(this.editor.mouseX, this.editor.mouseY);
+                if (x >= 0 && y >= 0 && x < layer.canvas.width && y < layer.canvas.height) {
+                    target = layer;
+                    break;
+                }
+            }
+        }
+        if (target) {
+            this.editor.setActiveLayer(target);
+            this.loadFrom(target);
+        }
+        else {
+            if (!this.textInput.value.trim()) {
+                this.textInput.value = 'Text';
+            }
+            let [x, y] = this.editor.canvasCoordToImageCoord(this.editor.mouseX, this.editor.mouseY);
+            let layer = new ImageEditorLayer(this.editor, 1, 1);
+            layer.textData = this.getTextData();
+            layer.offsetX = Math.round(x);
+            layer.offsetY = Math.round(y);
+            layer.renderText();
+            this.editor.addLayer(layer);
+        }
+        // Focus after the canvas has taken focus from the click
+        setTimeout(() => {
+            this.textInput.focus();
+            this.textInput.select();
+        }, 0);
+    }
+}
+
+/**
+ * The Shapes tool, for drawing rectangles, ellipses, lines, and arrows.
+ */
+class ImageEditorToolShape extends ImageEditorTool {
+    constructor(editor) {
+        super(editor, 'shape', 'shapes', 'Shapes', 'Draw a rectangle, ellipse, line, or arrow on the current layer.\nClick and drag to draw.\nHold SHIFT to keep proportions (squares, circles, or 45 degree lines).\nHotKey: U', 'u');
+        this.shape = 'rectangle';
+        this.strokeColor = '#ffffff';
+        this.strokeWidth = 4;
+        this.doFill = false;
+        this.fillColor = '#ffffff';
+        this.startPoint = null;
+        this.bufferLayer = null;
+        this.clipCanvas = null;
+        let shapeHtml = `<div class="image-editor-tool-block">
+                <label>Shape:&nbsp;</label>
+                <select class="id-shape">
+                    <option value="rectangle">Rectangle</option>
+                    <option value="ellipse">Ellipse</option>
+                    <option value="line">Line</option>
+                    <option value="arrow">Arrow</option>
+                </select>
+            </div>`;
+        let strokeHtml = `<div class="image-editor-tool-block">
+                <label>Stroke:&nbsp;</label>
+                <input type="color" class="id-stroke-col" value="#ffffff">
+                <label>&nbsp;Width:&nbsp;</label>
+                <input type="number" style="width: 40px;" class="auto-number id-stroke-width" min="0" max="256" step="1" value="4">
+            </div>`;
+        let fillHtml = `<div class="image-editor-tool-block">
+                <label><input type="checkbox" class="id-fill"> Fill:&nbsp;</label>
+                <input type="color" class="id-fill-col" value="#ffffff">
+            </div>`;
+        this.configDiv.innerHTML = shapeHtml + strokeHtml + fillHtml;
+        this.shapeSelector = this.configDiv.querySelector('.id-shape');
+        this.strokeColorSelector = this.configDiv.querySelector('.id-stroke-col');
+        this.strokeWidthNumber = this.configDiv.querySelector('.id-stroke-width');
+        this.fillCheckbox = this.configDiv.querySelector('.id-fill');
+        this.fillColorSelector = this.configDiv.querySelector('.id-fill-col');
+        for (let elem of [this.shapeSelector, this.strokeColorSelector, this.strokeWidthNumber, this.fillCheckbox, this.fillColorSelector]) {
+            elem.addEventListener('change', () => { this.onConfigChange(); });
+        }
+    }
+
+    onConfigChange() {
+        this.shape = this.shapeSelector.value;
+        this.strokeColor = this.strokeColorSelector.value;
+        this.strokeWidth = Math.max(0, parseInt(this.strokeWidthNumber.value) || 0);
+        this.doFill = this.fillCheckbox.checked;
+        this.fillColor = this.fillColorSelector.value;
+        this.editor.redraw();
+    }
+
+    /** Draws the current shape type between the two points onto the given context. If 'constrain' is true, shapes are kept square or lines are snapped to 45 degree angles. */
+    drawShape(ctx, x1, y1, x2, y2, constrain) {
+        let [dx, dy] = [x2 - x1, y2 - y1];
+        if (constrain) {
+            if (this.shape == 'rectangle' || this.shape == 'ellipse') {
+                let size = Math.max(Math.abs(dx), Math.abs(dy));
+                [dx, dy] = [size * (Math.sign(dx) || 1), size * (Math.sign(dy) || 1)];
+            }
+            else {
+                let angle = Math.round(Math.atan2(dy, dx) / (Math.PI / 4)) * (Math.PI / 4);
+                let length = Math.sqrt(dx * dx + dy * dy);
+                [dx, dy] = [Math.cos(angle) * length, Math.sin(angle) * length];
+            }
+            [x2, y2] = [x1 + dx, y1 + dy];
+        }
+        ctx.save();
+        ctx.strokeStyle = this.strokeColor;
+        ctx.fillStyle = this.fillColor;
+        ctx.lineWidth = this.strokeWidth;
+        ctx.lineJoin = 'round';
+        ctx.lineCap = 'round';
+        ctx.beginPath();
+        if (this.shape == 'rectangle' || this.shape == 'ellipse') {
+            if (this.shape == 'rectangle') {
+                ctx.rect(Math.min(x1, x2), Math.min(y1, y2), Math.abs(dx), Math.abs(dy));
+            }
+            else {
+                ctx.ellipse(x1 + dx / 2, y1 + dy / 2, Math.abs(dx) / 2, Math.abs(dy) / 2, 0, 0, 2 * Math.PI);
+            }
+            if (this.doFill) {
+                ctx.fill();
+            }
+            if (this.strokeWidth > 0) {
+                ctx.stroke();
+            }
+        }
+        else {
+            let lineWidth = Math.max(1, this.strokeWidth);
+            ctx.lineWidth = lineWidth;
+            let angle = Math.atan2(dy, dx);
+            let headLength = Math.min(Math.max(lineWidth * 4, 12), Math.sqrt(dx * dx + dy * dy));
+            let [endX, endY] = [x2, y2];
+            if (this.shape == 'arrow') {
+                [endX, endY] = [x2 - Math.cos(angle) * headLength * 0.8, y2 - Math.sin(angle) * headLength * 0.8];
+            }
+            ctx.moveTo(x1, y1);
+            ctx.lineTo(endX, endY);
+            ctx.stroke();
+            if (this.shape == 'arrow') {
+                ctx.fillStyle = this.strokeColor;
+                ctx.beginPath();
+                ctx.moveTo(x2, y2);
+                ctx.lineTo(x2 - Math.cos(angle - Math.PI / 6) * headLength, y2 - Math.sin(angle - Math.PI / 6) * headLength);
+                ctx.lineTo(x2 - Math.cos(angle + Math.PI / 6) * headLength, y2 - Math.sin(angle + Math.PI / 6) * headLength);
+                ctx.closePath();
+                ctx.fill();
+            }
+        }
+        ctx.restore();
+    }
+
+    onMouseDown(e) {
+        if (this.startPoint) {
+            return;
+        }
+        let target = this.editor.activeLayer;
+        if (!target) {
+            return;
+        }
+        this.startPoint = target.canvasCoordToLayerCoord(this.editor.mouseX, this.editor.mouseY);
+        this.bufferLayer = new ImageEditorLayer(this.editor, target.canvas.width, target.canvas.height, target);
+        target.childLayers.push(this.bufferLayer);
+        this.clipCanvas = this.editor.getSelectionForLayer(target);
+    }
+
+    onGlobalMouseMove(e) {
+        if (this.startPoint) {
+            let [x, y] = this.editor.activeLayer.canvasCoordToLayerCoord(this.editor.mouseX, this.editor.mouseY);
+            this.bufferLayer.ctx.clearRect(0, 0, this.bufferLayer.canvas.width, this.bufferLayer.canvas.height);
+            this.drawShape(this.bufferLayer.ctx, this.startPoint[0], this.startPoint[1], x, y, e.shiftKey);
+            if (this.clipCanvas) {
+                let ctx = this.bufferLayer.ctx;
+                ctx.save();
+                ctx.globalCompositeOperation = 'destination-in';
+                ctx.drawImage(this.clipCanvas, 0, 0);
+                ctx.restore();
+            }
+            this.endPoint = [x, y];
+            this.editor.markChanged();
+            return true;
+        }
+        return false;
+    }
+
+    onGlobalMouseUp(e) {
+        if (this.startPoint) {
+            let layer = this.editor.activeLayer;
+            layer.childLayers.pop();
+            if (this.endPoint && (this.endPoint[0] != this.startPoint[0] || this.endPoint[1] != this.startPoint[1])) {
+                let offset = layer.getOffset();
+                layer.saveBeforeEdit(this.name);
+                this.bufferLayer.drawToBackDirect(layer.ctx, -offset[0], -offset[1], 1);
+                layer.hasAnyContent = true;
+                this.editor.markChanged();
+            }
+            this.bufferLayer = null;
+            this.clipCanvas = null;
+            this.startPoint = null;
+            this.endPoint = null;
+            return true;
+        }
+        return false;
+    }
+}
+
 /**
  * The Color Picker tool, a special hidden sub-tool.
  */
@@ -885,6 +1736,81 @@ class ImageEditorToolPicker extends ImageEditorTempTool {
     }
 }
 
+/**
+ * Available types of non-destructive layer adjustment, see {@link ImageEditorLayerAdjustment}.
+ */
+let imageEditorAdjustmentTypes = [
+    { id: 'brightness_contrast', name: 'Brightness/Contrast', params: [
+        { id: 'brightness', name: 'Brightness', min: -100, max: 100, step: 1, default: 0 },
+        { id: 'contrast', name: 'Contrast', min: -100, max: 100, step: 1, default: 0 }
+    ]},
+    { id: 'hue_saturation', name: 'Hue/Saturation', params: [
+        { id: 'hue', name: 'Hue', min: -180, max: 180, step: 1, default: 0 },
+        { id: 'saturation', name: 'Saturation', min: -100, max: 100, step: 1, default: 0 }
+    ]},
+    { id: 'levels', name: 'Levels', params: [
+        { id: 'in_black', name: 'Input Black', min: 0, max: 254, step: 1, default: 0 },
+        { id: 'in_white', name: 'Input White', min: 1, max: 255, step: 1, default: 255 },
+        { id: 'gamma', name: 'Gamma', min: 0.1, max: 5, step: 0.05, default: 1 },
+        { id: 'out_black', name: 'Output Black', min: 0, max: 255, step: 1, default: 0 },
+        { id: 'out_white', name: 'Output White', min: 0, max: 255, step: 1, default: 255 }
+    ]},
+    { id: 'blur', name: 'Blur', params: [
+        { id: 'radius', name: 'Radius', min: 0, max: 64, step: 0.5, default: 4 }
+    ]}
+];
+
+/**
+ * A single non-destructive adjustment on an image editor layer, applied at render time.
+ */
+class ImageEditorLayerAdjustment {
+    constructor(type) {
+        this.type = type;
+        this.enabled = true;
+        this.values = {};
+        for (let param of this.getTypeData().params) {
+            this.values[param.id] = param.default;
+        }
+    }
+
+    getTypeData() {
+        return imageEditorAdjustmentTypes.find(t => t.id == this.type);
+    }
+
+    /** Returns the canvas filter string for this adjustment, or null if it must be applied to pixel data via 'applyToPixels'. */
+    getFilter() {
+        let v = this.values;
+        if (this.type == 'brightness_contrast') {
+            return `brightness(${1 + v.brightness / 100}) contrast(${1 + v.contrast / 100})`;
+        }
+        else if (this.type == 'hue_saturation') {
+            return `hue-rotate(${v.hue}deg) saturate(${1 + v.saturation / 100})`;
+        }
+        else if (this.type == 'blur') {
+            return `blur(${v.radius}px)`;
+        }
+        return null;
+    }
+
+    /** Applies this adjustment directly to raw RGBA pixel data. */
+    applyToPixels(data) {
+        if (this.type == 'levels') {
+            let v = this.values;
+            let inRange = Math.max(1, v.in_white - v.in_black);
+            let table = new Uint8ClampedArray(256);
+            for (let i = 0; i < 256; i++) {
+                let norm = Math.min(1, Math.max(0, (i - v.in_black) / inRange));
+                table[i] = v.out_black + Math.pow(norm, 1 / v.gamma) * (v.out_white - v.out_black);
+            }
+            for (let i = 0; i < data.length; i += 4) {
+                data[i] = table[data[i]];
+                data[i + 1] = table[data[i + 1]];
+                data[i + 2] = table[data[i + 2]];
+            }
+        }
+    }
+}
+
 /**
  * A single layer within an image editing interface.
  * This can be real (user-controlled) OR sub-layers (sometimes user-controlled) OR temporary buffers.
@@ -904,10 +1830,15 @@ class ImageEditorLayer {
         this.rotation = 0;
         this.opacity = 1;
         this.globalCompositeOperation = 'source-over';
+        this.adjustments = [];
+        this.adjustedCanvas = null;
+        this.adjustedSource = null;
+        this.adjustedKey = null;
         this.childLayers = [];
         this.buffer = null;
         this.isMask = false;
         this.hasAnyContent = false;
+        this.textData = null;
     }
 
     createButtons() {
@@ -926,7 +1857,13 @@ class ImageEditorLayer {
         buttonConvert.addEventListener('click', (e) => {
             e.preventDefault();
             hidePopover(popId);
+            this.editor.addHistoryEntry(new ImageEditorHistoryEntry(this.editor, 'layer_convert', { layer: this, oldState: { isMask: this.isMask, globalCompositeOperation: this.globalCompositeOperation, adjustments: this.adjustments, textData: this.textData ? { ...this.textData } : null, order: [...this.editor.layers] } }, buttonConvert.innerText));
+            this.rasterizeText();
             this.isMask = !this.isMask;
+            if (this.isMask) {
+                this.globalCompositeOperation = 'source-over';
+                this.adjustments = [];
+            }
             this.infoSubDiv.innerText = (this.isMask ? `Mask` : `Image`);
             this.createButtons();
             this.editor.sortLayers();
@@ -941,29 +1878,166 @@ class ImageEditorLayer {
             this.invert();
         }, true);
         this.menuPopover.appendChild(buttonInvert);
-        let sliderWrapper = createDiv(null, 'auto-slider-range-wrapper');
-        let opacitySlider = document.createElement('input');
-        opacitySlider.type = 'range';
-        opacitySlider.className = 'auto-slider-range';
-        opacitySlider.min = '0';
-        opacitySlider.max = '100';
-        opacitySlider.step = '1';
-        opacitySlider.value = this.opacity * 100;
-        opacitySlider.oninput = e => updateRangeStyle(e);
-        opacitySlider.onchange = e => updateRangeStyle(e);
-        opacitySlider.addEventListener('input', () => {
-            this.opacity = parseInt(opacitySlider.value) / 100;
+        if (this.textData) {
+            let buttonRasterize = createDiv(null, 'sui_popover_model_button');
+            buttonRasterize.innerText = 'Rasterize Text';
+            buttonRasterize.addEventListener('click', (e) => {
+                e.preventDefault();
+                hidePopover(popId);
+                this.saveTextData('Rasterize Text');
+                this.rasterizeText();
+            }, true);
+            this.menuPopover.appendChild(buttonRasterize);
+        }
+        this.menuPopover.appendChild(this.createMenuSlider('Opacity', 0, 100, 1, this.opacity * 100, value => {
+            this.opacity = value / 100;
             this.canvas.style.opacity = this.opacity;
             this.editor.redraw();
+        }));
+        if (this.isMask) {
+            return;
+        }
+        let blendDiv = createDiv(null, 'sui-popover-inline-block');
+        let blendLabel = document.createElement('label');
+        blendLabel.innerHTML = 'Blend Mode&nbsp;';
+        let blendSelect = document.createElement('select');
+        for (let [mode, name] of [['source-over', 'Normal'], ['multiply', 'Multiply'], ['screen', 'Screen'], ['overlay', 'Overlay'], ['darken', 'Darken'], ['lighten', 'Lighten'], ['color-dodge', 'Color Dodge'], ['color-burn', 'Color Burn'], ['hard-light', 'Hard Light'], ['soft-light', 'Soft Light'], ['difference', 'Difference'], ['exclusion', 'Exclusion'], ['hue', 'Hue'], ['saturation', 'Saturation'], ['color', 'Color'], ['luminosity', 'Luminosity']]) {
+            let option = document.createElement('option');
+            option.value = mode;
+            option.innerText = name;
+            blendSelect.appendChild(option);
+        }
+        blendSelect.value = this.globalCompositeOperation;
+        blendSelect.addEventListener('change', () => {
+            this.globalCompositeOperation = blendSelect.value;
+            this.editor.markChanged();
+            this.editor.redraw();
+        });
+        blendDiv.appendChild(blendLabel);
+        blendDiv.appendChild(blendSelect);
+        this.menuPopover.appendChild(blendDiv);
+        for (let adjustment of this.adjustments) {
+            let typeData = adjustment.getTypeData();
+            let adjustDiv = createDiv(null, 'image-editor-layer-adjustment');
+            let headerDiv = createDiv(null, 'image-editor-layer-adjustment-header');
+            let enableBox = document.createElement('input');
+            enableBox.type = 'checkbox';
+            enableBox.checked = adjustment.enabled;
+            enableBox.title = 'Enable or disable this adjustment';
+            enableBox.addEventListener('change', () => {
+                adjustment.enabled = enableBox.checked;
+                this.onAdjustmentsChanged();
+            });
+            headerDiv.appendChild(enableBox);
+            headerDiv.appendChild(createSpan(null, 'image-editor-layer-adjustment-name', escapeHtml(typeData.name)));
+            let removeButton = createSpan(null, 'image-editor-layer-adjustment-remove', '&times;');
+            removeButton.title = 'Remove this adjustment';
+            removeButton.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.adjustments.splice(this.adjustments.indexOf(adjustment), 1);
+                this.createButtons();
+                this.onAdjustmentsChanged();
+            });
+            headerDiv.appendChild(removeButton);
+            adjustDiv.appendChild(headerDiv);
+            for (let param of typeData.params) {
+                adjustDiv.appendChild(this.createMenuSlider(param.name, param.min, param.max, param.step, adjustment.values[param.id], value => {
+                    adjustment.values[param.id] = value;
+                    this.onAdjustmentsChanged();
+                }));
+            }
+            this.menuPopover.appendChild(adjustDiv);
+        }
+        let addAdjustDiv = createDiv(null, 'sui-popover-inline-block');
+        let addAdjustSelect = document.createElement('select');
+        addAdjustSelect.innerHTML = `<option value="">Add Adjustment...</option>` + imageEditorAdjustmentTypes.map(t => `<option value="${t.id}">${escapeHtml(t.name)}</option>`).join('');
+        addAdjustSelect.addEventListener('change', () => {
+            if (!addAdjustSelect.value) {
+                return;
+            }
+            this.adjustments.push(new ImageEditorLayerAdjustment(addAdjustSelect.value));
+            this.createButtons();
+            this.onAdjustmentsChanged();
+        });
+        addAdjustDiv.appendChild(addAdjustSelect);
+        this.menuPopover.appendChild(addAdjustDiv);
+    }
+
+    /** Creates a labeled slider for the layer menu popover, calling 'onInput' with the new numeric value whenever it changes. */
+    createMenuSlider(name, min, max, step, value, onInput) {
+        let sliderWrapper = createDiv(null, 'auto-slider-range-wrapper');
+        let slider = document.createElement('input');
+        slider.type = 'range';
+        slider.className = 'auto-slider-range';
+        slider.min = `${min}`;
+        slider.max = `${max}`;
+        slider.step = `${step}`;
+        slider.value = value;
+        slider.oninput = e => updateRangeStyle(e);
+        slider.onchange = e => updateRangeStyle(e);
+        let valueSpan = createSpan(null, 'image-editor-slider-value', `${value}`);
+        slider.addEventListener('input', () => {
+            valueSpan.innerText = slider.value;
+            onInput(parseFloat(slider.value));
         });
-        let opacityLabel = document.createElement('label');
-        opacityLabel.innerHTML = 'Opacity&nbsp;';
-        let opacityDiv = createDiv(null, 'sui-popover-inline-block');
-        opacityDiv.appendChild(opacityLabel);
-        sliderWrapper.appendChild(opacitySlider);
-        opacityDiv.appendChild(sliderWrapper);
-        this.menuPopover.appendChild(opacityDiv);
-        updateRangeStyle(opacitySlider);
+        let label = document.createElement('label');
+        label.innerHTML = `${escapeHtml(name)}&nbsp;`;
+        let div = createDiv(null, 'sui-popover-inline-block');
+        div.appendChild(label);
+        sliderWrapper.appendChild(slider);
+        div.appendChild(sliderWrapper);
+        div.appendChild(valueSpan);
+        updateRangeStyle(slider);
+        return div;
+    }
+
+    onAdjustmentsChanged() {
+        this.adjustedCanvas = null;
+        this.editor.markChanged();
+        this.editor.redraw();
+    }
+
+    /** Returns the given source canvas with this layer's enabled adjustments applied, reusing the previous result when nothing has changed. */
+    getAdjustedCanvas(source) {
+        let active = this.adjustments.filter(a => a.enabled);
+        if (active.length == 0) {
+            this.adjustedCanvas = null;
+            return source;
+        }
+        let key = `${this.editor.changeCount}_${source.width}_${source.height}_${JSON.stringify(active.map(a => [a.type, a.values]))}`;
+        if (this.adjustedCanvas && this.adjustedSource == source && this.adjustedKey == key) {
+            return this.adjustedCanvas;
+        }
+        let [width, height] = [source.width, source.height];
+        let canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        let ctx = canvas.getContext('2d');
+        ctx.drawImage(source, 0, 0);
+        let scratch = document.createElement('canvas');
+        scratch.width = width;
+        scratch.height = height;
+        let scratchCtx = scratch.getContext('2d');
+        for (let adjustment of active) {
+            let filter = adjustment.getFilter();
+            if (filter) {
+                scratchCtx.clearRect(0, 0, width, height);
+                scratchCtx.filter = filter;
+                scratchCtx.drawImage(canvas, 0, 0);
+                scratchCtx.filter = 'none';
+                ctx.clearRect(0, 0, width, height);
+                ctx.drawImage(scratch, 0, 0);
+            }
+            else {
+                let imageData = ctx.getImageData(0, 0, width, height);
+                adjustment.applyToPixels(imageData.data);
+                ctx.putImageData(imageData, 0, 0);
+            }
+        }
+        this.adjustedCanvas = canvas;
+        this.adjustedSource = source;
+        this.adjustedKey = key;
+        return canvas;
     }
 
     getOffset() {
@@ -997,6 +2071,45 @@ class ImageEditorLayer {
         this.height = height;
     }
 
+    /** Re-renders the canvas of a text layer from its 'textData', resizing the layer to fit the text. */
+    renderText() {
+        let data = this.textData;
+        let font = `${data.size}px ${data.font}`;
+        let lines = data.text.split('\n');
+        let lineHeight = Math.ceil(data.size * 1.25);
+        let padding = Math.ceil(data.size * 0.1);
+        this.ctx.font = font;
+        let textWidth = Math.max(1, ...lines.map(line => Math.ceil(this.ctx.measureText(line).width)));
+        this.canvas.width = textWidth + padding * 2;
+        this.canvas.height = lines.length * lineHeight + padding * 2;
+        this.width = this.canvas.width;
+        this.height = this.canvas.height;
+        this.ctx.font = font;
+        this.ctx.fillStyle = data.color;
+        this.ctx.textBaseline = 'middle';
+        this.ctx.textAlign = data.align;
+        let x = data.align == 'left' ? padding : (data.align == 'center' ? this.canvas.width / 2 : this.canvas.width - padding);
+        for (let i = 0; i < lines.length; i++) {
+            this.ctx.fillText(lines[i], x, padding + i * lineHeight + lineHeight / 2);
+        }
+        this.hasAnyContent = true;
+        this.editor.markChanged();
+    }
+
+    /** Converts a text layer into a normal image layer, keeping its current pixels. */
+    rasterizeText() {
+        if (!this.textData) {
+            return;
+        }
+        this.textData = null;
+        if (this.infoSubDiv) {
+            this.infoSubDiv.innerText = this.isMask ? `Mask` : `Image`;
+        }
+        if (this.menuPopover) {
+            this.createButtons();
+        }
+    }
+
     invert() {
         let newCanvas = document.createElement('canvas');
         newCanvas.width = this.canvas.width;
@@ -1008,6 +2121,7 @@ class ImageEditorLayer {
         newCtx.restore();
         this.canvas = newCanvas;
         this.ctx = newCtx;
+        this.editor.markChanged();
         this.editor.redraw();
     }
 
@@ -1055,7 +2169,7 @@ class ImageEditorLayer {
         this.ctx.fill();
     }
 
-    drawToBackDirect(ctx, offsetX, offsetY, zoom) {
+    drawToBackDirect(ctx, offsetX, offsetY, zoom, source = null) {
         ctx.save();
         let [thisOffsetX, thisOffsetY] = this.getOffset();
         let x = offsetX + thisOffsetX;
@@ -1068,23 +2182,17 @@ class ImageEditorLayer {
         if (zoom > 5) {
             ctx.imageSmoothingEnabled = false;
         }
-        ctx.drawImage(this.canvas, -cx * zoom, -cy * zoom, this.width * zoom, this.height * zoom);
+        ctx.drawImage(source ?? this.canvas, -cx * zoom, -cy * zoom, this.width * zoom, this.height * zoom);
         ctx.restore();
     }
 
     drawToBack(ctx, offsetX, offsetY, zoom) {
+        let source = this.canvas;
         if (this.childLayers.length > 0) {
             if (this.buffer == null) {
                 this.buffer = new ImageEditorLayer(this.editor, this.canvas.width, this.canvas.height);
-                this.buffer.width = this.width;
-                this.buffer.height = this.height;
-                this.buffer.rotation = this.rotation;
             }
             let offset = this.getOffset();
-            this.buffer.offsetX = this.offsetX;
-            this.buffer.offsetY = this.offsetY;
-            this.buffer.opacity = this.opacity;
-            this.buffer.globalCompositeOperation = this.globalCompositeOperation;
             this.buffer.ctx.globalAlpha = 1;
             this.buffer.ctx.globalCompositeOperation = 'source-over';
             this.buffer.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
@@ -1092,58 +2200,238 @@ class ImageEditorLayer {
             for (let layer of this.childLayers) {
                 layer.drawToBack(this.buffer.ctx, -offset[0], -offset[1], 1);
             }
-            this.buffer.drawToBackDirect(ctx, offsetX, offsetY, zoom);
+            source = this.buffer.canvas;
         }
         else {
             this.buffer = null;
-            this.drawToBackDirect(ctx, offsetX, offsetY, zoom);
         }
+        this.drawToBackDirect(ctx, offsetX, offsetY, zoom, this.getAdjustedCanvas(source));
     }
 
-    saveBeforeEdit() {
+    saveBeforeEdit(name = null) {
+        let oldTextData = this.textData ? { ...this.textData } : null;
+        this.rasterizeText();
         let oldCanvas = document.createElement('canvas');
         oldCanvas.width = this.canvas.width;
         oldCanvas.height = this.canvas.height;
         let oldCtx = oldCanvas.getContext('2d');
         oldCtx.drawImage(this.canvas, 0, 0);
-        let history = new ImageEditorHistoryEntry(this.editor, 'layer_canvas_edit', { layer: this, oldCanvas: oldCanvas, oldOffsetX: this.offsetX, oldOffsetY: this.offsetY, oldRotation: this.rotation, oldWidth: this.width, oldHeight: this.height });
+        let history = new ImageEditorHistoryEntry(this.editor, 'layer_canvas_edit', { layer: this, oldCanvas: oldCanvas, oldOffsetX: this.offsetX, oldOffsetY: this.offsetY, oldRotation: this.rotation, oldWidth: this.width, oldHeight: this.height, oldTextData: oldTextData }, name);
+        this.editor.addHistoryEntry(history);
+    }
+
+    /** Records this text layer's current text settings as an undo step, to be made before changing or rasterizing the text. Returns the new history entry. */
+    saveTextData(name = null) {
+        let history = new ImageEditorHistoryEntry(this.editor, 'layer_text_edit', { layer: this, oldTextData: { ...this.textData } }, name);
         this.editor.addHistoryEntry(history);
+        return history;
     }
 
-    savePositions() {
-        let history = new ImageEditorHistoryEntry(this.editor, 'layer_reposition', { layer: this, oldOffsetX: this.offsetX, oldOffsetY: this.offsetY, oldRotation: this.rotation, oldWidth: this.width, oldHeight: this.height });
+    savePositions(name = null) {
+        let history = new ImageEditorHistoryEntry(this.editor, 'layer_reposition', { layer: this, oldOffsetX: this.offsetX, oldOffsetY: this.offsetY, oldRotation: this.rotation, oldWidth: this.width, oldHeight: this.height }, name);
         this.editor.addHistoryEntry(history);
     }
 }
 
 /**
- * A single history entry for the image editor, for Undo processing.
+ * A single history entry for the image editor, for Undo/Redo processing.
  */
 class ImageEditorHistoryEntry {
-    constructor(editor, type, data) {
+    constructor(editor, type, data, name = null) {
         this.editor = editor;
         this.type = type;
         this.data = data;
+        this.name = name ?? { layer_canvas_edit: 'Edit Layer', layer_reposition: 'Transform Layer', layer_add: 'Add Layer', layer_remove: 'Remove Layer', layer_reorder: 'Reorder Layers', canvas_resize: 'Resize Canvas', layer_text_edit: 'Edit Text', layer_convert: 'Convert Layer' }[type] ?? type;
+    }
+
+    copyCanvas(canvas) {
+        let newCanvas = document.createElement('canvas');
+        newCanvas.width = canvas.width;
+        newCanvas.height = canvas.height;
+        newCanvas.getContext('2d').drawImage(canvas, 0, 0);
+        return newCanvas;
+    }
+
+    /** Returns the names of the canvas snapshot keys within this entry's data. */
+    getSnapshotKeys() {
+        return ['oldCanvas', 'newCanvas'];
+    }
+
+    /** Compresses any canvas snapshots held by this entry into PNG blobs, to reduce memory usage for older history. */
+    compress() {
+        for (let key of this.getSnapshotKeys()) {
+            let canvas = this.data[key];
+            if (!canvas || this.data[`${key}_compressing`]) {
+                continue;
+            }
+            this.data[`${key}_compressing`] = true;
+            canvas.toBlob(blob => {
+                delete this.data[`${key}_compressing`];
+                if (blob && this.data[key] == canvas) {
+                    this.data[`${key}_blob`] = blob;
+                    delete this.data[key];
+                }
+            }, 'image/png');
+        }
+    }
+
+    /** Returns a promise that resolves when all compressed snapshots in this entry have been decoded and are ready for use. */
+    prepare() {
+        let promises = [];
+        for (let key of this.getSnapshotKeys()) {
+            let blob = this.data[`${key}_blob`];
+            if (blob && !this.data[key]) {
+                promises.push(createImageBitmap(blob).then(bitmap => {
+                    this.data[key] = this.copyCanvas(bitmap);
+                    delete this.data[`${key}_blob`];
+                    bitmap.close();
+                }));
+            }
+        }
+        return Promise.all(promises);
+    }
+
+    getPositions(layer) {
+        return { offsetX: layer.offsetX, offsetY: layer.offsetY, rotation: layer.rotation, width: layer.width, height: layer.height };
+    }
+
+    applyPositions(layer, positions) {
+        layer.offsetX = positions.offsetX;
+        layer.offsetY = positions.offsetY;
+        layer.rotation = positions.rotation;
+        layer.width = positions.width;
+        layer.height = positions.height;
+    }
+
+    /** Restores a text layer's text settings and re-renders it, reloading the text tool's config bar if it's editing that layer. */
+    applyTextData(layer, textData) {
+        this.setTextState(layer, textData);
+        layer.renderText();
+    }
+
+    /** Makes the layer an editable text layer with the given settings, or rasterizes it if 'textData' is null, without re-rendering its pixels. */
+    setTextState(layer, textData) {
+        if (!textData) {
+            layer.rasterizeText();
+            return;
+        }
+        let wasText = layer.textData != null;
+        layer.textData = { ...textData };
+        if (!wasText) {
+            if (layer.infoSubDiv) {
+                layer.infoSubDiv.innerText = 'Text';
+            }
+            if (layer.menuPopover) {
+                layer.createButtons();
+            }
+        }
+        if (this.editor.activeLayer == layer) {
+            this.editor.tools['text'].loadFrom(layer);
+        }
+    }
+
+    getLayerState(layer) {
+        return { isMask: layer.isMask, globalCompositeOperation: layer.globalCompositeOperation, adjustments: layer.adjustments, textData: layer.textData ? { ...layer.textData } : null, order: [...this.editor.layers] };
+    }
+
+    applyLayerState(layer, state) {
+        layer.isMask = state.isMask;
+        layer.globalCompositeOperation = state.globalCompositeOperation;
+        layer.adjustments = state.adjustments;
+        if (layer.infoSubDiv) {
+            layer.infoSubDiv.innerText = layer.isMask ? `Mask` : `Image`;
+        }
+        this.setTextState(layer, state.textData);
+        if (layer.menuPopover) {
+            layer.createButtons();
+        }
+        this.editor.setLayerOrder(state.order);
+    }
+
+    applyCanvas(layer, canvas) {
+        let ctx = layer.ctx;
+        if (ctx.canvas.width != canvas.width || ctx.canvas.height != canvas.height) {
+            ctx.canvas.width = canvas.width;
+            ctx.canvas.height = canvas.height;
+        }
+        ctx.clearRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+        ctx.drawImage(canvas, 0, 0);
     }
 
     undo() {
+        let layer = this.data.layer;
+        if (this.type == 'layer_canvas_edit') {
+            if (!this.data.newCanvas && !this.data.newCanvas_blob) {
+                this.data.newCanvas = this.copyCanvas(layer.canvas);
+            }
+            this.data.newPositions = this.getPositions(layer);
+            this.data.newTextData = layer.textData ? { ...layer.textData } : null;
+            this.applyCanvas(layer, this.data.oldCanvas);
+            this.applyPositions(layer, { offsetX: this.data.oldOffsetX, offsetY: this.data.oldOffsetY, rotation: this.data.oldRotation, width: this.data.oldWidth, height: this.data.oldHeight });
+            if (this.data.oldTextData) {
+                this.setTextState(layer, this.data.oldTextData);
+            }
+        }
+        else if (this.type == 'layer_reposition') {
+            this.data.newPositions = this.getPositions(layer);
+            this.applyPositions(layer, { offsetX: this.data.oldOffsetX, offsetY: this.data.oldOffsetY, rotation: this.data.oldRotation, width: this.data.oldWidth, height: this.data.oldHeight });
+        }
+        else if (this.type == 'layer_add') {
+            this.editor.removeLayer(layer, false);
+        }
+        else if (this.type == 'layer_remove') {
+            this.editor.restoreLayer(layer, this.data.index);
+        }
+        else if (this.type == 'layer_reorder') {
+            this.editor.setLayerOrder(this.data.oldOrder);
+        }
+        else if (this.type == 'canvas_resize') {
+            this.editor.applyCanvasState(this.data.oldState);
+        }
+        else if (this.type == 'layer_text_edit') {
+            this.data.newTextData = layer.textData ? { ...layer.textData } : null;
+            this.applyTextData(layer, this.data.oldTextData);
+        }
+        else if (this.type == 'layer_convert') {
+            this.data.newState = this.getLayerState(layer);
+            this.applyLayerState(layer, this.data.oldState);
+        }
+    }
+
+    redo() {
+        let layer = this.data.layer;
         if (this.type == 'layer_canvas_edit') {
-            let oldCanvas = this.data.oldCanvas;
-            let ctx = this.data.layer.ctx;
-            ctx.clearRect(0, 0, ctx.canvas.width, ctx.canvas.height);
-            ctx.drawImage(oldCanvas, 0, 0);
-            this.data.layer.offsetX = this.data.oldOffsetX;
-            this.data.layer.offsetY = this.data.oldOffsetY;
-            this.data.layer.rotation = this.data.oldRotation;
-            this.data.layer.width = this.data.oldWidth;
-            this.data.layer.height = this.data.oldHeight;
+            this.applyCanvas(layer, this.data.newCanvas);
+            this.applyPositions(layer, this.data.newPositions);
+            if (this.data.oldTextData) {
+                this.setTextState(layer, this.data.newTextData);
+            }
         }
         else if (this.type == 'layer_reposition') {
-            this.data.layer.offsetX = this.data.oldOffsetX;
-            this.data.layer.offsetY = this.data.oldOffsetY;
-            this.data.layer.rotation = this.data.oldRotation;
-            this.data.layer.width = this.data.oldWidth;
-            this.data.layer.height = this.data.oldHeight;
+            this.applyPositions(layer, this.data.newPositions);
+        }
+        else if (this.type == 'layer_add') {
+            this.editor.restoreLayer(layer, this.data.index);
+        }
+        else if (this.type == 'layer_remove') {
+            this.editor.removeLayer(layer, false);
+        }
+        else if (this.type == 'layer_reorder') {
+            this.editor.setLayerOrder(this.data.newOrder);
+        }
+        else if (this.type == 'canvas_resize') {
+            this.editor.applyCanvasState(this.data.newState);
+        }
+        else if (this.type == 'layer_text_edit') {
+            if (this.data.newTextData) {
+                this.applyTextData(layer, this.data.newTextData);
+            }
+            else {
+                layer.rasterizeText();
+            }
+        }
+        else if (this.type == 'layer_convert') {
+            this.applyLayerState(layer, this.data.newState);
         }
     }
 }
@@ -1165,6 +2453,8 @@ class ImageEditor {
         // Data:
         this.doFit = doFit;
         this.signalChanged = signalChanged;
+        this.onGenerate = null;
+        this.penPressure = null;
         this.onActivate = null;
         this.onDeactivate = null;
         this.changeCount = 0;
@@ -1178,6 +2468,7 @@ class ImageEditor {
         if (allowMasks) {
             this.rightBar.innerHTML += `<div class="image_editor_newlayer_button basic-button new-mask-layer-button" title="New Mask Layer">+Mask</div>`;
         }
+        this.rightBar.innerHTML += `<div class="image_editor_newlayer_button basic-button image-editor-history-button" title="Edit History (Undo: CTRL+Z, Redo: CTRL+SHIFT+Z or CTRL+Y)">History</div>`;
         this.inputDiv.appendChild(this.rightBar);
         this.rightBar.querySelector('.image-editor-close-button').addEventListener('click', () => {
             this.deactivate();
@@ -1190,6 +2481,15 @@ class ImageEditor {
                 this.addEmptyMaskLayer();
             });
         }
+        this.historyPopover = createDiv('popover_image_editor_history', 'sui-popover image-editor-history-popover');
+        this.rightBar.appendChild(this.historyPopover);
+        let historyButton = this.rightBar.querySelector('.image-editor-history-button');
+        historyButton.addEventListener('click', () => {
+            let rect = historyButton.getBoundingClientRect();
+            showPopover('image_editor_history', rect.x, rect.y + rect.height);
+            this.renderHistory();
+        });
+        this.createExpandCanvasPopover();
         this.canvasList = createDiv(null, 'image_editor_canvaslist');
         // canvas entries can be dragged
         this.canvasList.addEventListener('dragover', (e) => {
@@ -1206,6 +2506,7 @@ class ImageEditor {
             if (dragIndex < 0 || targetIndex < 0 || dragIndex == targetIndex) {
                 return;
             }
+            let oldOrder = [...this.layers];
             this.layers.splice(dragIndex, 1);
             targetIndex = this.layers.indexOf(target.layer);
             if (e.offsetY > target.clientHeight / 2) {
@@ -1222,6 +2523,7 @@ class ImageEditor {
             }
             this.layers.splice(targetIndex, 0, this.draggingLayer);
             this.sortLayers();
+            this.addHistoryEntry(new ImageEditorHistoryEntry(this, 'layer_reorder', { oldOrder: oldOrder, newOrder: [...this.layers] }));
             this.redraw();
         });
         this.canvasList.addEventListener('dragenter', (e) => {
@@ -1243,10 +2545,14 @@ class ImageEditor {
         this.addTool(new ImageEditorToolBrush(this, 'brush', 'paintbrush', 'Paintbrush', 'Draw on the image.\nHotKey: B', false, 'b'));
         this.addTool(new ImageEditorToolBrush(this, 'eraser', 'eraser', 'Eraser', 'Erase parts of the image.\nHotKey: E', true, 'e'));
         this.addTool(new ImageEditorToolBucket(this));
+        this.addTool(new ImageEditorToolText(this));
+        this.addTool(new ImageEditorToolShape(this));
         this.pickerTool = new ImageEditorToolPicker(this, 'picker', 'paintbrush', 'Color Picker', 'Pick a color from the image.');
         this.addTool(this.pickerTool);
         this.activateTool('brush');
-        this.maxHistory = 15;
+        this.maxHistory = 50;
+        this.maxUncompressedHistory = 5;
+        this.historyTask = Promise.resolve();
     }
 
     clearVars() {
@@ -1268,21 +2574,101 @@ class ImageEditor {
         this.selectWidth = 0;
         this.selectHeight = 0;
         this.hasSelection = false;
+        this.selectionCanvas = null;
+        this.selectionOutline = null;
+        this.selectionOffsetX = 0;
+        this.selectionOffsetY = 0;
+        this.clearHistory();
+    }
+
+    clearHistory() {
         this.editHistory = [];
+        this.historyPosition = 0;
+        this.renderHistory();
     }
 
+    /** Adds a new history entry at the current history position, discarding any entries that were undone. */
     addHistoryEntry(entry) {
-        if (this.editHistory.length >= this.maxHistory) {
+        this.editHistory.splice(this.historyPosition);
+        this.editHistory.push(entry);
+        while (this.editHistory.length > this.maxHistory) {
             this.editHistory.splice(0, 1);
         }
-        this.editHistory.push(entry);
+        this.historyPosition = this.editHistory.length;
+        this.limitHistoryMemory();
+        this.renderHistory();
     }
 
-    undoOnce() {
-        if (this.editHistory.length > 0) {
-            let entry = this.editHistory.pop();
-            entry.undo();
+    /** Compresses canvas snapshots for history entries that aren't near the current history position, to bound memory usage. */
+    limitHistoryMemory() {
+        for (let i = 0; i < this.editHistory.length; i++) {
+            if (Math.abs(i - this.historyPosition) > this.maxUncompressedHistory) {
+                this.editHistory[i].compress();
+            }
+        }
+    }
+
+    /** Undoes or redoes entries until the history position reaches the value returned by 'getTarget'. History moves are queued, as compressed entries need to be decoded first. */
+    moveHistory(getTarget) {
+        this.historyTask = this.historyTask.then(async () => {
+            let target = Math.max(0, Math.min(this.editHistory.length, getTarget()));
+            if (target == this.historyPosition) {
+                return;
+            }
+            while (this.historyPosition > target) {
+                let entry = this.editHistory[this.historyPosition - 1];
+                await entry.prepare();
+                entry.undo();
+                this.historyPosition--;
+            }
+            while (this.historyPosition < target) {
+                let entry = this.editHistory[this.historyPosition];
+                await entry.prepare();
+                entry.redo();
+                this.historyPosition++;
+            }
+            this.limitHistoryMemory();
+            this.markChanged();
             this.redraw();
+            this.renderHistory();
+        }).catch(e => {
+            console.log(`Image editor history move failed: ${e}`);
+        });
+    }
+
+    undoOnce() {
+        this.moveHistory(() => this.historyPosition - 1);
+    }
+
+    redoOnce() {
+        this.moveHistory(() => this.historyPosition + 1);
+    }
+
+    jumpToHistory(position) {
+        this.moveHistory(() => position);
+    }
+
+    /** Rebuilds the contents of the history popover, if it is open. */
+    renderHistory() {
+        if (!this.historyPopover || this.historyPopover.dataset.visible != "true") {
+            return;
+        }
+        this.historyPopover.innerHTML = '';
+        let addEntry = (name, position) => {
+            let div = createDiv(null, 'image-editor-history-entry');
+            div.innerText = name;
+            if (position == this.historyPosition) {
+                div.classList.add('image-editor-history-entry-current');
+            }
+            else if (position > this.historyPosition) {
+                div.classList.add('image-editor-history-entry-undone');
+            }
+            div.addEventListener('click', () => this.jumpToHistory(position));
+            this.historyPopover.appendChild(div);
+        };
+        addEntry('Start', 0);
+        for (let i = 0; i < this.editHistory.length; i++) {
+            addEntry(this.editHistory[i].name, i + 1);
         }
     }
 
@@ -1322,6 +2708,12 @@ class ImageEditor {
         document.addEventListener('touchend', (e) => this.onGlobalMouseUp(e));
         canvas.addEventListener('touchend', (e) => this.onMouseUp(e));
         document.addEventListener('touchmove', (e) => this.onGlobalMouseMove(e));
+        // Pen pressure is only available from pointer events, which fire just before the matching mouse events
+        let updatePenPressure = (e) => {
+            this.penPressure = e.pointerType == 'pen' ? e.pressure : null;
+        };
+        canvas.addEventListener('pointerdown', updatePenPressure);
+        canvas.addEventListener('pointermove', updatePenPressure);
         canvas.addEventListener('keydown', (e) => this.onKeyDown(e));
         canvas.addEventListener('keyup', (e) => this.onKeyUp(e));
         document.addEventListener('keydown', (e) => this.onGlobalKeyDown(e));
@@ -1353,6 +2745,10 @@ class ImageEditor {
         e.preventDefault();
         e.stopPropagation();
         for (let file of e.dataTransfer.files) {
+            if (file.name.endsWith('.swarmedit.json')) {
+                this.loadDocumentFile(file);
+                continue;
+            }
             if (!file.type.startsWith('image/')) {
                 continue;
             }
@@ -1385,14 +2781,22 @@ class ImageEditor {
     }
 
     onKeyDown(e) {
+        if (this.activeTool.onKeyDown(e)) {
+            e.preventDefault();
+            return;
+        }
         if (e.key === 'Alt') {
             e.preventDefault();
             this.handleAltDown();
         }
-        if (e.ctrlKey && e.key == 'z') {
+        if (e.ctrlKey && !e.shiftKey && e.key == 'z') {
             e.preventDefault();
             this.undoOnce();
         }
+        if (e.ctrlKey && (e.key == 'y' || (e.shiftKey && e.key.toLowerCase() == 'z'))) {
+            e.preventDefault();
+            this.redoOnce();
+        }
         if (!e.ctrlKey && !e.altKey && !e.metaKey && !e.shiftKey) {
             let toolId = this.toolHotkeys[e.key];
             if (toolId) {
@@ -1551,6 +2955,7 @@ class ImageEditor {
     clearLayers() {
         this.layers = [];
         this.activeLayer = null;
+        this.clearHistory();
         this.realWidth = 512;
         this.realHeight = 512;
         this.finalOffsetX = 0;
@@ -1562,6 +2967,7 @@ class ImageEditor {
         let layer = new ImageEditorLayer(this, this.realWidth, this.realHeight);
         layer.isMask = true;
         this.addLayer(layer);
+        return layer;
     }
 
     addEmptyLayer() {
@@ -1576,27 +2982,56 @@ class ImageEditor {
         this.addLayer(layer);
     }
 
-    removeLayer(layer) {
+    removeLayer(layer, recordHistory = true) {
         let index = this.layers.indexOf(layer);
         if (index >= 0) {
+            if (recordHistory) {
+                this.addHistoryEntry(new ImageEditorHistoryEntry(this, 'layer_remove', { layer: layer, index: index }));
+            }
             this.layers.splice(index, 1);
             this.canvasList.removeChild(layer.div);
             this.canvasList.removeChild(layer.menuPopover);
             if (this.activeLayer == layer) {
-                this.setActiveLayer(this.layers[Math.max(0, index - 1)]);
+                if (this.layers.length > 0) {
+                    this.setActiveLayer(this.layers[Math.max(0, index - 1)]);
+                }
+                else {
+                    this.activeLayer = null;
+                }
             }
             this.redraw();
         }
     }
 
-    addLayer(layer) {
+    /** Re-inserts a previously removed layer (with its existing interface elements) at the given index, for history processing. */
+    restoreLayer(layer, index) {
+        if (this.layers.includes(layer)) {
+            return;
+        }
+        this.layers.splice(Math.min(index, this.layers.length), 0, layer);
+        this.canvasList.appendChild(layer.menuPopover);
+        this.canvasList.appendChild(layer.div);
+        this.setLayerOrder(this.layers);
+        this.setActiveLayer(layer);
+    }
+
+    /** Replaces the layer order with the given list of layers, for history processing. */
+    setLayerOrder(layers) {
+        this.layers = layers.filter(layer => this.layers.includes(layer));
+        for (let layer of Array.from(this.layers).reverse()) {
+            this.canvasList.appendChild(layer.div);
+        }
+        this.sortLayers();
+    }
+
+    addLayer(layer, recordHistory = true) {
         layer.id = this.totalLayersEver++;
         this.layers.push(layer);
         layer.div = createDiv(null, 'image_editor_layer_preview');
         layer.div.appendChild(layer.canvas);
         let infoDiv = createDiv(null, 'image_editor_layer_info');
         let infoSubDiv = createDiv(null, 'image_editor_layer_info_sub');
-        infoSubDiv.innerText = (layer.isMask ? `Mask` : `Image`);
+        infoSubDiv.innerText = (layer.isMask ? `Mask` : (layer.textData ? `Text` : `Image`));
         infoDiv.appendChild(infoSubDiv);
         layer.infoSubDiv = infoSubDiv;
         layer.div.appendChild(infoDiv);
@@ -1634,6 +3069,9 @@ class ImageEditor {
         this.canvasList.insertBefore(layer.div, this.canvasList.firstChild);
         this.setActiveLayer(layer);
         this.sortLayers();
+        if (recordHistory) {
+            this.addHistoryEntry(new ImageEditorHistoryEntry(this, 'layer_add', { layer: layer, index: this.layers.indexOf(layer) }));
+        }
     }
 
     sortLayers() {
@@ -1654,12 +3092,12 @@ class ImageEditor {
         let layer = new ImageEditorLayer(this, img.naturalWidth, img.naturalHeight);
         layer.ctx.drawImage(img, 0, 0);
         layer.hasAnyContent = true;
-        this.addLayer(layer);
+        this.addLayer(layer, false);
         let layer2 = new ImageEditorLayer(this, img.naturalWidth, img.naturalHeight);
-        this.addLayer(layer2);
+        this.addLayer(layer2, false);
         let maskLayer = new ImageEditorLayer(this, img.naturalWidth, img.naturalHeight);
         maskLayer.isMask = true;
-        this.addLayer(maskLayer);
+        this.addLayer(maskLayer, false);
         this.realWidth = img.naturalWidth;
         this.realHeight = img.naturalHeight;
         this.offsetX = 0
@@ -1772,6 +3210,472 @@ class ImageEditor {
         }
     }
 
+    /**
+     * Combines a new shape into the current selection. 'drawShape' receives a context in image coordinates to fill the shape onto.
+     * 'mode' is one of 'replace', 'add', 'subtract', or 'intersect'.
+     */
+    applySelection(drawShape, mode = 'replace') {
+        let [x, y] = [this.finalOffsetX, this.finalOffsetY];
+        let shapeCanvas = document.createElement('canvas');
+        shapeCanvas.width = this.realWidth;
+        shapeCanvas.height = this.realHeight;
+        let shapeCtx = shapeCanvas.getContext('2d');
+        shapeCtx.fillStyle = '#ffffff';
+        shapeCtx.translate(-x, -y);
+        drawShape(shapeCtx);
+        let canvas = document.createElement('canvas');
+        canvas.width = this.realWidth;
+        canvas.height = this.realHeight;
+        let ctx = canvas.getContext('2d');
+        if (mode != 'replace' && this.selectionCanvas) {
+            ctx.drawImage(this.selectionCanvas, this.selectionOffsetX - x, this.selectionOffsetY - y);
+        }
+        if (mode == 'subtract') {
+            ctx.globalCompositeOperation = 'destination-out';
+        }
+        else if (mode == 'intersect') {
+            ctx.globalCompositeOperation = 'destination-in';
+        }
+        ctx.drawImage(shapeCanvas, 0, 0);
+        this.setSelectionCanvas(canvas, x, y);
+    }
+
+    /** Replaces the current selection with the given canvas (white with alpha for selection strength) at the given image offset. */
+    setSelectionCanvas(canvas, x, y) {
+        let ctx = canvas.getContext('2d');
+        let [width, height] = [canvas.width, canvas.height];
+        let data = ctx.getImageData(0, 0, width, height).data;
+        let outline = new ImageData(width, height);
+        let isInside = (px, py) => px >= 0 && py >= 0 && px < width && py < height && data[(py * width + px) * 4 + 3] >= 128;
+        let [minX, minY, maxX, maxY] = [width, height, -1, -1];
+        for (let py = 0; py < height; py++) {
+            for (let px = 0; px < width; px++) {
+                if (data[(py * width + px) * 4 + 3] == 0) {
+                    continue;
+                }
+                minX = Math.min(minX, px);
+                minY = Math.min(minY, py);
+                maxX = Math.max(maxX, px);
+                maxY = Math.max(maxY, py);
+                if (isInside(px, py) && (!isInside(px - 1, py) || !isInside(px + 1, py) || !isInside(px, py - 1) || !isInside(px, py + 1))) {
+                    outline.data.fill(255, (py * width + px) * 4, (py * width + px) * 4 + 4);
+                }
+            }
+        }
+        if (maxX < 0) {
+            this.clearSelection();
+            return;
+        }
+        this.selectionCanvas = canvas;
+        this.selectionOffsetX = x;
+        this.selectionOffsetY = y;
+        this.selectionOutline = document.createElement('canvas');
+        this.selectionOutline.width = width;
+        this.selectionOutline.height = height;
+        this.selectionOutline.getContext('2d').putImageData(outline, 0, 0);
+        this.selectX = x + minX;
+        this.selectY = y + minY;
+        this.selectWidth = maxX - minX + 1;
+        this.selectHeight = maxY - minY + 1;
+        this.hasSelection = true;
+        this.redraw();
+    }
+
+    clearSelection() {
+        this.selectionCanvas = null;
+        this.selectionOutline = null;
+        this.selectX = 0;
+        this.selectY = 0;
+        this.selectWidth = 0;
+        this.selectHeight = 0;
+        this.hasSelection = false;
+        this.redraw();
+    }
+
+    /** Inverts the current selection within the image area. If nothing is selected, selects the entire image. */
+    invertSelection() {
+        let selection = this.selectionCanvas;
+        let [selectionX, selectionY] = [this.selectionOffsetX, this.selectionOffsetY];
+        this.applySelection(ctx => {
+            ctx.fillRect(this.finalOffsetX, this.finalOffsetY, this.realWidth, this.realHeight);
+            if (selection) {
+                ctx.globalCompositeOperation = 'destination-out';
+                ctx.drawImage(selection, selectionX, selectionY);
+            }
+        });
+    }
+
+    /** Softens the edges of the current selection by the given radius, in pixels. */
+    featherSelection(radius) {
+        if (!this.selectionCanvas) {
+            return;
+        }
+        let canvas = document.createElement('canvas');
+        canvas.width = this.selectionCanvas.width;
+        canvas.height = this.selectionCanvas.height;
+        let ctx = canvas.getContext('2d');
+        ctx.filter = `blur(${radius}px)`;
+        ctx.drawImage(this.selectionCanvas, 0, 0);
+        this.setSelectionCanvas(canvas, this.selectionOffsetX, this.selectionOffsetY);
+    }
+
+    /** Returns a canvas matching the given layer's pixel space, containing the current selection as alpha, or null if there is no selection. */
+    getSelectionForLayer(layer) {
+        if (!this.hasSelection || !this.selectionCanvas) {
+            return null;
+        }
+        let canvas = document.createElement('canvas');
+        canvas.width = layer.canvas.width;
+        canvas.height = layer.canvas.height;
+        let ctx = canvas.getContext('2d');
+        let [offsetX, offsetY] = layer.getOffset();
+        let [cx, cy] = [layer.width / 2, layer.height / 2];
+        ctx.scale(layer.canvas.width / layer.width, layer.canvas.height / layer.height);
+        ctx.translate(cx, cy);
+        ctx.rotate(-layer.rotation);
+        ctx.translate(-offsetX - cx, -offsetY - cy);
+        ctx.drawImage(this.selectionCanvas, this.selectionOffsetX, this.selectionOffsetY);
+        return canvas;
+    }
+
+    /** Fills the active mask layer (or a new mask layer, if the active layer isn't a mask) with the current selection. */
+    fillMaskFromSelection() {
+        if (!this.hasSelection) {
+            return;
+        }
+        if (!this.activeLayer || !this.activeLayer.isMask) {
+            this.addEmptyMaskLayer();
+        }
+        let layer = this.activeLayer;
+        let selection = this.getSelectionForLayer(layer);
+        layer.saveBeforeEdit('Fill Mask From Selection');
+        layer.ctx.drawImage(selection, 0, 0);
+        layer.hasAnyContent = true;
+        this.markChanged();
+        this.redraw();
+    }
+
+    /** Shows the Expand Canvas popover at the given screen position. */
+    showExpandCanvas(x, y) {
+        showPopover('image_editor_expand', x, y);
+    }
+
+    /** Builds the Expand Canvas popover contents. */
+    createExpandCanvasPopover() {
+        this.expandPopover = createDiv('popover_image_editor_expand', 'sui-popover image-editor-expand-popover');
+        let sideInput = (side) => `<div class="sui-popover-inline-block"><label>${side}:&nbsp;</label><input type="number" class="auto-number id-expand-${side.toLowerCase()}" min="0" max="8192" step="8" value="0"></div>`;
+        this.expandPopover.innerHTML = `
+            <div class="sui-popover-inline-block"><label>Mode:&nbsp;</label><select class="id-expand-mode">
+                <option value="pixels">By Pixels</option>
+                <option value="aspect">To Aspect Ratio</option>
+            </select></div>
+            <div class="id-expand-pixels">${['Top', 'Bottom', 'Left', 'Right'].map(sideInput).join('')}</div>
+            <div class="id-expand-aspect" style="display:none">
+                <div class="sui-popover-inline-block"><label>Aspect Ratio:&nbsp;</label><input type="text" class="id-expand-ratio" value="16:9"></div>
+                <div class="sui-popover-inline-block"><label>Keep Image At:&nbsp;</label><select class="id-expand-anchor">
+                    <option value="center">Center</option>
+                    <option value="top">Top</option>
+                    <option value="bottom">Bottom</option>
+                    <option value="left">Left</option>
+                    <option value="right">Right</option>
+                    <option value="top-left">Top Left</option>
+                    <option value="top-right">Top Right</option>
+                    <option value="bottom-left">Bottom Left</option>
+                    <option value="bottom-right">Bottom Right</option>
+                </select></div>
+            </div>
+            <div class="sui-popover-inline-block"><label>Fill:&nbsp;</label><select class="id-expand-fill">
+                <option value="stretch">Edge Stretch</option>
+                <option value="blur">Blur</option>
+                <option value="noise">Noise</option>
+                <option value="none">Empty</option>
+            </select></div>
+            <div class="image-editor-expand-buttons">
+                <button class="basic-button id-expand-go" title="Expand the canvas and create a mask over the new area">Expand</button>
+                <button class="basic-button id-expand-generate" title="Expand the canvas, then immediately generate to outpaint the new area">Expand &amp; Outpaint</button>
+            </div>`;
+        let modeSelector = this.expandPopover.querySelector('.id-expand-mode');
+        modeSelector.addEventListener('change', () => {
+            this.expandPopover.querySelector('.id-expand-pixels').style.display = modeSelector.value == 'pixels' ? '' : 'none';
+            this.expandPopover.querySelector('.id-expand-aspect').style.display = modeSelector.value == 'aspect' ? '' : 'none';
+        });
+        let run = (generate) => {
+            let sides;
+            if (modeSelector.value == 'pixels') {
+                sides = ['left', 'top', 'right', 'bottom'].map(side => Math.max(0, parseInt(this.expandPopover.querySelector(`.id-expand-${side}`).value) || 0));
+            }
+            else {
+                let ratio = this.expandPopover.querySelector('.id-expand-ratio').value.split(/[:x\/]/).map(v => parseFloat(v.trim()));
+                if (ratio.length != 2 || !(ratio[0] > 0) || !(ratio[1] > 0)) {
+                    showError('Invalid aspect ratio, expected a format like "16:9"');
+                    return;
+                }
+                sides = this.getExpansionForAspect(ratio[0] / ratio[1], this.expandPopover.querySelector('.id-expand-anchor').value);
+            }
+            if (sides.every(v => v == 0)) {
+                return;
+            }
+            hidePopover('image_editor_expand');
+            this.expandCanvas(sides[0], sides[1], sides[2], sides[3], this.expandPopover.querySelector('.id-expand-fill').value);
+            if (generate && this.onGenerate) {
+                this.onGenerate({ 'initimagecreativity': 1 });
+            }
+        };
+        this.expandPopover.querySelector('.id-expand-go').addEventListener('click', () => run(false));
+        this.expandPopover.querySelector('.id-expand-generate').addEventListener('click', () => run(true));
+        this.rightBar.appendChild(this.expandPopover);
+    }
+
+    /** Returns the [left, top, right, bottom] expansion needed to reach the given aspect ratio (width / height), with the current image kept at the given anchor. */
+    getExpansionForAspect(aspect, anchor) {
+        let [width, height] = [this.realWidth, this.realHeight];
+        let [extraWidth, extraHeight] = [0, 0];
+        if (width / height < aspect) {
+            extraWidth = Math.round(height * aspect) - width;
+        }
+        else {
+            extraHeight = Math.round(width / aspect) - height;
+        }
+        let split = (extra, keepStart, keepEnd) => {
+            if (keepStart) {
+                return [0, extra];
+            }
+            if (keepEnd) {
+                return [extra, 0];
+            }
+            return [Math.floor(extra / 2), extra - Math.floor(extra / 2)];
+        };
+        let [left, right] = split(extraWidth, anchor.includes('left'), anchor.includes('right'));
+        let [top, bottom] = split(extraHeight, anchor.includes('top'), anchor.includes('bottom'));
+        return [left, top, right, bottom];
+    }
+
+    /**
+     * Grows the canvas by the given amount of pixels on each side, for outpainting.
+     * All layers are shifted to keep the image in place, the new area is pre-filled (with 'fill' as 'stretch', 'blur', 'noise', or 'none') on a new bottom layer, and a new mask layer covers the new area.
+     * Dimensions are rounded up to a multiple of 8, and the width/height parameters are updated to match.
+     */
+    expandCanvas(left, top, right, bottom, fill = 'stretch') {
+        let [width, height] = [this.realWidth, this.realHeight];
+        let fixWidth = (8 - (width + left + right) % 8) % 8;
+        let fixHeight = (8 - (height + top + bottom) % 8) % 8;
+        if (left > 0 && right == 0) {
+            left += fixWidth;
+        }
+        else {
+            right += fixWidth;
+        }
+        if (top > 0 && bottom == 0) {
+            top += fixHeight;
+        }
+        else {
+            bottom += fixHeight;
+        }
+        let [newWidth, newHeight] = [width + left + right, height + top + bottom];
+        let oldState = this.getCanvasState();
+        let source = this.getFinalImageCanvas();
+        for (let layer of this.layers) {
+            layer.offsetX += left;
+            layer.offsetY += top;
+        }
+        if (this.selectionCanvas) {
+            this.selectionOffsetX += left;
+            this.selectionOffsetY += top;
+            this.selectX += left;
+            this.selectY += top;
+        }
+        this.offsetX -= left;
+        this.offsetY -= top;
+        this.realWidth = newWidth;
+        this.realHeight = newHeight;
+        let fillLayer = new ImageEditorLayer(this, newWidth, newHeight);
+        let ctx = fillLayer.ctx;
+        if (fill == 'stretch') {
+            ctx.drawImage(source, 0, 0, 1, height, 0, top, left, height);
+            ctx.drawImage(source, width - 1, 0, 1, height, left + width, top, right, height);
+            ctx.drawImage(source, 0, 0, width, 1, left, 0, width, top);
+            ctx.drawImage(source, 0, height - 1, width, 1, left, top + height, width, bottom);
+            ctx.drawImage(source, 0, 0, 1, 1, 0, 0, left, top);
+            ctx.drawImage(source, width - 1, 0, 1, 1, left + width, 0, right, top);
+            ctx.drawImage(source, 0, height - 1, 1, 1, 0, top + height, left, bottom);
+            ctx.drawImage(source, width - 1, height - 1, 1, 1, left + width, top + height, right, bottom);
+        }
+        else if (fill == 'blur') {
+            ctx.filter = `blur(${Math.ceil(Math.max(newWidth, newHeight) / 20)}px)`;
+            ctx.drawImage(source, 0, 0, newWidth, newHeight);
+            ctx.filter = 'none';
+        }
+        else if (fill == 'noise') {
+            let noise = ctx.createImageData(newWidth, newHeight);
+            for (let i = 0; i < noise.data.length; i += 4) {
+                noise.data[i] = Math.random() * 256;
+                noise.data[i + 1] = Math.random() * 256;
+                noise.data[i + 2] = Math.random() * 256;
+                noise.data[i + 3] = 255;
+            }
+            ctx.putImageData(noise, 0, 0);
+        }
+        ctx.clearRect(left, top, width, height);
+        fillLayer.hasAnyContent = fill != 'none';
+        this.addLayer(fillLayer, false);
+        this.setLayerOrder([fillLayer, ...this.layers.filter(layer => layer != fillLayer)]);
+        let maskLayer = new ImageEditorLayer(this, newWidth, newHeight);
+        maskLayer.isMask = true;
+        this.addLayer(maskLayer, false);
+        maskLayer.ctx.fillStyle = '#ffffff';
+        maskLayer.ctx.fillRect(0, 0, newWidth, newHeight);
+        maskLayer.ctx.clearRect(left, top, width, height);
+        maskLayer.hasAnyContent = true;
+        this.addHistoryEntry(new ImageEditorHistoryEntry(this, 'canvas_resize', { oldState: oldState, newState: this.getCanvasState() }, 'Expand Canvas'));
+        this.syncResolutionParams();
+        this.markChanged();
+        this.redraw();
+    }
+
+    /** Returns a snapshot of the canvas size, view and selection offsets, layer list, and layer offsets, for 'canvas_resize' history entries. */
+    getCanvasState() {
+        return {
+            realWidth: this.realWidth,
+            realHeight: this.realHeight,
+            offsetX: this.offsetX,
+            offsetY: this.offsetY,
+            selection: this.selectionCanvas ? { offsetX: this.selectionOffsetX, offsetY: this.selectionOffsetY, x: this.selectX, y: this.selectY } : null,
+            layers: this.layers.map(layer => ({ layer: layer, offsetX: layer.offsetX, offsetY: layer.offsetY }))
+        };
+    }
+
+    /** Restores a snapshot from 'getCanvasState', adding or removing layers as needed, for history processing. */
+    applyCanvasState(state) {
+        this.realWidth = state.realWidth;
+        this.realHeight = state.realHeight;
+        this.offsetX = state.offsetX;
+        this.offsetY = state.offsetY;
+        if (state.selection && this.selectionCanvas) {
+            this.selectionOffsetX = state.selection.offsetX;
+            this.selectionOffsetY = state.selection.offsetY;
+            this.selectX = state.selection.x;
+            this.selectY = state.selection.y;
+        }
+        let wanted = state.layers.map(entry => entry.layer);
+        for (let layer of [...this.layers]) {
+            if (!wanted.includes(layer)) {
+                this.removeLayer(layer, false);
+            }
+        }
+        for (let i = 0; i < wanted.length; i++) {
+            this.restoreLayer(wanted[i], i);
+        }
+        this.setLayerOrder(wanted);
+        for (let entry of state.layers) {
+            entry.layer.offsetX = entry.offsetX;
+            entry.layer.offsetY = entry.offsetY;
+        }
+        this.syncResolutionParams();
+    }
+
+    /** Sets the width/height parameters (and a Custom aspect ratio) to match the current canvas size. */
+    syncResolutionParams() {
+        let inputWidth = document.getElementById('input_width');
+        let inputHeight = document.getElementById('input_height');
+        let inputAspectRatio = document.getElementById('input_aspectratio');
+        if (inputAspectRatio) {
+            inputAspectRatio.value = 'Custom';
+            triggerChangeFor(inputAspectRatio);
+        }
+        if (inputWidth && inputHeight) {
+            inputWidth.value = this.realWidth;
+            inputHeight.value = this.realHeight;
+            triggerChangeFor(inputWidth);
+            triggerChangeFor(inputHeight);
+        }
+    }
+
+    /** Returns a JSON-compatible document of the full editor state (canvas size, and every layer in order), for saving and reopening later with {@link ImageEditor#loadDocumentData}. */
+    getDocumentData() {
+        return {
+            format: 'swarmui_image_editor',
+            version: 1,
+            width: this.realWidth,
+            height: this.realHeight,
+            layers: this.layers.map(layer => ({
+                image: layer.canvas.toDataURL('image/png'),
+                width: layer.width,
+                height: layer.height,
+                offset_x: layer.offsetX,
+                offset_y: layer.offsetY,
+                rotation: layer.rotation,
+                opacity: layer.opacity,
+                is_mask: layer.isMask,
+                blend_mode: layer.globalCompositeOperation,
+                adjustments: layer.adjustments.map(adjustment => ({ type: adjustment.type, enabled: adjustment.enabled, values: adjustment.values })),
+                text: layer.textData,
+                has_content: layer.hasAnyContent
+            }))
+        };
+    }
+
+    /** Replaces the full editor state with a document previously produced by {@link ImageEditor#getDocumentData}. Returns a Promise that resolves once all layers are loaded. */
+    loadDocumentData(data) {
+        if (!data || data.format != 'swarmui_image_editor' || !Array.isArray(data.layers) || data.layers.length == 0) {
+            return Promise.reject(new Error('Not a valid image editor document'));
+        }
+        let loadImage = (src) => new Promise((resolve, reject) => {
+            let img = new Image();
+            img.onload = () => resolve(img);
+            img.onerror = () => reject(new Error('Failed to load layer image'));
+            img.src = src;
+        });
+        return Promise.all(data.layers.map(layerData => loadImage(layerData.image))).then(images => {
+            this.clearLayers();
+            this.realWidth = data.width;
+            this.realHeight = data.height;
+            for (let i = 0; i < images.length; i++) {
+                let layerData = data.layers[i];
+                let layer = new ImageEditorLayer(this, images[i].naturalWidth, images[i].naturalHeight);
+                layer.ctx.drawImage(images[i], 0, 0);
+                layer.width = layerData.width ?? layer.width;
+                layer.height = layerData.height ?? layer.height;
+                layer.offsetX = layerData.offset_x ?? 0;
+                layer.offsetY = layerData.offset_y ?? 0;
+                layer.rotation = layerData.rotation ?? 0;
+                layer.opacity = layerData.opacity ?? 1;
+                layer.isMask = !!layerData.is_mask;
+                layer.globalCompositeOperation = layerData.blend_mode || 'source-over';
+                layer.adjustments = (layerData.adjustments || []).filter(adjData => imageEditorAdjustmentTypes.some(t => t.id == adjData.type)).map(adjData => {
+                    let adjustment = new ImageEditorLayerAdjustment(adjData.type);
+                    adjustment.enabled = adjData.enabled ?? true;
+                    Object.assign(adjustment.values, adjData.values || {});
+                    return adjustment;
+                });
+                layer.textData = layerData.text || null;
+                layer.hasAnyContent = layerData.has_content ?? true;
+                this.addLayer(layer, false);
+            }
+            this.clearSelection();
+            this.clearHistory();
+            this.syncResolutionParams();
+            this.autoZoom();
+            this.markChanged();
+            this.redraw();
+        });
+    }
+
+    /** Downloads the current editor state as a document file. */
+    downloadDocument() {
+        let link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([JSON.stringify(this.getDocumentData())], { type: 'application/json' }));
+        link.download = 'image.swarmedit.json';
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    }
+
+    /** Loads an editor document from a user-selected file. */
+    loadDocumentFile(file) {
+        file.text().then(text => this.loadDocumentData(JSON.parse(text))).catch(e => {
+            showError(`Failed to open image editor document: ${e.message}`);
+        });
+    }
+
     markChanged() {
         this.changeCount++;
         if (this.signalChanged) {
@@ -1852,15 +3756,19 @@ class ImageEditor {
         let [offsetX, offsetY] = this.activeLayer.getOffset();
         [offsetX, offsetY] = this.imageCoordToCanvasCoord(offsetX, offsetY);
         this.drawSelectionBox(offsetX, offsetY, this.activeLayer.width * this.zoomLevel, this.activeLayer.height * this.zoomLevel, this.uiBorderColor, 8 * this.zoomLevel, this.activeLayer.rotation);
-        if (this.hasSelection) {
-            let [selectX, selectY] = this.imageCoordToCanvasCoord(this.selectX, this.selectY);
-            this.drawSelectionBox(selectX, selectY, this.selectWidth * this.zoomLevel, this.selectHeight * this.zoomLevel, this.uiColor, 8 * this.zoomLevel, 0);
+        if (this.hasSelection && this.selectionOutline) {
+            let [selectX, selectY] = this.imageCoordToCanvasCoord(this.selectionOffsetX, this.selectionOffsetY);
+            this.ctx.save();
+            this.ctx.imageSmoothingEnabled = false;
+            this.ctx.globalCompositeOperation = 'difference';
+            this.ctx.drawImage(this.selectionOutline, selectX, selectY, this.selectionOutline.width * this.zoomLevel, this.selectionOutline.height * this.zoomLevel);
+            this.ctx.restore();
         }
         this.activeTool.draw();
         this.ctx.restore();
     }
 
-    getFinalImageData(format = 'image/png') {
+    getFinalImageCanvas() {
         let canvas = document.createElement('canvas');
         canvas.width = this.realWidth;
         canvas.height = this.realHeight;
@@ -1870,7 +3778,11 @@ class ImageEditor {
                 layer.drawToBack(ctx, this.finalOffsetX, this.finalOffsetY, 1);
             }
         }
-        return canvas.toDataURL(format);
+        return canvas;
+    }
+
+    getFinalImageData(format = 'image/png') {
+        return this.getFinalImageCanvas().toDataURL(format);
     }
 
     getMaximumImageData(format = 'image/png') {
@@ -164,6 +164,17 @@ function parseMetadata(data, callback) {
 
 let metadataKeyFormatCleaners = [];
 
+/** Swaps a prompt display in formatted metadata between the pre-processed (eg translated) text and the original text the user wrote. */
+function togglePreprocessedPromptView(button) {
+    let view = findParentOfClass(button, 'preprocessed-prompt-view');
+    let processed = view.querySelector('.preprocessed-prompt-processed');
+    let original = view.querySelector('.preprocessed-prompt-original');
+    let showOriginal = original.style.display == 'none';
+    original.style.display = showOriginal ? '' : 'none';
+    processed.style.display = showOriginal ? 'none' : '';
+    button.innerText = translate(showOriginal ? button.dataset.processedLabel : 'Show Original');
+}
+
 function formatMetadata(metadata) {
     if (!metadata) {
         return '';
@@ -228,15 +239,26 @@ function formatMetadata(metadata) {
         data.sui_extra_data['Swarm Version'] = data.sui_image_params.swarm_version;
         delete data.sui_image_params.swarm_version;
     }
-    if ('prompt' in data.sui_image_params && data.sui_image_params.prompt) {
-        appendObject({ 'prompt': data.sui_image_params.prompt });
-        result += '\n<br>';
-        delete data.sui_image_params.prompt;
-    }
-    if ('negativeprompt' in data.sui_image_params && data.sui_image_params.negativeprompt) {
-        appendObject({ 'negativeprompt': data.sui_image_params.negativeprompt });
+    let extraData = data.sui_extra_data || {};
+    for (let key of ['prompt', 'negativeprompt']) {
+        if (!(key in data.sui_image_params) || !data.sui_image_params[key]) {
+            continue;
+        }
+        let original = extraData[`original_${key}`];
+        if (extraData.prompt_preprocessors && original) {
+            let processedLabel = extraData.prompt_preprocessors == 'Translate' ? 'Show Translated' : 'Show Processed';
+            result += `<span class="preprocessed-prompt-view"><span class="preprocessed-prompt-processed">`;
+            appendObject({ [key]: data.sui_image_params[key] });
+            result += `</span><span class="preprocessed-prompt-original" style="display: none">`;
+            appendObject({ [key]: original });
+            result += `</span><button class="basic-button preprocessed-prompt-toggle" title="${escapeHtmlNoBr(translate('This prompt was changed before generating by')) + ': ' + escapeHtmlNoBr(extraData.prompt_preprocessors)}" data-processed-label="${processedLabel}" onclick="togglePreprocessedPromptView(this)">${translate('Show Original')}</button></span>`;
+            delete extraData[`original_${key}`];
+        }
+        else {
+            appendObject({ [key]: data.sui_image_params[key] });
+        }
         result += '\n<br>';
-        delete data.sui_image_params.negativeprompt;
+        delete data.sui_image_params[key];
     }
     appendObject(data.sui_image_params);
     result += '\n<br>';
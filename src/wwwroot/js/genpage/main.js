@@ -29,6 +29,9 @@ let autoCompletionsOptimize = false;
 
 let mainGenHandler = new GenerateHandler();
 
+let generateQueue = new GenerateQueue(mainGenHandler);
+mainGenHandler.queue = generateQueue;
+
 let pageTitleSuffix = document.title.split(' - ')[1];
 let curAutoTitle = "Page is loading...";
 
@@ -263,6 +266,15 @@ function genToolsList() {
 
 let toolOverrides = {};
 
+/** Switches to the Tools tab and opens the tool with the given ID (as registered via 'registerNewTool'). */
+function openTool(id) {
+    getRequiredElementById('toolstabheader').click();
+    if (toolSelector.value != id) {
+        toolSelector.value = id;
+        toolSelector.dispatchEvent(new Event('change'));
+    }
+}
+
 function registerNewTool(id, name, genOverride = null, runOverride = null) {
     let option = document.createElement('option');
     option.value = id;
@@ -313,6 +325,8 @@ function loadUserData(callback) {
     genericRequest('GetMyUserData', {}, data => {
         permissions.updateFrom(data.permissions);
         starredModels = data.starred_models;
+        imageEditorBrushPresets = data.brush_presets || [];
+        promptUsageTracker.load(data.autocomplete_usage);
         autoCompletionsList = {};
         if (data.autocompletions) {
             let allSet = [];
@@ -376,6 +390,7 @@ function loadUserData(callback) {
 
 function updateAllModels(models) {
     coreModelMap = models;
+    promptTabComplete.triggerPhrases = null;
     allModels = models['Stable-Diffusion'];
     let selector = getRequiredElementById('current_model');
     let selectorVal = selector.value;
@@ -394,6 +409,7 @@ function updateAllModels(models) {
     selector.value = selectorVal;
     pickle2safetensor_load();
     modelDownloader.reloadFolders();
+    promptSyntaxOverlay.refreshAll();
 }
 
 /** Set some element titles via JavaScript (to allow '\n'). */
@@ -694,6 +710,9 @@ function genpageLoad() {
     window.imageEditor.onDeactivate = () => {
         editorSizebar.style.display = 'none';
     };
+    window.imageEditor.onGenerate = (input_overrides) => {
+        mainGenHandler.doGenerateQueued(input_overrides);
+    };
     window.imageEditor.tools['options'].optionButtons = [
         ... window.imageEditor.tools['options'].optionButtons,
         { key: 'Store Current Image To History', action: () => {
@@ -750,6 +769,7 @@ function genpageLoad() {
             setInterval(autoRepersistParams, 60 * 60 * 1000); // Re-persist again hourly if UI left over
             genInputs();
             genToolsList();
+            generateQueue.init();
             reviseStatusBar();
             getRequiredElementById('advanced_options_checkbox').checked = localStorage.getItem('display_advanced') == 'true';
             toggle_advanced();
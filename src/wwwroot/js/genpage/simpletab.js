@@ -249,6 +249,11 @@ class SimpleTabGenerateHandler extends GenerateHandler {
         // Nothing to do.
     }
 
+    recordPromptHistory(input) {
+        // Simple tab workflows don't use the main prompt box.
+        return null;
+    }
+
     getGenInput(input_overrides = {}, input_preoverrides = {}) {
         let data = JSON.parse(JSON.stringify(input_overrides));
         if (!data['images']) {
@@ -88,7 +88,8 @@ function genericServerError() {
 let failedWSAddr = translatable(`Failed to get WebSocket address. You may be connecting to the server in an unexpected way. Please use "http" or "https" URLs.`);
 let failedDepth = translatable(`Failed to get session ID after 3 tries. Your account may have been invalidated. Try refreshing the page, or contact the site owner.`);
 
-function makeWSRequest(url, in_data, callback, depth = 0, errorHandle = null, onOpenHandle = null) {
+/** Opens a WebSocket API request. If 'disconnectHandle' is given, it is called instead of 'errorHandle' when the connection drops unexpectedly after opening, to allow the caller to reconnect and resume. */
+function makeWSRequest(url, in_data, callback, depth = 0, errorHandle = null, onOpenHandle = null, disconnectHandle = null) {
     function fail(e) {
         if (errorHandle) {
             errorHandle(e);
@@ -104,7 +105,9 @@ function makeWSRequest(url, in_data, callback, depth = 0, errorHandle = null, on
         return;
     }
     let socket = new WebSocket(`${ws_address}/API/${url}`);
+    let opened = false;
     socket.onopen = () => {
+        opened = true;
         in_data['session_id'] = session_id;
         socket.send(JSON.stringify(in_data));
         if (onOpenHandle) {
@@ -132,10 +135,45 @@ function makeWSRequest(url, in_data, callback, depth = 0, errorHandle = null, on
         }
         callback(data);
     }
-    socket.onerror = errorHandle ? () => errorHandle(genericServerErrorMsg.get()) : genericServerError;
+    socket.onerror = () => {
+        if (opened && disconnectHandle) {
+            return; // onclose will follow and handle it
+        }
+        if (errorHandle) {
+            errorHandle(genericServerErrorMsg.get());
+            return;
+        }
+        genericServerError();
+    };
+    socket.onclose = e => {
+        if (opened && !e.wasClean && disconnectHandle) {
+            console.log(`WS request ${url} disconnected unexpectedly (code ${e.code}).`);
+            disconnectHandle(e);
+        }
+    };
     return socket;
 }
 
+/** Calls 'attempt' with (onSuccess, onFail) callbacks, and if it fails, tries again after an exponentially increasing delay, for reconnecting after the server connection drops. Calls 'giveUp' with the last error after 'maxTries' failures in a row. */
+function retryWithBackoff(attempt, giveUp, maxTries = 10, baseDelayMs = 1000, maxDelayMs = 30 * 1000) {
+    let tries = 0;
+    let tryOnce = () => {
+        attempt(() => {
+            tries = 0;
+        }, e => {
+            tries++;
+            if (tries >= maxTries) {
+                giveUp(e);
+                return;
+            }
+            let delay = Math.min(maxDelayMs, baseDelayMs * Math.pow(2, tries - 1));
+            console.log(`Reconnect attempt ${tries} failed (${e}), will retry in ${delay}ms.`);
+            setTimeout(tryOnce, delay);
+        });
+    };
+    tryOnce();
+}
+
 let failedCrash = translatable(`Failed to send request to server. Did the server crash?`);
 
 function genericRequest(url, in_data, callback, depth = 0, errorHandle = null) {
@@ -355,6 +393,9 @@ function textPromptAddKeydownHandler(elem) {
     if (typeof promptTabComplete != 'undefined') {
         promptTabComplete.enableFor(elem);
     }
+    if (typeof promptSyntaxOverlay != 'undefined') {
+        promptSyntaxOverlay.enableFor(elem);
+    }
 }
 
 function setSeedToRandom(elemId) {
@@ -923,6 +923,115 @@ function simpleAsteriskedMatcher(matcher, caseSensitive = false) {
     };
 }
 
+/** Typo-tolerant fuzzy match of a (lowercase) query against a (lowercase) text.
+ * Returns null if no match, or an object with a 'score' (higher is better) and 'indices' (the matched character indices within the text, for highlighting).
+ * Letters of the query may be spread out across the text (eg 'rdhr' matches 'red_hair'), and up to 'maxTypos' wrong, missing, or extra letters are allowed (-1 to pick automatically based on query length). */
+function fuzzyMatch(text, query, maxTypos = -1) {
+    if (query.length == 0) {
+        return { score: 0, indices: [] };
+    }
+    let isWordStart = (i) => i == 0 || ' _-/,.()'.includes(text[i - 1]);
+    let best = null;
+    let first = text.indexOf(query[0]);
+    while (first != -1) {
+        let indices = [first];
+        let ti = first + 1;
+        for (let qi = 1; qi < query.length; qi++) {
+            ti = text.indexOf(query[qi], ti);
+            if (ti == -1) {
+                break;
+            }
+            indices.push(ti++);
+        }
+        if (indices.length < query.length) {
+            break;
+        }
+        let score = 0;
+        for (let i = 0; i < indices.length; i++) {
+            score += 1;
+            if (isWordStart(indices[i])) {
+                score += 3;
+            }
+            if (i > 0) {
+                score += indices[i] == indices[i - 1] + 1 ? 2 : -Math.min(3, (indices[i] - indices[i - 1] - 1) * 0.2);
+            }
+        }
+        if (!best || score > best.score) {
+            best = { score, indices };
+        }
+        first = text.indexOf(query[0], first + 1);
+    }
+    if (best) {
+        best.score -= text.length * 0.01;
+        return best;
+    }
+    if (maxTypos < 0) {
+        maxTypos = query.length >= 8 ? 2 : (query.length >= 4 ? 1 : 0);
+    }
+    if (maxTypos == 0) {
+        return null;
+    }
+    let found = 0;
+    for (let c of query) {
+        if (text.includes(c)) {
+            found++;
+        }
+    }
+    if (found < query.length - maxTypos) {
+        return null;
+    }
+    // Approximate substring match: edit distance (counting swapped letters as one typo) between the query and the best-matching substring of the text.
+    let rows = query.length + 1, cols = text.length + 1;
+    let dist = new Uint8Array(rows * cols);
+    for (let qi = 1; qi < rows; qi++) {
+        dist[qi * cols] = qi;
+        for (let ti = 1; ti < cols; ti++) {
+            let cost = query[qi - 1] == text[ti - 1] ? 0 : 1;
+            let val = Math.min(dist[(qi - 1) * cols + ti - 1] + cost, dist[(qi - 1) * cols + ti] + 1, dist[qi * cols + ti - 1] + 1);
+            if (qi > 1 && ti > 1 && query[qi - 1] == text[ti - 2] && query[qi - 2] == text[ti - 1]) {
+                val = Math.min(val, dist[(qi - 2) * cols + ti - 2] + 1);
+            }
+            dist[qi * cols + ti] = val;
+        }
+    }
+    let end = 0;
+    for (let ti = 1; ti < cols; ti++) {
+        if (dist[(rows - 1) * cols + ti] < dist[(rows - 1) * cols + end]) {
+            end = ti;
+        }
+    }
+    let typos = dist[(rows - 1) * cols + end];
+    if (typos > maxTypos) {
+        return null;
+    }
+    let indices = [];
+    let qi = rows - 1, ti = end;
+    while (qi > 0 && ti > 0) {
+        let here = dist[qi * cols + ti];
+        if (query[qi - 1] == text[ti - 1] && here == dist[(qi - 1) * cols + ti - 1]) {
+            indices.unshift(ti - 1);
+            qi--;
+            ti--;
+        }
+        else if (qi > 1 && ti > 1 && query[qi - 1] == text[ti - 2] && query[qi - 2] == text[ti - 1] && here == dist[(qi - 2) * cols + ti - 2] + 1) {
+            indices.unshift(ti - 2, ti - 1);
+            qi -= 2;
+            ti -= 2;
+        }
+        else if (here == dist[(qi - 1) * cols + ti - 1] + 1) {
+            qi--;
+            ti--;
+        }
+        else if (here == dist[(qi - 1) * cols + ti] + 1) {
+            qi--;
+        }
+        else {
+            ti--;
+        }
+    }
+    return { score: indices.length - typos * 4 - text.length * 0.01, indices };
+}
+
 const mimeTypeForExtension = {
     'png': 'image/png', 'jpg': 'image/jpeg', 'jpeg': 'image/jpeg', 'webp': 'image/webp',
     'gif': 'image/gif', 'ico': 'image/x-icon', 'svg': 'image/svg+xml', 'mp3': 'audio/mpeg',